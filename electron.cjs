@@ -8,6 +8,7 @@
 
 const { app, BrowserWindow, ipcMain, dialog } = require("electron");
 const path = require("path");
+const fs = require("fs/promises");
 
 /**
  * A boolean that is true if the application is packaged, false otherwise.
@@ -35,6 +36,205 @@ console.log(
     portableDataPath
 );
 
+/**
+ * The directory mirroring the virtual filesystem, used by the Electron storage
+ * backend. Names in it are encoded with `encodeVfsName`.
+ * @type {string}
+ */
+const vfsDataPath = path.join(portableDataPath, "vfs-files");
+
+/**
+ * Where older versions mirrored the virtual filesystem under its raw names.
+ * It is moved into `vfsDataPath` on the next load.
+ * @type {string}
+ */
+const legacyVfsDataPath = path.join(portableDataPath, "vfs");
+
+/**
+ * The index holding every virtual node without its content (owner, mode,
+ * mtime, symlink targets...), keyed by virtual path.
+ * @type {string}
+ */
+const vfsIndexPath = path.join(portableDataPath, "vfs-nodes.json");
+
+/**
+ * Device names Windows reserves in every directory, with or without an extension.
+ * @type {RegExp}
+ */
+const WINDOWS_RESERVED_NAME = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+/**
+ * Turns a virtual file name into one every host file system stores as-is.
+ * Anything but lowercase letters, digits and harmless punctuation becomes
+ * %XX escapes of its UTF-8 bytes, so names that differ only in case can't
+ * collide on Windows or macOS, and characters Windows forbids (such as ':')
+ * never reach the disk. A trailing dot or space, which Windows drops, and
+ * reserved device names like "aux" are escaped too.
+ * @param {string} name - One segment of a virtual path.
+ * @returns {string} The name to use on disk.
+ */
+function encodeVfsName(name) {
+  const escape = (text) => [...Buffer.from(text, "utf8")]
+      .map((byte) => `%${byte.toString(16).toUpperCase().padStart(2, "0")}`)
+      .join("");
+  let encoded = "";
+  for (const char of name) {
+    encoded += /[a-z0-9 _\-.~!#$&'()+,;=@[\]{}^`]/.test(char) ? char : escape(char);
+  }
+  if (/^\.{1,2}$/.test(encoded)) {
+    return escape(encoded);
+  }
+  encoded = encoded.replace(/[. ]$/, escape);
+  return WINDOWS_RESERVED_NAME.test(encoded) ? escape(encoded[0]) + encoded.slice(1) : encoded;
+}
+
+/**
+ * Maps a virtual path onto the real file mirroring it, refusing anything that
+ * would land outside the data directory.
+ * @param {string} virtualPath - An absolute virtual path, such as "/home/Guest/notes.txt".
+ * @param {string} [baseDirectory=vfsDataPath] - The directory mirroring the root.
+ * @param {boolean} [encode=true] - Whether to encode the names; only the legacy layout doesn't.
+ * @returns {string} The real path.
+ */
+function resolveVfsPath(virtualPath, baseDirectory = vfsDataPath, encode = true) {
+  const segments = virtualPath.split("/").filter(Boolean);
+  const realPath = path.resolve(baseDirectory, ...(encode ? segments.map(encodeVfsName) : segments));
+  if (realPath !== baseDirectory && !realPath.startsWith(baseDirectory + path.sep)) {
+    throw new Error(`Refusing to touch '${virtualPath}' outside the data directory.`);
+  }
+  return realPath;
+}
+
+/**
+ * Moves the files of the old, unencoded layout into the encoded one, once.
+ * @param {object} index - The virtual filesystem index.
+ * @returns {Promise<void>}
+ */
+async function migrateLegacyVfs(index) {
+  if (!(await fs.stat(legacyVfsDataPath).catch(() => null))) return;
+  for (const [virtualPath, storedNode] of Object.entries(index)) {
+    if (storedNode.type !== "file") continue;
+    const realPath = resolveVfsPath(virtualPath);
+    await fs.mkdir(path.dirname(realPath), { recursive: true });
+    await fs
+        .copyFile(resolveVfsPath(virtualPath, legacyVfsDataPath, false), realPath)
+        .catch(() => {});
+  }
+  await fs.rm(legacyVfsDataPath, { recursive: true, force: true });
+}
+
+/**
+ * Reads the virtual filesystem index.
+ * @returns {Promise<object>} The index, or an empty one if nothing was saved yet.
+ */
+async function readVfsIndex() {
+  try {
+    return JSON.parse(await fs.readFile(vfsIndexPath, "utf8"));
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Removes whatever sits at a real path unless it is of the expected kind,
+ * so a file that became a directory (or the other way round) can be written.
+ * @param {string} realPath - The real path.
+ * @param {boolean} wantDirectory - Whether a directory is expected there.
+ * @returns {Promise<void>}
+ */
+async function clearMismatchedEntry(realPath, wantDirectory) {
+  const stats = await fs.stat(realPath).catch(() => null);
+  if (stats && stats.isDirectory() !== wantDirectory) {
+    await fs.rm(realPath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Sets up the IPC handlers behind the Electron storage backend. The renderer
+ * sends only the nodes that changed; files are written as real files under
+ * `data/vfs-files` (with encoded names), and everything else about a node
+ * goes into `data/vfs-nodes.json`.
+ */
+function registerStorageHandlers() {
+  ipcMain.handle("storage:load", async () => {
+    const index = await readVfsIndex();
+    await migrateLegacyVfs(index);
+    const records = [];
+    for (const [virtualPath, storedNode] of Object.entries(index)) {
+      const node = { ...storedNode };
+      if (node.type === "file") {
+        // Binary files come back as bytes; everything else as text.
+        const encoding = node.encoding === "binary" ? null : "utf8";
+        node.content = await fs
+            .readFile(resolveVfsPath(virtualPath), encoding)
+            .then((data) => (encoding ? data : new Uint8Array(data)))
+            .catch(() => (encoding ? "" : new Uint8Array(0)));
+      }
+      records.push({ path: virtualPath, node });
+    }
+    return records;
+  });
+
+  ipcMain.handle("storage:save", async (event, { dirty = [], removed = [] }) => {
+    try {
+      const index = await readVfsIndex();
+      for (const virtualPath of removed) {
+        delete index[virtualPath];
+        await fs.rm(resolveVfsPath(virtualPath), { recursive: true, force: true });
+      }
+      // Parents first, so every directory exists before its files do.
+      const sorted = [...dirty].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+      for (const { path: virtualPath, node } of sorted) {
+        const { content, ...storedNode } = node;
+        index[virtualPath] = storedNode;
+        const realPath = resolveVfsPath(virtualPath);
+        if (node.type === "directory") {
+          await clearMismatchedEntry(realPath, true);
+          await fs.mkdir(realPath, { recursive: true });
+        } else if (node.type === "file") {
+          await clearMismatchedEntry(realPath, false);
+          await fs.mkdir(path.dirname(realPath), { recursive: true });
+          if (content instanceof Uint8Array) {
+            await fs.writeFile(realPath, content);
+          } else {
+            await fs.writeFile(realPath, content || "", "utf8");
+          }
+        }
+      }
+      // Write the index in one go, so a crash never leaves half of it behind.
+      const temporaryIndexPath = `${vfsIndexPath}.tmp`;
+      await fs.writeFile(temporaryIndexPath, JSON.stringify(index), "utf8");
+      await fs.rename(temporaryIndexPath, vfsIndexPath);
+      return true;
+    } catch (e) {
+      console.error("Failed to save the virtual filesystem:", e);
+      return false;
+    }
+  });
+
+  ipcMain.handle("storage:clear", async () => {
+    try {
+      await fs.rm(vfsDataPath, { recursive: true, force: true });
+      await fs.rm(legacyVfsDataPath, { recursive: true, force: true });
+      await fs.rm(vfsIndexPath, { force: true });
+      return true;
+    } catch (e) {
+      console.error("Failed to clear the virtual filesystem:", e);
+      return false;
+    }
+  });
+
+  ipcMain.handle("storage:availableSpace", async () => {
+    try {
+      await fs.mkdir(portableDataPath, { recursive: true });
+      const stats = await fs.statfs(portableDataPath);
+      return stats.bavail * stats.bsize;
+    } catch (e) {
+      return null;
+    }
+  });
+}
+
 /**
  * Creates and configures the main browser window for the application.
  */
@@ -45,7 +245,7 @@ function createWindow() {
     resizable: true,
     autoHideMenuBar: true,
     webPreferences: {
-      preload: path.join(__dirname),
+      preload: path.join(__dirname, "preload.cjs"),
       contextIsolation: true,
       sandbox: true,
     },
@@ -73,6 +273,8 @@ app.whenReady().then(() => {
     return filePaths && filePaths.length > 0 ? filePaths[0] : null;
   });
 
+  registerStorageHandlers();
+
   createWindow();
 
   // Re-create the window on macOS if the dock icon is clicked and no other windows are open.
@@ -15,7 +15,7 @@
  * @param {object} dependencies - The dependency injection container.
  */
 function initializeTerminalEventListeners(domElements, commandExecutor, dependencies) {
-  const { AppLayerManager, ModalManager, TerminalUI, TabCompletionManager, HistoryManager, SoundManager } = dependencies;
+  const { AppLayerManager, ModalManager, TerminalUI, TabCompletionManager, HistoryManager, SoundManager, OutputManager, ErrorHandler } = dependencies;
 
   if (!domElements.terminalDiv || !domElements.editableInputDiv) {
     console.error(
@@ -42,6 +42,95 @@ function initializeTerminalEventListeners(domElements, commandExecutor, dependen
     }
   });
 
+  /**
+   * The Ctrl+R search in progress, if any: what has been typed, the index
+   * of the history entry it matched, the input from before the search, and
+   * whether the last attempt found nothing.
+   * @type {{query: string, index: number, original: string, failed: boolean}|null}
+   */
+  let reverseSearch = null;
+
+  /**
+   * Shows the search in the prompt and the matching command in the input.
+   */
+  const showReverseSearch = () => {
+    const { query, index, original, failed } = reverseSearch;
+    TerminalUI.setPromptText(`(${failed ? "failed " : ""}reverse-i-search)\`${query}': `);
+    TerminalUI.setCurrentInputValue(index >= 0 ? HistoryManager.getFullHistory()[index] : original);
+  };
+
+  /**
+   * Looks for the query at or before an entry, keeping the last match if
+   * there is no other.
+   * @param {number} [startIndex] - The entry to start from. Defaults to the newest.
+   */
+  const searchHistory = (startIndex) => {
+    const index = HistoryManager.search(reverseSearch.query, startIndex);
+    reverseSearch.failed = index < 0;
+    if (index >= 0) reverseSearch.index = index;
+    showReverseSearch();
+  };
+
+  /**
+   * Leaves the search, either keeping the matched command in the input or
+   * putting back what was there before.
+   * @param {boolean} accept - Whether to keep the match.
+   */
+  const endReverseSearch = (accept) => {
+    const { index, original } = reverseSearch;
+    reverseSearch = null;
+    TerminalUI.updatePrompt();
+    if (!accept) {
+      TerminalUI.setCurrentInputValue(original);
+    } else if (index >= 0) {
+      HistoryManager.setIndex(index);
+      TerminalUI.setIsNavigatingHistory(true);
+    }
+  };
+
+  /**
+   * Handles a key while a search is in progress. Keys the search doesn't
+   * use end it with the match kept, then go on to do their usual job.
+   * @param {KeyboardEvent} e - The keydown event.
+   * @returns {boolean} True if the key was used up by the search.
+   */
+  const handleReverseSearchKey = (e) => {
+    const key = e.key;
+    const isCtrlKey = e.ctrlKey && !e.altKey && !e.metaKey;
+    if (["Shift", "Control", "Alt", "Meta"].includes(key)) return true;
+    if (isCtrlKey && key.toLowerCase() === "r") {
+      e.preventDefault();
+      if (reverseSearch.query) {
+        searchHistory(reverseSearch.index >= 0 ? reverseSearch.index - 1 : undefined);
+      }
+      return true;
+    }
+    if (key === "Escape" || (isCtrlKey && key.toLowerCase() === "g")) {
+      e.preventDefault();
+      endReverseSearch(false);
+      return true;
+    }
+    if (key === "Backspace") {
+      e.preventDefault();
+      reverseSearch.query = reverseSearch.query.slice(0, -1);
+      if (reverseSearch.query) {
+        searchHistory();
+      } else {
+        Object.assign(reverseSearch, { index: -1, failed: false });
+        showReverseSearch();
+      }
+      return true;
+    }
+    if (key.length === 1 && !e.ctrlKey && !e.altKey && !e.metaKey) {
+      e.preventDefault();
+      reverseSearch.query += key;
+      searchHistory(reverseSearch.index >= 0 ? reverseSearch.index : undefined);
+      return true;
+    }
+    endReverseSearch(!(isCtrlKey && key.toLowerCase() === "c"));
+    return false;
+  };
+
   // Main keyboard event handler for the document.
   document.addEventListener("keydown", async (e) => {
     // Handle input for modal dialogs.
@@ -68,11 +157,55 @@ function initializeTerminalEventListeners(domElements, commandExecutor, dependen
       return;
     }
 
+    // Job control. With text selected, Ctrl+C still copies it.
+    const isCtrlKey = e.ctrlKey && !e.altKey && !e.metaKey && !e.shiftKey;
+    const hasSelection = Boolean(window.getSelection()?.toString());
+    if (isCtrlKey && commandExecutor.foregroundJob) {
+      if (e.key.toLowerCase() === "c" && !hasSelection) {
+        e.preventDefault();
+        commandExecutor.interruptForegroundJob();
+        return;
+      }
+      if (e.key.toLowerCase() === "z") {
+        e.preventDefault();
+        commandExecutor.suspendForegroundJob();
+        return;
+      }
+    }
+
     // Ignore key events not targeted at the input div.
     if (e.target !== domElements.editableInputDiv) {
       return;
     }
 
+    // Ctrl+R searches backwards through the history.
+    if (reverseSearch) {
+      if (handleReverseSearchKey(e)) return;
+    } else if (isCtrlKey && e.key.toLowerCase() === "r") {
+      e.preventDefault();
+      reverseSearch = {
+        query: "",
+        index: -1,
+        original: TerminalUI.getCurrentInputValue(),
+        failed: false,
+      };
+      showReverseSearch();
+      return;
+    }
+
+    // Ctrl+C at the prompt abandons the line being typed.
+    if (isCtrlKey && e.key.toLowerCase() === "c" && !hasSelection) {
+      e.preventDefault();
+      await OutputManager.appendToOutput(
+          `${TerminalUI.getPromptText()}${TerminalUI.getCurrentInputValue()}^C`
+      );
+      TerminalUI.clearInput();
+      TabCompletionManager.resetCycle();
+      HistoryManager.resetIndex();
+      commandExecutor.lastExitStatus = ErrorHandler.EXIT_CODES.INTERRUPTED;
+      return;
+    }
+
     switch (e.key) {
       case "Enter":
         e.preventDefault();
@@ -152,6 +285,11 @@ function initializeTerminalEventListeners(domElements, commandExecutor, dependen
       TerminalUI.handlePaste(processedText);
     });
   }
+
+  // Don't lose the last few commands to the history write's countdown.
+  window.addEventListener("pagehide", () => {
+    void HistoryManager.flushHistoryFile();
+  });
 }
 
 /**
@@ -226,10 +364,14 @@ window.onload = async () => {
     ErrorHandler: ErrorHandler,
     Lexer: Lexer,
     Parser: Parser,
+    ScriptParser: ScriptParser,
     CommandRegistry: commandRegistry,
     TimestampParser: TimestampParser,
     DiffUtils: DiffUtils,
     PatchUtils: PatchUtils,
+    ArchiveUtils: ArchiveUtils,
+    AnsiUtils: AnsiUtils,
+    RasterUtils: RasterUtils,
     AIManager: aiManager,
     MessageBusManager: messageBusManager,
     NetworkManager: networkManager,
@@ -276,12 +418,20 @@ window.onload = async () => {
     terminalUI.initialize(domElements);
     modalManager.initialize(domElements);
     appLayerManager.initialize(domElements);
-    await storageHAL.init();
+    await fsManager.initializeStorage();
     aliasManager.initialize();
     outputManager.initializeConsoleOverrides();
     await fsManager.load();
     await userManager.initializeDefaultUsers();
     await configManager.loadFromFile();
+    if (configManager.STORAGE.BACKEND) {
+      const storageSwitch = await fsManager.switchStorageBackend(configManager.STORAGE.BACKEND);
+      if (!storageSwitch.success) {
+        console.warn(`Config: ${storageSwitch.error.message} Keeping the current storage backend.`);
+      } else if (storageSwitch.data) {
+        console.log(`Config: ${storageSwitch.data}`);
+      }
+    }
     await configManager.loadPackageManifest();
     groupManager.initialize();
     environmentManager.initialize();
@@ -293,6 +443,7 @@ window.onload = async () => {
     await outputManager.appendToOutput(
         `${configManager.MESSAGES.WELCOME_PREFIX} ${userManager.getCurrentUser().name}${configManager.MESSAGES.WELCOME_SUFFIX}`
     );
+    await sessionManager.runStartupFile(userManager.getCurrentUser().name);
 
 
     const guestHome = `/home/${configManager.USER.DEFAULT_NAME}`;
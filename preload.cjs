@@ -0,0 +1,18 @@
+// preload.cjs
+
+/**
+ * @file Preload script for the OopisOS Electron application.
+ * Exposes a small, explicit bridge to the main process on `window.oopisNative`,
+ * so the sandboxed renderer never gets its hands on `ipcRenderer` itself.
+ */
+
+const { contextBridge, ipcRenderer } = require("electron");
+
+contextBridge.exposeInMainWorld("oopisNative", {
+  storage: {
+    load: () => ipcRenderer.invoke("storage:load"),
+    save: (changes) => ipcRenderer.invoke("storage:save", changes),
+    clear: () => ipcRenderer.invoke("storage:clear"),
+    getAvailableSpace: () => ipcRenderer.invoke("storage:availableSpace"),
+  },
+});
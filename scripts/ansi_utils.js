@@ -0,0 +1,293 @@
+// scripts/ansi_utils.js
+
+/**
+ * Reads the ANSI escape sequences programs use to colour and lay out
+ * terminal text. A line of output is kept as cells, one per character, each
+ * with the style it was written in, so carriage returns and erase codes can
+ * rewrite it the way a real terminal would.
+ * @class AnsiUtils
+ */
+class AnsiUtils {
+  /** @type {string[]} The 16 standard colours: black, red, green, yellow, blue, magenta, cyan, white, then their bright forms */
+  static PALETTE = [
+    "#000000", "#AA0000", "#00AA00", "#AA5500", "#0000AA", "#AA00AA", "#00AAAA", "#AAAAAA",
+    "#555555", "#FF5555", "#55FF55", "#FFFF55", "#5555FF", "#FF55FF", "#55FFFF", "#FFFFFF",
+  ];
+
+  /** @type {object} The style of text written before any SGR code */
+  static DEFAULT_STYLE = Object.freeze({
+    foreground: null,
+    background: null,
+    bold: false,
+    dim: false,
+    italic: false,
+    underline: false,
+    inverse: false,
+    strikethrough: false,
+  });
+
+  /** @type {RegExp} Matches one CSI or OSC escape sequence */
+  static ESCAPE_PATTERN = /\x1b\[[0-?]*[ -/]*[@-~]|\x1b\][^\x07\x1b]*(?:\x07|\x1b\\)?/g;
+
+  /**
+   * Checks whether text has anything that needs more than plain rendering:
+   * escape sequences, carriage returns or backspaces.
+   * @param {string} text - The text to check.
+   * @returns {boolean} True if the text has control codes.
+   */
+  static hasControlCodes(text) {
+    return /[\x1b\r\b]/.test(text);
+  }
+
+  /**
+   * Removes escape sequences, leaving the characters that would be shown.
+   * @param {string} text - The text to clean.
+   * @returns {string} The text without escape sequences.
+   */
+  static strip(text) {
+    return String(text).replace(AnsiUtils.ESCAPE_PATTERN, "");
+  }
+
+  /**
+   * Wraps text in an SGR code and a reset.
+   * @param {string} text - The text to colour.
+   * @param {string} codes - The SGR parameters, such as "01;34" for bold blue.
+   * @returns {string} The wrapped text.
+   */
+  static colorize(text, codes) {
+    return `\x1b[${codes}m${text}\x1b[0m`;
+  }
+
+  /**
+   * Creates an empty line.
+   * @returns {{cells: Array<{char: string, style: object}>, column: number}} The line, with the cursor at its start.
+   */
+  static createLine() {
+    return { cells: [], column: 0 };
+  }
+
+  /**
+   * Writes text into a line, obeying the control codes in it: SGR codes
+   * change the style, '\r' returns to the start of the line, '\b' steps
+   * back, and the CSI codes K (erase in line), G (go to column), C
+   * (forward) and D (back) move or clear. Other sequences are dropped.
+   * @param {object} line - A line from `createLine`, updated in place.
+   * @param {string} text - The text to write. It should not contain newlines.
+   * @param {object} [style=AnsiUtils.DEFAULT_STYLE] - The style to start in.
+   * @returns {object} The style in effect at the end of the text.
+   */
+  static writeLine(line, text, style = AnsiUtils.DEFAULT_STYLE) {
+    let currentStyle = style;
+    const put = (char) => {
+      while (line.cells.length < line.column) {
+        line.cells.push({ char: " ", style: AnsiUtils.DEFAULT_STYLE });
+      }
+      line.cells[line.column] = { char, style: currentStyle };
+      line.column++;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === "\x1b") {
+        const sequence = text.slice(i).match(/^\x1b\[([0-?]*)[ -/]*([@-~])/);
+        if (sequence) {
+          const [whole, params, command] = sequence;
+          const count = parseInt(params, 10) || 1;
+          if (command === "m") {
+            currentStyle = AnsiUtils.applySgr(currentStyle, params);
+          } else if (command === "K") {
+            const mode = parseInt(params, 10) || 0;
+            if (mode === 0) {
+              line.cells.length = Math.min(line.cells.length, line.column);
+            } else if (mode === 1) {
+              for (let c = 0; c <= line.column && c < line.cells.length; c++) {
+                line.cells[c] = { char: " ", style: AnsiUtils.DEFAULT_STYLE };
+              }
+            } else {
+              line.cells = [];
+            }
+          } else if (command === "G") {
+            line.column = count - 1;
+          } else if (command === "C") {
+            line.column += count;
+          } else if (command === "D") {
+            line.column = Math.max(0, line.column - count);
+          }
+          i += whole.length - 1;
+        } else {
+          const other = text.slice(i).match(AnsiUtils.ESCAPE_PATTERN);
+          if (other && text.indexOf(other[0], i) === i) i += other[0].length - 1;
+        }
+      } else if (char === "\r") {
+        line.column = 0;
+      } else if (char === "\b") {
+        line.column = Math.max(0, line.column - 1);
+      } else if (char === "\t") {
+        do {
+          put(" ");
+        } while (line.column % 8 !== 0);
+      } else if (char >= " ") {
+        put(char);
+      }
+    }
+    return currentStyle;
+  }
+
+  /**
+   * Applies the parameters of an SGR ('m') sequence to a style.
+   * @param {object} style - The current style. It is not changed.
+   * @param {string} params - The parameters, separated by semicolons.
+   * @returns {object} The new style; `DEFAULT_STYLE` itself once everything is reset.
+   */
+  static applySgr(style, params) {
+    const codes = params === "" ? [0] : params.split(/[;:]/).map((code) => parseInt(code, 10) || 0);
+    const next = { ...style };
+    for (let i = 0; i < codes.length; i++) {
+      const code = codes[i];
+      if (code === 0) {
+        Object.assign(next, AnsiUtils.DEFAULT_STYLE);
+      } else if (code === 1) {
+        next.bold = true;
+      } else if (code === 2) {
+        next.dim = true;
+      } else if (code === 3) {
+        next.italic = true;
+      } else if (code === 4) {
+        next.underline = true;
+      } else if (code === 7) {
+        next.inverse = true;
+      } else if (code === 9) {
+        next.strikethrough = true;
+      } else if (code === 22) {
+        next.bold = next.dim = false;
+      } else if (code === 23) {
+        next.italic = false;
+      } else if (code === 24) {
+        next.underline = false;
+      } else if (code === 27) {
+        next.inverse = false;
+      } else if (code === 29) {
+        next.strikethrough = false;
+      } else if (code >= 30 && code <= 37) {
+        next.foreground = code - 30;
+      } else if (code >= 40 && code <= 47) {
+        next.background = code - 40;
+      } else if (code >= 90 && code <= 97) {
+        next.foreground = code - 90 + 8;
+      } else if (code >= 100 && code <= 107) {
+        next.background = code - 100 + 8;
+      } else if (code === 39) {
+        next.foreground = null;
+      } else if (code === 49) {
+        next.background = null;
+      } else if (code === 38 || code === 48) {
+        const key = code === 38 ? "foreground" : "background";
+        if (codes[i + 1] === 5 && i + 2 < codes.length) {
+          next[key] = Math.min(255, codes[i + 2]);
+          i += 2;
+        } else if (codes[i + 1] === 2 && i + 4 < codes.length) {
+          next[key] = AnsiUtils._rgbToHex(codes[i + 2], codes[i + 3], codes[i + 4]);
+          i += 4;
+        }
+      }
+    }
+    const isDefault = Object.keys(AnsiUtils.DEFAULT_STYLE).every((key) => next[key] === AnsiUtils.DEFAULT_STYLE[key]);
+    return isDefault ? AnsiUtils.DEFAULT_STYLE : next;
+  }
+
+  /**
+   * Splits a line into runs of characters that share a style.
+   * @param {object} line - A line from `createLine`.
+   * @returns {Array<{text: string, style: object}>} The runs, in order.
+   */
+  static toRuns(line) {
+    const runs = [];
+    for (const cell of line.cells) {
+      const lastRun = runs[runs.length - 1];
+      if (lastRun && lastRun.style === cell.style) {
+        lastRun.text += cell.char;
+      } else {
+        runs.push({ text: cell.char, style: cell.style });
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * Turns a style into inline CSS properties.
+   * @param {object} style - The style.
+   * @returns {object} CSS properties, empty for the default style.
+   */
+  static styleToCss(style) {
+    const css = {};
+    let foreground = AnsiUtils.colorToCss(style.foreground);
+    let background = AnsiUtils.colorToCss(style.background);
+    if (style.inverse) {
+      [foreground, background] = [
+        background || "var(--color-background-darkest)",
+        foreground || "var(--color-text-primary)",
+      ];
+    }
+    if (foreground) css.color = foreground;
+    if (background) css.backgroundColor = background;
+    if (style.bold) css.fontWeight = "bold";
+    if (style.dim) css.opacity = "0.7";
+    if (style.italic) css.fontStyle = "italic";
+    const decorations = [style.underline && "underline", style.strikethrough && "line-through"].filter(Boolean);
+    if (decorations.length > 0) css.textDecoration = decorations.join(" ");
+    return css;
+  }
+
+  /**
+   * Turns a colour from a style into a CSS colour.
+   * @param {number|string|null} color - A palette index from 0 to 255, a hex colour, or null for the default.
+   * @returns {string|null} The CSS colour, or null for the default.
+   */
+  static colorToCss(color) {
+    if (color === null || color === undefined) return null;
+    if (typeof color === "string") return color;
+    if (color < 16) return AnsiUtils.PALETTE[color];
+    if (color < 232) {
+      const levels = [0, 95, 135, 175, 215, 255];
+      const index = color - 16;
+      return AnsiUtils._rgbToHex(
+          levels[Math.floor(index / 36)],
+          levels[Math.floor(index / 6) % 6],
+          levels[index % 6]
+      );
+    }
+    const gray = 8 + (color - 232) * 10;
+    return AnsiUtils._rgbToHex(gray, gray, gray);
+  }
+
+  /**
+   * Replaces the contents of an element with a line, one span per styled run.
+   * @param {HTMLElement} element - The element to fill.
+   * @param {object} line - A line from `createLine`.
+   */
+  static renderLine(element, line) {
+    element.textContent = "";
+    for (const { text, style } of AnsiUtils.toRuns(line)) {
+      if (style === AnsiUtils.DEFAULT_STYLE) {
+        element.appendChild(document.createTextNode(text));
+      } else {
+        const span = document.createElement("span");
+        span.textContent = text;
+        Object.assign(span.style, AnsiUtils.styleToCss(style));
+        element.appendChild(span);
+      }
+    }
+  }
+
+  /**
+   * Formats a colour as a hex string.
+   * @private
+   * @param {number} r - Red, 0-255.
+   * @param {number} g - Green, 0-255.
+   * @param {number} b - Blue, 0-255.
+   * @returns {string} The colour, as '#RRGGBB'.
+   */
+  static _rgbToHex(r, g, b) {
+    return `#${[r, g, b].map((value) => Math.max(0, Math.min(255, value)).toString(16).padStart(2, "0")).join("").toUpperCase()}`;
+  }
+}
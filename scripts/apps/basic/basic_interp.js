@@ -1,10 +1,86 @@
 // scripts/apps/basic/basic_interp.js
 
 /**
- * BASIC Language Interpreter - Executes BASIC programs with extended system functions
+ * BASIC Language Interpreter - Executes BASIC programs with extended system functions.
+ * Programs may use line numbers or not. Each line can hold several
+ * statements separated by ':', and the structured forms (block IF, WHILE,
+ * DO, SUB and FUNCTION) are matched up before the program starts.
  * @class Basic_interp
  */
 window.Basic_interp = class Basic_interp {
+  /**
+   * Operator precedence, loosest first. Each level is either a set of
+   * left-associative binary operators or a prefix operator. Negation sits
+   * below '^', so -2^2 is -4 as in every classic BASIC.
+   * @type {Array<{binary?: string[], prefix?: string}>}
+   */
+  static PRECEDENCE = [
+    { binary: ["OR", "XOR"] },
+    { binary: ["AND"] },
+    { prefix: "NOT" },
+    { binary: ["=", "<>", "<", ">", "<=", ">="] },
+    { binary: ["+", "-"] },
+    { binary: ["MOD"] },
+    { binary: ["\\"] },
+    { binary: ["*", "/"] },
+    { prefix: "-" },
+    { binary: ["^"] },
+  ];
+
+  /**
+   * Statement keywords, which can't be used as line labels
+   * @type {Set<string>}
+   */
+  static STATEMENT_KEYWORDS = new Set([
+    "BSAVE", "CALL", "CIRCLE", "CLS", "COLOR", "DATA", "DIM", "DO", "ELSE",
+    "ELSEIF", "END", "ENDIF", "EXIT", "FOR", "FUNCTION", "GOSUB", "GOTO",
+    "IF", "INPUT", "LET", "LINE", "LOCATE", "LOOP", "NEXT", "ON", "PAINT",
+    "PLAY", "PRINT", "PSET", "READ", "REM", "RESTORE", "RETURN", "SCREEN",
+    "SHARED", "SOUND", "SUB", "STOP", "SYS_POKE", "SYS_WRITE", "TROFF",
+    "TRON", "WEND", "WHILE",
+  ]);
+
+  /**
+   * The statements that close each kind of block
+   * @type {Object<string, string>}
+   */
+  static BLOCK_ENDINGS = {
+    IF: "END IF", WHILE: "WEND", DO: "LOOP", SUB: "END SUB", FUNCTION: "END FUNCTION",
+  };
+
+  /** @type {number} Deepest allowed nesting of SUB and FUNCTION calls */
+  static MAX_CALL_DEPTH = 256;
+
+  /** @type {number} Width of the print zones that ',' moves between in PRINT */
+  static PRINT_ZONE_WIDTH = 14;
+
+  /**
+   * The 16 colours COLOR and the drawing statements accept by number
+   * @type {string[]}
+   */
+  static PALETTE = [
+    "#000000", "#0000AA", "#00AA00", "#00AAAA", "#AA0000", "#AA00AA", "#AA5500", "#AAAAAA",
+    "#555555", "#5555FF", "#55FF55", "#55FFFF", "#FF5555", "#FF55FF", "#FFFF55", "#FFFFFF",
+  ];
+
+  /** @type {{width: number, height: number}} Size of the screen SCREEN opens */
+  static SCREEN_SIZE = { width: 80, height: 24 };
+
+  /** @type {{width: number, height: number}} Largest screen SCREEN will open */
+  static MAX_SCREEN_SIZE = { width: 160, height: 60 };
+
+  /** @type {string} Character PSET, LINE, CIRCLE and PAINT draw with */
+  static DRAW_CHAR = "\u2588";
+
+  /** @type {number} Keys held for INKEY$ before further presses are dropped */
+  static KEY_BUFFER_SIZE = 16;
+
+  /** @type {number} Clock ticks per second, the unit of SOUND durations */
+  static TICKS_PER_SECOND = 18.2;
+
+  /** @type {string[]} Built-in functions that can be called without brackets */
+  static PARAMETERLESS_FUNCTIONS = ["INKEY$"];
+
   /**
    * Create a BASIC interpreter instance
    * @param {Object} dependencies - Required dependencies for system functions
@@ -12,28 +88,60 @@ window.Basic_interp = class Basic_interp {
   constructor(dependencies) {
     /** @type {Object} Injected dependencies */
     this.dependencies = dependencies;
-    /** @type {Map} Variable storage */
+    /** @type {Map} Global variable storage */
     this.variables = new Map();
-    /** @type {Map} Array storage */
+    /** @type {Map} Array storage (arrays are always global) */
     this.arrays = new Map();
-    /** @type {Array} GOSUB return stack */
+    /** @type {Array} GOSUB return stack of statement indexes */
     this.gosubStack = [];
     /** @type {Array} FOR loop stack */
     this.forLoopStack = [];
-    /** @type {Map} Program lines storage */
-    this.program = new Map();
+    /** @type {Array<{line: number, text: string, keyword: string}>} Program statements in execution order */
+    this.statements = [];
+    /** @type {Map<number, number>} Line number to index of its first statement */
+    this.lineIndex = new Map();
+    /** @type {Map<string, number>} Label to index of the statement it marks */
+    this.labels = new Map();
+    /** @type {Map<number, Object>} Statement index to the block it opens, continues or closes */
+    this.blocks = new Map();
+    /** @type {Map<string, Object>} SUB and FUNCTION definitions by name */
+    this.procedures = new Map();
+    /** @type {Array} Active SUB and FUNCTION calls, each with its local variables */
+    this.callStack = [];
     /** @type {Array} DATA statement values */
     this.data = [];
     /** @type {number} Current DATA pointer */
     this.dataPointer = 0;
-    /** @type {number|null} Current program line */
+    /** @type {number|null} Index of the statement being executed */
     this.programCounter = null;
+    /** @type {number} Index of the statement to execute next; jumps change it */
+    this.nextStatement = 0;
+    /** @type {boolean} Set once END has run */
+    this.ended = false;
+    /** @type {Set<number>} Lines to pause at; kept between runs */
+    this.breakpoints = new Set();
+    /** @type {boolean} Whether TRON is printing line numbers; kept between runs */
+    this.traceEnabled = false;
+    /** @type {{line: number, index: number}|null} Last statement TRON reported */
+    this.lastTraced = null;
+    /** @type {{line: number, index: number, callDepth: number}|null} Where a step-over started */
+    this.stepping = null;
+    /** @type {Function|null} Debugger hook awaited when the program pauses */
+    this.breakCallback = null;
     /** @type {Function} Output callback function */
     this.outputCallback = (text) => console.log(text);
     /** @type {Function} Input callback function */
     this.inputCallback = async () => "? ";
     /** @type {Function} Screen poke callback function */
     this.pokeCallback = (_x, _y, _char, _color) => {};
+    /** @type {Function} Told when the screen opens, changes or closes */
+    this.screenCallback = (_event) => {};
+    /** @type {Object|null} Character grid opened by SCREEN; null in text mode */
+    this.screen = null;
+    /** @type {string} Colour set by COLOR, for drawing and for PRINT on the screen */
+    this.foreground = Basic_interp.PALETTE[15];
+    /** @type {Array<string>} Key presses waiting for INKEY$ */
+    this.keyBuffer = [];
     /** @type {number} Last random number generated */
     this.lastRnd = Math.random();
     /** @type {number} Random number seed */
@@ -49,10 +157,22 @@ window.Basic_interp = class Basic_interp {
     this.arrays.clear();
     this.gosubStack = [];
     this.forLoopStack = [];
-    this.program.clear();
+    this.statements = [];
+    this.lineIndex.clear();
+    this.labels.clear();
+    this.blocks.clear();
+    this.procedures.clear();
+    this.callStack = [];
     this.data = [];
     this.dataPointer = 0;
     this.programCounter = null;
+    this.nextStatement = 0;
+    this.ended = false;
+    this.lastTraced = null;
+    this.stepping = null;
+    this.screen = null;
+    this.foreground = Basic_interp.PALETTE[15];
+    this.keyBuffer = [];
   }
 
   /**
@@ -61,44 +181,380 @@ window.Basic_interp = class Basic_interp {
    */
   _preScanForData() {
     this.data = [];
-    const sortedLines = Array.from(this.program.keys()).sort((a, b) => a - b);
-    for (const lineNum of sortedLines) {
-      const statement = this.program.get(lineNum);
-      const match = statement.match(/^DATA\s+(.*)/i);
-      if (match) {
-        const values = match[1].split(",").map((v) => {
-          const trimmed = v.trim();
-          if (trimmed.startsWith('"') && trimmed.endsWith('"')) {
-            return trimmed.substring(1, trimmed.length - 1);
-          }
-          return parseFloat(trimmed);
-        });
-        this.data.push(...values);
-      }
+    for (const statement of this.statements) {
+      if (statement.keyword !== "DATA") continue;
+      const { rest } = this._splitKeyword(statement.text);
+      const values = this._splitTopLevel(rest, ",").map(({ text }) => {
+        if (text.length >= 2 && text.startsWith('"') && text.endsWith('"')) {
+          return text.substring(1, text.length - 1);
+        }
+        return text !== "" && !isNaN(Number(text)) ? Number(text) : text;
+      });
+      this.data.push(...values);
     }
   }
 
   /**
-   * Parse program text into line-numbered statements
+   * Parse program text into a flat list of statements. If any line is
+   * numbered, unnumbered lines are ignored and the rest run in line number
+   * order; otherwise every line runs in the order written. Either way a
+   * line may start with a 'label:' for GOTO and GOSUB.
    * @private
    * @param {string} programText - BASIC program source code
+   * @throws {Error} If the program's blocks don't match up
    */
   _parseProgram(programText) {
     const lines = programText.split("\n");
-    let firstLine = Infinity;
-    for (const line of lines) {
-      if (line.trim() === "") continue;
-      const match = line.match(/^(\d+)\s+(.*)/);
+    const isNumbered = lines.some((line) => /^\s*\d/.test(line));
+    const numberedLines = new Map();
+    const sourceLines = [];
+    lines.forEach((line, i) => {
+      const trimmed = line.trim();
+      if (trimmed === "" || trimmed.startsWith("#!")) return;
+      const match = trimmed.match(/^(\d+)\s*(.*)$/s);
       if (match) {
-        const lineNumber = parseInt(match[1], 10);
-        const statement = match[2].trim();
-        this.program.set(lineNumber, statement);
-        if (lineNumber < firstLine) {
-          firstLine = lineNumber;
+        numberedLines.set(parseInt(match[1], 10), match[2]);
+      } else if (!isNumbered) {
+        sourceLines.push({ line: i + 1, text: trimmed });
+      }
+    });
+    if (isNumbered) {
+      for (const line of Array.from(numberedLines.keys()).sort((a, b) => a - b)) {
+        sourceLines.push({ line, text: numberedLines.get(line) });
+      }
+    }
+
+    // A SUB called with no arguments looks just like a label, so collect the names first.
+    const procedureNames = new Set();
+    for (const { text } of sourceLines) {
+      const match = text.match(/^(?:SUB|FUNCTION)\s+([A-Za-z_][A-Za-z0-9_]*)/i);
+      if (match) procedureNames.add(match[1].toUpperCase());
+    }
+
+    for (const { line, text } of sourceLines) {
+      const firstIndex = this.statements.length;
+      let body = text;
+      const label = body.match(/^([A-Za-z_][A-Za-z0-9_]*):/);
+      const labelName = label ? label[1].toUpperCase() : null;
+      if (labelName && !Basic_interp.STATEMENT_KEYWORDS.has(labelName) && !procedureNames.has(labelName)) {
+        if (this.labels.has(labelName)) throw this._errorAt(`Duplicate label ${label[1]}`, line);
+        this.labels.set(labelName, firstIndex);
+        body = body.substring(label[0].length);
+      }
+      for (const statement of this._splitStatements(body).flatMap((part) => this._expandStatement(part))) {
+        this.statements.push({ line, text: statement, keyword: this._splitKeyword(statement).keyword });
+      }
+      if (isNumbered) this.lineIndex.set(line, firstIndex);
+    }
+    this._matchBlocks();
+  }
+
+  /**
+   * Split a line into its ':'-separated statements. A single-line IF keeps
+   * the rest of the line as its own, as does a comment, and a block ELSE
+   * followed by a statement is split in two.
+   * @private
+   * @param {string} text - Source text
+   * @returns {string[]} Statements
+   */
+  _splitStatements(text) {
+    const statements = [];
+    let rest = text.trim();
+    while (rest !== "") {
+      if (/^(REM\b|'|IF\b)/i.test(rest)) {
+        statements.push(rest);
+        break;
+      }
+      const elseMatch = rest.match(/^ELSE\s+(?=\S)/i);
+      if (elseMatch && !/^ELSE\s*:/i.test(rest)) {
+        statements.push("ELSE");
+        rest = rest.substring(elseMatch[0].length);
+        continue;
+      }
+      const [first, second] = this._splitTopLevel(rest, ":");
+      if (first.text !== "") statements.push(first.text);
+      if (!second) break;
+      rest = rest.substring(second.start).trim();
+    }
+    return statements;
+  }
+
+  /**
+   * Rewrite a single-line IF as the block IF it is short for, so that
+   * everything in its branches runs as ordinary statements. 'THEN 100'
+   * becomes 'GOTO 100', and an ELSEIF with statements after THEN is split
+   * the same way.
+   * @private
+   * @param {string} statement - Statement text
+   * @returns {string[]} Statements to run in its place
+   */
+  _expandStatement(statement) {
+    const match = statement.match(/^(IF|ELSEIF)\b(.*)$/is);
+    if (!match) return [statement];
+    const rest = match[2];
+    const then = this._topLevelWords(rest).find(({ word }) => word === "THEN" || word === "GOTO");
+    if (!then) return [statement];
+    const body = rest.substring(then.word === "THEN" ? then.index + 4 : then.index).trim();
+    if (body === "") return [statement];
+
+    const branch = (text) => (/^\d+$/.test(text.trim())
+      ? [`GOTO ${text.trim()}`]
+      : this._splitStatements(text).flatMap((part) => this._expandStatement(part)));
+    const header = `${match[1].toUpperCase()} ${rest.substring(0, then.index).trim()} THEN`;
+    if (match[1].toUpperCase() === "ELSEIF") return [header, ...branch(body)];
+
+    const elseIndex = this._findElse(body);
+    if (elseIndex === -1) return [header, ...branch(body), "END IF"];
+    return [header, ...branch(body.substring(0, elseIndex)), "ELSE", ...branch(body.substring(elseIndex + 4)), "END IF"];
+  }
+
+  /**
+   * Find the ELSE belonging to a single-line IF, skipping any that belong
+   * to IFs nested inside it
+   * @private
+   * @param {string} body - Text after THEN
+   * @returns {number} Offset of the ELSE, or -1
+   */
+  _findElse(body) {
+    let depth = 0;
+    for (const { word, index } of this._topLevelWords(body)) {
+      if (word === "IF") {
+        depth++;
+      } else if (word === "ELSE") {
+        if (depth === 0) return index;
+        depth--;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Split text on separator characters that are outside quotes and brackets
+   * @private
+   * @param {string} text - Source text
+   * @param {string} separators - Characters to split on
+   * @returns {Array<{text: string, separator: string, start: number}>} Trimmed parts, each with the separator that ended it and its offset in text
+   */
+  _splitTopLevel(text, separators) {
+    const parts = [];
+    let depth = 0;
+    let inString = false;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '"') inString = !inString;
+      else if (inString) continue;
+      else if (char === "(") depth++;
+      else if (char === ")") depth--;
+      else if (depth === 0 && separators.includes(char)) {
+        parts.push({ text: text.substring(start, i).trim(), separator: char, start });
+        start = i + 1;
+      }
+    }
+    parts.push({ text: text.substring(start).trim(), separator: "", start });
+    return parts;
+  }
+
+  /**
+   * List the words of a statement that are outside string literals
+   * @private
+   * @param {string} text - Statement text
+   * @returns {Array<{word: string, index: number}>} Upper-case words and their offsets
+   */
+  _topLevelWords(text) {
+    const words = [];
+    const pattern = /"[^"]*"?|(?:\d+\.?\d*|\.\d+)(?:E[+-]?\d+)?|[A-Za-z_][A-Za-z0-9_]*\$?/gi;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (/^[A-Za-z_]/.test(match[0])) words.push({ word: match[0].toUpperCase(), index: match.index });
+    }
+    return words;
+  }
+
+  /**
+   * Find a keyword outside string literals
+   * @private
+   * @param {string} text - Statement text
+   * @param {string} keyword - Upper-case keyword
+   * @returns {number} Offset of the keyword, or -1
+   */
+  _findKeyword(text, keyword) {
+    const found = this._topLevelWords(text).find(({ word }) => word === keyword);
+    return found ? found.index : -1;
+  }
+
+  /**
+   * Split a statement into its keyword and the text after it. END and EXIT
+   * take the word that follows (END IF, EXIT DO, ...) and ENDIF is read as
+   * END IF.
+   * @private
+   * @param {string} statement - Statement text
+   * @returns {{keyword: string, rest: string}} Upper-case keyword and trimmed remainder
+   */
+  _splitKeyword(statement) {
+    const match = statement.match(/^([A-Za-z_][A-Za-z0-9_]*\$?)(?:\s+(IF|SUB|FUNCTION|DO|FOR)\b)?/i);
+    if (!match) return { keyword: "", rest: statement.trim() };
+    const word = match[1].toUpperCase();
+    const compound = (word === "END" || word === "EXIT") && match[2];
+    return {
+      keyword: word === "ENDIF" ? "END IF" : compound ? `${word} ${match[2].toUpperCase()}` : word,
+      rest: statement.substring(compound ? match[0].length : match[1].length).trim(),
+    };
+  }
+
+  /**
+   * Check whether an IF or ELSEIF statement opens a block, i.e. has
+   * nothing after THEN
+   * @private
+   * @param {string} text - Statement text
+   * @returns {boolean} True for a block IF
+   */
+  _isBlockIf(text) {
+    const thenIndex = this._findKeyword(text, "THEN");
+    return thenIndex !== -1 && text.substring(thenIndex + 4).trim() === "";
+  }
+
+  /**
+   * Match up block statements, recording where each block's branches and
+   * end are, and collect SUB and FUNCTION definitions
+   * @private
+   * @throws {Error} If a block is left open or closed without being opened
+   */
+  _matchBlocks() {
+    const stack = [];
+    const close = (kind, statement) => {
+      const block = stack.pop();
+      if (!block) throw this._errorAt(`${statement.keyword} without ${kind}`, statement.line);
+      if (block.kind !== kind) {
+        throw this._errorAt(`${block.kind} without ${Basic_interp.BLOCK_ENDINGS[block.kind]}`, this.statements[block.index].line);
+      }
+      return block;
+    };
+
+    this.statements.forEach((statement, index) => {
+      const { keyword, line } = statement;
+      switch (keyword) {
+        case "IF":
+          if (this._isBlockIf(statement.text)) stack.push({ kind: "IF", index, branches: [index] });
+          break;
+        case "ELSEIF":
+        case "ELSE": {
+          const block = stack[stack.length - 1];
+          if (!block || block.kind !== "IF") throw this._errorAt(`${keyword} without IF`, line);
+          if (block.hasElse) throw this._errorAt(`${keyword} after ELSE`, line);
+          if (keyword === "ELSEIF" && !this._isBlockIf(statement.text)) throw this._errorAt("ELSEIF without THEN", line);
+          block.hasElse = keyword === "ELSE";
+          block.branches.push(index);
+          break;
+        }
+        case "END IF": {
+          const block = close("IF", statement);
+          block.branches.forEach((branch, i) => {
+            this.blocks.set(branch, { kind: i === 0 ? "IF" : "ELSE", branches: block.branches, end: index });
+          });
+          break;
+        }
+        case "WHILE":
+        case "DO":
+          stack.push({ kind: keyword, index, exits: [] });
+          break;
+        case "WEND":
+        case "LOOP": {
+          const block = close(keyword === "WEND" ? "WHILE" : "DO", statement);
+          this.blocks.set(block.index, { kind: block.kind, start: block.index, end: index });
+          this.blocks.set(index, { kind: keyword, start: block.index, end: index });
+          block.exits.forEach((exit) => this.blocks.set(exit, { kind: "EXIT DO", end: index }));
+          break;
+        }
+        case "EXIT DO": {
+          const loop = [...stack].reverse().find((block) => block.kind === "DO");
+          if (!loop) throw this._errorAt("EXIT DO without DO", line);
+          loop.exits.push(index);
+          break;
         }
+        case "SUB":
+        case "FUNCTION":
+          if (stack.length > 0) throw this._errorAt(`${keyword} inside ${stack[stack.length - 1].kind}`, line);
+          stack.push({ kind: keyword, index, procedure: this._parseProcedureHeader(statement) });
+          break;
+        case "END SUB":
+        case "END FUNCTION": {
+          const block = close(keyword.substring(4), statement);
+          const { name } = block.procedure;
+          if (this.procedures.has(name)) throw this._errorAt(`Duplicate definition of ${name}`, this.statements[block.index].line);
+          this.procedures.set(name, { ...block.procedure, start: block.index, end: index });
+          this.blocks.set(block.index, { kind: block.kind, end: index });
+          break;
+        }
+      }
+    });
+
+    if (stack.length > 0) {
+      const block = stack.pop();
+      throw this._errorAt(`${block.kind} without ${Basic_interp.BLOCK_ENDINGS[block.kind]}`, this.statements[block.index].line);
+    }
+  }
+
+  /**
+   * Parse a 'SUB name(params)' or 'FUNCTION name(params)' header
+   * @private
+   * @param {Object} statement - The header statement
+   * @returns {{kind: string, name: string, params: string[]}} The definition
+   * @throws {Error} If the header is malformed
+   */
+  _parseProcedureHeader(statement) {
+    const match = statement.text.match(/^(?:SUB|FUNCTION)\s+([A-Za-z_][A-Za-z0-9_]*\$?)\s*(?:\((.*)\))?\s*$/is);
+    const params = match && match[2] && match[2].trim() ? match[2].split(",").map((param) => param.trim().toUpperCase()) : [];
+    if (!match || params.some((param) => !/^[A-Z_][A-Z0-9_]*\$?$/.test(param))) {
+      throw this._errorAt(`Syntax error in ${statement.keyword}`, statement.line);
+    }
+    return { kind: statement.keyword, name: match[1].toUpperCase(), params };
+  }
+
+  /**
+   * Create an error that names the program line it happened on
+   * @private
+   * @param {string} message - Error message
+   * @param {number} line - Program line number
+   * @returns {Error} The error, tagged with basicLine so it isn't tagged twice
+   */
+  _errorAt(message, line) {
+    const error = new Error(`${message} in line ${line}`);
+    error.basicLine = line;
+    return error;
+  }
+
+  /**
+   * Check a program without running it: blocks that don't match up,
+   * duplicate labels and definitions, malformed SUB and FUNCTION headers,
+   * unknown statements and unclosed strings. Any variables and program
+   * held by the interpreter are cleared.
+   * @param {string} programText - BASIC program source code
+   * @returns {Array<{line: number|null, message: string}>} Problems found, by program line
+   */
+  validate(programText) {
+    this._initializeState();
+    try {
+      this._parseProgram(programText);
+    } catch (e) {
+      return [{ line: e.basicLine ?? null, message: e.message }];
+    }
+    const problems = [];
+    for (const { line, text, keyword } of this.statements) {
+      if (text.startsWith("'") || keyword === "REM") continue;
+      let message = null;
+      if ((text.match(/"/g) || []).length % 2 !== 0) {
+        message = "Syntax error: missing closing quote";
+      } else if (
+        !Basic_interp.STATEMENT_KEYWORDS.has(keyword.split(" ")[0]) &&
+        this._splitTopLevel(text, "=").length < 2 &&
+        this.procedures.get(keyword)?.kind !== "SUB"
+      ) {
+        message = `Syntax Error: Unknown command '${keyword || text}'`;
       }
+      if (message) problems.push({ line, message: this._errorAt(message, line).message });
     }
-    this.programCounter = firstLine === Infinity ? null : firstLine;
+    return problems;
   }
 
   /**
@@ -108,39 +564,66 @@ window.Basic_interp = class Basic_interp {
    * @param {Function} callbacks.outputCallback - Output function
    * @param {Function} callbacks.inputCallback - Input function
    * @param {Function} callbacks.pokeCallback - Screen poke function
+   * @param {Function} [callbacks.breakCallback] - Debugger hook, called with
+   * {reason, line, statement} when the program pauses at a breakpoint, a
+   * step or STOP. It resolves to 'continue', 'step' or 'end'. Without it,
+   * breakpoints are ignored and STOP ends the program.
+   * @param {Function} [callbacks.screenCallback] - Display for the SCREEN
+   * grid, called with {type: 'open', width, height, cells} when the whole
+   * grid needs drawing, {type: 'draw', cells} when some cells change and
+   * {type: 'close'} when the program goes back to text. Without it the
+   * screen is still kept, so BSAVE works.
    */
-  async run(programText, { outputCallback, inputCallback, pokeCallback }) {
+  async run(programText, { outputCallback, inputCallback, pokeCallback, breakCallback = null, screenCallback = () => {} }) {
     this._initializeState();
     this.outputCallback = outputCallback;
     this.inputCallback = inputCallback;
     this.pokeCallback = pokeCallback;
+    this.screenCallback = screenCallback;
+    this.breakCallback = breakCallback;
     this._parseProgram(programText);
     this._preScanForData();
-    const sortedLines = Array.from(this.program.keys()).sort((a, b) => a - b);
-    if (this.programCounter === null) return;
+    await this._execute(0, 0);
+    this.programCounter = null;
+  }
+
+  /**
+   * End a running program once the statement it is on finishes, as
+   * Ctrl+C does at the shell
+   */
+  stop() {
+    this.ended = true;
+  }
 
-    let currentIndex = sortedLines.indexOf(this.programCounter);
+  /**
+   * Execute statements from an index until the program ends or, when
+   * running a SUB or FUNCTION, until the call returns
+   * @private
+   * @param {number} startIndex - Index of the first statement
+   * @param {number} callDepth - Call stack depth of the code being run; returning below it stops execution
+   */
+  async _execute(startIndex, callDepth) {
     const MAX_STEPS_PER_YIELD = 1000;
     let stepCounter = 0;
+    this.programCounter = startIndex;
 
-    while (currentIndex < sortedLines.length && currentIndex > -1) {
-      this.programCounter = sortedLines[currentIndex];
-      const pcBeforeExecute = this.programCounter;
-      const statement = this.program.get(this.programCounter);
-      await this.executeStatement(statement);
-
-      if (this.programCounter === null) break;
-
-      if (this.programCounter !== pcBeforeExecute) {
-        const newIndex = sortedLines.indexOf(this.programCounter);
-        if (newIndex === -1) {
-          this.outputCallback(`\nError: GOTO/GOSUB to non-existent line ${this.programCounter}`);
-          return;
-        }
-        currentIndex = newIndex;
-      } else {
-        currentIndex++;
+    while (!this.ended && this.programCounter < this.statements.length) {
+      const statement = this.statements[this.programCounter];
+      const pauseReason = this._pauseReason(this.programCounter);
+      if (pauseReason) {
+        await this._pause(pauseReason);
+        if (this.ended) break;
+      }
+      this._trace(this.programCounter);
+      this.nextStatement = this.programCounter + 1;
+      try {
+        await this.executeStatement(statement.text);
+      } catch (error) {
+        throw error.basicLine === undefined ? this._errorAt(error.message, statement.line) : error;
       }
+      if (this.callStack.length < callDepth) return;
+
+      this.programCounter = this.nextStatement;
       stepCounter++;
       if (stepCounter >= MAX_STEPS_PER_YIELD) {
         await new Promise((resolve) => setTimeout(resolve, 0));
@@ -150,142 +633,170 @@ window.Basic_interp = class Basic_interp {
   }
 
   /**
-   * Parse function arguments from a statement
+   * Decide whether to pause before a statement: at the start of a line
+   * with a breakpoint, or when stepping over and a new line is reached at
+   * the same call depth or shallower
    * @private
-   * @param {string} statement - Function call statement
-   * @returns {Array<string>} Array of argument strings
+   * @param {number} index - Statement index
+   * @returns {string|null} 'breakpoint', 'step', or null to keep going
    */
-  _parseFunctionArgs(statement) {
-    const openParen = statement.indexOf("(");
-    const closeParen = statement.lastIndexOf(")");
-    if (openParen === -1 || closeParen === -1) return [];
-
-    const argsStr = statement.substring(openParen + 1, closeParen);
-    const args = [];
-    let inQuote = false;
-    let currentArg = "";
-
-    for (let i = 0; i < argsStr.length; i++) {
-      const char = argsStr[i];
-      if (char === '"') inQuote = !inQuote;
-      if (char === "," && !inQuote) {
-        args.push(currentArg.trim());
-        currentArg = "";
-      } else {
-        currentArg += char;
-      }
+  _pauseReason(index) {
+    if (!this.breakCallback) return null;
+    const statement = this.statements[index];
+    const startsLine = index === 0 || this.statements[index - 1].line !== statement.line;
+    if (startsLine && this.breakpoints.has(statement.line)) return "breakpoint";
+    const step = this.stepping;
+    if (step && this.callStack.length <= step.callDepth && (statement.line !== step.line || index <= step.index)) {
+      return "step";
     }
-    args.push(currentArg.trim());
-    return args;
+    return null;
   }
 
   /**
-   * Execute a single BASIC statement
-   * @param {string} statement - BASIC statement to execute
+   * Pause at the current statement until the debugger says how to go on
+   * @private
+   * @param {string} reason - 'breakpoint', 'step' or 'stop'
    */
-  async executeStatement(statement) {
-    const { FileSystemManager, UserManager } = this.dependencies;
-    const match = statement.match(/^([a-zA-Z_][a-zA-Z_0-9$]*)\s*(.*)/s);
-
-    if (!match) {
-      if (statement.includes("=")) {
-        await this.executeStatement(`LET ${statement}`);
-      } else if (statement.trim()) {
-        throw new Error(`Syntax Error: Invalid statement format '${statement}'`);
-      }
+  async _pause(reason) {
+    const statement = this.statements[this.programCounter];
+    this.stepping = null;
+    if (!this.breakCallback) {
+      this.outputCallback(`Break in line ${statement.line}`);
+      this.ended = true;
       return;
     }
+    const action = await this.breakCallback({ reason, line: statement.line, statement: statement.text });
+    if (action === "end") {
+      this.ended = true;
+    } else if (action === "step") {
+      this.stepping = { line: statement.line, index: this.programCounter, callDepth: this.callStack.length };
+    }
+  }
 
-    const command = match[1].toUpperCase();
-    const rest = match[2].trim();
+  /**
+   * Print '[line]' for TRON each time execution enters a line
+   * @private
+   * @param {number} index - Statement index
+   */
+  _trace(index) {
+    if (!this.traceEnabled) return;
+    const { line } = this.statements[index];
+    if (!this.lastTraced || this.lastTraced.line !== line || index <= this.lastTraced.index) {
+      this.outputCallback(`[${line}]`, false);
+    }
+    this.lastTraced = { line, index };
+  }
 
-    switch (command) {
-      case "PRINT": {
-        const valueToPrint = await this._evaluateExpression(rest);
-        this.outputCallback(valueToPrint);
-        break;
-      }
-      case "LET": {
-        const eqIndex = rest.indexOf("=");
-        const varNameStr = rest.substring(0, eqIndex).trim();
-        const expr = rest.substring(eqIndex + 1).trim();
-        const valueToLet = await this._evaluateExpression(expr);
-        const arrayMatch = varNameStr.match(/([a-zA-Z_][a-zA-Z_0-9$]*)\((.*)\)/);
-        if (arrayMatch) {
-          const arrayName = arrayMatch[1].toUpperCase();
-          const index = await this._evaluateExpression(arrayMatch[2]);
-          if (!this.arrays.has(arrayName)) throw new Error(`Array not dimensioned: ${arrayName}`);
-          const arr = this.arrays.get(arrayName);
-          if (index < 0 || index >= arr.length) throw new Error(`Index out of bounds for ${arrayName}: ${index}`);
-          arr[index] = valueToLet;
-        } else {
-          this.variables.set(varNameStr.toUpperCase(), valueToLet);
-        }
-        break;
-      }
+  /**
+   * Take a snapshot of the interpreter's state for a debugger to show.
+   * Positions are given as line numbers; a GOSUB that returns past the
+   * last line shows as null.
+   * @returns {{line: number|null, variables: Map, locals: Map|null, callStack: Array<{name: string, kind: string}>, arrays: Map, gosubStack: Array<number|null>, forLoops: Array<{variable: string, value: number, end: number, step: number}>}} The snapshot
+   */
+  getDebugState() {
+    const lineAt = (index) => (index !== null && index < this.statements.length ? this.statements[index].line : null);
+    const frame = this.callStack[this.callStack.length - 1];
+    return {
+      line: lineAt(this.programCounter),
+      variables: new Map(this.variables),
+      locals: frame ? new Map(frame.locals) : null,
+      callStack: this.callStack.map(({ name, kind }) => ({ name, kind })),
+      arrays: new Map(Array.from(this.arrays, ([name, values]) => [name, values.slice()])),
+      gosubStack: this.gosubStack.map(lineAt),
+      forLoops: this.forLoopStack.map(({ variable, end, step }) => ({ variable, value: this._getVariable(variable), end, step })),
+    };
+  }
+
+  /**
+   * Execute a single BASIC statement. Jumps are made by setting
+   * nextStatement.
+   * @param {string} statement - BASIC statement to execute
+   */
+  async executeStatement(statement) {
+    const text = statement.trim();
+    if (text === "" || text.startsWith("'")) return;
+    const { keyword, rest } = this._splitKeyword(text);
+
+    switch (keyword) {
+      case "PRINT": await this._print(rest); break;
+      case "LET": await this._assign(rest); break;
       case "INPUT": {
         let restOfStatement = rest;
         let prompt = "? ";
-        if (restOfStatement.startsWith('"')) {
-          const endQuoteIndex = restOfStatement.indexOf('"', 1);
-          if (endQuoteIndex !== -1) {
-            prompt = restOfStatement.substring(1, endQuoteIndex) + " ";
-            restOfStatement = restOfStatement.substring(endQuoteIndex + 1).trim();
-            if (restOfStatement.startsWith(",")) restOfStatement = restOfStatement.substring(1).trim();
-          }
+        const promptMatch = rest.match(/^"([^"]*)"\s*([;,]?)(.*)$/s);
+        if (promptMatch) {
+          // As in QBasic, a ';' after the prompt adds a question mark.
+          prompt = promptMatch[2] === ";" ? `${promptMatch[1]}? ` : `${promptMatch[1]} `;
+          restOfStatement = promptMatch[3];
         }
-        const varNames = restOfStatement.split(",").map((v) => v.trim());
+        const varNames = this._splitTopLevel(restOfStatement, ",").map(({ text: name }) => name);
         for (let i = 0; i < varNames.length; i++) {
           const vName = varNames[i];
           if (!vName) continue;
           const currentPrompt = i === 0 ? prompt : "? ";
           this.outputCallback(currentPrompt, false);
           const userInput = await this.inputCallback();
-          const isStringVariable = vName.endsWith("$");
-          const upperVarName = vName.toUpperCase();
-          if (isStringVariable) {
-            this.variables.set(upperVarName, userInput);
+          if (/^[^(]*\$/.test(vName)) {
+            await this._storeValue(vName, userInput);
           } else {
             const value = parseFloat(userInput);
-            this.variables.set(upperVarName, isNaN(value) ? 0 : value);
+            await this._storeValue(vName, isNaN(value) ? 0 : value);
           }
         }
         break;
       }
-      case "GOTO": this.programCounter = parseInt(rest, 10); break;
-      case "IF": {
-        const thenIndex = rest.toUpperCase().indexOf("THEN");
-        const conditionPart = rest.substring(0, thenIndex).trim();
-        const actionPart = rest.substring(thenIndex + 4).trim();
-        if (await this._evaluateCondition(conditionPart)) {
-          await this.executeStatement(actionPart);
-        }
+      case "GOTO": this.nextStatement = this._resolveTarget(rest); break;
+      case "GOSUB":
+        this.gosubStack.push(this.nextStatement);
+        this.nextStatement = this._resolveTarget(rest);
+        break;
+      case "RETURN":
+        if (this.gosubStack.length === 0) throw new Error("RETURN without GOSUB");
+        this.nextStatement = this.gosubStack.pop();
+        break;
+      case "ON": await this._executeOn(rest); break;
+      case "IF": await this._executeIf(rest); break;
+      case "ELSEIF":
+      case "ELSE":
+        // Reached by finishing the branch above, so skip to END IF.
+        this.nextStatement = this._block("ELSE", keyword).end + 1;
+        break;
+      case "END IF": break;
+      case "WHILE": {
+        const block = this._block("WHILE");
+        if (!(await this._evaluateCondition(rest))) this.nextStatement = block.end + 1;
         break;
       }
-      case "GOSUB": {
-        const sortedLines = Array.from(this.program.keys()).sort((a, b) => a - b);
-        const currentIndex = sortedLines.indexOf(this.programCounter);
-        const nextLine = sortedLines[currentIndex + 1];
-        this.gosubStack.push(nextLine || null);
-        this.programCounter = parseInt(rest, 10);
+      case "WEND": this.nextStatement = this._block("WEND").start; break;
+      case "DO": {
+        const block = this._block("DO");
+        if (rest && !(await this._loopCondition(rest))) this.nextStatement = block.end + 1;
         break;
       }
-      case "RETURN":
-        if (this.gosubStack.length === 0) throw new Error("RETURN without GOSUB");
-        this.programCounter = this.gosubStack.pop();
+      case "LOOP": {
+        const block = this._block("LOOP");
+        if (!rest || (await this._loopCondition(rest))) this.nextStatement = block.start;
         break;
+      }
+      case "EXIT DO": this.nextStatement = this._block("EXIT DO").end + 1; break;
+      case "EXIT FOR": this._exitFor(); break;
       case "FOR": {
-        const toIndex = rest.toUpperCase().indexOf("TO");
-        const stepIndex = rest.toUpperCase().indexOf("STEP");
-        const varPart = rest.substring(0, rest.indexOf("=")).trim();
-        const startExpr = rest.substring(rest.indexOf("=") + 1, toIndex).trim();
-        const endExpr = rest.substring(toIndex + 2, stepIndex > -1 ? stepIndex : rest.length).trim();
-        const stepExpr = stepIndex > -1 ? rest.substring(stepIndex + 4).trim() : "1";
-        const startVal = await this._evaluateExpression(startExpr);
-        const endVal = await this._evaluateExpression(endExpr);
-        const stepVal = await this._evaluateExpression(stepExpr);
-        this.variables.set(varPart.toUpperCase(), startVal);
-        this.forLoopStack.push({ variable: varPart.toUpperCase(), end: endVal, step: stepVal, startLine: this.programCounter });
+        const words = this._topLevelWords(rest);
+        const to = words.find(({ word }) => word === "TO");
+        const step = to && words.find(({ word, index }) => word === "STEP" && index > to.index);
+        const equalsIndex = rest.indexOf("=");
+        const variable = rest.substring(0, equalsIndex).trim().toUpperCase();
+        if (!to || equalsIndex === -1 || equalsIndex > to.index || !/^[A-Z_][A-Z0-9_]*$/.test(variable)) {
+          throw new Error("Syntax error in FOR");
+        }
+        const startVal = this._toNumber(await this._evaluateExpression(rest.substring(equalsIndex + 1, to.index)));
+        const endVal = this._toNumber(await this._evaluateExpression(rest.substring(to.index + 2, step ? step.index : rest.length)));
+        const stepVal = step ? this._toNumber(await this._evaluateExpression(rest.substring(step.index + 4))) : 1;
+        this._setVariable(variable, startVal);
+        // Re-entering a loop, say by GOTO, replaces it rather than nesting it in itself.
+        const existing = this.forLoopStack.findIndex((loop) => loop.variable === variable);
+        if (existing !== -1) this.forLoopStack.splice(existing);
+        this.forLoopStack.push({ variable, end: endVal, step: stepVal, bodyIndex: this.nextStatement });
         break;
       }
       case "NEXT": {
@@ -293,217 +804,1191 @@ window.Basic_interp = class Basic_interp {
         const loop = this.forLoopStack[this.forLoopStack.length - 1];
         const nextVar = rest ? rest.toUpperCase() : null;
         if (nextVar && nextVar !== loop.variable) throw new Error(`NEXT without FOR: expected ${loop.variable} but got ${nextVar}`);
-        let currentVal = this.variables.get(loop.variable);
-        currentVal += loop.step;
-        this.variables.set(loop.variable, currentVal);
+        const currentVal = this._getVariable(loop.variable) + loop.step;
+        this._setVariable(loop.variable, currentVal);
         const finished = loop.step > 0 ? currentVal > loop.end : currentVal < loop.end;
         if (!finished) {
-          const sortedLines = Array.from(this.program.keys()).sort((a, b) => a - b);
-          const forIndex = sortedLines.indexOf(loop.startLine);
-          this.programCounter = sortedLines[forIndex + 1];
+          this.nextStatement = loop.bodyIndex;
         } else {
           this.forLoopStack.pop();
         }
         break;
       }
+      case "SUB":
+      case "FUNCTION":
+        // Definitions only run when called.
+        this.nextStatement = this._block(keyword).end + 1;
+        break;
+      case "END SUB":
+      case "EXIT SUB":
+        this._returnFromProcedure("SUB", keyword);
+        break;
+      case "END FUNCTION":
+      case "EXIT FUNCTION":
+        this._returnFromProcedure("FUNCTION", keyword);
+        break;
+      case "CALL": await this._callSub(rest); break;
+      case "SHARED": {
+        const frame = this.callStack[this.callStack.length - 1];
+        if (!frame) throw new Error("SHARED outside SUB or FUNCTION");
+        for (const { text: name } of this._splitTopLevel(rest, ",")) {
+          if (!/^[A-Za-z_][A-Za-z0-9_]*\$?$/.test(name)) throw new Error(`Syntax error in SHARED: ${name}`);
+          frame.shared.add(name.toUpperCase());
+        }
+        break;
+      }
       case "DIM": {
-        const dimMatch = rest.match(/([a-zA-Z_][a-zA-Z_0-9$]*)\((.*)\)/);
-        if (!dimMatch) throw new Error(`Syntax Error in DIM: ${rest}`);
-        const arrayName = dimMatch[1].toUpperCase();
-        const size = await this._evaluateExpression(dimMatch[2]);
-        if (size < 0) throw new Error("Array size cannot be negative");
-        const isStringArray = arrayName.endsWith("$");
-        this.arrays.set(arrayName, new Array(size + 1).fill(isStringArray ? "" : 0));
+        for (const { text: declaration } of this._splitTopLevel(rest, ",")) {
+          const dimMatch = declaration.match(/^([a-zA-Z_][a-zA-Z_0-9]*\$?)\s*\((.*)\)$/s);
+          if (!dimMatch) throw new Error(`Syntax Error in DIM: ${declaration}`);
+          const arrayName = dimMatch[1].toUpperCase();
+          const size = this._toInteger(await this._evaluateExpression(dimMatch[2]));
+          if (size < 0) throw new Error("Array size cannot be negative");
+          const isStringArray = arrayName.endsWith("$");
+          this.arrays.set(arrayName, new Array(size + 1).fill(isStringArray ? "" : 0));
+        }
         break;
       }
       case "DATA": break;
       case "READ": {
-        const varNames = rest.split(",").map((v) => v.trim());
-        for (const varName of varNames) {
+        for (const { text: varName } of this._splitTopLevel(rest, ",")) {
           if (this.dataPointer >= this.data.length) throw new Error("Out of DATA");
-          const dataValue = this.data[this.dataPointer++];
-          const isStringVariable = varName.endsWith("$");
-          if ((isStringVariable && typeof dataValue !== "string") || (!isStringVariable && typeof dataValue !== "number")) {
-            throw new Error("Type mismatch in READ");
-          }
-          this.variables.set(varName.toUpperCase(), dataValue);
+          await this._storeValue(varName, this.data[this.dataPointer++]);
         }
         break;
       }
       case "RESTORE": this.dataPointer = 0; break;
       case "SYS_POKE": {
-        const args = this._parseFunctionArgs(rest);
+        const args = await this._evaluateArgumentList(rest);
         if (args.length !== 4) throw new Error("SYS_POKE requires 4 arguments: x, y, char, color");
-        const x = await this._evaluateExpression(args[0]);
-        const y = await this._evaluateExpression(args[1]);
-        const char = await this._evaluateExpression(args[2]);
-        const color = await this._evaluateExpression(args[3]);
+        const [x, y, char, color] = args;
         if (this.pokeCallback) this.pokeCallback(x, y, String(char), color);
+        if (this.screen) {
+          this._plot([{ x: this._toInteger(x), y: this._toInteger(y), char: String(char).charAt(0) || " ", color: this._resolveColor(color) }]);
+        }
         break;
       }
       case "SYS_WRITE": {
-        const sysWriteArgs = this._parseFunctionArgs(rest);
+        const sysWriteArgs = await this._evaluateArgumentList(rest);
         if (sysWriteArgs.length !== 2) throw new Error("SYS_WRITE requires 2 arguments: filepath and content");
-        const filePath = await this._evaluateExpression(sysWriteArgs[0]);
-        const content = await this._evaluateExpression(sysWriteArgs[1]);
-        const currentUser = UserManager.getCurrentUser().name;
-        const primaryGroup = UserManager.getPrimaryGroupForUser(currentUser);
-        const absPath = FileSystemManager.getAbsolutePath(filePath);
-        const saveResult = await FileSystemManager.createOrUpdateFile(absPath, content, { currentUser, primaryGroup });
-        if (!saveResult.success) throw new Error(`Failed to write to file: ${saveResult.error}`);
-        await FileSystemManager.save();
+        const [filePath, content] = sysWriteArgs;
+        await this._writeFile(String(filePath), String(content));
         break;
       }
+      case "SCREEN": await this._executeScreen(rest); break;
+      case "CLS":
+        if (this.screen) this._openScreen(this.screen.width, this.screen.height);
+        break;
+      case "COLOR": {
+        const args = this._splitTopLevel(rest, ",");
+        if (args.length !== 1 || args[0].text === "") throw new Error("COLOR requires 1 argument: color");
+        this.foreground = this._resolveColor(await this._evaluateExpression(args[0].text));
+        break;
+      }
+      case "LOCATE": await this._executeLocate(rest); break;
+      case "PSET": await this._executePset(rest); break;
+      case "LINE": await this._executeLine(rest); break;
+      case "CIRCLE": await this._executeCircle(rest); break;
+      case "PAINT": await this._executePaint(rest); break;
+      case "BSAVE": await this._executeBsave(rest); break;
+      case "SOUND": await this._executeSound(rest); break;
+      case "PLAY": await this._executePlay(rest); break;
       case "REM": break;
-      case "END": this.programCounter = null; break;
-      default: throw new Error(`Syntax Error: Unknown command '${command}'`);
+      case "TRON": this.traceEnabled = true; break;
+      case "TROFF": this.traceEnabled = false; break;
+      case "STOP": await this._pause("stop"); break;
+      case "END":
+        if (rest) throw new Error(`Syntax error: END ${rest}`);
+        this.ended = true;
+        break;
+      default: {
+        if (this._splitTopLevel(text, "=").length > 1) {
+          await this._assign(text);
+          break;
+        }
+        const procedure = this.procedures.get(keyword);
+        if (procedure && procedure.kind === "SUB") {
+          await this._callSub(text);
+          break;
+        }
+        throw new Error(`Syntax Error: Unknown command '${keyword || text}'`);
+      }
     }
   }
 
   /**
-   * Evaluate a BASIC expression
+   * Look up the block recorded for the current statement
    * @private
-   * @param {string} expression - Expression to evaluate
-   * @returns {Promise<*>} Evaluated result
+   * @param {string} kind - Kind of block entry expected
+   * @param {string} [keyword=kind] - Statement keyword, for the error message
+   * @returns {Object} The block entry
+   * @throws {Error} If the statement isn't part of a matched block
    */
-  async _evaluateExpression(expression) {
-    const { CommandExecutor, FileSystemManager, UserManager, NetworkManager, Utils } = this.dependencies;
-    const functionMatch = expression.match(/([a-zA-Z_$]+)\((.*)\)/i);
-    if (functionMatch) {
-      const funcName = functionMatch[1].toUpperCase();
-      const argExpr = functionMatch[2];
-
-      switch (funcName) {
-        case "SQR": return Math.sqrt(await this._evaluateExpression(argExpr));
-        case "SIN": return Math.sin(await this._evaluateExpression(argExpr));
-        case "COS": return Math.cos(await this._evaluateExpression(argExpr));
-        case "RND":
-          const arg = await this._evaluateExpression(argExpr);
-          if (arg > 0) this.lastRnd = Math.random();
-          else if (arg < 0) {
-            this.rndSeed = Math.abs(arg);
-            this.lastRnd = (((this.rndSeed * 1103515245 + 12345) / 65536) % 32768) / 32768.0;
-          }
-          return this.lastRnd;
-        case "LEFT$": case "RIGHT$": case "MID$":
-          const args = argExpr.split(",").map((a) => a.trim());
-          const str = String(await this._evaluateExpression(args[0]));
-          const len = args.length > 1 ? await this._evaluateExpression(args[1]) : undefined;
-          if (funcName === "LEFT$") return str.substring(0, len);
-          if (funcName === "RIGHT$") return str.substring(str.length - len);
-          if (funcName === "MID$") {
-            const start = len - 1;
-            const midLen = args.length > 2 ? await this._evaluateExpression(args[2]) : undefined;
-            return str.substring(start, midLen ? start + midLen : undefined);
-          }
-          break;
-        case "SYS_CMD":
-          const cmd = await this._evaluateExpression(argExpr);
-          const sanitizedCmd = Utils.sanitizeForExecution(cmd, { level: "full" });
-          if (!sanitizedCmd.isValid) {
-            throw new Error(`Invalid system command: ${sanitizedCmd.error}`);
-          }
-          const result = await CommandExecutor.processSingleCommand(sanitizedCmd.sanitized, { isInteractive: false });
-          return result.output || "";
-        case "SYS_READ":
-          const path = await this._evaluateExpression(argExpr);
-          const pathValidation = FileSystemManager.validatePath(path, { expectedType: "file" });
-          if (pathValidation.error) throw new Error(pathValidation.error);
-          if (!FileSystemManager.hasPermission(pathValidation.node, UserManager.getCurrentUser().name, "read")) throw new Error("Permission denied");
-          return pathValidation.node.content || "";
-        case "SYS_NET_SEND":
-          const netSendArgs = this._parseFunctionArgs(argExpr);
-          if (netSendArgs.length !== 2) throw new Error("SYS_NET_SEND requires 2 arguments: targetId$, message$");
-          const targetId = await this._evaluateExpression(netSendArgs[0]);
-          const message = await this._evaluateExpression(netSendArgs[1]);
-          await NetworkManager.sendMessage(targetId, 'direct_message', message);
-          return 0; // Return 0 for success
-      }
-    }
-
-    // New SYS_NET_RECV$ check (no arguments)
-    if (expression.trim().toUpperCase() === 'SYS_NET_RECV$()') {
-      const msg = NetworkManager.getNextMessage();
-      return msg ? msg.data : "";
-    }
-
-    const arrayMatch = expression.match(/([a-zA-Z_][a-zA-Z_0-9$]*)\((.*)\)/);
-    if (arrayMatch) {
-      const arrayName = arrayMatch[1].toUpperCase();
-      const index = await this._evaluateExpression(arrayMatch[2]);
-      if (!this.arrays.has(arrayName)) throw new Error(`Array not dimensioned: ${arrayName}`);
-      const arr = this.arrays.get(arrayName);
-      if (index < 0 || index >= arr.length) throw new Error(`Index out of bounds for ${arrayName}: ${index}`);
-      return arr[index];
+  _block(kind, keyword = kind) {
+    const block = this.blocks.get(this.programCounter);
+    if (!block || block.kind !== kind) throw new Error(`Syntax error: unmatched ${keyword}`);
+    return block;
+  }
+
+  /**
+   * Find the statement a GOTO or GOSUB target refers to
+   * @private
+   * @param {string} target - A line number or label
+   * @returns {number} Statement index
+   * @throws {Error} If there is no such line or label
+   */
+  _resolveTarget(target) {
+    const key = target.trim();
+    const index = /^\d+$/.test(key) ? this.lineIndex.get(parseInt(key, 10)) : this.labels.get(key.toUpperCase());
+    if (index === undefined) throw new Error(`Undefined line ${key}`);
+    return index;
+  }
+
+  /**
+   * Execute the head of a block IF by jumping to the first branch whose
+   * condition holds, or past END IF if none does
+   * @private
+   * @param {string} rest - Statement text after IF
+   */
+  async _executeIf(rest) {
+    const thenIndex = this._findKeyword(rest, "THEN");
+    if (thenIndex === -1) throw new Error("Syntax error: IF without THEN");
+    const block = this._block("IF");
+    if (await this._evaluateCondition(rest.substring(0, thenIndex))) return;
+
+    for (const branch of block.branches.slice(1)) {
+      const { keyword, rest: branchRest } = this._splitKeyword(this.statements[branch].text);
+      if (keyword === "ELSE" || (await this._evaluateCondition(branchRest.substring(0, this._findKeyword(branchRest, "THEN"))))) {
+        this.nextStatement = branch + 1;
+        return;
+      }
     }
+    this.nextStatement = block.end + 1;
+  }
 
-    const parts = expression.split("+").map((p) => p.trim());
-    if (parts.length > 1) {
-      let isStringConcat = false;
-      const evaluatedParts = await Promise.all(parts.map((p) => this._evaluateSinglePart(p)));
-      if (evaluatedParts.some((p) => typeof p === "string")) isStringConcat = true;
-      if (isStringConcat) {
-        return evaluatedParts.map(String).join("");
-      } else {
-        return evaluatedParts.reduce((acc, val) => acc + val, 0);
+  /**
+   * Execute 'ON expr GOTO|GOSUB target, ...'. A value outside the list
+   * falls through to the next statement.
+   * @private
+   * @param {string} rest - Statement text after ON
+   */
+  async _executeOn(rest) {
+    const jump = this._topLevelWords(rest).find(({ word }) => word === "GOTO" || word === "GOSUB");
+    if (!jump) throw new Error("Syntax error: ON without GOTO or GOSUB");
+    const choice = this._toInteger(await this._evaluateExpression(rest.substring(0, jump.index)));
+    const targets = rest.substring(jump.index + jump.word.length).split(",").map((target) => target.trim());
+    if (targets.some((target) => target === "")) throw new Error(`Syntax error in ON ${jump.word}`);
+    if (choice < 1 || choice > targets.length) return;
+
+    const target = this._resolveTarget(targets[choice - 1]);
+    if (jump.word === "GOSUB") this.gosubStack.push(this.nextStatement);
+    this.nextStatement = target;
+  }
+
+  /**
+   * Evaluate the 'WHILE cond' or 'UNTIL cond' of a DO or LOOP
+   * @private
+   * @param {string} rest - Statement text after DO or LOOP
+   * @returns {Promise<boolean>} True if the loop should keep going
+   */
+  async _loopCondition(rest) {
+    const match = rest.match(/^(WHILE|UNTIL)\b(.*)$/is);
+    if (!match) throw new Error(`Syntax error: expected WHILE or UNTIL but found '${rest}'`);
+    const condition = await this._evaluateCondition(match[2]);
+    return match[1].toUpperCase() === "WHILE" ? condition : !condition;
+  }
+
+  /**
+   * Leave the innermost FOR loop, continuing after its NEXT
+   * @private
+   */
+  _exitFor() {
+    if (this.forLoopStack.length === 0) throw new Error("EXIT FOR without FOR");
+    let depth = 0;
+    for (let i = this.programCounter + 1; i < this.statements.length; i++) {
+      const { keyword } = this.statements[i];
+      if (keyword === "FOR") {
+        depth++;
+      } else if (keyword === "NEXT" && depth-- === 0) {
+        this.forLoopStack.pop();
+        this.nextStatement = i + 1;
+        return;
       }
-    } else {
-      return this._evaluateSinglePart(expression);
     }
+    throw new Error("EXIT FOR without NEXT");
   }
 
   /**
-   * Evaluate a single part of an expression
+   * Execute PRINT. Items separated by ';' are printed side by side and ','
+   * moves to the next print zone; a trailing separator keeps the cursor
+   * on the line.
    * @private
-   * @param {string} part - Expression part to evaluate
-   * @returns {Promise<*>} Evaluated result
+   * @param {string} rest - Statement text after PRINT
    */
-  async _evaluateSinglePart(part) {
-    part = part.trim();
-    if (part.startsWith('"') && part.endsWith('"')) return part.substring(1, part.length - 1);
-    const varName = part.toUpperCase();
-    if (this.variables.has(varName)) return this.variables.get(varName);
-    const arrayMatch = varName.match(/([a-zA-Z_][a-zA-Z_0-9$]*)\((.*)\)/);
-    if (arrayMatch) {
-      const arrayName = arrayMatch[1];
-      const index = await this._evaluateExpression(arrayMatch[2]);
-      if (!this.arrays.has(arrayName)) throw new Error(`Array not dimensioned: ${arrayName}`);
-      const arr = this.arrays.get(arrayName);
-      if (index < 0 || index >= arr.length) throw new Error(`Index out of bounds for ${arrayName}: ${index}`);
-      return arr[index];
+  async _print(rest) {
+    const zone = Basic_interp.PRINT_ZONE_WIDTH;
+    const items = this._splitTopLevel(rest, ";,");
+    let output = "";
+    for (const { text, separator } of items) {
+      if (text !== "") output += String(await this._evaluateExpression(text));
+      if (separator === ",") output = output.padEnd((Math.floor(output.length / zone) + 1) * zone);
+    }
+    const keepLine = items.length > 1 && items[items.length - 1].text === "";
+    if (this.screen) {
+      this._printToScreen(output, !keepLine);
+    } else {
+      this.outputCallback(output, !keepLine);
     }
-    const num = parseFloat(part);
-    if (!isNaN(num) && part.trim() !== "") return num;
-    return part;
   }
 
   /**
-   * Evaluate a conditional expression
+   * Execute an assignment, with or without LET
    * @private
-   * @param {string} condition - Condition to evaluate
-   * @returns {Promise<boolean>} True if condition is met
+   * @param {string} rest - 'target = expression'
    */
-  async _evaluateCondition(condition) {
-    const operators = ["<=", ">=", "<>", "<", ">", "="];
-    let operator = null;
-    for (const op of operators) {
-      if (condition.includes(op)) {
-        operator = op;
-        break;
-      }
+  async _assign(rest) {
+    const parts = this._splitTopLevel(rest, "=");
+    if (parts.length < 2 || parts[0].text === "") throw new Error("Syntax error in assignment");
+    const value = await this._evaluateExpression(rest.substring(parts[1].start));
+    await this._storeValue(parts[0].text, value);
+  }
+
+  /**
+   * Store a value in a variable or array element
+   * @private
+   * @param {string} target - Variable name or 'NAME(subscript)'
+   * @param {number|string} value - Value to store
+   * @throws {Error} If the value's type doesn't suit the name
+   */
+  async _storeValue(target, value) {
+    const match = target.trim().match(/^([A-Za-z_][A-Za-z0-9_]*\$?)\s*(\(.*\))?$/s);
+    if (!match) throw new Error(`Syntax error: cannot assign to '${target.trim()}'`);
+    const name = match[1].toUpperCase();
+    if (name.endsWith("$") !== (typeof value === "string")) throw new Error("Type mismatch");
+    if (match[2]) {
+      const args = await this._evaluateArgumentList(match[2]);
+      const { arr, index } = this._locateArrayElement(name, args);
+      arr[index] = value;
+    } else {
+      this._setVariable(name, value);
     }
-    if (!operator) return false;
-    const parts = condition.split(operator).map((p) => p.trim());
-    const left = await this._evaluateExpression(parts[0]);
-    const right = await this._evaluateExpression(parts[1]);
-    switch (operator) {
-      case "=": return left === right;
-      case "<>": return left !== right;
-      case "<": return left < right;
-      case ">": return left > right;
-      case "<=": return left <= right;
-      case ">=": return left >= right;
-      default: return false;
+  }
+
+  /**
+   * Find the variable map a name lives in: the innermost call's locals,
+   * unless it declared the name SHARED, or else the globals
+   * @private
+   * @param {string} name - Upper-case variable name
+   * @returns {Map} Variable map
+   */
+  _scopeFor(name) {
+    const frame = this.callStack[this.callStack.length - 1];
+    return frame && !frame.shared.has(name) ? frame.locals : this.variables;
+  }
+
+  /**
+   * Read a variable; unset variables are 0 or ""
+   * @private
+   * @param {string} name - Upper-case variable name
+   * @returns {number|string} Value
+   */
+  _getVariable(name) {
+    const scope = this._scopeFor(name);
+    if (scope.has(name)) return scope.get(name);
+    return name.endsWith("$") ? "" : 0;
+  }
+
+  /**
+   * Set a variable
+   * @private
+   * @param {string} name - Upper-case variable name
+   * @param {number|string} value - Value
+   */
+  _setVariable(name, value) {
+    this._scopeFor(name).set(name, value);
+  }
+
+  /**
+   * Execute 'CALL name(args)' or 'name args'
+   * @private
+   * @param {string} rest - Call text
+   */
+  async _callSub(rest) {
+    const match = rest.match(/^([A-Za-z_][A-Za-z0-9_]*)\s*(.*)$/s);
+    const procedure = match && this.procedures.get(match[1].toUpperCase());
+    if (!procedure || procedure.kind !== "SUB") throw new Error(`Undefined SUB ${match ? match[1] : rest}`);
+    const argText = match[2].trim();
+    let args = [];
+    if (argText !== "") {
+      args = await this._evaluateArgumentList(argText.startsWith("(") ? argText : `(${argText})`);
+    }
+    await this._callProcedure(procedure, args);
+  }
+
+  /**
+   * Run a SUB or FUNCTION with its own local variables. Arguments are
+   * passed by value; a FUNCTION returns whatever was assigned to its name.
+   * @private
+   * @param {Object} procedure - The definition
+   * @param {Array<number|string>} args - Evaluated arguments
+   * @returns {Promise<number|string|undefined>} The FUNCTION's result
+   */
+  async _callProcedure(procedure, args) {
+    if (args.length !== procedure.params.length) throw new Error(`Wrong number of arguments for ${procedure.name}`);
+    if (this.callStack.length >= Basic_interp.MAX_CALL_DEPTH) throw new Error("Out of stack space");
+    const locals = new Map();
+    procedure.params.forEach((param, i) => {
+      if (param.endsWith("$") !== (typeof args[i] === "string")) throw new Error("Type mismatch");
+      locals.set(param, args[i]);
+    });
+    if (procedure.kind === "FUNCTION" && !locals.has(procedure.name)) {
+      locals.set(procedure.name, procedure.name.endsWith("$") ? "" : 0);
+    }
+
+    const frame = { name: procedure.name, kind: procedure.kind, locals, shared: new Set() };
+    const callerIndex = this.programCounter;
+    const resumeIndex = this.nextStatement;
+    this.callStack.push(frame);
+    await this._execute(procedure.start + 1, this.callStack.length);
+    this.programCounter = callerIndex;
+    this.nextStatement = resumeIndex;
+    return frame.locals.get(procedure.name);
+  }
+
+  /**
+   * Return from the innermost SUB or FUNCTION call
+   * @private
+   * @param {string} kind - 'SUB' or 'FUNCTION'
+   * @param {string} keyword - Statement keyword, for the error message
+   */
+  _returnFromProcedure(kind, keyword) {
+    const frame = this.callStack[this.callStack.length - 1];
+    if (!frame || frame.kind !== kind) throw new Error(`${keyword} outside ${kind}`);
+    this.callStack.pop();
+  }
+
+  /**
+   * Execute SCREEN mode [, width, height]. Mode 1 opens a clear character
+   * grid (80x24 unless a size is given) that PRINT and the drawing
+   * statements then use; mode 0 goes back to text.
+   * @private
+   * @param {string} rest - Statement text after SCREEN
+   */
+  async _executeScreen(rest) {
+    const args = rest === "" ? [] : await Promise.all(
+        this._splitTopLevel(rest, ",").map(({ text }) => this._evaluateExpression(text))
+    );
+    if (args.length !== 1 && args.length !== 3) throw new Error("SCREEN requires a mode, and optionally a width and height");
+    const mode = this._toInteger(args[0]);
+    if (mode === 0) {
+      if (this.screen) this.screenCallback({ type: "close" });
+      this.screen = null;
+      return;
+    }
+    if (mode !== 1) throw new Error(`Illegal screen mode ${mode}`);
+    const { width, height } = args.length === 3
+        ? { width: this._toInteger(args[1]), height: this._toInteger(args[2]) }
+        : Basic_interp.SCREEN_SIZE;
+    const max = Basic_interp.MAX_SCREEN_SIZE;
+    if (width < 1 || height < 1 || width > max.width || height > max.height) {
+      throw new Error(`Screen size must be from 1x1 to ${max.width}x${max.height}`);
+    }
+    this._openScreen(width, height);
+  }
+
+  /**
+   * Open a clear screen of the given size. The screen is a RasterUtils
+   * grid, so BASIC draws lines, ellipses and fills exactly as the paint
+   * app does.
+   * @private
+   * @param {number} width - Columns
+   * @param {number} height - Rows
+   */
+  _openScreen(width, height) {
+    const cells = Array.from({ length: height }, () => this._blankRow(width));
+    this.screen = { width, height, cells, cursor: { x: 0, y: 0 }, lastPoint: { x: 0, y: 0 } };
+    this.screenCallback({ type: "open", width, height, cells });
+  }
+
+  /**
+   * Make a row of empty screen cells
+   * @private
+   * @param {number} width - Columns
+   * @returns {Array<{char: string, color: string}>} The row
+   */
+  _blankRow(width) {
+    return Array.from({ length: width }, () => ({ char: " ", color: "#000000" }));
+  }
+
+  /**
+   * Get the open screen
+   * @private
+   * @param {string} keyword - Statement that needs it, for the error message
+   * @returns {Object} The screen
+   * @throws {Error} If no screen is open
+   */
+  _requireScreen(keyword) {
+    if (!this.screen) throw new Error(`${keyword} needs a screen; use SCREEN 1 first`);
+    return this.screen;
+  }
+
+  /**
+   * Write cells to the screen, skipping any that fall off it
+   * @private
+   * @param {Array<{x: number, y: number, char: string, color: string}>} cells - Cells to write
+   */
+  _plot(cells) {
+    const { width, height } = this.screen;
+    const visible = cells.filter(({ x, y }) => x >= 0 && x < width && y >= 0 && y < height);
+    for (const { x, y, char, color } of visible) {
+      this.screen.cells[y][x] = { char, color };
+    }
+    if (visible.length > 0) this.screenCallback({ type: "draw", cells: visible });
+  }
+
+  /**
+   * PRINT onto the screen at the cursor, wrapping at the right edge and
+   * scrolling at the bottom
+   * @private
+   * @param {string} text - Text to print
+   * @param {boolean} newline - Whether to move to the next line afterwards
+   */
+  _printToScreen(text, newline) {
+    const screen = this.screen;
+    for (const char of text) {
+      if (screen.cursor.x >= screen.width) this._screenNewline();
+      this._plot([{ x: screen.cursor.x, y: screen.cursor.y, char, color: this.foreground }]);
+      screen.cursor.x++;
+    }
+    if (newline) this._screenNewline();
+  }
+
+  /**
+   * Move the screen cursor to the start of the next row, scrolling up if
+   * it is already on the last one
+   * @private
+   */
+  _screenNewline() {
+    const screen = this.screen;
+    screen.cursor.x = 0;
+    if (screen.cursor.y < screen.height - 1) {
+      screen.cursor.y++;
+      return;
+    }
+    // The paint engine holds the same array, so scroll it in place.
+    screen.cells.shift();
+    screen.cells.push(this._blankRow(screen.width));
+    this.screenCallback({ type: "open", width: screen.width, height: screen.height, cells: screen.cells });
+  }
+
+  /**
+   * Turn a colour argument into a CSS colour: 0-15 pick from the palette
+   * and strings are used as they are
+   * @private
+   * @param {number|string} value - Colour number or string
+   * @returns {string} Colour
+   * @throws {Error} If the number isn't in the palette
+   */
+  _resolveColor(value) {
+    if (typeof value === "string") {
+      if (value.trim() === "") throw new Error("Illegal color \"\"");
+      return value.trim();
+    }
+    const color = Basic_interp.PALETTE[this._toInteger(value)];
+    if (!color) throw new Error(`Illegal color ${value}; use 0 to ${Basic_interp.PALETTE.length - 1}`);
+    return color;
+  }
+
+  /**
+   * Evaluate the optional colour and character arguments of a drawing
+   * statement, falling back to the COLOR colour and a solid block
+   * @private
+   * @param {Object} [colorPart] - Colour argument from _splitTopLevel
+   * @param {Object} [charPart] - Character argument from _splitTopLevel
+   * @returns {Promise<{color: string, char: string}>} What to draw with
+   */
+  async _drawStyle(colorPart, charPart) {
+    const color = colorPart && colorPart.text !== ""
+        ? this._resolveColor(await this._evaluateExpression(colorPart.text))
+        : this.foreground;
+    let char = Basic_interp.DRAW_CHAR;
+    if (charPart && charPart.text !== "") {
+      const value = await this._evaluateExpression(charPart.text);
+      if (typeof value !== "string" || value === "") throw new Error("Type mismatch: expected a character");
+      char = value.charAt(0);
+    }
+    return { color, char };
+  }
+
+  /**
+   * Evaluate a point written as (x, y)
+   * @private
+   * @param {string} text - Point source
+   * @returns {Promise<{x: number, y: number}>} Point, rounded to whole cells
+   * @throws {Error} If it isn't a pair of numbers in range
+   */
+  async _evaluatePoint(text) {
+    if (!text.startsWith("(")) throw new Error("Syntax error: expected (x, y)");
+    const args = await this._evaluateArgumentList(text);
+    if (args.length !== 2) throw new Error("Syntax error: expected (x, y)");
+    const [x, y] = args.map((value) => Math.round(this._toNumber(value)));
+    if (Math.abs(x) > 32767 || Math.abs(y) > 32767) throw new Error("Overflow");
+    return { x, y };
+  }
+
+  /**
+   * Execute LOCATE [row] [, column], moving where PRINT writes on the screen.
+   * Rows and columns count from 1.
+   * @private
+   * @param {string} rest - Statement text after LOCATE
+   */
+  async _executeLocate(rest) {
+    const screen = this._requireScreen("LOCATE");
+    const parts = this._splitTopLevel(rest, ",");
+    if (parts.length > 2) throw new Error("LOCATE takes a row and a column");
+    const [row, column] = await Promise.all([0, 1].map(async (i) =>
+        parts[i] && parts[i].text !== "" ? this._toInteger(await this._evaluateExpression(parts[i].text)) : null
+    ));
+    const y = row === null ? screen.cursor.y : row - 1;
+    const x = column === null ? screen.cursor.x : column - 1;
+    if (y < 0 || y >= screen.height || x < 0 || x >= screen.width) {
+      throw new Error(`LOCATE ${y + 1}, ${x + 1} is off the screen`);
+    }
+    screen.cursor = { x, y };
+  }
+
+  /**
+   * Execute PSET (x, y) [, color [, char$]]
+   * @private
+   * @param {string} rest - Statement text after PSET
+   */
+  async _executePset(rest) {
+    const screen = this._requireScreen("PSET");
+    const [pointPart, colorPart, charPart, ...extra] = this._splitTopLevel(rest, ",");
+    if (extra.length > 0) throw new Error("Too many arguments for PSET");
+    const { x, y } = await this._evaluatePoint(pointPart.text);
+    const { color, char } = await this._drawStyle(colorPart, charPart);
+    this._plot([{ x, y, char, color }]);
+    screen.lastPoint = { x, y };
+  }
+
+  /**
+   * Execute LINE [(x0, y0)]-(x1, y1) [, [color] [, [B|BF] [, char$]]].
+   * Without a start point the line carries on from the last point drawn;
+   * B draws a box with those corners and BF a filled one.
+   * @private
+   * @param {string} rest - Statement text after LINE
+   */
+  async _executeLine(rest) {
+    const screen = this._requireScreen("LINE");
+    const [coords, colorPart, stylePart, charPart, ...extra] = this._splitTopLevel(rest, ",");
+    if (extra.length > 0) throw new Error("Too many arguments for LINE");
+    const ends = this._splitTopLevel(coords.text, "-");
+    if (ends.length !== 2) throw new Error("Syntax error: expected (x0, y0)-(x1, y1)");
+    const from = ends[0].text === "" ? screen.lastPoint : await this._evaluatePoint(ends[0].text);
+    const to = await this._evaluatePoint(ends[1].text);
+    const style = stylePart ? stylePart.text.toUpperCase() : "";
+    if (!["", "B", "BF"].includes(style)) throw new Error(`Syntax error: LINE style must be B or BF, not ${stylePart.text}`);
+    const { color, char } = await this._drawStyle(colorPart, charPart);
+
+    const { RasterUtils } = this.dependencies;
+    let cells;
+    if (style === "B") {
+      cells = RasterUtils.getCellsForRect(screen, from.x, from.y, to.x, to.y, char, color);
+    } else if (style === "BF") {
+      cells = [];
+      for (let y = Math.min(from.y, to.y); y <= Math.max(from.y, to.y); y++) {
+        cells.push(...RasterUtils.getCellsForLine(screen, from.x, y, to.x, y, char, color));
+      }
+    } else {
+      cells = RasterUtils.getCellsForLine(screen, from.x, from.y, to.x, to.y, char, color);
+    }
+    this._plot(cells);
+    screen.lastPoint = to;
+  }
+
+  /**
+   * Execute CIRCLE (x, y), radius [, color [, char$]]. Character cells are
+   * about twice as tall as they are wide, so the circle is drawn half as
+   * many rows high as it is columns wide to look round.
+   * @private
+   * @param {string} rest - Statement text after CIRCLE
+   */
+  async _executeCircle(rest) {
+    const screen = this._requireScreen("CIRCLE");
+    const [centerPart, radiusPart, colorPart, charPart, ...extra] = this._splitTopLevel(rest, ",");
+    if (!radiusPart || radiusPart.text === "") throw new Error("CIRCLE requires a center and a radius");
+    if (extra.length > 0) throw new Error("Too many arguments for CIRCLE");
+    const { x, y } = await this._evaluatePoint(centerPart.text);
+    const radius = Math.round(this._toNumber(await this._evaluateExpression(radiusPart.text)));
+    if (radius < 0 || radius > 32767) throw new Error(`Illegal radius ${radius}`);
+    const { color, char } = await this._drawStyle(colorPart, charPart);
+    const { RasterUtils } = this.dependencies;
+    this._plot(RasterUtils.getCellsForEllipse(screen, x, y, radius, Math.round(radius / 2), char, color));
+    screen.lastPoint = { x, y };
+  }
+
+  /**
+   * Execute PAINT (x, y) [, color [, char$]], flood-filling the area of
+   * matching cells around the point
+   * @private
+   * @param {string} rest - Statement text after PAINT
+   */
+  async _executePaint(rest) {
+    const screen = this._requireScreen("PAINT");
+    const [pointPart, colorPart, charPart, ...extra] = this._splitTopLevel(rest, ",");
+    if (extra.length > 0) throw new Error("Too many arguments for PAINT");
+    const { x, y } = await this._evaluatePoint(pointPart.text);
+    const { color, char } = await this._drawStyle(colorPart, charPart);
+    const { RasterUtils } = this.dependencies;
+    this._plot(RasterUtils.getCellsForFill(screen, x, y, char, color));
+    screen.lastPoint = { x, y };
+  }
+
+  /**
+   * Execute BSAVE "file", writing the screen out as a paint (.oopic) file.
+   * The extension is added if the name has none.
+   * @private
+   * @param {string} rest - Statement text after BSAVE
+   */
+  async _executeBsave(rest) {
+    const screen = this._requireScreen("BSAVE");
+    const fileName = await this._evaluateExpression(rest);
+    if (typeof fileName !== "string" || fileName === "") throw new Error("BSAVE requires a file name");
+    const filePath = /\.[^/.]+$/.test(fileName) ? fileName : `${fileName}.oopic`;
+    const picture = {
+      format: "oopis-paint-v1",
+      dimensions: { width: screen.width, height: screen.height },
+      cells: screen.cells,
+    };
+    await this._writeFile(filePath, JSON.stringify(picture, null, 2));
+  }
+
+  /**
+   * Write a file for the current user
+   * @private
+   * @param {string} filePath - Path, relative to the current directory or absolute
+   * @param {string} content - File content
+   * @throws {Error} If the file can't be written
+   */
+  async _writeFile(filePath, content) {
+    const { FileSystemManager, UserManager } = this.dependencies;
+    const currentUser = UserManager.getCurrentUser().name;
+    const primaryGroup = UserManager.getPrimaryGroupForUser(currentUser);
+    const absPath = FileSystemManager.getAbsolutePath(filePath);
+    const saveResult = await FileSystemManager.createOrUpdateFile(absPath, content, { currentUser, primaryGroup });
+    if (!saveResult.success) throw new Error(`Failed to write to file: ${saveResult.error.message}`);
+    await FileSystemManager.save();
+  }
+
+  /**
+   * Execute SOUND frequency, duration, with the duration in clock ticks
+   * (18.2 a second). The program waits for the sound to finish.
+   * @private
+   * @param {string} rest - Statement text after SOUND
+   */
+  async _executeSound(rest) {
+    const args = await Promise.all(this._splitTopLevel(rest, ",").map(({ text }) => this._evaluateExpression(text)));
+    if (args.length !== 2) throw new Error("SOUND requires 2 arguments: frequency and duration");
+    const [frequency, ticks] = args.map((value) => this._toNumber(value));
+    if (frequency < 37 || frequency > 32767) throw new Error(`Illegal frequency ${frequency}; use 37 to 32767`);
+    if (ticks < 0 || ticks > 65535) throw new Error(`Illegal duration ${ticks}`);
+    await this._playTone(frequency, ticks / Basic_interp.TICKS_PER_SECOND);
+  }
+
+  /**
+   * Execute PLAY "music", a string in the music macro language: notes A to
+   * G (with #, + or - for sharp and flat, then an optional length and
+   * dots), Nn for note n, P or R for a rest, On to pick an octave (O4 holds
+   * middle C), < and > to move down or up one, Ln for the default length
+   * (4 is a quarter note) and Tn for the tempo in quarter notes a minute.
+   * @private
+   * @param {string} rest - Statement text after PLAY
+   */
+  async _executePlay(rest) {
+    const music = await this._evaluateExpression(rest);
+    if (typeof music !== "string") throw new Error("Type mismatch: PLAY needs a string");
+    const NOTES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+    const SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+    const text = music.toUpperCase().replace(/\s+/g, "");
+    let octave = 4;
+    let length = 4;
+    let tempo = 120;
+    let pos = 0;
+
+    const readNumber = (min, max, fallback = null) => {
+      const match = text.slice(pos).match(/^\d+/);
+      if (!match) {
+        if (fallback === null) throw new Error(`Illegal PLAY string at "${text.slice(pos - 1)}"`);
+        return fallback;
+      }
+      pos += match[0].length;
+      const value = parseInt(match[0], 10);
+      if (value < min || value > max) throw new Error(`Illegal PLAY value ${value}`);
+      return value;
+    };
+    const readDuration = () => {
+      let seconds = 240 / (tempo * readNumber(1, 64, length));
+      for (let extra = seconds / 2; text[pos] === "."; extra /= 2, pos++) seconds += extra;
+      return seconds;
+    };
+
+    while (pos < text.length) {
+      const command = text[pos++];
+      if (command in SEMITONES) {
+        let semitone = SEMITONES[command];
+        if (text[pos] === "#" || text[pos] === "+") {
+          semitone++;
+          pos++;
+        } else if (text[pos] === "-") {
+          semitone--;
+          pos++;
+        }
+        const noteOctave = octave + Math.floor(semitone / 12);
+        const note = `${NOTES[(semitone + 12) % 12]}${noteOctave}`;
+        await this._playTone(note, readDuration());
+      } else if (command === "N") {
+        const number = readNumber(0, 84);
+        const seconds = 240 / (tempo * length);
+        await this._playTone(number === 0 ? null : `${NOTES[(number - 1) % 12]}${Math.floor((number - 1) / 12)}`, seconds);
+      } else if (command === "P" || command === "R") {
+        await this._playTone(null, readDuration());
+      } else if (command === "O") {
+        octave = readNumber(0, 6);
+      } else if (command === "<") {
+        octave = Math.max(0, octave - 1);
+      } else if (command === ">") {
+        octave = Math.min(6, octave + 1);
+      } else if (command === "L") {
+        length = readNumber(1, 64);
+      } else if (command === "T") {
+        tempo = readNumber(32, 255);
+      } else if (command === "M" && /[NLSFB]/.test(text[pos] || "")) {
+        pos++; // Articulation and foreground/background play make no difference here.
+      } else {
+        throw new Error(`Illegal PLAY string at "${text.slice(pos - 1)}"`);
+      }
+    }
+  }
+
+  /**
+   * Play a note through the SoundManager and wait for it to finish
+   * @private
+   * @param {string|number|null} note - Note name such as 'C#4', a frequency in Hz, or null for a rest
+   * @param {number} seconds - How long it lasts
+   * @throws {Error} If sound can't be started
+   */
+  async _playTone(note, seconds) {
+    if (note !== null && seconds > 0) {
+      const { SoundManager } = this.dependencies;
+      if (SoundManager && !SoundManager.isInitialized) await SoundManager.initialize();
+      if (!SoundManager || !SoundManager.isInitialized) throw new Error("Sound is not available");
+      SoundManager.playNote(note, seconds);
+    }
+    await new Promise((resolve) => setTimeout(resolve, seconds * 1000));
+  }
+
+  /**
+   * Queue a key press for INKEY$. Presses beyond the buffer's size are
+   * dropped, as on a PC keyboard.
+   * @param {string} key - What INKEY$ should return for the key
+   */
+  pressKey(key) {
+    if (this.keyBuffer.length < Basic_interp.KEY_BUFFER_SIZE) this.keyBuffer.push(key);
+  }
+
+  /**
+   * Split an expression into tokens
+   * @private
+   * @param {string} expression - Expression source
+   * @returns {Array<{type: string, value: *}>} Tokens of type 'number', 'string', 'name' or 'op'
+   */
+  _tokenize(expression) {
+    const tokens = [];
+    const text = String(expression);
+    let pos = 0;
+    while (pos < text.length) {
+      const rest = text.substring(pos);
+      const space = rest.match(/^\s+/);
+      if (space) {
+        pos += space[0].length;
+        continue;
+      }
+      if (rest[0] === '"') {
+        const end = rest.indexOf('"', 1);
+        if (end === -1) throw new Error("Syntax error: missing closing quote");
+        tokens.push({ type: "string", value: rest.substring(1, end) });
+        pos += end + 1;
+        continue;
+      }
+      const number = rest.match(/^(\d+\.?\d*|\.\d+)(E[+-]?\d+)?/i);
+      if (number) {
+        tokens.push({ type: "number", value: parseFloat(number[0]) });
+        pos += number[0].length;
+        continue;
+      }
+      const name = rest.match(/^[A-Za-z_][A-Za-z0-9_]*\$?/);
+      if (name) {
+        const upper = name[0].toUpperCase();
+        const isOperator = ["AND", "OR", "XOR", "NOT", "MOD"].includes(upper);
+        tokens.push({ type: isOperator ? "op" : "name", value: upper });
+        pos += name[0].length;
+        continue;
+      }
+      const operator = rest.match(/^(<=|>=|<>|[-+*/\\^=<>(),])/);
+      if (operator) {
+        tokens.push({ type: "op", value: operator[0] });
+        pos += operator[0].length;
+        continue;
+      }
+      throw new Error(`Syntax error: unexpected '${rest[0]}'`);
+    }
+    return tokens;
+  }
+
+  /**
+   * Evaluate a BASIC expression
+   * @private
+   * @param {string} expression - Expression to evaluate
+   * @returns {Promise<number|string>} Evaluated result
+   */
+  async _evaluateExpression(expression) {
+    const state = { tokens: this._tokenize(expression), pos: 0 };
+    if (state.tokens.length === 0) throw new Error("Syntax error: missing expression");
+    const value = await this._parseLevel(state, 0);
+    if (state.pos < state.tokens.length) {
+      throw new Error(`Syntax error: unexpected '${state.tokens[state.pos].value}'`);
+    }
+    return value;
+  }
+
+  /**
+   * Evaluate a parenthesized, comma-separated argument list such as "(x, y)"
+   * @private
+   * @param {string} text - Argument list source
+   * @returns {Promise<Array<number|string>>} Evaluated arguments
+   */
+  async _evaluateArgumentList(text) {
+    const state = { tokens: this._tokenize(text), pos: 0 };
+    this._expect(state, "(");
+    const args = await this._parseArguments(state);
+    if (state.pos < state.tokens.length) {
+      throw new Error(`Syntax error: unexpected '${state.tokens[state.pos].value}'`);
+    }
+    return args;
+  }
+
+  /**
+   * Evaluate a condition (any expression; nonzero is true)
+   * @private
+   * @param {string} condition - Condition to evaluate
+   * @returns {Promise<boolean>} True if condition is met
+   */
+  async _evaluateCondition(condition) {
+    return this._toNumber(await this._evaluateExpression(condition)) !== 0;
+  }
+
+  /**
+   * Parse one precedence level of an expression
+   * @private
+   * @param {Object} state - Token list and read position
+   * @param {number} level - Index into PRECEDENCE
+   * @returns {Promise<number|string>} Evaluated result
+   */
+  async _parseLevel(state, level) {
+    if (level >= Basic_interp.PRECEDENCE.length) return this._parsePrimary(state);
+    const { binary, prefix } = Basic_interp.PRECEDENCE[level];
+
+    if (prefix) {
+      if (this._accept(state, prefix)) {
+        const operand = await this._parseLevel(state, level);
+        return prefix === "NOT" ? ~this._toInteger(operand) : -this._toNumber(operand);
+      }
+      return this._parseLevel(state, level + 1);
+    }
+
+    let left = await this._parseLevel(state, level + 1);
+    let token = state.tokens[state.pos];
+    while (token && token.type === "op" && binary.includes(token.value)) {
+      state.pos++;
+      const right = await this._parseLevel(state, level + 1);
+      left = this._applyOperator(token.value, left, right);
+      token = state.tokens[state.pos];
+    }
+    return left;
+  }
+
+  /**
+   * Parse a literal, variable, array element, function call or bracketed expression
+   * @private
+   * @param {Object} state - Token list and read position
+   * @returns {Promise<number|string>} Evaluated result
+   */
+  async _parsePrimary(state) {
+    const token = state.tokens[state.pos++];
+    if (!token) throw new Error("Syntax error: expression ends too soon");
+
+    if (token.type === "number" || token.type === "string") return token.value;
+    if (token.type === "op") {
+      if (token.value === "(") {
+        const value = await this._parseLevel(state, 0);
+        this._expect(state, ")");
+        return value;
+      }
+      // Negative exponents, as in 2^-1.
+      if (token.value === "-") return -this._toNumber(await this._parsePrimary(state));
+      if (token.value === "+") return this._toNumber(await this._parsePrimary(state));
+      throw new Error(`Syntax error: unexpected '${token.value}'`);
+    }
+
+    const name = token.value;
+    if (this._accept(state, "(")) {
+      const args = await this._parseArguments(state);
+      const result = await this._callFunction(name, args);
+      if (result !== undefined) return result;
+      const procedure = this.procedures.get(name);
+      if (procedure && procedure.kind === "FUNCTION") return this._callProcedure(procedure, args);
+      const { arr, index } = this._locateArrayElement(name, args);
+      return arr[index];
+    }
+    // Inside a FUNCTION its own name is the result variable, not a call.
+    const procedure = this.procedures.get(name);
+    const frame = this.callStack[this.callStack.length - 1];
+    if (procedure && procedure.kind === "FUNCTION" && !(frame && frame.name === name)) {
+      return this._callProcedure(procedure, []);
+    }
+    if (Basic_interp.PARAMETERLESS_FUNCTIONS.includes(name)) return this._callFunction(name, []);
+    return this._getVariable(name);
+  }
+
+  /**
+   * Parse the arguments of a call, after its opening parenthesis
+   * @private
+   * @param {Object} state - Token list and read position
+   * @returns {Promise<Array<number|string>>} Evaluated arguments
+   */
+  async _parseArguments(state) {
+    const args = [];
+    if (this._accept(state, ")")) return args;
+    do {
+      args.push(await this._parseLevel(state, 0));
+    } while (this._accept(state, ","));
+    this._expect(state, ")");
+    return args;
+  }
+
+  /**
+   * Consume an operator token if it is next
+   * @private
+   * @param {Object} state - Token list and read position
+   * @param {string} value - Operator to look for
+   * @returns {boolean} True if it was consumed
+   */
+  _accept(state, value) {
+    const token = state.tokens[state.pos];
+    if (token && token.type === "op" && token.value === value) {
+      state.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Consume an operator token that must be next
+   * @private
+   * @param {Object} state - Token list and read position
+   * @param {string} value - Expected operator
+   */
+  _expect(state, value) {
+    if (!this._accept(state, value)) {
+      const token = state.tokens[state.pos];
+      throw new Error(token ? `Syntax error: expected '${value}' but found '${token.value}'` : `Syntax error: missing '${value}'`);
+    }
+  }
+
+  /**
+   * Apply a binary operator. Comparisons and logic give -1 for true and 0
+   * for false; '+' joins strings.
+   * @private
+   * @param {string} op - Operator
+   * @param {number|string} left - Left operand
+   * @param {number|string} right - Right operand
+   * @returns {number|string} Result
+   */
+  _applyOperator(op, left, right) {
+    switch (op) {
+      case "+":
+        if (typeof left === "string" || typeof right === "string") return String(left) + String(right);
+        return left + right;
+      case "=": case "<>": case "<": case ">": case "<=": case ">=": {
+        if (typeof left !== typeof right) throw new Error("Type mismatch");
+        const result = {
+          "=": left === right, "<>": left !== right, "<": left < right,
+          ">": left > right, "<=": left <= right, ">=": left >= right,
+        }[op];
+        return result ? -1 : 0;
+      }
+      case "AND": return this._toInteger(left) & this._toInteger(right);
+      case "OR": return this._toInteger(left) | this._toInteger(right);
+      case "XOR": return this._toInteger(left) ^ this._toInteger(right);
+    }
+
+    const a = this._toNumber(left);
+    const b = this._toNumber(right);
+    switch (op) {
+      case "-": return a - b;
+      case "*": return a * b;
+      case "^": return Math.pow(a, b);
+      case "/":
+        if (b === 0) throw new Error("Division by zero");
+        return a / b;
+      case "\\": case "MOD": {
+        const divisor = Math.round(b);
+        if (divisor === 0) throw new Error("Division by zero");
+        return op === "MOD" ? Math.round(a) % divisor : Math.trunc(Math.round(a) / divisor);
+      }
+      default: throw new Error(`Syntax error: unknown operator '${op}'`);
+    }
+  }
+
+  /**
+   * Require a numeric value
+   * @private
+   * @param {number|string} value - Value to check
+   * @returns {number} The value
+   */
+  _toNumber(value) {
+    if (typeof value !== "number") throw new Error("Type mismatch");
+    return value;
+  }
+
+  /**
+   * Require a numeric value and round it to an integer
+   * @private
+   * @param {number|string} value - Value to convert
+   * @returns {number} Rounded value
+   */
+  _toInteger(value) {
+    return Math.round(this._toNumber(value));
+  }
+
+  /**
+   * Find an element of a dimensioned array
+   * @private
+   * @param {string} arrayName - Upper-case array name
+   * @param {Array<number|string>} args - Subscripts
+   * @returns {{arr: Array, index: number}} The array and the element's index in it
+   */
+  _locateArrayElement(arrayName, args) {
+    if (!this.arrays.has(arrayName)) throw new Error(`Array not dimensioned: ${arrayName}`);
+    if (args.length !== 1) throw new Error(`Wrong number of subscripts for ${arrayName}`);
+    const index = this._toInteger(args[0]);
+    const arr = this.arrays.get(arrayName);
+    if (index < 0 || index >= arr.length) throw new Error(`Index out of bounds for ${arrayName}: ${index}`);
+    return { arr, index };
+  }
+
+  /**
+   * Call a built-in function
+   * @private
+   * @param {string} name - Upper-case function name
+   * @param {Array<number|string>} args - Evaluated arguments
+   * @returns {Promise<number|string|undefined>} Result, or undefined if no such function
+   */
+  async _callFunction(name, args) {
+    const { CommandExecutor, FileSystemManager, UserManager, NetworkManager, Utils } = this.dependencies;
+    const arity = (min, max = min) => {
+      if (args.length < min || args.length > max) throw new Error(`Wrong number of arguments for ${name}`);
+    };
+    const num = (i) => this._toNumber(args[i]);
+    const str = (i) => {
+      if (typeof args[i] !== "string") throw new Error("Type mismatch");
+      return args[i];
+    };
+
+    switch (name) {
+      case "ABS": arity(1); return Math.abs(num(0));
+      case "ATN": arity(1); return Math.atan(num(0));
+      case "COS": arity(1); return Math.cos(num(0));
+      case "EXP": arity(1); return Math.exp(num(0));
+      case "INT": arity(1); return Math.floor(num(0));
+      case "LOG":
+        arity(1);
+        if (num(0) <= 0) throw new Error("Illegal function call: LOG of a number <= 0");
+        return Math.log(num(0));
+      case "SGN": arity(1); return Math.sign(num(0));
+      case "SIN": arity(1); return Math.sin(num(0));
+      case "SQR":
+        arity(1);
+        if (num(0) < 0) throw new Error("Illegal function call: SQR of a negative number");
+        return Math.sqrt(num(0));
+      case "TAN": arity(1); return Math.tan(num(0));
+      case "RND": {
+        arity(0, 1);
+        const arg = args.length ? num(0) : 1;
+        if (arg > 0) this.lastRnd = Math.random();
+        else if (arg < 0) {
+          this.rndSeed = Math.abs(arg);
+          this.lastRnd = (((this.rndSeed * 1103515245 + 12345) / 65536) % 32768) / 32768.0;
+        }
+        return this.lastRnd;
+      }
+      case "LEN": arity(1); return str(0).length;
+      case "VAL": {
+        arity(1);
+        const value = parseFloat(str(0).trim());
+        return isNaN(value) ? 0 : value;
+      }
+      case "STR$": arity(1); return String(num(0));
+      case "CHR$": arity(1); return String.fromCharCode(this._toInteger(args[0]));
+      case "ASC":
+        arity(1);
+        if (str(0).length === 0) throw new Error("Illegal function call: ASC of an empty string");
+        return str(0).charCodeAt(0);
+      case "LEFT$": arity(2); return str(0).substring(0, Math.max(0, num(1)));
+      case "RIGHT$": arity(2); return str(0).substring(Math.max(0, str(0).length - num(1)));
+      case "MID$": {
+        arity(2, 3);
+        const start = Math.max(0, num(1) - 1);
+        return str(0).substring(start, args.length > 2 ? start + Math.max(0, num(2)) : undefined);
+      }
+      case "INSTR": {
+        // INSTR([start,] haystack$, needle$) gives a 1-based position, or 0.
+        arity(2, 3);
+        const offset = args.length === 3 ? 1 : 0;
+        const start = offset ? Math.max(1, this._toInteger(args[0])) : 1;
+        return str(offset).indexOf(str(offset + 1), start - 1) + 1;
+      }
+      case "SYS_CMD": {
+        arity(1);
+        const sanitizedCmd = Utils.sanitizeForExecution(str(0), { level: "full" });
+        if (!sanitizedCmd.isValid) {
+          throw new Error(`Invalid system command: ${sanitizedCmd.error}`);
+        }
+        const result = await CommandExecutor.processSingleCommand(sanitizedCmd.sanitized, { isInteractive: false });
+        return result.output || "";
+      }
+      case "SYS_READ": {
+        arity(1);
+        const pathValidation = FileSystemManager.validatePath(str(0), { expectedType: "file" });
+        if (!pathValidation.success) throw new Error(pathValidation.error.message);
+        const { node } = pathValidation.data;
+        if (!FileSystemManager.hasPermission(node, UserManager.getCurrentUser().name, "read")) throw new Error("Permission denied");
+        return Utils.contentToText(node.content || "");
+      }
+      case "SYS_NET_SEND":
+        arity(2);
+        await NetworkManager.sendMessage(str(0), 'direct_message', args[1]);
+        return 0; // Return 0 for success
+      case "SYS_NET_RECV$": {
+        arity(0);
+        const msg = NetworkManager.getNextMessage();
+        return msg ? msg.data : "";
+      }
+      case "INKEY$":
+        arity(0);
+        return this.keyBuffer.length > 0 ? this.keyBuffer.shift() : "";
+      default: return undefined;
     }
   }
-}
\ No newline at end of file
+}
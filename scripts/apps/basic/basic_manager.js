@@ -17,6 +17,12 @@ window.BasicManager = class BasicManager extends App {
     this.programBuffer = new Map();
     /** @type {Function|null} Input promise resolver for program execution */
     this.onInputPromiseResolver = null;
+    /** @type {Function|null} Resolves a paused program with 'continue', 'step' or 'end' */
+    this.debugResolver = null;
+    /** @type {number|null} Timer that keeps the debugger panel current while a program runs */
+    this.debugRefreshTimer = null;
+    /** @type {boolean} Whether a program is running, so key presses go to INKEY$ */
+    this.isRunning = false;
     /** @type {Object} Load options including file path and content */
     this.loadOptions = {};
     /** @type {Object} Callback functions for UI interaction */
@@ -62,6 +68,12 @@ window.BasicManager = class BasicManager extends App {
     AppLayerManager.hide(this);
 
     this.isActive = false;
+    clearInterval(this.debugRefreshTimer);
+    this.debugRefreshTimer = null;
+    if (this.debugResolver) {
+      this.debugResolver("end");
+    }
+    this.debugResolver = null;
     this.interpreter = null;
     this.programBuffer.clear();
     this.onInputPromiseResolver = null;
@@ -82,6 +94,7 @@ window.BasicManager = class BasicManager extends App {
       this._loadContentIntoBuffer(this.loadOptions.content);
       this.ui.writeln(`Loaded "${this.loadOptions.path}".`);
     }
+    this._refreshListing();
 
     this.ui.writeln("READY.");
     setTimeout(() => this.ui.focusInput(), 0);
@@ -96,17 +109,28 @@ window.BasicManager = class BasicManager extends App {
     return {
       onInput: this._handleIdeInput.bind(this),
       onExit: this.exit.bind(this),
+      onToggleBreakpoint: this._toggleBreakpoint.bind(this),
+      onDebugAction: this._resumeProgram.bind(this),
+      onKeyPress: this._handleKeyPress.bind(this),
     };
   }
 
   /**
-   * Load program content into the line buffer
+   * Load program content into the line buffer. A program written without
+   * line numbers is numbered in steps of 10 so it can be edited here.
    * @private
    * @param {string} content - Program source code
    */
   _loadContentIntoBuffer(content) {
     this.programBuffer.clear();
     const lines = content.split("\n");
+    if (!lines.some((line) => /^\s*\d/.test(line))) {
+      lines
+          .map((line) => line.trim())
+          .filter((line) => line !== "" && !line.startsWith("#!"))
+          .forEach((line, i) => this.programBuffer.set((i + 1) * 10, line));
+      return;
+    }
     for (const line of lines) {
       if (line.trim() === "") continue;
       const match = line.match(/^(\d+)\s*(.*)/);
@@ -135,6 +159,11 @@ window.BasicManager = class BasicManager extends App {
       return;
     }
 
+    if (this.debugResolver) {
+      await this._handleDebugCommand(command);
+      return;
+    }
+
     if (command === "") {
       this.ui.writeln("READY.");
       return;
@@ -149,6 +178,7 @@ window.BasicManager = class BasicManager extends App {
       } else {
         this.programBuffer.set(lineNumber, lineContent);
       }
+      this._refreshListing();
     } else {
       const firstSpaceIndex = command.indexOf(" ");
       let cmd, argsStr;
@@ -182,7 +212,9 @@ window.BasicManager = class BasicManager extends App {
         break;
       case "NEW":
         this.programBuffer.clear();
+        this.interpreter.breakpoints.clear();
         this.loadOptions = {};
+        this._refreshListing();
         this.ui.writeln("OK");
         break;
       case "SAVE":
@@ -191,6 +223,18 @@ window.BasicManager = class BasicManager extends App {
       case "LOAD":
         await this._loadProgram(argsStr);
         break;
+      case "TRON":
+      case "TROFF":
+        this.interpreter.traceEnabled = cmd === "TRON";
+        this.ui.writeln("OK");
+        break;
+      case "BREAK":
+        this._breakCommand(argsStr);
+        break;
+      case "CONT":
+      case "STEP":
+        this.ui.writeln("?CAN'T CONTINUE");
+        break;
       case "EXIT":
         this.exit();
         break;
@@ -200,6 +244,131 @@ window.BasicManager = class BasicManager extends App {
     }
   }
 
+  /**
+   * Handle input while a program is paused. Only the commands that make
+   * sense mid-run are accepted.
+   * @private
+   * @param {string} command - User input command
+   */
+  async _handleDebugCommand(command) {
+    const [cmd = "", ...args] = command.split(/\s+/);
+    const upperCmd = cmd.toUpperCase();
+    switch (upperCmd) {
+      case "CONT":
+        this._resumeProgram("continue");
+        break;
+      case "STEP":
+        this._resumeProgram("step");
+        break;
+      case "END":
+        this._resumeProgram("end");
+        break;
+      case "TRON":
+      case "TROFF":
+      case "BREAK":
+      case "LIST":
+        await this._executeIdeCommand(upperCmd, args.join(" "));
+        break;
+      default:
+        this.ui.writeln("?PROGRAM PAUSED - USE CONT, STEP OR END");
+        break;
+    }
+  }
+
+  /**
+   * Handle BREAK: list breakpoints, or toggle the one on a line
+   * @private
+   * @param {string} argsStr - Line number, or empty to list
+   */
+  _breakCommand(argsStr) {
+    const { breakpoints } = this.interpreter;
+    if (argsStr === "") {
+      const lines = Array.from(breakpoints).sort((a, b) => a - b);
+      this.ui.writeln(lines.length > 0 ? `BREAKPOINTS: ${lines.join(", ")}` : "NO BREAKPOINTS");
+      return;
+    }
+    if (!/^\d+$/.test(argsStr)) {
+      this.ui.writeln("?USAGE: BREAK [LINE]");
+      return;
+    }
+    const lineNumber = parseInt(argsStr, 10);
+    const isSet = this._toggleBreakpoint(lineNumber);
+    this.ui.writeln(`BREAKPOINT ${isSet ? "SET AT" : "CLEARED AT"} ${lineNumber}`);
+  }
+
+  /**
+   * Toggle the breakpoint on a line
+   * @private
+   * @param {number} lineNumber - Line number
+   * @returns {boolean} True if the line now has a breakpoint
+   */
+  _toggleBreakpoint(lineNumber) {
+    const { breakpoints } = this.interpreter;
+    const isSet = !breakpoints.has(lineNumber);
+    if (isSet) {
+      breakpoints.add(lineNumber);
+    } else {
+      breakpoints.delete(lineNumber);
+    }
+    this._refreshListing();
+    return isSet;
+  }
+
+  /**
+   * Called by the interpreter when the program pauses. Shows where it
+   * stopped and waits for CONT, STEP or END.
+   * @private
+   * @param {Object} info - Pause details
+   * @param {string} info.reason - 'breakpoint', 'step' or 'stop'
+   * @param {number} info.line - Line about to run
+   * @param {string} info.statement - Statement about to run
+   * @returns {Promise<string>} 'continue', 'step' or 'end'
+   */
+  _onBreak({ reason, line, statement }) {
+    this.ui.writeln(`${reason === "step" ? "STEP" : "BREAK"} IN ${line}: ${statement}`);
+    this.ui.setDebugStatus("paused", line);
+    this._refreshDebugPanel();
+    return new Promise((resolve) => {
+      this.debugResolver = resolve;
+    });
+  }
+
+  /**
+   * Resume a paused program
+   * @private
+   * @param {string} action - 'continue', 'step' or 'end'
+   */
+  _resumeProgram(action) {
+    if (!this.debugResolver) return;
+    const resolve = this.debugResolver;
+    this.debugResolver = null;
+    this.ui.setDebugStatus("running");
+    resolve(action);
+  }
+
+  /**
+   * Show the program buffer and breakpoints in the debugger panel
+   * @private
+   */
+  _refreshListing() {
+    const sortedLines = Array.from(this.programBuffer.keys()).sort(
+        (a, b) => a - b
+    );
+    this.ui.renderListing(
+        sortedLines.map((lineNum) => [lineNum, this.programBuffer.get(lineNum)]),
+        this.interpreter.breakpoints
+    );
+  }
+
+  /**
+   * Show the interpreter's current state in the debugger panel
+   * @private
+   */
+  _refreshDebugPanel() {
+    if (!this.ui || !this.interpreter) return;
+    this.ui.renderDebugState(this.interpreter.getDebugState());
+  }
+
   /**
    * Get the complete program text from the buffer
    * @private
@@ -228,6 +397,39 @@ window.BasicManager = class BasicManager extends App {
     this.ui.writeln("OK");
   }
 
+  /**
+   * Pass a key press to the running program for INKEY$, unless it is
+   * waiting for INPUT or paused
+   * @private
+   * @param {string} key - What INKEY$ should return for the key
+   * @returns {boolean} True if the program took the key
+   */
+  _handleKeyPress(key) {
+    if (!this.isRunning || this.onInputPromiseResolver || this.debugResolver) return false;
+    this.interpreter.pressKey(key);
+    return true;
+  }
+
+  /**
+   * Show the program's SCREEN in the UI
+   * @private
+   * @param {Object} event - Screen event from the interpreter
+   */
+  _handleScreenEvent(event) {
+    if (!this.isActive) return;
+    switch (event.type) {
+      case "open":
+        this.ui.showScreen(event.width, event.height, event.cells);
+        break;
+      case "draw":
+        this.ui.drawScreen(event.cells);
+        break;
+      case "close":
+        this.ui.hideScreen();
+        break;
+    }
+  }
+
   /**
    * Run the current program
    * @private
@@ -238,6 +440,10 @@ window.BasicManager = class BasicManager extends App {
       this.ui.writeln("OK");
       return;
     }
+    this.ui.setDebugStatus("running");
+    this.ui.hideScreen();
+    this.isRunning = true;
+    this.debugRefreshTimer = setInterval(() => this._refreshDebugPanel(), 250);
     try {
       await this.interpreter.run(programText, {
         outputCallback: (text, withNewline = true) => {
@@ -249,10 +455,21 @@ window.BasicManager = class BasicManager extends App {
             }),
         pokeCallback: (_x, _y, _char, _color) => {
         },
+        breakCallback: (info) => this._onBreak(info),
+        screenCallback: (event) => this._handleScreenEvent(event),
       });
     } catch (error) {
-      this.ui.writeln(`\nRUNTIME ERROR: ${error.message}`);
+      if (this.isActive) {
+        this.ui.writeln(`\nRUNTIME ERROR: ${error.message}`);
+      }
+    } finally {
+      this.isRunning = false;
+      clearInterval(this.debugRefreshTimer);
+      this.debugRefreshTimer = null;
     }
+    if (!this.isActive) return;
+    this._refreshDebugPanel();
+    this.ui.setDebugStatus("idle");
     this.ui.writeln("");
   }
 
@@ -313,6 +530,8 @@ window.BasicManager = class BasicManager extends App {
       return;
     }
     this._loadContentIntoBuffer(pathValidation.data.node.content);
+    this.interpreter.breakpoints.clear();
+    this._refreshListing();
     this.loadOptions = { path: path, content: pathValidation.data.node.content };
     this.ui.writeln("OK");
   }
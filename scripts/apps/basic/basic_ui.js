@@ -1,10 +1,21 @@
 // scripts/apps/basic/basic_ui.js
 
 /**
- * BASIC IDE User Interface - Handles the visual interface for the BASIC development environment
+ * BASIC IDE User Interface - Handles the visual interface for the BASIC development environment,
+ * including the debugger panel beside the console
  * @class BasicUI
  */
 window.BasicUI = class BasicUI {
+  /**
+   * What INKEY$ returns for keys that don't type a character. Arrow keys
+   * give CHR$(0) and a scan code, as on a PC.
+   * @type {Object<string, string>}
+   */
+  static INKEY_CODES = {
+    Enter: "\r", Escape: "\x1b", Backspace: "\b", Tab: "\t",
+    ArrowUp: "\0H", ArrowDown: "\0P", ArrowLeft: "\0K", ArrowRight: "\0M",
+  };
+
   /**
    * Create a BASIC UI instance
    * @param {Object} callbacks - Callback functions for user interaction
@@ -13,6 +24,8 @@ window.BasicUI = class BasicUI {
   constructor(callbacks, dependencies) {
     /** @type {Object} DOM elements cache */
     this.elements = {};
+    /** @type {number|null} Line the program is paused at */
+    this.pausedLine = null;
     /** @type {Object} Callback functions */
     this.callbacks = callbacks;
     /** @type {Object} Injected dependencies */
@@ -41,6 +54,12 @@ window.BasicUI = class BasicUI {
 
     this.elements.container.classList.add("basic-app__container");
 
+    this.elements.screen = Utils.createElement("div", {
+      className: "basic-app__screen hidden",
+      tabindex: 0,
+      title: "Click to send key presses to the program",
+    });
+
     this.elements.output = Utils.createElement("div", {
       id: "basic-app-output",
       className: "basic-app__output",
@@ -61,9 +80,19 @@ window.BasicUI = class BasicUI {
         this.elements.input
     );
 
-    this.elements.main.append(this.elements.output, inputContainer);
+    const consolePane = Utils.createElement(
+        "div",
+        { className: "basic-app__console" },
+        this.elements.screen,
+        this.elements.output,
+        inputContainer
+    );
+
+    this.elements.main.append(consolePane, this._buildDebugPanel());
 
+    this.elements.screen.addEventListener("keydown", (e) => this._sendKey(e));
     this.elements.input.addEventListener("keydown", (e) => {
+      if (this._sendKey(e)) return;
       if (e.key === "Enter") {
         e.preventDefault();
         const command = this.elements.input.value;
@@ -73,6 +102,221 @@ window.BasicUI = class BasicUI {
     });
   }
 
+  /**
+   * Offer a key press to the running program for INKEY$
+   * @private
+   * @param {KeyboardEvent} e - The keydown event
+   * @returns {boolean} True if the program took the key
+   */
+  _sendKey(e) {
+    if (e.ctrlKey || e.altKey || e.metaKey) return false;
+    const key = e.key.length === 1 ? e.key : BasicUI.INKEY_CODES[e.key];
+    if (key === undefined || !this.callbacks.onKeyPress(key)) return false;
+    e.preventDefault();
+    return true;
+  }
+
+  /**
+   * Build the debugger panel: run controls, the program listing (click a
+   * line number to toggle a breakpoint) and the interpreter's state
+   * @private
+   * @returns {HTMLElement} Panel element
+   */
+  _buildDebugPanel() {
+    const { Utils, UIComponents } = this.dependencies;
+    const button = (text, action, title) =>
+        UIComponents.createButton({
+          text,
+          title,
+          classes: ["basic-app__debug-btn"],
+          onClick: () => this.callbacks.onDebugAction(action),
+        });
+    const section = (title, body) =>
+        Utils.createElement(
+            "section",
+            { className: "basic-app__debug-section" },
+            Utils.createElement("h3", { className: "basic-app__debug-title", textContent: title }),
+            body
+        );
+    const watch = () => Utils.createElement("pre", { className: "basic-app__watch" });
+
+    this.elements.debugButtons = [
+      button("CONT", "continue", "Continue running (CONT)"),
+      button("STEP", "step", "Run to the next line, stepping over SUB and FUNCTION calls (STEP)"),
+      button("END", "end", "Stop the program (END)"),
+    ];
+    this.elements.debugStatus = Utils.createElement("span", { className: "basic-app__debug-status" });
+    this.elements.listing = Utils.createElement("div", { className: "basic-app__listing" });
+    this.elements.listingRows = new Map();
+    this.elements.watches = {
+      variables: watch(),
+      arrays: watch(),
+      gosubStack: watch(),
+      forLoops: watch(),
+    };
+
+    const panel = Utils.createElement(
+        "aside",
+        { className: "basic-app__debugger" },
+        Utils.createElement(
+            "div",
+            { className: "basic-app__debug-controls" },
+            this.elements.debugButtons,
+            this.elements.debugStatus
+        ),
+        section("PROGRAM", this.elements.listing),
+        section("VARIABLES", this.elements.watches.variables),
+        section("ARRAYS", this.elements.watches.arrays),
+        section("GOSUB STACK", this.elements.watches.gosubStack),
+        section("FOR LOOPS", this.elements.watches.forLoops)
+    );
+    this.setDebugStatus("idle");
+    return panel;
+  }
+
+  /**
+   * Show the program in the debugger panel
+   * @param {Array<[number, string]>} lines - Line numbers and statements, in order
+   * @param {Set<number>} breakpoints - Lines with a breakpoint
+   */
+  renderListing(lines, breakpoints) {
+    const { Utils } = this.dependencies;
+    if (!this.elements.listing) return;
+    this.elements.listing.innerHTML = "";
+    this.elements.listingRows.clear();
+    for (const [lineNumber, text] of lines) {
+      const gutter = Utils.createElement("span", {
+        className: "basic-app__gutter",
+        title: "Toggle breakpoint",
+        textContent: `${breakpoints.has(lineNumber) ? "●" : " "}${lineNumber}`,
+        eventListeners: { click: () => this.callbacks.onToggleBreakpoint(lineNumber) },
+      });
+      const row = Utils.createElement(
+          "div",
+          { className: "basic-app__listing-line" },
+          gutter,
+          Utils.createElement("span", { textContent: ` ${text}` })
+      );
+      if (breakpoints.has(lineNumber)) row.classList.add("basic-app__listing-line--breakpoint");
+      this.elements.listingRows.set(lineNumber, row);
+      this.elements.listing.appendChild(row);
+    }
+    this._highlightLine(this.pausedLine);
+  }
+
+  /**
+   * Show whether a program is running or paused, enabling the run
+   * controls only while paused
+   * @param {string} status - 'idle', 'running' or 'paused'
+   * @param {number|null} [line=null] - Line the program is paused at
+   */
+  setDebugStatus(status, line = null) {
+    if (!this.elements.debugStatus) return;
+    this.pausedLine = status === "paused" ? line : null;
+    this.elements.debugStatus.textContent = status === "paused" ? `PAUSED AT ${line}` : status.toUpperCase();
+    this.elements.debugButtons.forEach((btn) => {
+      btn.disabled = status !== "paused";
+    });
+    this._highlightLine(this.pausedLine);
+  }
+
+  /**
+   * Mark the line the program is paused at in the listing
+   * @private
+   * @param {number|null} line - Line number, or null for none
+   */
+  _highlightLine(line) {
+    this.elements.listingRows.forEach((row, lineNumber) => {
+      row.classList.toggle("basic-app__listing-line--current", lineNumber === line);
+    });
+    const current = this.elements.listingRows.get(line);
+    if (current) current.scrollIntoView({ block: "nearest" });
+  }
+
+  /**
+   * Show a snapshot of the interpreter's state
+   * @param {Object} state - Snapshot from Basic_interp.getDebugState()
+   */
+  renderDebugState(state) {
+    if (!this.elements.watches) return;
+    const format = (value) => (typeof value === "string" ? JSON.stringify(value) : String(value));
+    const listVariables = (variables) =>
+        Array.from(variables, ([name, value]) => `${name} = ${format(value)}`);
+    const orNone = (lines) => (lines.length > 0 ? lines.join("\n") : "(none)");
+
+    const variableLines = listVariables(state.variables);
+    if (state.locals) {
+      const frame = state.callStack[state.callStack.length - 1];
+      variableLines.push(`-- ${frame.kind} ${frame.name} --`, ...listVariables(state.locals));
+    }
+    const shown = 10;
+    const arrayLines = Array.from(state.arrays, ([name, values]) => {
+      const more = values.length > shown ? ", ..." : "";
+      return `${name}(0 TO ${values.length - 1}) = ${values.slice(0, shown).map(format).join(", ")}${more}`;
+    });
+
+    this.elements.watches.variables.textContent = orNone(variableLines);
+    this.elements.watches.arrays.textContent = orNone(arrayLines);
+    this.elements.watches.gosubStack.textContent = orNone(
+        state.gosubStack.map((line) => `RETURN TO ${line === null ? "END" : line}`).reverse()
+    );
+    this.elements.watches.forLoops.textContent = orNone(
+        state.forLoops.map(({ variable, value, end, step }) => `${variable} = ${format(value)} TO ${end} STEP ${step}`).reverse()
+    );
+  }
+
+  /**
+   * Show the program's screen, drawing every cell
+   * @param {number} width - Columns
+   * @param {number} height - Rows
+   * @param {Array<Array<{char: string, color: string}>>} cells - The screen's grid
+   */
+  showScreen(width, height, cells) {
+    const { Utils } = this.dependencies;
+    const { screen } = this.elements;
+    if (!screen) return;
+    screen.innerHTML = "";
+    screen.style.gridTemplateColumns = `repeat(${width}, 1ch)`;
+    screen.style.gridTemplateRows = `repeat(${height}, 1em)`;
+    this.elements.screenCells = cells.map((row) =>
+        row.map(({ char, color }) => {
+          const cell = Utils.createElement("span", {
+            className: "basic-app__screen-cell",
+            textContent: char,
+            style: { color },
+          });
+          screen.appendChild(cell);
+          return cell;
+        })
+    );
+    screen.classList.remove("hidden");
+  }
+
+  /**
+   * Update some cells of the screen
+   * @param {Array<{x: number, y: number, char: string, color: string}>} cells - Cells that changed
+   */
+  drawScreen(cells) {
+    if (!this.elements.screenCells) return;
+    for (const { x, y, char, color } of cells) {
+      const cell = this.elements.screenCells[y]?.[x];
+      if (cell) {
+        cell.textContent = char;
+        cell.style.color = color;
+      }
+    }
+  }
+
+  /**
+   * Hide the screen, leaving just the console
+   */
+  hideScreen() {
+    if (!this.elements.screen) return;
+    this.elements.screen.classList.add("hidden");
+    this.elements.screen.innerHTML = "";
+    this.elements.screenCells = null;
+  }
+
   /**
    * Write text to the output without a newline
    * @param {string} text - Text to write
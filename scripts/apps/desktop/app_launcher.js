@@ -11,17 +11,17 @@ window.AppLauncher = class AppLauncher {
     constructor(windowManager, dependencies) {
         this.windowManager = windowManager;
         this.dependencies = dependencies;
-        /** @type {Object.<string, {manager: string, files: string[]}>} Registry mapping file extensions to app configurations */
+        /** @type {Object.<string, {manager: string, files: string[], modules: string[]}>} Registry mapping file extensions to app configurations; `modules` are the classes besides the manager and UI that the app expects among its dependencies */
         this.appRegistry = {
-            'txt': { manager: 'EditorManager', files: ['apps/editor/editor_manager.js', 'apps/editor/editor_ui.js'] },
-            'md': { manager: 'EditorManager', files: ['apps/editor/editor_manager.js', 'apps/editor/editor_ui.js'] },
-            'sh': { manager: 'EditorManager', files: ['apps/editor/editor_manager.js', 'apps/editor/editor_ui.js'] },
-            'js': { manager: 'EditorManager', files: ['apps/editor/editor_manager.js', 'apps/editor/editor_ui.js'] },
-            'json': { manager: 'EditorManager', files: ['apps/editor/editor_manager.js', 'apps/editor/editor_ui.js'] },
-            'html': { manager: 'EditorManager', files: ['apps/editor/editor_manager.js', 'apps/editor/editor_ui.js'] },
-            'css': { manager: 'EditorManager', files: ['apps/editor/editor_manager.js', 'apps/editor/editor_ui.js'] },
-            'bas': { manager: 'BasicManager', files: ['apps/basic/basic_manager.js', 'apps/basic/basic_ui.js', 'apps/basic/basic_interp.js'] },
-            'oopic': { manager: 'PaintManager', files: ['apps/paint/paint_manager.js', 'apps/paint/paint_ui.js'] },
+            'txt': { manager: 'EditorManager', files: ['apps/basic/basic_interp.js', 'apps/editor/editor_syntax.js', 'apps/editor/editor_linter.js', 'apps/editor/editor_manager.js', 'apps/editor/editor_ui.js'], modules: ['EditorSyntax', 'EditorLinter', 'Basic_interp'] },
+            'md': { manager: 'EditorManager', files: ['apps/basic/basic_interp.js', 'apps/editor/editor_syntax.js', 'apps/editor/editor_linter.js', 'apps/editor/editor_manager.js', 'apps/editor/editor_ui.js'], modules: ['EditorSyntax', 'EditorLinter', 'Basic_interp'] },
+            'sh': { manager: 'EditorManager', files: ['apps/basic/basic_interp.js', 'apps/editor/editor_syntax.js', 'apps/editor/editor_linter.js', 'apps/editor/editor_manager.js', 'apps/editor/editor_ui.js'], modules: ['EditorSyntax', 'EditorLinter', 'Basic_interp'] },
+            'js': { manager: 'EditorManager', files: ['apps/basic/basic_interp.js', 'apps/editor/editor_syntax.js', 'apps/editor/editor_linter.js', 'apps/editor/editor_manager.js', 'apps/editor/editor_ui.js'], modules: ['EditorSyntax', 'EditorLinter', 'Basic_interp'] },
+            'json': { manager: 'EditorManager', files: ['apps/basic/basic_interp.js', 'apps/editor/editor_syntax.js', 'apps/editor/editor_linter.js', 'apps/editor/editor_manager.js', 'apps/editor/editor_ui.js'], modules: ['EditorSyntax', 'EditorLinter', 'Basic_interp'] },
+            'html': { manager: 'EditorManager', files: ['apps/basic/basic_interp.js', 'apps/editor/editor_syntax.js', 'apps/editor/editor_linter.js', 'apps/editor/editor_manager.js', 'apps/editor/editor_ui.js'], modules: ['EditorSyntax', 'EditorLinter', 'Basic_interp'] },
+            'css': { manager: 'EditorManager', files: ['apps/basic/basic_interp.js', 'apps/editor/editor_syntax.js', 'apps/editor/editor_linter.js', 'apps/editor/editor_manager.js', 'apps/editor/editor_ui.js'], modules: ['EditorSyntax', 'EditorLinter', 'Basic_interp'] },
+            'bas': { manager: 'BasicManager', files: ['apps/basic/basic_manager.js', 'apps/basic/basic_ui.js', 'apps/basic/basic_interp.js'], modules: ['Basic_interp'] },
+            'oopic': { manager: 'PaintManager', files: ['apps/paint/paint_formats.js', 'apps/paint/paint_manager.js', 'apps/paint/paint_ui.js'], modules: ['PaintFormats'] },
         };
     }
 
@@ -50,7 +50,7 @@ window.AppLauncher = class AppLauncher {
         
         for (const file of appInfo.files) {
             console.log(`Loading script: ${file}`);
-            await CommandExecutor._loadScript(file);
+            await CommandExecutor.loadModule(file);
         }
 
         const AppManagerClass = window[appInfo.manager];
@@ -93,6 +93,7 @@ window.AppLauncher = class AppLauncher {
         const appInstance = new AppManagerClass();
         const launchOptions = {
             ...this.dependencies,
+            ...Object.fromEntries(appInfo.modules.map((name) => [name, window[name]])),
             [uiClassName]: UIClass,
             AppLayerManager: windowedAppLayerManager,
             filePath: filePath,
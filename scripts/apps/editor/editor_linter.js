@@ -0,0 +1,192 @@
+// scripts/apps/editor/editor_linter.js
+
+/**
+ * Live checks for the editor. Linters are registered against file
+ * extensions and read the whole text, reporting problems by line; the
+ * editor marks those lines as you type. Shell scripts are checked with
+ * the shell's own Lexer, Parser and ScriptParser, BASIC programs with the
+ * interpreter's parser, and JSON with JSON.parse.
+ * @class EditorLinter
+ */
+window.EditorLinter = class EditorLinter {
+  /** @type {Map<string, Function>} Lint function for each file extension */
+  static linters = new Map();
+
+  /**
+   * Register a linter
+   * @param {string[]} extensions - File extensions it checks, without the dot
+   * @param {Function} lint - Called with the text and the dependency container;
+   * returns an array of {line, message, severity}, where line is zero-based
+   * and severity is 'error' or 'warning'
+   */
+  static register(extensions, lint) {
+    extensions.forEach((extension) => EditorLinter.linters.set(extension, lint));
+  }
+
+  /**
+   * Make a linter for a file, based on its extension
+   * @param {string|null} extension - File extension, without the dot
+   * @param {Object} dependencies - The dependency injection container
+   * @returns {EditorLinter|null} A linter, or null if none covers the extension
+   */
+  static forExtension(extension, dependencies) {
+    const lint = EditorLinter.linters.get(extension);
+    return lint ? new EditorLinter(lint, dependencies) : null;
+  }
+
+  /**
+   * Find the line a JSON.parse error points at. Browsers word the message
+   * differently, so both an offset and a line and column are looked for.
+   * @param {string} text - The JSON text
+   * @param {string} message - The error message
+   * @returns {number} Zero-based line number
+   */
+  static jsonErrorLine(text, message) {
+    const lineColumn = message.match(/line (\d+) column \d+/);
+    if (lineColumn) return parseInt(lineColumn[1], 10) - 1;
+    const position = message.match(/position (\d+)/);
+    const offset = position ? parseInt(position[1], 10) : text.length;
+    return text.slice(0, offset).split("\n").length - 1;
+  }
+
+  /**
+   * Create a linter for one editor
+   * @param {Function} lint - A registered lint function
+   * @param {Object} dependencies - The dependency injection container
+   */
+  constructor(lint, dependencies) {
+    /** @type {Function} The lint function in use */
+    this.lintFunction = lint;
+    /** @type {Object} The dependency injection container */
+    this.dependencies = dependencies;
+  }
+
+  /**
+   * Check text, keeping the most serious problem on each line
+   * @param {string} text - The text to check
+   * @returns {Map<number, {message: string, severity: string}>} Problems by zero-based line number
+   */
+  lint(text) {
+    const diagnostics = new Map();
+    let problems = [];
+    try {
+      problems = this.lintFunction(text, this.dependencies);
+    } catch (e) {
+      console.error("EditorLinter: lint failed:", e);
+    }
+    for (const { line, message, severity } of problems) {
+      const existing = diagnostics.get(line);
+      if (!existing || (existing.severity === "warning" && severity === "error")) {
+        diagnostics.set(line, { message, severity });
+      }
+    }
+    return diagnostics;
+  }
+};
+
+
+EditorLinter.register(["json"], (text) => {
+  if (text.trim() === "") return [];
+  try {
+    JSON.parse(text);
+    return [];
+  } catch (e) {
+    return [{ line: EditorLinter.jsonErrorLine(text, e.message), message: e.message, severity: "error" }];
+  }
+});
+
+EditorLinter.register(["sh"], (text, dependencies) => {
+  const { Lexer, Parser, ScriptParser, CommandExecutor, AliasManager } = dependencies;
+  const problems = [];
+  const scriptParser = new ScriptParser(text.split("\n"));
+  try {
+    scriptParser.parse();
+  } catch (e) {
+    const line = e.message.match(/line (\d+)/);
+    problems.push({ line: line ? parseInt(line[1], 10) - 1 : 0, message: e.message, severity: "error" });
+  }
+
+  // Functions may be called before the line that defines them.
+  const functions = new Set(
+      scriptParser.statements.filter((statement) => statement.keyword === "function").map((statement) => statement.text)
+  );
+  const isKnownCommand = (name) => {
+    return (
+      functions.has(name) ||
+      ["break", "continue", "return"].includes(name) ||
+      CommandExecutor.resolveCommand(name) !== null ||
+      AliasManager.getAlias(name) !== null
+    );
+  };
+
+  // The same comment rule the shell applies before running a line.
+  const stripComment = (commandText) => {
+    let inQuote = null;
+    for (let i = 0; i < commandText.length; i++) {
+      const char = commandText[i];
+      if (inQuote) {
+        if (char === inQuote) inQuote = null;
+      } else if (char === '"' || char === "'") {
+        inQuote = char;
+      } else if (char === "#" && (i === 0 || /\s/.test(commandText[i - 1]))) {
+        return commandText.substring(0, i).trim();
+      }
+    }
+    return commandText;
+  };
+
+  const lintCommand = (commandText, lineIndex) => {
+    const commandToParse = stripComment(commandText);
+    const substitution = commandToParse.match(/^[a-zA-Z_][a-zA-Z0-9_]*=\$\(([^)]+)\)$/);
+    if (substitution) {
+      lintCommand(substitution[1], lineIndex);
+      return;
+    }
+    if (!commandToParse) return;
+
+    let commandSequence;
+    try {
+      commandSequence = new Parser(
+          new Lexer(commandToParse, dependencies).tokenize(),
+          dependencies
+      ).parse();
+    } catch (e) {
+      problems.push({ line: lineIndex, message: e.message, severity: "error" });
+      return;
+    }
+    for (const { pipeline } of commandSequence) {
+      for (const { command } of pipeline.segments) {
+        if (!command || /[$/=]/.test(command) || isKnownCommand(command)) continue;
+        problems.push({ line: lineIndex, message: `${command}: command not found`, severity: "warning" });
+      }
+    }
+  };
+
+  for (const statement of scriptParser.statements) {
+    const runsCommand = !statement.keyword || ["if", "elif", "while", "until"].includes(statement.keyword);
+    // Clauses of a 'case' the parser never reached still carry their 'pattern)'.
+    if (!runsCommand || !statement.text || /^\(?[^\s()"']*\)/.test(statement.text)) continue;
+    lintCommand(statement.text, statement.lineIndex);
+  }
+  return problems;
+});
+
+EditorLinter.register(["bas"], (text, dependencies) => {
+  const { Basic_interp } = dependencies;
+  if (!Basic_interp) return [];
+
+  // Numbered programs report BASIC line numbers; find the text line for each.
+  const lines = text.split("\n");
+  const textLines = new Map();
+  const isNumbered = lines.some((line) => /^\s*\d/.test(line));
+  lines.forEach((line, i) => {
+    const number = line.match(/^\s*(\d+)/);
+    if (isNumbered && number) textLines.set(parseInt(number[1], 10), i);
+  });
+
+  return new Basic_interp(dependencies).validate(text).map(({ line, message }) => ({
+    line: line === null ? 0 : isNumbered ? textLines.get(line) ?? 0 : line - 1,
+    message,
+    severity: "error",
+  }));
+});
@@ -3,6 +3,15 @@
  * @extends App
  */
 window.EditorManager = class EditorManager extends App {
+  /** @type {number} Most undo steps kept */
+  static HISTORY_LIMIT = 200;
+
+  /** @type {number} Pause in typing, in ms, after which the next keystroke starts a new undo step */
+  static HISTORY_BLOCK_MS = 1000;
+
+  /** @type {number} Pause in typing, in ms, before the file is checked again */
+  static LINT_DELAY_MS = 300;
+
   /**
    * Initialize editor manager with default state
    */
@@ -11,8 +20,16 @@ window.EditorManager = class EditorManager extends App {
     this.state = {};
     this.dependencies = {};
     this._debouncedHighlight = null;
+    /** @type {EditorSyntax|null} Highlighter for the file's language, if there is one */
+    this.highlighter = null;
+    /** @type {EditorLinter|null} Live checker for the file's language, if there is one */
+    this.linter = null;
+    /** @type {number|null} Timer for the next check */
+    this._lintTimer = null;
     this.callbacks = {};
     this.ui = null;
+    /** @type {{abortController: AbortController, status: string}|null} The F5 run in progress, if any */
+    this.runJob = null;
   }
 
   /**
@@ -25,6 +42,7 @@ window.EditorManager = class EditorManager extends App {
     const selection = window.getSelection();
     if (selection.rangeCount === 0) return { start: 0, end: 0 };
     const range = selection.getRangeAt(0);
+    if (!element.contains(range.startContainer)) return { start: 0, end: 0 };
     const preSelectionRange = range.cloneRange();
     preSelectionRange.selectNodeContents(element);
     preSelectionRange.setEnd(range.startContainer, range.startOffset);
@@ -76,42 +94,51 @@ window.EditorManager = class EditorManager extends App {
     }
   }
 
-  /**
-   * Apply JavaScript syntax highlighting to text
-   * @param {string} text - Text to highlight
-   * @returns {string} HTML with syntax highlighting
-   * @private
-   */
-  _jsHighlighter(text) {
-    const escapedText = text
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;");
-    return escapedText
-        .replace(/(\/\*[\s\S]*?\*\/|\/\/.+)/g, "<em>$1</em>")
-        .replace(/\b(new|if|else|do|while|switch|for|in|of|continue|break|return|typeof|function|var|const|let|async|await|class|extends|true|false|null)(?=[^\w])/g, "<strong>$1</strong>")
-        .replace(/(".*?"|'.*?'|`.*?`)/g, "<strong><em>$1</em></strong>")
-        .replace(/\b(\d+)/g, "<em><strong>$1</strong></em>");
-  }
-
   /**
    * Update content with syntax highlighting and preview
    * @param {HTMLElement} element - Text element to update
    * @private
    */
-  // Import DOMPurify for sanitizing HTML
-  // DOMPurify is a library that sanitizes HTML and prevents XSS attacks
-
   _updateContent(element) {
-    if (this.state.fileMode === 'code') {
+    if (this.highlighter) {
       const selection = this._getSelection(element);
-      const text = element.textContent || "";
-      element.innerHTML = DOMPurify.sanitize(this._jsHighlighter(text));
+      this.highlighter.render(element, element.textContent || "", this.state.diagnostics);
       this._setSelection(element, selection);
     }
     if (this.state.viewMode !== "edit") {
       this.ui.renderPreview(element.textContent || "", this.state.fileMode);
     }
+    this._scheduleLint();
+  }
+
+  /**
+   * Check the file again once typing pauses
+   * @private
+   */
+  _scheduleLint() {
+    clearTimeout(this._lintTimer);
+    if (!this.linter) return;
+    this._lintTimer = setTimeout(() => {
+      this._lintTimer = null;
+      if (this.isActive) this._lint();
+    }, EditorManager.LINT_DELAY_MS);
+  }
+
+  /**
+   * Check the file and mark the lines with problems
+   * @private
+   */
+  _lint() {
+    const textarea = this.ui.elements.textarea;
+    const content = textarea.textContent || "";
+    this.state.diagnostics = this.linter.lint(content);
+    this.ui.updateLintStatus(this.state.diagnostics);
+    if (!this.highlighter) return;
+    // Only put the caret back if it was in the text; the find bar may have it.
+    const hasFocus = document.activeElement === textarea;
+    const selection = hasFocus ? this._getSelection(textarea) : null;
+    this.highlighter.render(textarea, content, this.state.diagnostics);
+    if (hasFocus) this._setSelection(textarea, selection);
   }
 
 
@@ -125,15 +152,6 @@ window.EditorManager = class EditorManager extends App {
     this.dependencies = dependencies;
     this.callbacks = this._createCallbacks();
 
-    this._debouncedPushUndo = this.dependencies.Utils.debounce((content) => {
-      if (!this.isActive) return;
-      this.state.undoStack.push(content);
-      if (this.state.undoStack.length > 50) {
-        this.state.undoStack.shift();
-      }
-      this.state.redoStack = [];
-    }, 500);
-
     const normalizedContent = (fileContent || "").replace(/\r\n|\r/g, "\n");
 
     this.state = {
@@ -142,8 +160,26 @@ window.EditorManager = class EditorManager extends App {
       isDirty: false,
       fileMode: this._getFileMode(filePath),
       viewMode: "split",
-      undoStack: [normalizedContent],
-      redoStack: [],
+      history: {
+        undo: [{ content: normalizedContent, selection: { start: 0, end: 0 } }],
+        redo: [],
+        blockKind: null,
+        lastEditAt: 0,
+      },
+      find: {
+        isOpen: false,
+        query: "",
+        replacement: "",
+        regex: false,
+        caseSensitive: false,
+        wholeWord: false,
+        matches: [],
+        current: -1,
+        error: null,
+      },
+      diagnostics: new Map(),
+      isRunning: false,
+      isRunPaneOpen: false,
       wordWrap: this.dependencies.StorageManager.loadItem(
           this.dependencies.Config.STORAGE_KEYS.EDITOR_WORD_WRAP_ENABLED,
           "Editor Word Wrap",
@@ -153,6 +189,8 @@ window.EditorManager = class EditorManager extends App {
     };
 
     this.isActive = true;
+    this.highlighter = this._getHighlighter(filePath);
+    this.linter = this._getLinter(filePath);
 
     this.ui = new this.dependencies.EditorUI({ ...this.state, currentContent: normalizedContent }, this.callbacks, this.dependencies);
     this.container = this.ui.elements.container;
@@ -198,10 +236,15 @@ window.EditorManager = class EditorManager extends App {
    * @private
    */
   _performExit() {
+    this._stopRun();
     this.ui.hideAndReset();
     this.dependencies.AppLayerManager.hide(this);
     this.isActive = false;
     this.state = {};
+    this.highlighter = null;
+    this.linter = null;
+    clearTimeout(this._lintTimer);
+    this._lintTimer = null;
   }
 
   /**
@@ -212,6 +255,9 @@ window.EditorManager = class EditorManager extends App {
   async handleKeyDown(event) {
     if (!this.isActive) return;
 
+    // Text boxes such as the find bar keep their own undo.
+    const inTextBox = event.target && event.target.tagName === "INPUT";
+
     if (event.ctrlKey || event.metaKey) {
       let handled = true;
       switch (event.key.toLowerCase()) {
@@ -224,23 +270,265 @@ window.EditorManager = class EditorManager extends App {
         case "p":
           this.callbacks.onTogglePreview();
           break;
+        case "f":
+          this.callbacks.onOpenFind(false);
+          break;
+        case "h":
+          this.callbacks.onOpenFind(true);
+          break;
+        case "g":
+          await this.callbacks.onGoToLine();
+          break;
         case "z":
-          event.shiftKey ? this.callbacks.onRedo() : this.callbacks.onUndo();
+          if (inTextBox) {
+            handled = false;
+          } else {
+            event.shiftKey ? this.callbacks.onRedo() : this.callbacks.onUndo();
+          }
           break;
         case "y":
-          this.callbacks.onRedo();
+          if (inTextBox) {
+            handled = false;
+          } else {
+            this.callbacks.onRedo();
+          }
           break;
         default:
           handled = false;
           break;
       }
       if (handled) event.preventDefault();
+    } else if (event.key === "F5") {
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.callbacks.onStopRunRequest();
+      } else {
+        await this.callbacks.onRunRequest();
+      }
+    } else if (event.key === "F3") {
+      event.preventDefault();
+      this.callbacks.onFindNext(event.shiftKey ? -1 : 1);
     } else if (event.key === "Escape") {
       event.preventDefault();
-      await this.exit();
+      if (this.state.find.isOpen) {
+        this.callbacks.onCloseFind();
+      } else if (this.state.isRunPaneOpen) {
+        this.callbacks.onCloseRunPane();
+      } else {
+        await this.exit();
+      }
+    }
+  }
+
+  /**
+   * Sort an edit into the kind of undo step it belongs to. Typing and
+   * deleting run together into one step; anything else (a new line, a
+   * paste, a cut) is a step of its own.
+   * @param {string} [inputType] - The inputType of the input event
+   * @returns {string|null} 'insert', 'delete', or null for a step of its own
+   * @private
+   */
+  _editKind(inputType) {
+    if (inputType === "insertText") return "insert";
+    if (inputType === "deleteContentBackward" || inputType === "deleteContentForward") return "delete";
+    return null;
+  }
+
+  /**
+   * Record the editor's content in the undo history. Consecutive typing
+   * (or deleting) is folded into the step it continues until there is a
+   * pause, so one undo takes back a block of work rather than a character.
+   * @param {string} content - Content after the edit
+   * @param {string|null} kind - Kind of edit, from _editKind
+   * @private
+   */
+  _recordHistory(content, kind) {
+    const history = this.state.history;
+    const top = history.undo[history.undo.length - 1];
+    if (top.content === content) return;
+
+    const now = Date.now();
+    const entry = { content, selection: this._getSelection(this.ui.elements.textarea) };
+    const continuesBlock =
+        kind !== null &&
+        kind === history.blockKind &&
+        now - history.lastEditAt < EditorManager.HISTORY_BLOCK_MS;
+    if (continuesBlock) {
+      history.undo[history.undo.length - 1] = entry;
+    } else {
+      history.undo.push(entry);
+      if (history.undo.length > EditorManager.HISTORY_LIMIT) {
+        history.undo.shift();
+      }
+    }
+    history.redo = [];
+    history.blockKind = kind;
+    history.lastEditAt = now;
+  }
+
+  /**
+   * Put the editor back to a recorded state, caret and all
+   * @param {Object} entry - History entry with content and selection
+   * @private
+   */
+  _restoreHistoryEntry(entry) {
+    const textarea = this.ui.elements.textarea;
+    this.ui.setContent(entry.content);
+    this._updateContent(textarea);
+    this._setSelection(textarea, entry.selection);
+    this.ui.scrollSelectionIntoView();
+    this.state.history.blockKind = null;
+    this._updateDirtyStatus(entry.content);
+    this._refreshMatches();
+  }
+
+  /**
+   * Replace the whole content as one undoable step, as find and replace does
+   * @param {string} content - New content
+   * @param {Object} selection - Selection to leave, with start and end
+   * @private
+   */
+  _applyEdit(content, selection) {
+    const textarea = this.ui.elements.textarea;
+    this.ui.setContent(content);
+    this._updateContent(textarea);
+    this._setSelection(textarea, selection);
+    this.ui.scrollSelectionIntoView();
+    this.state.history.blockKind = null;
+    this._recordHistory(content, null);
+    this._updateDirtyStatus(content);
+  }
+
+  /**
+   * Compare the content with the saved file and show whether it has changed
+   * @param {string} content - Current content
+   * @private
+   */
+  _updateDirtyStatus(content) {
+    this.state.isDirty = content !== this.state.originalContent;
+    this.ui.updateDirtyStatus(this.state.isDirty);
+  }
+
+  /**
+   * Build the regular expression for the find bar's query and options
+   * @returns {RegExp|null} Global pattern, or null if there is no query
+   * @throws {SyntaxError} If the query is an invalid regular expression
+   * @private
+   */
+  _searchPattern() {
+    const { query, regex, caseSensitive, wholeWord } = this.state.find;
+    if (query === "") return null;
+    let source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    if (wholeWord) source = `(?<!\\w)(?:${source})(?!\\w)`;
+    return new RegExp(source, caseSensitive ? "gm" : "gim");
+  }
+
+  /**
+   * Find every match of the query in the content and show the count.
+   * Empty matches, such as a bare '^', are skipped.
+   * @private
+   */
+  _refreshMatches() {
+    const find = this.state.find;
+    find.matches = [];
+    find.current = -1;
+    find.error = null;
+    if (find.isOpen) {
+      try {
+        const pattern = this._searchPattern();
+        const content = this.ui.elements.textarea.textContent || "";
+        if (pattern) {
+          for (const match of content.matchAll(pattern)) {
+            if (match[0] !== "") find.matches.push({ start: match.index, end: match.index + match[0].length, match });
+          }
+        }
+      } catch (e) {
+        find.error = "Invalid pattern";
+      }
+    }
+    this._showFindStatus();
+  }
+
+  /**
+   * Show the match count, or a problem with the query, in the find bar
+   * @private
+   */
+  _showFindStatus() {
+    const { query, matches, current, error } = this.state.find;
+    let status = "";
+    if (error) {
+      status = error;
+    } else if (query !== "") {
+      if (matches.length === 0) status = "No matches";
+      else if (current >= 0) status = `${current + 1} of ${matches.length}`;
+      else status = `${matches.length} match${matches.length === 1 ? "" : "es"}`;
+    }
+    this.ui.updateFindStatus(status, Boolean(error));
+  }
+
+  /**
+   * Select a match in the text and scroll to it
+   * @param {number} index - Index into the match list
+   * @private
+   */
+  _selectMatch(index) {
+    const find = this.state.find;
+    find.current = index;
+    this._setSelection(this.ui.elements.textarea, find.matches[index]);
+    this.ui.scrollSelectionIntoView();
+    this._showFindStatus();
+  }
+
+  /**
+   * Move to the next or previous match, wrapping around the ends. With no
+   * match selected yet, searching starts from the caret.
+   * @param {number} direction - 1 for the next match, -1 for the previous one
+   * @private
+   */
+  _findNext(direction) {
+    const find = this.state.find;
+    if (!find.isOpen || find.matches.length === 0) return;
+    const count = find.matches.length;
+    if (find.current >= 0) {
+      this._selectMatch((find.current + direction + count) % count);
+      return;
     }
+    const caret = this._getSelection(this.ui.elements.textarea).start;
+    let index = find.matches.findIndex((match) => match.start >= caret);
+    if (direction < 0) index = (index === -1 ? count : index) - 1;
+    this._selectMatch((index + count) % count);
+  }
+
+  /**
+   * Work out the text that replaces a match. In regex mode the
+   * replacement may use $1, $<name>, $& and the other patterns that
+   * String.replace understands.
+   * @param {RegExpMatchArray} match - The match, from matchAll
+   * @returns {string} Replacement text
+   * @private
+   */
+  _expandReplacement(match) {
+    const { regex, replacement } = this.state.find;
+    if (!regex) return replacement;
+    const groupCount = match.length - 1;
+    return replacement.replace(/\$(\$|&|`|'|<([^>]*)>|(\d\d?))/g, (token, code, name, digits) => {
+      if (code === "$") return "$";
+      if (code === "&") return match[0];
+      if (code === "`") return match.input.slice(0, match.index);
+      if (code === "'") return match.input.slice(match.index + match[0].length);
+      if (name !== undefined) return match.groups ? match.groups[name] ?? "" : token;
+      let number = parseInt(digits, 10);
+      let suffix = "";
+      if (digits.length === 2 && number > groupCount) {
+        number = parseInt(digits[0], 10);
+        suffix = digits[1];
+      }
+      if (number < 1 || number > groupCount) return token;
+      return (match[number] ?? "") + suffix;
+    });
   }
 
+
   /**
    * Determine file mode based on extension
    * @param {string} filePath - File path
@@ -251,13 +539,160 @@ window.EditorManager = class EditorManager extends App {
     const { Utils } = this.dependencies;
     if (!filePath) return "text";
     const extension = Utils.getFileExtension(filePath);
-    const codeExtensions = ["js", "sh", "css", "json"];
+    const codeExtensions = ["js", "sh", "css", "json", "bas"];
     if (extension === "md") return "markdown";
     if (extension === "html") return "html";
     if (codeExtensions.includes(extension)) return "code";
     return "text";
   }
 
+  /**
+   * Pick the syntax highlighter for a file from its extension
+   * @param {string} filePath - File path
+   * @returns {EditorSyntax|null} Highlighter, or null for files without a grammar
+   * @private
+   */
+  _getHighlighter(filePath) {
+    const { Utils, EditorSyntax } = this.dependencies;
+    if (!filePath || !EditorSyntax) return null;
+    return EditorSyntax.forExtension(Utils.getFileExtension(filePath));
+  }
+
+  /**
+   * Pick the live checker for a file from its extension
+   * @param {string} filePath - File path
+   * @returns {EditorLinter|null} Linter, or null for files that aren't checked
+   * @private
+   */
+  _getLinter(filePath) {
+    const { Utils, EditorLinter } = this.dependencies;
+    if (!filePath || !EditorLinter) return null;
+    return EditorLinter.forExtension(Utils.getFileExtension(filePath), this.dependencies);
+  }
+
+  /**
+   * Work out how the file would be run: shell scripts with 'run', BASIC
+   * programs with the interpreter and adventure files with 'adventure'
+   * @param {string} content - Current content
+   * @returns {string|null} 'run', 'basic' or 'adventure', or null if the file can't be run
+   * @private
+   */
+  _getRunner(content) {
+    const { Utils } = this.dependencies;
+    if (!this.state.currentFilePath) return null;
+    switch (Utils.getFileExtension(this.state.currentFilePath)) {
+      case "sh":
+        return "run";
+      case "bas":
+        return "basic";
+      case "json":
+        try {
+          const data = JSON.parse(content);
+          return data && typeof data.rooms === "object" && data.startingRoomId ? "adventure" : null;
+        } catch (e) {
+          return null;
+        }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Run a saved shell script as 'run' would, showing what it prints
+   * @param {string} content - The script
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runScript(content) {
+    const { CommandExecutor, Utils } = this.dependencies;
+    const lines = content.split("\n");
+    for (const line of lines) {
+      const sanitized = Utils.sanitizeForExecution(line, { context: "script" });
+      if (!sanitized.isValid) {
+        this.ui.appendRunOutput(`run: security error in script: ${sanitized.error}\n`, true);
+        return;
+      }
+    }
+    let result;
+    try {
+      result = await CommandExecutor.executeScript(lines, {
+        isInteractive: false,
+        captureOutput: true,
+        job: this.runJob,
+      });
+    } catch (e) {
+      // The step limit of a runaway script is thrown, as 'run' expects.
+      if (this.isActive) this.ui.appendRunOutput(`run: ${e.message}\n`, true);
+      return;
+    }
+    if (!this.isActive) return;
+    const output = typeof result.data === "string" ? result.data : "";
+    if (output) this.ui.appendRunOutput(`${output}\n`);
+    if (this.runJob.abortController.signal.aborted) {
+      this.ui.appendRunOutput("Stopped.\n", true);
+    } else if (!result.success) {
+      this.ui.appendRunOutput(`run: ${result.error.message}\n`, true);
+    }
+  }
+
+  /**
+   * Run a saved BASIC program, showing what it prints. INPUT asks in a
+   * dialog; the SCREEN grid isn't shown, though BSAVE still saves it.
+   * @param {string} content - The program
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _runBasic(content) {
+    const { Basic_interp, ModalManager } = this.dependencies;
+    if (!Basic_interp) {
+      this.ui.appendRunOutput("basic: The BASIC interpreter is not loaded.\n", true);
+      return;
+    }
+
+    let currentLine = "";
+    const interpreter = new Basic_interp(this.dependencies);
+    this.runJob.abortController.signal.addEventListener("abort", () => interpreter.stop(), { once: true });
+    try {
+      await interpreter.run(content, {
+        outputCallback: (text, withNewline = true) => {
+          if (!this.isActive) return;
+          this.ui.appendRunOutput(withNewline ? `${text}\n` : text);
+          currentLine = withNewline ? "" : currentLine + text;
+        },
+        inputCallback: async () => {
+          const answer = await new Promise((resolve) => {
+            ModalManager.request({
+              context: "graphical",
+              type: "input",
+              messageLines: [currentLine.trim() || "INPUT"],
+              onConfirm: (value) => resolve(value),
+              onCancel: () => resolve(""),
+            });
+          });
+          if (this.isActive) this.ui.appendRunOutput(`${answer}\n`);
+          currentLine = "";
+          return answer;
+        },
+        pokeCallback: (_x, _y, _char, _color) => {},
+      });
+    } catch (e) {
+      if (this.isActive) this.ui.appendRunOutput(`RUNTIME ERROR: ${e.message}\n`, true);
+    }
+    if (this.isActive && this.runJob.abortController.signal.aborted) {
+      this.ui.appendRunOutput("Stopped.\n", true);
+    }
+  }
+
+  /**
+   * Stop the program or script started with F5, if one is running
+   * @private
+   */
+  _stopRun() {
+    if (this.runJob && !this.runJob.abortController.signal.aborted) {
+      this.runJob.abortController.abort("Stopped from the editor.");
+    }
+  }
+
   /**
    * Create callback functions for UI interactions
    * @returns {Object} Callback functions
@@ -265,12 +700,12 @@ window.EditorManager = class EditorManager extends App {
    */
   _createCallbacks() {
     return {
-      onContentChange: (element) => {
+      onContentChange: (element, inputType) => {
         const newContent = element.textContent || "";
-        this.state.isDirty = newContent !== this.state.originalContent;
-        this.ui.updateDirtyStatus(this.state.isDirty);
-        this._debouncedPushUndo(newContent);
+        this._updateDirtyStatus(newContent);
         this._updateContent(element);
+        this._recordHistory(newContent, this._editKind(inputType));
+        this._refreshMatches();
       },
       onSaveRequest: async () => {
         const { ModalManager, FileSystemManager, UserManager } = this.dependencies;
@@ -292,7 +727,10 @@ window.EditorManager = class EditorManager extends App {
           }
           this.state.currentFilePath = savePath;
           this.state.fileMode = this._getFileMode(savePath);
+          this.highlighter = this._getHighlighter(savePath);
+          this.linter = this._getLinter(savePath);
           this.ui.updateWindowTitle(savePath);
+          this._updateContent(this.ui.elements.textarea);
         }
 
         const currentContent = this.ui.elements.textarea.textContent || "";
@@ -321,6 +759,54 @@ window.EditorManager = class EditorManager extends App {
         }
       },
       onExitRequest: this.exit.bind(this),
+      onRunRequest: async () => {
+        const { CommandExecutor } = this.dependencies;
+        if (this.state.isRunning) return;
+        const runner = this._getRunner(this.ui.elements.textarea.textContent || "");
+        if (!runner) {
+          this.ui.updateStatusMessage("Only .sh, .bas and adventure .json files can be run.");
+          return;
+        }
+        if (this.state.isDirty) {
+          await this.callbacks.onSaveRequest();
+          if (this.state.isDirty) return;
+        }
+        const filePath = this.state.currentFilePath;
+        if (runner === "adventure") {
+          // The adventure takes over the screen, so the editor steps aside.
+          await CommandExecutor.runCommand("adventure", [filePath], { isInteractive: false });
+          return;
+        }
+
+        const content = this.ui.elements.textarea.textContent || "";
+        // Shaped like a shell job, so scripts and BASIC both notice a stop.
+        this.runJob = { abortController: new AbortController(), status: "running" };
+        this.state.isRunning = true;
+        this.state.isRunPaneOpen = true;
+        this.ui.showRunPane(runner === "run" ? `$ run ${filePath}` : `RUN ${filePath}`);
+        try {
+          if (runner === "run") {
+            await this._runScript(content);
+          } else {
+            await this._runBasic(content);
+          }
+        } finally {
+          this.runJob = null;
+          if (this.isActive) {
+            this.state.isRunning = false;
+            this.ui.setRunning(false);
+          }
+        }
+      },
+      onStopRunRequest: () => {
+        this._stopRun();
+      },
+      onCloseRunPane: () => {
+        this._stopRun();
+        this.state.isRunPaneOpen = false;
+        this.ui.hideRunPane();
+        this.ui.elements.textarea.focus();
+      },
       onTogglePreview: () => {
         const modes = ["split", "edit", "preview"];
         this.state.viewMode =
@@ -334,20 +820,111 @@ window.EditorManager = class EditorManager extends App {
         );
       },
       onUndo: () => {
-        if (this.state.undoStack.length > 1) {
-          this.state.redoStack.push(this.state.undoStack.pop());
-          const content = this.state.undoStack[this.state.undoStack.length - 1];
-          this.ui.setContent(content);
-          this._updateContent(this.ui.elements.textarea);
+        const { undo, redo } = this.state.history;
+        if (undo.length > 1) {
+          redo.push(undo.pop());
+          this._restoreHistoryEntry(undo[undo.length - 1]);
         }
       },
       onRedo: () => {
-        if (this.state.redoStack.length > 0) {
-          const nextState = this.state.redoStack.pop();
-          this.state.undoStack.push(nextState);
-          this.ui.setContent(nextState);
-          this._updateContent(this.ui.elements.textarea);
+        const { undo, redo } = this.state.history;
+        if (redo.length > 0) {
+          const entry = redo.pop();
+          undo.push(entry);
+          this._restoreHistoryEntry(entry);
+        }
+      },
+      onOpenFind: (withReplace) => {
+        const find = this.state.find;
+        const textarea = this.ui.elements.textarea;
+        const selection = this._getSelection(textarea);
+        const selected = (textarea.textContent || "").slice(selection.start, selection.end);
+        if (selected !== "" && !selected.includes("\n")) {
+          find.query = selected;
+        }
+        find.isOpen = true;
+        this.ui.showFindBar(find, withReplace);
+        this._refreshMatches();
+      },
+      onCloseFind: () => {
+        this.state.find.isOpen = false;
+        this.ui.hideFindBar();
+        this._refreshMatches();
+        this.ui.elements.textarea.focus();
+      },
+      onFindChange: (query, replacement) => {
+        const find = this.state.find;
+        const queryChanged = query !== find.query;
+        find.replacement = replacement;
+        if (queryChanged) {
+          find.query = query;
+          this._refreshMatches();
+        }
+      },
+      onFindOptionToggle: (option) => {
+        const find = this.state.find;
+        find[option] = !find[option];
+        this.ui.setFindOption(option, find[option]);
+        this._refreshMatches();
+      },
+      onFindNext: (direction) => this._findNext(direction),
+      onReplace: () => {
+        const find = this.state.find;
+        if (find.current < 0) {
+          this._findNext(1);
+          return;
+        }
+        const { start, end, match } = find.matches[find.current];
+        const content = this.ui.elements.textarea.textContent || "";
+        const replacement = this._expandReplacement(match);
+        const caret = start + replacement.length;
+        this._applyEdit(content.slice(0, start) + replacement + content.slice(end), { start: caret, end: caret });
+        this._refreshMatches();
+        if (find.matches.length > 0) {
+          const next = find.matches.findIndex((m) => m.start >= caret);
+          this._selectMatch(next === -1 ? 0 : next);
+        }
+      },
+      onReplaceAll: () => {
+        const find = this.state.find;
+        if (find.matches.length === 0) return;
+        const content = this.ui.elements.textarea.textContent || "";
+        const count = find.matches.length;
+        const parts = [];
+        let position = 0;
+        for (const { start, end, match } of find.matches) {
+          parts.push(content.slice(position, start), this._expandReplacement(match));
+          position = end;
+        }
+        parts.push(content.slice(position));
+        this._applyEdit(parts.join(""), { start: 0, end: 0 });
+        this._refreshMatches();
+        this.ui.updateStatusMessage(`Replaced ${count} occurrence${count === 1 ? "" : "s"}.`);
+      },
+      onGoToLine: async () => {
+        const { ModalManager } = this.dependencies;
+        const textarea = this.ui.elements.textarea;
+        const lines = (textarea.textContent || "").split("\n");
+        const answer = await new Promise((resolve) => {
+          ModalManager.request({
+            context: "graphical",
+            type: "input",
+            messageLines: [`Go to Line (1-${lines.length})`],
+            placeholder: "Line number",
+            onConfirm: (value) => resolve(value),
+            onCancel: () => resolve(null),
+          });
+        });
+        if (answer === null || !this.isActive) return;
+        const lineNumber = parseInt(answer, 10);
+        if (!/^\s*\d+\s*$/.test(answer) || lineNumber < 1 || lineNumber > lines.length) {
+          this.ui.updateStatusMessage(`Invalid line number: ${answer}`);
+          return;
         }
+        const offset = lines.slice(0, lineNumber - 1).reduce((total, line) => total + line.length + 1, 0);
+        textarea.focus();
+        this._setSelection(textarea, { start: offset, end: offset });
+        this.ui.scrollSelectionIntoView();
       },
       onWordWrapToggle: () => {
         const { StorageManager, Config } = this.dependencies;
@@ -0,0 +1,317 @@
+// scripts/apps/editor/editor_syntax.js
+
+/**
+ * Syntax highlighting for the editor. Grammars are registered against file
+ * extensions; each is a set of states holding ordered token rules, so
+ * constructs such as block comments can carry on over several lines.
+ * Highlighting works a line at a time and only the lines that changed are
+ * re-rendered, which keeps large files responsive.
+ * @class EditorSyntax
+ */
+window.EditorSyntax = class EditorSyntax {
+  /** @type {Map<string, Object>} Registered grammars by name */
+  static grammars = new Map();
+
+  /** @type {Map<string, string>} Grammar name for each file extension */
+  static extensions = new Map();
+
+  /** @type {number} Highlighted lines remembered before the cache is emptied */
+  static CACHE_LIMIT = 10000;
+
+  /**
+   * Register a grammar
+   * @param {string} name - Grammar name, such as 'json'
+   * @param {string[]} extensions - File extensions it highlights, without the dot
+   * @param {Object} grammar - The grammar
+   * @param {Object<string, Array<{token: string|null, match: RegExp, next?: string}>>} grammar.states -
+   * Token rules for each state, tried in order. The line starts in 'start'; a rule
+   * with 'next' switches state after it matches, and the state carries on to the
+   * following line. A null token leaves the text unstyled.
+   */
+  static register(name, extensions, grammar) {
+    const states = {};
+    for (const [state, rules] of Object.entries(grammar.states)) {
+      states[state] = rules.map((rule) => ({
+        ...rule,
+        match: new RegExp(rule.match.source, rule.match.flags.replace(/[gy]/g, "") + "y"),
+      }));
+    }
+    EditorSyntax.grammars.set(name, { ...grammar, name, states });
+    extensions.forEach((extension) => EditorSyntax.extensions.set(extension, name));
+  }
+
+  /**
+   * Make a highlighter for a file, based on its extension
+   * @param {string|null} extension - File extension, without the dot
+   * @returns {EditorSyntax|null} A highlighter, or null if no grammar covers the extension
+   */
+  static forExtension(extension) {
+    const name = EditorSyntax.extensions.get(extension);
+    return name ? new EditorSyntax(EditorSyntax.grammars.get(name)) : null;
+  }
+
+  /**
+   * Create a highlighter for one editor
+   * @param {Object} grammar - A registered grammar
+   */
+  constructor(grammar) {
+    /** @type {Object} The grammar in use */
+    this.grammar = grammar;
+    /** @type {Map<string, {html: string, endState: string}>} Highlighted lines by start state and text */
+    this.cache = new Map();
+    /** @type {WeakMap<Node, string>} What each rendered line element shows, to spot the ones that changed */
+    this.renderedKeys = new WeakMap();
+  }
+
+  /**
+   * Escape text for HTML
+   * @private
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  _escape(text) {
+    return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Highlight one line
+   * @private
+   * @param {string} text - Line text
+   * @param {string} state - State at the start of the line
+   * @returns {{html: string, endState: string}} Highlighted HTML and the state at the end of the line
+   */
+  _tokenizeLine(text, state) {
+    let html = "";
+    let plain = "";
+    let pos = 0;
+    while (pos < text.length) {
+      let matched = null;
+      for (const rule of this.grammar.states[state]) {
+        rule.match.lastIndex = pos;
+        const match = rule.match.exec(text);
+        if (match && match[0] !== "") {
+          matched = { rule, text: match[0] };
+          break;
+        }
+      }
+      if (!matched) {
+        plain += text[pos++];
+        continue;
+      }
+      html += this._escape(plain);
+      plain = "";
+      const escaped = this._escape(matched.text);
+      html += matched.rule.token ? `<span class="tok-${matched.rule.token}">${escaped}</span>` : escaped;
+      pos += matched.text.length;
+      if (matched.rule.next) state = matched.rule.next;
+    }
+    return { html: html + this._escape(plain), endState: state };
+  }
+
+  /**
+   * Highlight text into an element, one child element per line. Lines
+   * whose text, starting state and diagnostic are unchanged since the last
+   * render are left alone; everything between the first and last changed
+   * line (including whatever the browser inserted while editing) is
+   * replaced.
+   * @param {HTMLElement} element - The editable element
+   * @param {string} text - Its text
+   * @param {Map<number, {message: string, severity: string}>} [diagnostics] -
+   * Problems to mark, by zero-based line number
+   */
+  render(element, text, diagnostics = new Map()) {
+    const lines = text.split("\n");
+    if (this.cache.size > EditorSyntax.CACHE_LIMIT) this.cache.clear();
+
+    let state = "start";
+    const wanted = lines.map((line, i) => {
+      const cacheKey = `${state}\u0000${line}`;
+      let highlighted = this.cache.get(cacheKey);
+      if (!highlighted) {
+        highlighted = this._tokenizeLine(line, state);
+        this.cache.set(cacheKey, highlighted);
+      }
+      state = highlighted.endState;
+      const diagnostic = diagnostics.get(i) || null;
+      return {
+        key: diagnostic ? `${cacheKey}\u0000${diagnostic.severity}\u0000${diagnostic.message}` : cacheKey,
+        text: i < lines.length - 1 ? `${line}\n` : line,
+        html: highlighted.html,
+        diagnostic,
+      };
+    });
+
+    const children = Array.from(element.childNodes);
+    const isCurrent = (node, line) =>
+        node.nodeType === Node.ELEMENT_NODE &&
+        this.renderedKeys.get(node) === line.key &&
+        node.textContent === line.text;
+    const limit = Math.min(children.length, wanted.length);
+    let prefix = 0;
+    while (prefix < limit && isCurrent(children[prefix], wanted[prefix])) prefix++;
+    let suffix = 0;
+    while (
+      suffix < limit - prefix &&
+      isCurrent(children[children.length - 1 - suffix], wanted[wanted.length - 1 - suffix])
+    ) {
+      suffix++;
+    }
+
+    const changed = wanted.slice(prefix, wanted.length - suffix);
+    const html = changed
+        .map(({ text: lineText, html: lineHtml, diagnostic }) => {
+          const newline = lineText.endsWith("\n") ? "\n" : "";
+          const marked = diagnostic
+              ? ` editor-line--${diagnostic.severity}" title="${this._escape(diagnostic.message)}`
+              : "";
+          return `<span class="editor-line${marked}">${lineHtml}${newline}</span>`;
+        })
+        .join("");
+    const fragment = DOMPurify.sanitize(html, { RETURN_DOM_FRAGMENT: true });
+    Array.from(fragment.children).forEach((node, i) => this.renderedKeys.set(node, changed[i].key));
+
+    children.slice(prefix, children.length - suffix).forEach((node) => node.remove());
+    element.insertBefore(fragment, children[children.length - suffix] || null);
+  }
+};
+
+
+EditorSyntax.register("javascript", ["js"], {
+  states: {
+    start: [
+      { token: "comment", match: /\/\/.*/ },
+      { token: "comment", match: /\/\*/, next: "comment" },
+      { token: "string", match: /"(?:[^"\\]|\\.)*"?|'(?:[^'\\]|\\.)*'?/ },
+      { token: "string", match: /`/, next: "template" },
+      { token: "keyword", match: /\b(?:new|if|else|do|while|switch|case|default|for|in|of|continue|break|return|throw|try|catch|finally|typeof|instanceof|function|var|const|let|async|await|class|extends|static|this|super|import|export|from|true|false|null|undefined)\b/ },
+      { token: "number", match: /\b(?:0[xX][\da-fA-F]+|\d+\.?\d*(?:[eE][+-]?\d+)?)\b/ },
+      { token: "function", match: /[A-Za-z_$][\w$]*(?=\s*\()/ },
+      { token: null, match: /[A-Za-z_$][\w$]*/ },
+    ],
+    comment: [
+      { token: "comment", match: /[\s\S]*?\*\//, next: "start" },
+      { token: "comment", match: /.+/ },
+    ],
+    template: [
+      { token: "string", match: /(?:[^`\\$]|\\.|\$(?!\{))+/ },
+      { token: "variable", match: /\$\{[^}]*\}/ },
+      { token: "string", match: /`/, next: "start" },
+    ],
+  },
+});
+
+EditorSyntax.register("shell", ["sh"], {
+  states: {
+    start: [
+      { token: "comment", match: /(?<![^\s;|&])#.*/ },
+      { token: "string", match: /'[^']*'?/ },
+      { token: "string", match: /"/, next: "dstring" },
+      { token: "variable", match: /\$\{[^}]*\}?|\$[A-Za-z_]\w*|\$[0-9?#@*$!-]/ },
+      { token: "operator", match: /\d?>>|&>|\d?>&\d|\d?>|<|\|\||&&|\||;;|;|&/ },
+      { token: "keyword", match: /(?<![\w.\/-])(?:if|then|elif|else|fi|for|in|do|done|while|until|case|esac|function|return|exit|break|continue|local|export|unset|set|source)(?![\w.\/-])/ },
+      { token: "number", match: /(?<![\w.\/-])\d+(?![\w.\/-])/ },
+      { token: null, match: /[\w.\/-]+/ },
+    ],
+    dstring: [
+      { token: "variable", match: /\$\{[^}]*\}?|\$[A-Za-z_]\w*|\$[0-9?#@*$!-]/ },
+      { token: "string", match: /(?:[^"\\$]|\\.)+|\$/ },
+      { token: "string", match: /"/, next: "start" },
+    ],
+  },
+});
+
+EditorSyntax.register("basic", ["bas"], {
+  states: {
+    start: [
+      { token: "comment", match: /'.*|\bREM\b.*/i },
+      { token: "number", match: /^\s*\d+/ },
+      { token: "string", match: /"[^"]*"?/ },
+      { token: "keyword", match: /\b(?:AND|BSAVE|CALL|CIRCLE|CLS|COLOR|DATA|DIM|DO|ELSE|ELSEIF|END|ENDIF|EXIT|FOR|FUNCTION|GOSUB|GOTO|IF|INPUT|LET|LINE|LOCATE|LOOP|MOD|NEXT|NOT|ON|OR|PAINT|PLAY|PRINT|PSET|READ|RESTORE|RETURN|SCREEN|SHARED|SOUND|STEP|STOP|SUB|THEN|TO|TROFF|TRON|UNTIL|WEND|WHILE|XOR)\b/i },
+      { token: "function", match: /\b(?:ABS|ASC|ATN|CHR\$|COS|EXP|INKEY\$|INSTR|INT|LEFT\$|LEN|LOG|MID\$|RIGHT\$|RND|SGN|SIN|SQR|STR\$|TAN|VAL|SYS_\w+\$?)/i },
+      { token: "number", match: /\b\d+\.?\d*(?:E[+-]?\d+)?|\.\d+/i },
+      { token: "variable", match: /[A-Za-z_]\w*\$?/ },
+      { token: "operator", match: /<>|<=|>=|[-+*\/\\^=<>]/ },
+    ],
+  },
+});
+
+EditorSyntax.register("json", ["json"], {
+  states: {
+    start: [
+      { token: "property", match: /"(?:[^"\\]|\\.)*"(?=\s*:)/ },
+      { token: "string", match: /"(?:[^"\\]|\\.)*"?/ },
+      { token: "number", match: /-?\d+\.?\d*(?:[eE][+-]?\d+)?/ },
+      { token: "keyword", match: /\b(?:true|false|null)\b/ },
+    ],
+  },
+});
+
+EditorSyntax.register("css", ["css"], {
+  states: {
+    start: [
+      { token: "comment", match: /\/\*/, next: "comment" },
+      { token: "keyword", match: /@[\w-]+/ },
+      { token: "string", match: /"[^"]*"?|'[^']*'?/ },
+      { token: null, match: /\{/, next: "block" },
+      { token: "attribute", match: /::?[\w-]+/ },
+      { token: "tag", match: /[.#]?[\w-]+/ },
+    ],
+    block: [
+      { token: "comment", match: /\/\*/, next: "blockComment" },
+      { token: null, match: /\}/, next: "start" },
+      { token: "property", match: /[\w-]+(?=\s*:)/ },
+      { token: "string", match: /"[^"]*"?|'[^']*'?/ },
+      { token: "keyword", match: /!important\b/ },
+      { token: "number", match: /#[\da-fA-F]{3,8}\b|-?\d*\.?\d+(?:%|[a-z]+)?/ },
+      { token: "function", match: /[\w-]+(?=\()/ },
+      { token: null, match: /[\w-]+/ },
+    ],
+    comment: [
+      { token: "comment", match: /[\s\S]*?\*\//, next: "start" },
+      { token: "comment", match: /.+/ },
+    ],
+    blockComment: [
+      { token: "comment", match: /[\s\S]*?\*\//, next: "block" },
+      { token: "comment", match: /.+/ },
+    ],
+  },
+});
+
+EditorSyntax.register("html", ["html", "htm"], {
+  states: {
+    start: [
+      { token: "comment", match: /<!--/, next: "comment" },
+      { token: "keyword", match: /<!DOCTYPE[^>]*>/i },
+      { token: "tag", match: /<\/?[A-Za-z][\w-]*/, next: "tag" },
+      { token: "variable", match: /&#?\w+;/ },
+    ],
+    tag: [
+      { token: "tag", match: /\/?>/, next: "start" },
+      { token: "string", match: /"[^"]*"?|'[^']*'?/ },
+      { token: "attribute", match: /[\w:-]+/ },
+    ],
+    comment: [
+      { token: "comment", match: /[\s\S]*?-->/, next: "start" },
+      { token: "comment", match: /.+/ },
+    ],
+  },
+});
+
+EditorSyntax.register("markdown", ["md"], {
+  states: {
+    start: [
+      { token: "code", match: /^\s*(?:```|~~~).*/, next: "fence" },
+      { token: "heading", match: /^#{1,6}\s.*/ },
+      { token: "comment", match: /^\s*>.*/ },
+      { token: "keyword", match: /^\s*(?:[-*+]|\d+\.)(?=\s)/ },
+      { token: "code", match: /`[^`]+`/ },
+      { token: "strong", match: /\*\*[^*]+\*\*|__[^_]+__/ },
+      { token: "emphasis", match: /\*[^*\s][^*]*\*|\b_[^_\s][^_]*_\b/ },
+      { token: "link", match: /!?\[[^\]]*\]\([^)]*\)/ },
+    ],
+    fence: [
+      { token: "code", match: /^\s*(?:```|~~~)\s*$/, next: "start" },
+      { token: "code", match: /.+/ },
+    ],
+  },
+});
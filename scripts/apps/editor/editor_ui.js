@@ -54,6 +54,8 @@ window.EditorUI = class EditorUI {
     this.elements.undoBtn = UIComponents.createButton({ icon: "↩", text: "Undo", onClick: () => this.managerCallbacks.onUndo() });
     this.elements.redoBtn = UIComponents.createButton({ icon: "↪", text: "Redo", onClick: () => this.managerCallbacks.onRedo() });
     this.elements.wordWrapBtn = UIComponents.createButton({ text: "Wrap", onClick: () => this.managerCallbacks.onWordWrapToggle() });
+    this.elements.findBtn = UIComponents.createButton({ icon: "🔍", text: "Find", onClick: () => this.managerCallbacks.onOpenFind(true) });
+    this.elements.runBtn = UIComponents.createButton({ icon: "▶", text: "Run", title: "Save and run (F5); stop with Shift+F5", onClick: () => this.managerCallbacks.onRunRequest() });
 
     const toolbarGroup = Utils.createElement(
         "div",
@@ -61,6 +63,8 @@ window.EditorUI = class EditorUI {
         [
           this.elements.previewBtn,
           this.elements.wordWrapBtn,
+          this.elements.findBtn,
+          this.elements.runBtn,
           this.elements.undoBtn,
           this.elements.redoBtn,
           this.elements.saveBtn,
@@ -93,11 +97,12 @@ window.EditorUI = class EditorUI {
         [this.elements.textarea, this.elements.preview]
     );
 
-    this.elements.main.append(this.elements.titleInput, toolbar, editorMainContent);
+    this.elements.main.append(this.elements.titleInput, toolbar, this._buildFindBar(), editorMainContent, this._buildRunPane());
 
     this.elements.dirtyStatus = Utils.createElement("span", { id: "editor-dirty-status" });
+    this.elements.lintStatus = Utils.createElement("span", { className: "editor-lint-status" });
     this.elements.statusMessage = Utils.createElement("span", { id: "editor-status-message" });
-    this.elements.footer.append(this.elements.dirtyStatus, this.elements.statusMessage);
+    this.elements.footer.append(this.elements.dirtyStatus, this.elements.lintStatus, this.elements.statusMessage);
 
     this._addEventListeners();
     this.updateDirtyStatus(initialState.isDirty);
@@ -112,6 +117,223 @@ window.EditorUI = class EditorUI {
     this.elements.textarea.focus();
   }
 
+  /**
+   * Builds the find and replace bar, hidden until Ctrl+F or Ctrl+H.
+   * @returns {HTMLElement} The bar.
+   * @private
+   */
+  _buildFindBar() {
+    const { Utils, UIComponents } = this.dependencies;
+    const onChange = () =>
+        this.managerCallbacks.onFindChange(this.elements.findInput.value, this.elements.replaceInput.value);
+    const textBox = (placeholder) =>
+        Utils.createElement("input", {
+          className: "editor-find-input",
+          type: "text",
+          spellcheck: "false",
+          autocapitalize: "none",
+          placeholder,
+          eventListeners: { input: onChange },
+        });
+    const toggle = (option, text, title) =>
+        UIComponents.createButton({ text, title, classes: ["editor-find-toggle"], onClick: () => this.managerCallbacks.onFindOptionToggle(option) });
+
+    this.elements.findInput = textBox("Find");
+    this.elements.replaceInput = textBox("Replace");
+    this.elements.findToggles = {
+      regex: toggle("regex", ".*", "Regular expression"),
+      caseSensitive: toggle("caseSensitive", "Aa", "Match case"),
+      wholeWord: toggle("wholeWord", "W", "Whole word"),
+    };
+    this.elements.findStatus = Utils.createElement("span", { className: "editor-find-status" });
+
+    this.elements.findInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this.managerCallbacks.onFindNext(e.shiftKey ? -1 : 1);
+      }
+    });
+    this.elements.replaceInput.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        e.ctrlKey ? this.managerCallbacks.onReplaceAll() : this.managerCallbacks.onReplace();
+      }
+    });
+
+    this.elements.findBar = Utils.createElement(
+        "div",
+        { className: "editor-find-bar hidden" },
+        Utils.createElement(
+            "div",
+            { className: "editor-find-row" },
+            this.elements.findInput,
+            Object.values(this.elements.findToggles),
+            UIComponents.createButton({ text: "▲", title: "Previous match (Shift+Enter)", onClick: () => this.managerCallbacks.onFindNext(-1) }),
+            UIComponents.createButton({ text: "▼", title: "Next match (Enter)", onClick: () => this.managerCallbacks.onFindNext(1) }),
+            this.elements.findStatus
+        ),
+        Utils.createElement(
+            "div",
+            { className: "editor-find-row" },
+            this.elements.replaceInput,
+            UIComponents.createButton({ text: "Replace", title: "Replace this match (Enter)", onClick: () => this.managerCallbacks.onReplace() }),
+            UIComponents.createButton({ text: "Replace All", title: "Replace every match (Ctrl+Enter)", onClick: () => this.managerCallbacks.onReplaceAll() }),
+            UIComponents.createButton({ text: "×", title: "Close (Esc)", onClick: () => this.managerCallbacks.onCloseFind() })
+        )
+    );
+    return this.elements.findBar;
+  }
+
+  /**
+   * Opens the find bar, filled in from the current search.
+   * @param {object} find - The manager's search state.
+   * @param {boolean} focusReplace - Whether to put the cursor in the replace box rather than the find box.
+   */
+  showFindBar(find, focusReplace) {
+    if (!this.elements.findBar) return;
+    this.elements.findInput.value = find.query;
+    this.elements.replaceInput.value = find.replacement;
+    Object.keys(this.elements.findToggles).forEach((option) => this.setFindOption(option, find[option]));
+    this.elements.findBar.classList.remove("hidden");
+    const input = focusReplace && find.query !== "" ? this.elements.replaceInput : this.elements.findInput;
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * Closes the find bar.
+   */
+  hideFindBar() {
+    if (this.elements.findBar) {
+      this.elements.findBar.classList.add("hidden");
+    }
+  }
+
+  /**
+   * Shows whether a search option is switched on.
+   * @param {string} option - 'regex', 'caseSensitive' or 'wholeWord'.
+   * @param {boolean} enabled - Whether it is on.
+   */
+  setFindOption(option, enabled) {
+    const button = this.elements.findToggles?.[option];
+    if (button) button.classList.toggle("active", enabled);
+  }
+
+  /**
+   * Shows the match count, or a problem with the search, in the find bar.
+   * @param {string} status - Text to show.
+   * @param {boolean} isError - Whether the search itself is invalid.
+   */
+  updateFindStatus(status, isError) {
+    if (!this.elements.findStatus) return;
+    this.elements.findStatus.textContent = status;
+    this.elements.findStatus.classList.toggle("editor-find-status--error", isError);
+    this.elements.findInput.classList.toggle("editor-find-input--error", isError);
+  }
+
+  /**
+   * Builds the pane that shows the output of a run, hidden until F5.
+   * @returns {HTMLElement} The pane.
+   * @private
+   */
+  _buildRunPane() {
+    const { Utils, UIComponents } = this.dependencies;
+    this.elements.runTitle = Utils.createElement("span", { className: "editor-run-title" });
+    this.elements.runOutput = Utils.createElement("pre", { className: "editor-run-output" });
+    this.elements.runPane = Utils.createElement(
+        "div",
+        { className: "editor-run-pane hidden" },
+        Utils.createElement(
+            "div",
+            { className: "editor-run-header" },
+            this.elements.runTitle,
+            UIComponents.createButton({ text: "■", title: "Stop (Shift+F5)", onClick: () => this.managerCallbacks.onStopRunRequest() }),
+            UIComponents.createButton({ text: "×", title: "Close (Esc)", onClick: () => this.managerCallbacks.onCloseRunPane() })
+        ),
+        this.elements.runOutput
+    );
+    return this.elements.runPane;
+  }
+
+  /**
+   * Opens the run pane, emptied, for a new run.
+   * @param {string} title - What is being run.
+   */
+  showRunPane(title) {
+    if (!this.elements.runPane) return;
+    this.elements.runTitle.textContent = title;
+    this.elements.runOutput.textContent = "";
+    this.elements.runPane.classList.remove("hidden");
+    this.setRunning(true);
+  }
+
+  /**
+   * Adds text to the run pane.
+   * @param {string} text - The text, with its own line breaks.
+   * @param {boolean} [isError=false] - Whether it reports a failure.
+   */
+  appendRunOutput(text, isError = false) {
+    if (!this.elements.runOutput) return;
+    this.elements.runOutput.appendChild(
+        this.dependencies.Utils.createElement("span", { className: isError ? "editor-run-error" : "", textContent: text })
+    );
+    this.elements.runOutput.scrollTop = this.elements.runOutput.scrollHeight;
+  }
+
+  /**
+   * Closes the run pane.
+   */
+  hideRunPane() {
+    if (this.elements.runPane) {
+      this.elements.runPane.classList.add("hidden");
+    }
+  }
+
+  /**
+   * Shows whether a run is in progress.
+   * @param {boolean} isRunning - Whether the file is running.
+   */
+  setRunning(isRunning) {
+    if (this.elements.runBtn) {
+      this.elements.runBtn.disabled = isRunning;
+    }
+    this.elements.runPane?.classList.toggle("editor-run-pane--running", isRunning);
+  }
+
+  /**
+   * Shows how many problems the live checks found, listing them in the tooltip.
+   * @param {Map<number, {message: string, severity: string}>} diagnostics - Problems by zero-based line number.
+   */
+  updateLintStatus(diagnostics) {
+    const { lintStatus } = this.elements;
+    if (!lintStatus) return;
+    const problems = [...diagnostics].sort(([a], [b]) => a - b);
+    const hasErrors = problems.some(([, { severity }]) => severity === "error");
+    lintStatus.textContent = problems.length === 0
+        ? ""
+        : `${hasErrors ? "✖" : "⚠"} ${problems.length} problem${problems.length === 1 ? "" : "s"}`;
+    lintStatus.title = problems.map(([line, { message }]) => `Line ${line + 1}: ${message}`).join("\n");
+    lintStatus.classList.toggle("editor-lint-status--error", hasErrors);
+  }
+
+  /**
+   * Scrolls the editor so the selection or caret is in view.
+   */
+  scrollSelectionIntoView() {
+    const { textarea } = this.elements;
+    const selection = window.getSelection();
+    if (!textarea || selection.rangeCount === 0) return;
+    const rect = selection.getRangeAt(0).getBoundingClientRect();
+    if (rect.width === 0 && rect.height === 0) return;
+    const box = textarea.getBoundingClientRect();
+    if (rect.top < box.top || rect.bottom > box.bottom) {
+      textarea.scrollTop += rect.top - box.top - box.height / 2;
+    }
+    if (rect.left < box.left || rect.right > box.right) {
+      textarea.scrollLeft += rect.left - box.left - box.width / 2;
+    }
+  }
+
   /**
    * Renders the HTML preview of the editor content.
    * @param {string} content - The content to be rendered.
@@ -250,8 +472,17 @@ window.EditorUI = class EditorUI {
    * @private
    */
   _addEventListeners() {
-    this.elements.textarea.addEventListener("input", () => {
-      this.managerCallbacks.onContentChange(this.elements.textarea);
+    this.elements.textarea.addEventListener("input", (e) => {
+      this.managerCallbacks.onContentChange(this.elements.textarea, e.inputType);
+    });
+
+    // Re-highlighting rewrites the text, which the browser's own undo can't
+    // follow, so Edit > Undo and friends use the editor's history instead.
+    this.elements.textarea.addEventListener("beforeinput", (e) => {
+      if (e.inputType === "historyUndo" || e.inputType === "historyRedo") {
+        e.preventDefault();
+        e.inputType === "historyUndo" ? this.managerCallbacks.onUndo() : this.managerCallbacks.onRedo();
+      }
     });
 
     this.elements.textarea.addEventListener("paste", (e) => {
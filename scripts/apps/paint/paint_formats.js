@@ -0,0 +1,319 @@
+/**
+ * Paint Formats - Converts Oopis Paint pictures to and from the formats
+ * the rest of the world uses: PNG images, ANSI escape art (.ans) and plain
+ * text. Pictures are given as a grid of {char, color, background?} cells,
+ * the same shape a paint layer uses.
+ * @class PaintFormats
+ */
+window.PaintFormats = class PaintFormats {
+  /** @type {string[]} The sixteen VGA text colours, in ANSI order (normal, then bright). */
+  static ANSI_PALETTE = [
+    "#000000", "#AA0000", "#00AA00", "#AA5500", "#0000AA", "#AA00AA", "#00AAAA", "#AAAAAA",
+    "#555555", "#FF5555", "#55FF55", "#FFFF55", "#5555FF", "#FF55FF", "#55FFFF", "#FFFFFF",
+  ];
+
+  /** @type {string} The colour text takes when an ANSI file doesn't set one. */
+  static DEFAULT_FOREGROUND = "#AAAAAA";
+
+  /** @type {string} Code page 437, bytes 0x80-0xFF, the encoding most ANSI art was drawn in. */
+  static CP437_HIGH =
+      "ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»" +
+      "░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀" +
+      "αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■ ";
+
+  /**
+   * Checks whether a cell lets the layers beneath it show through.
+   * @param {object} cell - The cell to check.
+   * @returns {boolean} True for a space with no background colour.
+   */
+  static isTransparent(cell) {
+    return !cell || (cell.char === " " && !cell.background);
+  }
+
+  /**
+   * Renders a picture as plain text, one line per row. Trailing spaces and
+   * trailing empty rows are dropped.
+   * @param {Array<Array<object>>} cells - The picture's cells.
+   * @returns {string} The picture as text.
+   */
+  static toText(cells) {
+    const lines = cells.map((row) => row.map((cell) => cell.char).join("").replace(/\s+$/, ""));
+    return PaintFormats._trimTrailingLines(lines).join("\n") + "\n";
+  }
+
+  /**
+   * Renders a picture as ANSI escape art, using 24-bit colour so nothing is
+   * lost. Colour codes are only written when the colour changes.
+   * @param {Array<Array<object>>} cells - The picture's cells.
+   * @returns {string} The picture as ANSI art.
+   */
+  static toAnsi(cells) {
+    const lines = cells.map((row) => {
+      let lastUsed = row.length;
+      while (lastUsed > 0 && PaintFormats.isTransparent(row[lastUsed - 1])) lastUsed--;
+      let line = "";
+      let foreground = null;
+      let background = null;
+      for (const cell of row.slice(0, lastUsed)) {
+        const codes = [];
+        if ((cell.background || null) !== background) {
+          background = cell.background || null;
+          codes.push(background ? `48;2;${PaintFormats._hexToRgb(background).join(";")}` : "49");
+        }
+        // A plain space shows no foreground, so there's no need to switch to it.
+        if (cell.char !== " " && cell.color !== foreground) {
+          foreground = cell.color;
+          codes.push(`38;2;${PaintFormats._hexToRgb(foreground).join(";")}`);
+        }
+        if (codes.length > 0) line += `\x1b[${codes.join(";")}m`;
+        line += cell.char;
+      }
+      return foreground || background ? `${line}\x1b[0m` : line;
+    });
+    return PaintFormats._trimTrailingLines(lines).join("\n") + "\n";
+  }
+
+  /**
+   * Turns ANSI art into a grid of cells. SGR colour codes (16, 256 and
+   * 24-bit), cursor movement and the usual control characters are
+   * understood; anything drawn outside the grid is dropped.
+   * @param {string|Uint8Array} content - The ANSI file's content. Bytes that
+   * aren't UTF-8 are read as code page 437.
+   * @param {object} dimensions - The width and height of the grid to draw into.
+   * @returns {Array<Array<object>>} The picture's cells.
+   */
+  static fromAnsi(content, { width, height }) {
+    const text = PaintFormats._decode(content);
+    const cells = Array.from({ length: height }, () =>
+        Array.from({ length: width }, () => ({ char: " ", color: "#000000" }))
+    );
+    const pen = { foreground: null, background: null, bold: false, inverse: false };
+    let x = 0;
+    let y = 0;
+    let saved = { x: 0, y: 0 };
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      // SUB starts the SAUCE record that art packs append to their files.
+      if (char === "\x1a") break;
+      if (char === "\x1b" && text[i + 1] === "[") {
+        const sequence = text.slice(i + 2).match(/^([0-9;?]*)([@-~])/);
+        if (!sequence) continue;
+        i += 1 + sequence[0].length;
+        const params = sequence[1].replace("?", "").split(";").map((param) => parseInt(param, 10));
+        const count = Number.isNaN(params[0]) ? 1 : params[0];
+        switch (sequence[2]) {
+          case "m": PaintFormats._applySgr(pen, params); break;
+          case "A": y = Math.max(0, y - count); break;
+          case "B": y += count; break;
+          case "C": x = Math.min(width, x + count); break;
+          case "D": x = Math.max(0, x - count); break;
+          case "H":
+          case "f":
+            y = Math.max(0, (params[0] || 1) - 1);
+            x = Math.max(0, (params[1] || 1) - 1);
+            break;
+          case "s": saved = { x, y }; break;
+          case "u": ({ x, y } = saved); break;
+        }
+        continue;
+      }
+      if (char === "\r") { x = 0; continue; }
+      if (char === "\n") { x = 0; y++; continue; }
+      if (char === "\t") { x = Math.min(width, (Math.floor(x / 8) + 1) * 8); continue; }
+      if (char < " ") continue;
+
+      // Wrapping waits for the next character, so a full-width row followed
+      // by a newline only moves down one line.
+      if (x >= width) { x = 0; y++; }
+      if (y < height) cells[y][x] = PaintFormats._penCell(pen, char);
+      x++;
+    }
+    return cells;
+  }
+
+  /**
+   * Renders a picture as a PNG image, drawing each cell in a monospace font
+   * on a black background.
+   * @param {Array<Array<object>>} cells - The picture's cells.
+   * @param {object} [options={}] - Rendering options.
+   * @param {number} [options.fontSize=20] - The cell height in pixels.
+   * @param {string} [options.fontFamily="'VT323', monospace"] - The font to draw with.
+   * @returns {Promise<Uint8Array>} The PNG file's bytes.
+   */
+  static async toPng(cells, { fontSize = 20, fontFamily = "'VT323', monospace" } = {}) {
+    const font = `${fontSize}px ${fontFamily}`;
+    if (document.fonts) await document.fonts.load(font);
+
+    const canvas = document.createElement("canvas");
+    const context = canvas.getContext("2d");
+    context.font = font;
+    const cellWidth = Math.ceil(context.measureText("M").width);
+    const rows = cells.length;
+    const columns = rows > 0 ? cells[0].length : 0;
+    canvas.width = Math.max(1, columns * cellWidth);
+    canvas.height = Math.max(1, rows * fontSize);
+
+    // Resizing the canvas resets its drawing state.
+    context.fillStyle = "#000000";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    context.font = font;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    cells.forEach((row, y) => {
+      row.forEach((cell, x) => {
+        if (cell.background) {
+          context.fillStyle = cell.background;
+          context.fillRect(x * cellWidth, y * fontSize, cellWidth, fontSize);
+        }
+        if (cell.char !== " ") {
+          context.fillStyle = cell.color;
+          context.fillText(cell.char, x * cellWidth + cellWidth / 2, y * fontSize + fontSize / 2);
+        }
+      });
+    });
+
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+    if (!blob) throw new Error("The browser could not encode the image.");
+    return new Uint8Array(await blob.arrayBuffer());
+  }
+
+  /**
+   * Applies an SGR (Select Graphic Rendition) sequence to the pen.
+   * @private
+   * @param {object} pen - The current drawing attributes, updated in place.
+   * @param {number[]} params - The sequence's numeric parameters.
+   */
+  static _applySgr(pen, params) {
+    for (let i = 0; i < params.length; i++) {
+      const code = Number.isNaN(params[i]) ? 0 : params[i];
+      if (code === 0) {
+        Object.assign(pen, { foreground: null, background: null, bold: false, inverse: false });
+      } else if (code === 1) {
+        pen.bold = true;
+      } else if (code === 22) {
+        pen.bold = false;
+      } else if (code === 7) {
+        pen.inverse = true;
+      } else if (code === 27) {
+        pen.inverse = false;
+      } else if (code >= 30 && code <= 37) {
+        pen.foreground = code - 30;
+      } else if (code >= 90 && code <= 97) {
+        pen.foreground = code - 90 + 8;
+      } else if (code >= 40 && code <= 47) {
+        pen.background = code - 40;
+      } else if (code >= 100 && code <= 107) {
+        pen.background = code - 100 + 8;
+      } else if (code === 39) {
+        pen.foreground = null;
+      } else if (code === 49) {
+        pen.background = null;
+      } else if (code === 38 || code === 48) {
+        let color = null;
+        if (params[i + 1] === 5) {
+          color = PaintFormats._xtermColor(params[i + 2]);
+          i += 2;
+        } else if (params[i + 1] === 2) {
+          color = PaintFormats._rgbToHex(params.slice(i + 2, i + 5));
+          i += 4;
+        }
+        if (color) pen[code === 38 ? "foreground" : "background"] = color;
+      }
+    }
+  }
+
+  /**
+   * Makes the cell the pen would draw for a character.
+   * @private
+   * @param {object} pen - The current drawing attributes.
+   * @param {string} char - The character being drawn.
+   * @returns {object} The cell.
+   */
+  static _penCell(pen, char) {
+    const resolve = (color, isForeground) => {
+      if (typeof color === "string") return color;
+      if (color === null) return isForeground ? PaintFormats.DEFAULT_FOREGROUND : null;
+      // Bold brightens the eight normal colours, as it did on DOS.
+      return PaintFormats.ANSI_PALETTE[isForeground && pen.bold && color < 8 ? color + 8 : color];
+    };
+    let foreground = resolve(pen.foreground, true);
+    let background = resolve(pen.background, false);
+    if (pen.inverse) {
+      [foreground, background] = [background || "#000000", foreground];
+    }
+    return background ? { char, color: foreground, background } : { char, color: foreground };
+  }
+
+  /**
+   * Looks up a colour in the xterm 256-colour palette.
+   * @private
+   * @param {number} index - The palette index.
+   * @returns {string|null} The colour as hex, or null for a bad index.
+   */
+  static _xtermColor(index) {
+    if (!Number.isInteger(index) || index < 0 || index > 255) return null;
+    if (index < 16) return PaintFormats.ANSI_PALETTE[index];
+    if (index >= 232) {
+      const level = 8 + (index - 232) * 10;
+      return PaintFormats._rgbToHex([level, level, level]);
+    }
+    const levels = [0, 95, 135, 175, 215, 255];
+    const cube = index - 16;
+    return PaintFormats._rgbToHex([
+      levels[Math.floor(cube / 36)],
+      levels[Math.floor(cube / 6) % 6],
+      levels[cube % 6],
+    ]);
+  }
+
+  /**
+   * Converts red, green and blue values to a hex colour.
+   * @private
+   * @param {number[]} rgb - The three channel values, 0-255.
+   * @returns {string|null} The colour as '#RRGGBB', or null if a value is missing.
+   */
+  static _rgbToHex(rgb) {
+    if (rgb.length < 3 || rgb.some((value) => !Number.isInteger(value))) return null;
+    return `#${rgb.map((value) => Math.max(0, Math.min(255, value)).toString(16).padStart(2, "0")).join("").toUpperCase()}`;
+  }
+
+  /**
+   * Converts a hex colour to red, green and blue values.
+   * @private
+   * @param {string} hex - The colour as '#RRGGBB' or '#RGB'.
+   * @returns {number[]} The three channel values, 0-255.
+   */
+  static _hexToRgb(hex) {
+    let digits = (hex || "").replace("#", "");
+    if (digits.length === 3) digits = digits.split("").map((digit) => digit + digit).join("");
+    const value = parseInt(digits, 16) || 0;
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+  }
+
+  /**
+   * Turns file content into text. Bytes that reached the file system as
+   * bytes weren't valid UTF-8, so they're read as code page 437.
+   * @private
+   * @param {string|Uint8Array} content - The file content.
+   * @returns {string} The content as text.
+   */
+  static _decode(content) {
+    if (!(content instanceof Uint8Array)) return content || "";
+    return Array.from(content, (byte) =>
+        byte < 0x80 ? String.fromCharCode(byte) : PaintFormats.CP437_HIGH[byte - 0x80]
+    ).join("");
+  }
+
+  /**
+   * Drops empty lines from the end of a list of lines.
+   * @private
+   * @param {string[]} lines - The lines to trim.
+   * @returns {string[]} The lines, without trailing empty ones.
+   */
+  static _trimTrailingLines(lines) {
+    let end = lines.length;
+    while (end > 0 && lines[end - 1] === "") end--;
+    return lines.slice(0, end);
+  }
+};
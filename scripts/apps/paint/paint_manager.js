@@ -23,8 +23,8 @@ window.PaintManager = class PaintManager extends App {
    * Initializes and displays the Paint application.
    * @param {HTMLElement} appLayer - The DOM element to append the app's UI to.
    * @param {object} [options={}] - Options for entering the application.
-   * @param {string} [options.dependencies.filePath] - The path of the file to open.
-   * @param {string} [options.dependencies.fileContent] - The initial content of the file.
+   * @param {string} [options.filePath] - The path of the file to open.
+   * @param {string} [options.fileContent] - The initial content of the file.
    * @param {boolean} [options.dependencies.isWindowed=false] - Whether the app is running in a window.
    */
   enter(appLayer, options = {}) {
@@ -34,13 +34,14 @@ window.PaintManager = class PaintManager extends App {
     this.isWindowed = options.dependencies.isWindowed || false;
 
     this.state = this._createInitialState(
-        options.dependencies.filePath,
-        options.dependencies.fileContent
+        options.filePath ?? options.dependencies.filePath,
+        options.fileContent ?? options.dependencies.fileContent
     );
     this.isActive = true;
 
     this.ui = new this.dependencies.PaintUI(this.state, this.callbacks, this.dependencies);
     this.container = this.ui.getContainer();
+    this._refreshCanvas();
 
     if (this.isWindowed) {
       this.container.style.width = '100%';
@@ -126,6 +127,9 @@ window.PaintManager = class PaintManager extends App {
       currentFilePath: filePath,
       canvasData: [],
       canvasDimensions: { width: 80, height: 24 },
+      layers: [],
+      activeLayer: 0,
+      statusMessage: "",
       currentTool: "pencil",
       currentCharacter: "#",
       currentColor: "#FFFFFF",
@@ -150,9 +154,19 @@ window.PaintManager = class PaintManager extends App {
       try {
         const parsed = JSON.parse(fileContent);
         console.log('PaintManager: Parsed content:', parsed);
-        if (parsed.dimensions && parsed.cells) {
+        if (parsed.dimensions && Array.isArray(parsed.layers) && parsed.layers.length > 0) {
           initialState.canvasDimensions = parsed.dimensions;
-          initialState.canvasData = parsed.cells;
+          initialState.layers = parsed.layers.map((layer, i) => ({
+            name: layer.name || `Layer ${i + 1}`,
+            visible: layer.visible !== false,
+            cells: layer.cells,
+          }));
+          initialState.activeLayer = Math.min(parsed.activeLayer || 0, parsed.layers.length - 1);
+          console.log('PaintManager: Loaded layers', { dimensions: parsed.dimensions, layerCount: parsed.layers.length });
+        } else if (parsed.dimensions && parsed.cells) {
+          // Single-grid pictures (oopis-paint-v1, and BSAVE) become one layer.
+          initialState.canvasDimensions = parsed.dimensions;
+          initialState.layers = [this._createLayer("Background", parsed.cells)];
           console.log('PaintManager: Loaded canvas data', { dimensions: parsed.dimensions, cellCount: parsed.cells.length });
         }
       } catch (e) {
@@ -162,16 +176,28 @@ window.PaintManager = class PaintManager extends App {
       console.log('PaintManager: No file content, creating blank canvas');
     }
 
-    if (initialState.canvasData.length === 0) {
-      initialState.canvasData = this._getBlankCanvas(
-          initialState.canvasDimensions
-      );
+    if (initialState.layers.length === 0) {
+      initialState.layers = [
+        this._createLayer("Background", this._getBlankCanvas(initialState.canvasDimensions)),
+      ];
     }
+    initialState.canvasData = initialState.layers[initialState.activeLayer].cells;
 
-    initialState.undoStack.push(JSON.stringify(initialState.canvasData));
+    initialState.undoStack.push(this._getSnapshot(initialState));
     return initialState;
   }
 
+  /**
+   * Creates a visible layer.
+   * @private
+   * @param {string} name - The layer's name.
+   * @param {Array<Array<object>>} cells - The layer's cells.
+   * @returns {object} The layer {name, visible, cells}.
+   */
+  _createLayer(name, cells) {
+    return { name, visible: true, cells };
+  }
+
   /**
    * Creates a blank canvas based on the given dimensions.
    * @private
@@ -224,13 +250,9 @@ window.PaintManager = class PaintManager extends App {
         if (this.state.undoStack.length <= 1) return;
         const currentCanvasState = this.state.undoStack.pop();
         this.state.redoStack.push(currentCanvasState);
-        this.state.canvasData = JSON.parse(
+        this._restoreSnapshot(
             this.state.undoStack[this.state.undoStack.length - 1]
         );
-        this.ui.renderCanvas(
-            this.state.canvasData,
-            this.state.canvasDimensions
-        );
         this.state.isDirty = this.state.undoStack.length > 1;
         this.ui.updateToolbar(this.state);
       },
@@ -238,11 +260,7 @@ window.PaintManager = class PaintManager extends App {
         if (this.state.redoStack.length === 0) return;
         const nextCanvasState = this.state.redoStack.pop();
         this.state.undoStack.push(nextCanvasState);
-        this.state.canvasData = JSON.parse(nextCanvasState);
-        this.ui.renderCanvas(
-            this.state.canvasData,
-            this.state.canvasDimensions
-        );
+        this._restoreSnapshot(nextCanvasState);
         this.state.isDirty = true;
         this.ui.updateToolbar(this.state);
       },
@@ -265,7 +283,7 @@ window.PaintManager = class PaintManager extends App {
           );
           if (fillCells.length > 0) {
             this._applyCellsToData(fillCells);
-            this.ui.updateCanvas(fillCells);
+            this.ui.updateCanvas(this._getCompositeCells(fillCells));
           }
           this.state.isLocked = false;
           return;
@@ -338,7 +356,7 @@ window.PaintManager = class PaintManager extends App {
                   color
               );
               this._applyCellsToData(cells);
-              this.ui.updateCanvas(cells);
+              this.ui.updateCanvas(this._getCompositeCells(cells));
               this.state.startCoords = coords;
               break;
           }
@@ -413,7 +431,7 @@ window.PaintManager = class PaintManager extends App {
 
           if (finalCells.length > 0) {
             this._applyCellsToData(finalCells);
-            this.ui.updateCanvas(finalCells);
+            this.ui.updateCanvas(this._getCompositeCells(finalCells));
           }
         }
 
@@ -437,7 +455,7 @@ window.PaintManager = class PaintManager extends App {
           }
         }
         this._applyCellsToData(erasedCells);
-        this.ui.updateCanvas(erasedCells);
+        this.ui.updateCanvas(this._getCompositeCells(erasedCells));
         this.state.selection = null;
         this.ui.hideSelectionRect();
       },
@@ -462,7 +480,7 @@ window.PaintManager = class PaintManager extends App {
           }
         }
         this._applyCellsToData(pastedCells);
-        this.ui.updateCanvas(pastedCells);
+        this.ui.updateCanvas(this._getCompositeCells(pastedCells));
       },
       onSaveRequest: this._saveContent.bind(this),
       onExitRequest: this.exit.bind(this),
@@ -482,6 +500,76 @@ window.PaintManager = class PaintManager extends App {
         this.ui.updateZoom(this.state.zoomLevel);
         this.ui.updateStatusBar(this.state);
       },
+      onLayerAdd: () => {
+        if (this.state.isLocked) return;
+        this._addLayer(
+            this._getNewLayerName(),
+            this._getBlankCanvas(this.state.canvasDimensions)
+        );
+      },
+      onLayerDelete: () => {
+        if (this.state.isLocked || this.state.layers.length <= 1) return;
+        this.state.layers.splice(this.state.activeLayer, 1);
+        this._setActiveLayer(this.state.activeLayer - 1);
+        this._pushToUndoStack();
+        this._refreshCanvas();
+      },
+      onLayerSelect: (index) => {
+        if (this.state.isLocked) return;
+        this._setActiveLayer(index);
+        this.ui.renderLayers(this.state);
+      },
+      onLayerToggleVisibility: (index) => {
+        const layer = this.state.layers[index];
+        if (this.state.isLocked || !layer) return;
+        layer.visible = !layer.visible;
+        this._pushToUndoStack();
+        this._refreshCanvas();
+      },
+      onLayerMove: (direction) => {
+        const from = this.state.activeLayer;
+        const to = from + direction;
+        if (this.state.isLocked || to < 0 || to >= this.state.layers.length) return;
+        const { layers } = this.state;
+        [layers[from], layers[to]] = [layers[to], layers[from]];
+        this._setActiveLayer(to);
+        this._pushToUndoStack();
+        this._refreshCanvas();
+      },
+      onLayerRename: async (index) => {
+        const layer = this.state.layers[index];
+        if (this.state.isLocked || !layer) return;
+        const name = await new Promise((resolve) => {
+          this.dependencies.ModalManager.request({
+            context: "graphical",
+            type: "input",
+            messageLines: ["Rename Layer"],
+            placeholder: layer.name,
+            onConfirm: (value) => resolve(value),
+            onCancel: () => resolve(null),
+          });
+        });
+        if (!this.isActive || !name || !name.trim()) return;
+        layer.name = name.trim();
+        this._pushToUndoStack();
+        this.ui.renderLayers(this.state);
+      },
+      onExport: (format) => this._exportAs(format),
+      onImportRequest: async () => {
+        if (this.state.isLocked) return;
+        const path = await new Promise((resolve) => {
+          this.dependencies.ModalManager.request({
+            context: "graphical",
+            type: "input",
+            messageLines: ["Import ANSI Art"],
+            placeholder: "banner.ans",
+            onConfirm: (value) => resolve(value),
+            onCancel: () => resolve(null),
+          });
+        });
+        if (!this.isActive || !path || !path.trim()) return;
+        this._importAnsi(path.trim());
+      },
       onGetState: () => this.state,
       isGridVisible: () => this.state.gridVisible,
     };
@@ -517,17 +605,16 @@ window.PaintManager = class PaintManager extends App {
           cell.x >= 0 &&
           cell.x < this.state.canvasDimensions.width
       ) {
-        this.state.canvasData[cell.y][cell.x] = {
-          char: cell.char,
-          color: cell.color,
-        };
+        this.state.canvasData[cell.y][cell.x] = cell.background
+            ? { char: cell.char, color: cell.color, background: cell.background }
+            : { char: cell.char, color: cell.color };
       }
     });
     this._pushToUndoStack();
   }
 
   _pushToUndoStack() {
-    this.state.undoStack.push(JSON.stringify(this.state.canvasData));
+    this.state.undoStack.push(this._getSnapshot(this.state));
     if (this.state.undoStack.length > 50) {
       this.state.undoStack.shift();
     }
@@ -536,198 +623,247 @@ window.PaintManager = class PaintManager extends App {
     this.ui.updateToolbar(this.state);
   }
 
-  async _saveContent() {
-    if (!this.isActive) return;
-    const { FileSystemManager, UserManager } = this.dependencies;
+  /**
+   * Captures the layers, for the undo and redo stacks.
+   * @private
+   * @param {object} state - The state to capture.
+   * @returns {string} The snapshot, as JSON.
+   */
+  _getSnapshot(state) {
+    return JSON.stringify({ layers: state.layers, activeLayer: state.activeLayer });
+  }
 
-    const dataToSave = {
-      format: "oopis-paint-v1",
-      dimensions: this.state.canvasDimensions,
-      cells: this.state.canvasData,
-    };
-    const jsonContent = JSON.stringify(dataToSave, null, 2);
-    const currentUser = UserManager.getCurrentUser().name;
-    const primaryGroup = UserManager.getPrimaryGroupForUser(currentUser);
-    const saveResult = await FileSystemManager.createOrUpdateFile(
-        this.state.currentFilePath,
-        jsonContent,
-        { currentUser, primaryGroup }
-    );
+  /**
+   * Puts the layers back as a snapshot recorded them and redraws.
+   * @private
+   * @param {string} snapshot - A snapshot from _getSnapshot.
+   */
+  _restoreSnapshot(snapshot) {
+    const { layers, activeLayer } = JSON.parse(snapshot);
+    this.state.layers = layers;
+    this._setActiveLayer(activeLayer);
+    this._refreshCanvas();
+  }
 
-    if (saveResult.success && (await FileSystemManager.save())) {
-      this.state.isDirty = false;
-    } else {
-      this.ui.updateStatusBar({
-        ...this.state,
-        statusMessage: `Error: ${saveResult.error || "Failed to save to filesystem."}`,
-      });
-    }
-    this.ui.updateToolbar(this.state);
+  /**
+   * Makes a layer the one the tools draw on.
+   * @private
+   * @param {number} index - The layer's index, counting up from the bottom.
+   */
+  _setActiveLayer(index) {
+    this.state.activeLayer = Math.max(0, Math.min(index, this.state.layers.length - 1));
+    this.state.canvasData = this.state.layers[this.state.activeLayer].cells;
   }
-  _getCellsInBrush(x, y, char, color) {
-    const affectedCells = [];
-    const offset = Math.floor(this.state.brushSize / 2);
-    for (let i = 0; i < this.state.brushSize; i++) {
-      for (let j = 0; j < this.state.brushSize; j++) {
-        const drawX = x + i - offset;
-        const drawY = y + j - offset;
-        if (
-            drawY >= 0 &&
-            drawY < this.state.canvasDimensions.height &&
-            drawX >= 0 &&
-            drawX < this.state.canvasDimensions.width
-        ) {
-          affectedCells.push({ x: drawX, y: drawY, char, color });
-        }
+
+  /**
+   * Finds what shows at a position: the top visible layer that isn't
+   * transparent there, or a blank cell.
+   * @private
+   * @param {number} x - The column.
+   * @param {number} y - The row.
+   * @returns {object} The visible cell.
+   */
+  _getCompositeCell(x, y) {
+    const { PaintFormats } = this.dependencies;
+    for (let i = this.state.layers.length - 1; i >= 0; i--) {
+      const layer = this.state.layers[i];
+      if (layer.visible && !PaintFormats.isTransparent(layer.cells[y]?.[x])) {
+        return layer.cells[y][x];
       }
     }
-    return affectedCells;
+    return { char: " ", color: "#000000" };
   }
 
-  _getCellsForLine(x0, y0, x1, y1, char, color) {
-    const affectedCells = [];
-    const dx = Math.abs(x1 - x0),
-        sx = x0 < x1 ? 1 : -1;
-    const dy = -Math.abs(y1 - y0),
-        sy = y0 < y1 ? 1 : -1;
-    let err = dx + dy,
-        e2;
-
-    for (; ;) {
-      affectedCells.push(...this._getCellsInBrush(x0, y0, char, color));
-      if (x0 === x1 && y0 === y1) break;
-      e2 = 2 * err;
-      if (e2 >= dy) {
-        err += dy;
-        x0 += sx;
-      }
-      if (e2 <= dx) {
-        err += dx;
-        y0 += sy;
-      }
-    }
-    return affectedCells;
+  /**
+   * Looks up what shows at each position a set of changed cells covers,
+   * ready to hand to the UI.
+   * @private
+   * @param {Array<object>} cells - The changed cells.
+   * @returns {Array<object>} The visible cells at the same positions.
+   */
+  _getCompositeCells(cells) {
+    return cells.map(({ x, y }) => ({ x, y, ...this._getCompositeCell(x, y) }));
   }
 
-  _getCellsForRect(x0, y0, x1, y1, char, color) {
-    let affectedCells = [];
-    affectedCells.push(...this._getCellsForLine(x0, y0, x1, y0, char, color));
-    affectedCells.push(...this._getCellsForLine(x0, y1, x1, y1, char, color));
-    affectedCells.push(...this._getCellsForLine(x0, y0, x0, y1, char, color));
-    affectedCells.push(...this._getCellsForLine(x1, y0, x1, y1, char, color));
-    return affectedCells;
+  /**
+   * Flattens the visible layers into one grid.
+   * @private
+   * @returns {Array<Array<object>>} The picture as it appears on screen.
+   */
+  _getCompositeCanvas() {
+    const { width, height } = this.state.canvasDimensions;
+    return Array.from({ length: height }, (_, y) =>
+        Array.from({ length: width }, (_, x) => this._getCompositeCell(x, y))
+    );
   }
 
-  _getCellsForEllipse(xc, yc, rx, ry, char, color) {
-    if (rx < 0 || ry < 0) return [];
-    const allPoints = [];
-
-    const plotPoints = (x, y) => {
-      allPoints.push(...this._getCellsInBrush(xc + x, yc + y, char, color));
-      allPoints.push(...this._getCellsInBrush(xc - x, yc + y, char, color));
-      allPoints.push(...this._getCellsInBrush(xc + x, yc - y, char, color));
-      allPoints.push(...this._getCellsInBrush(xc - x, yc - y, char, color));
-    };
+  /**
+   * Redraws the whole canvas and the layer panel.
+   * @private
+   */
+  _refreshCanvas() {
+    this.ui.renderInitialCanvas(this._getCompositeCanvas(), this.state.canvasDimensions);
+    this.ui.renderLayers(this.state);
+  }
 
-    let x = 0;
-    let y = ry;
-    let rx2 = rx * rx;
-    let ry2 = ry * ry;
-    let twoRx2 = 2 * rx2;
-    let twoRy2 = 2 * ry2;
-    let p;
-    let px = 0;
-    let py = twoRx2 * y;
-
-    plotPoints(x, y);
-    p = Math.round(ry2 - rx2 * ry + 0.25 * rx2);
-    while (px < py) {
-      x++;
-      px += twoRy2;
-      if (p < 0) {
-        p += ry2 + px;
+  /**
+   * Adds a layer just above the active one and makes it active.
+   * @private
+   * @param {string} name - The new layer's name.
+   * @param {Array<Array<object>>} cells - The new layer's cells.
+   */
+  _addLayer(name, cells) {
+    const index = this.state.activeLayer + 1;
+    this.state.layers.splice(index, 0, this._createLayer(name, cells));
+    this._setActiveLayer(index);
+    this._pushToUndoStack();
+    this._refreshCanvas();
+  }
+
+  /**
+   * Picks a name for a new layer that no other layer has.
+   * @private
+   * @returns {string} A name like 'Layer 3'.
+   */
+  _getNewLayerName() {
+    const names = new Set(this.state.layers.map((layer) => layer.name));
+    let number = this.state.layers.length + 1;
+    while (names.has(`Layer ${number}`)) number++;
+    return `Layer ${number}`;
+  }
+
+  /**
+   * Shows a message in the status bar until the next one replaces it.
+   * @private
+   * @param {string} message - The message.
+   */
+  _setStatusMessage(message) {
+    this.state.statusMessage = message;
+    this.ui.updateStatusBar(this.state);
+  }
+
+  /**
+   * Writes the visible picture next to the .oopic file, as a PNG image,
+   * ANSI art or plain text.
+   * @private
+   * @param {string} format - 'png', 'ans' or 'txt'.
+   */
+  async _exportAs(format) {
+    const { PaintFormats } = this.dependencies;
+    const picture = this._getCompositeCanvas();
+    const exportPath = `${this.state.currentFilePath.replace(/\.oopic$/, "")}.${format}`;
+    let content;
+    try {
+      if (format === "png") {
+        content = await PaintFormats.toPng(picture);
+      } else if (format === "ans") {
+        content = PaintFormats.toAnsi(picture);
       } else {
-        y--;
-        py -= twoRx2;
-        p += ry2 + px - py;
+        content = PaintFormats.toText(picture);
       }
-      plotPoints(x, y);
+    } catch (e) {
+      this._setStatusMessage(`Export failed: ${e.message}`);
+      return;
     }
+    if (!this.isActive) return;
+    const error = await this._writeFile(exportPath, content);
+    this._setStatusMessage(error ? `Export failed: ${error}` : `Exported ${exportPath}`);
+  }
 
-    p = Math.round(
-        ry2 * (x + 0.5) * (x + 0.5) + rx2 * (y - 1) * (y - 1) - rx2 * ry2
-    );
-    while (y > 0) {
-      y--;
-      py -= twoRx2;
-      if (p > 0) {
-        p += rx2 - py;
-      } else {
-        x++;
-        px += twoRy2;
-        p += rx2 - py + px;
-      }
-      plotPoints(x, y);
+  /**
+   * Reads an ANSI art file into a new layer named after it.
+   * @private
+   * @param {string} pathArg - The path of the file to import.
+   */
+  _importAnsi(pathArg) {
+    const { FileSystemManager } = this.dependencies;
+    const { PaintFormats } = this.dependencies;
+    const pathResult = FileSystemManager.validatePath(pathArg, {
+      expectedType: "file",
+      permissions: ["read"],
+    });
+    if (!pathResult.success) {
+      this._setStatusMessage(`Import failed: ${pathResult.error?.message || pathResult.error}`);
+      return;
     }
+    const cells = PaintFormats.fromAnsi(pathResult.data.node.content, this.state.canvasDimensions);
+    const fileName = pathResult.data.resolvedPath.split("/").pop();
+    this._addLayer(fileName.replace(/\.[^.]+$/, "") || fileName, cells);
+    this._setStatusMessage(`Imported ${pathResult.data.resolvedPath}`);
+  }
 
-    const uniqueCells = [];
-    const seen = new Set();
-    for (const cell of allPoints) {
-      const key = `${cell.x},${cell.y}`;
-      if (!seen.has(key)) {
-        uniqueCells.push(cell);
-        seen.add(key);
-      }
+  async _saveContent() {
+    if (!this.isActive) return;
+
+    const dataToSave = {
+      format: "oopis-paint-v2",
+      dimensions: this.state.canvasDimensions,
+      layers: this.state.layers,
+      activeLayer: this.state.activeLayer,
+    };
+    const error = await this._writeFile(
+        this.state.currentFilePath,
+        JSON.stringify(dataToSave, null, 2)
+    );
+
+    if (!error) {
+      this.state.isDirty = false;
+    } else {
+      this.state.statusMessage = `Error: ${error}`;
+      this.ui.updateStatusBar(this.state);
     }
-    return uniqueCells;
+    this.ui.updateToolbar(this.state);
   }
 
-  _getCellsForFill(startX, startY, fillColor, fillChar) {
-    const { width, height } = this.state.canvasDimensions;
-    if (startX < 0 || startX >= width || startY < 0 || startY >= height) {
-      return [];
+  /**
+   * Writes a file as the current user and saves the file system.
+   * @private
+   * @param {string} filePath - The absolute path to write.
+   * @param {string|Uint8Array} content - The file content.
+   * @returns {Promise<string|null>} An error message, or null on success.
+   */
+  async _writeFile(filePath, content) {
+    const { FileSystemManager, UserManager } = this.dependencies;
+    const currentUser = UserManager.getCurrentUser().name;
+    const primaryGroup = UserManager.getPrimaryGroupForUser(currentUser);
+    const saveResult = await FileSystemManager.createOrUpdateFile(
+        filePath,
+        content,
+        { currentUser, primaryGroup }
+    );
+    if (!saveResult.success) {
+      return saveResult.error?.message || saveResult.error || "Failed to save to filesystem.";
     }
+    return (await FileSystemManager.save()) ? null : "Failed to save to filesystem.";
+  }
 
-    const targetColor = this.state.canvasData[startY][startX].color;
-    const targetChar = this.state.canvasData[startY][startX].char;
+  _getCanvasGrid() {
+    const { width, height } = this.state.canvasDimensions;
+    return { width, height, cells: this.state.canvasData };
+  }
 
-    if (targetColor === fillColor && targetChar === fillChar) {
-      return [];
-    }
+  _getCellsInBrush(x, y, char, color) {
+    const { RasterUtils } = this.dependencies;
+    return RasterUtils.getCellsInBrush(this._getCanvasGrid(), x, y, char, color, this.state.brushSize);
+  }
 
-    const affectedCells = [];
-    const queue = [[startX, startY]];
-    const visited = new Set([`${startX},${startY}`]);
+  _getCellsForLine(x0, y0, x1, y1, char, color) {
+    const { RasterUtils } = this.dependencies;
+    return RasterUtils.getCellsForLine(this._getCanvasGrid(), x0, y0, x1, y1, char, color, this.state.brushSize);
+  }
 
-    while (queue.length > 0) {
-      const [x, y] = queue.shift();
+  _getCellsForRect(x0, y0, x1, y1, char, color) {
+    const { RasterUtils } = this.dependencies;
+    return RasterUtils.getCellsForRect(this._getCanvasGrid(), x0, y0, x1, y1, char, color, this.state.brushSize);
+  }
 
-      if (x < 0 || x >= width || y < 0 || y >= height) {
-        continue;
-      }
+  _getCellsForEllipse(xc, yc, rx, ry, char, color) {
+    const { RasterUtils } = this.dependencies;
+    return RasterUtils.getCellsForEllipse(this._getCanvasGrid(), xc, yc, rx, ry, char, color, this.state.brushSize);
+  }
 
-      const currentCell = this.state.canvasData[y][x];
-      if (
-          currentCell.color === targetColor &&
-          currentCell.char === targetChar
-      ) {
-        affectedCells.push({ x, y, char: fillChar, color: fillColor });
-
-        const neighbors = [
-          [x + 1, y],
-          [x - 1, y],
-          [x, y + 1],
-          [x, y - 1],
-        ];
-        for (const [nx, ny] of neighbors) {
-          const key = `${nx},${ny}`;
-          if (!visited.has(key)) {
-            queue.push([nx, ny]);
-            visited.add(key);
-          }
-        }
-      }
-    }
-    return affectedCells;
+  _getCellsForFill(startX, startY, fillColor, fillChar) {
+    const { RasterUtils } = this.dependencies;
+    return RasterUtils.getCellsForFill(this._getCanvasGrid(), startX, startY, fillChar, fillColor);
   }
 }
\ No newline at end of file
@@ -114,12 +114,18 @@ window.PaintUI = class PaintUI {
     this.elements.zoomOutBtn = UIComponents.createButton({ text: "-" });
     const zoomGroup = Utils.createElement("div", { className: "paint-tool-group" }, [this.elements.zoomOutBtn, this.elements.zoomInBtn]);
 
+    this.elements.exportPngBtn = UIComponents.createButton({ text: "PNG", title: "Export as a PNG image" });
+    this.elements.exportAnsBtn = UIComponents.createButton({ text: "ANS", title: "Export as ANSI art (.ans)" });
+    this.elements.exportTxtBtn = UIComponents.createButton({ text: "TXT", title: "Export as plain text (.txt)" });
+    this.elements.importBtn = UIComponents.createButton({ text: "Import", title: "Import ANSI art as a new layer" });
+    const fileGroup = Utils.createElement("div", { className: "paint-tool-group" }, [this.elements.exportPngBtn, this.elements.exportAnsBtn, this.elements.exportTxtBtn, this.elements.importBtn]);
+
     if (!isWindowed) {
       const exitBtn = this.elements.header.querySelector('.app-header__exit-btn');
       this.elements.header.innerHTML = '';
-      this.elements.header.append(toolGroup, colorGroup, brushGroup, this.elements.charInput, editGroup, historyGroup, zoomGroup, exitBtn);
+      this.elements.header.append(toolGroup, colorGroup, brushGroup, this.elements.charInput, editGroup, historyGroup, zoomGroup, fileGroup, exitBtn);
     } else {
-      this.elements.header.append(toolGroup, colorGroup, brushGroup, this.elements.charInput, editGroup, historyGroup, zoomGroup);
+      this.elements.header.append(toolGroup, colorGroup, brushGroup, this.elements.charInput, editGroup, historyGroup, zoomGroup, fileGroup);
     }
 
     this.elements.canvas = Utils.createElement("div", { className: "paint-canvas", id: "paint-canvas" });
@@ -128,16 +134,29 @@ window.PaintUI = class PaintUI {
     const canvasContainer = Utils.createElement("div", { className: "paint-canvas-container" }, [this.elements.canvas, this.elements.previewCanvas, this.elements.selectionRect]);
     const mainDrawingArea = Utils.createElement("div", { className: "paint-main-drawing-area" }, [canvasContainer]);
 
-    this.elements.main.appendChild(mainDrawingArea);
+    this.elements.layerAddBtn = UIComponents.createButton({ text: "+", title: "New layer" });
+    this.elements.layerDeleteBtn = UIComponents.createButton({ text: "-", title: "Delete layer" });
+    this.elements.layerUpBtn = UIComponents.createButton({ text: "▲", title: "Move layer up" });
+    this.elements.layerDownBtn = UIComponents.createButton({ text: "▼", title: "Move layer down" });
+    this.elements.layerList = Utils.createElement("div", { className: "paint-layer-list" });
+    const layerPanel = Utils.createElement("div", { className: "paint-layer-panel" }, [
+      Utils.createElement("div", { className: "paint-layer-title", textContent: "Layers" }),
+      this.elements.layerList,
+      Utils.createElement("div", { className: "paint-layer-controls" }, [this.elements.layerAddBtn, this.elements.layerDeleteBtn, this.elements.layerUpBtn, this.elements.layerDownBtn]),
+    ]);
+
+    this.elements.main.appendChild(
+        Utils.createElement("div", { className: "paint-workspace" }, [mainDrawingArea, layerPanel])
+    );
 
     this.elements.statusTool = Utils.createElement("span");
     this.elements.statusChar = Utils.createElement("span");
     this.elements.statusBrush = Utils.createElement("span");
     this.elements.statusCoords = Utils.createElement("span");
     this.elements.statusZoom = Utils.createElement("span");
-    this.elements.footer.append(this.elements.statusTool, this.elements.statusChar, this.elements.statusBrush, this.elements.statusCoords, this.elements.statusZoom);
+    this.elements.statusMessage = Utils.createElement("span");
+    this.elements.footer.append(this.elements.statusTool, this.elements.statusChar, this.elements.statusBrush, this.elements.statusCoords, this.elements.statusZoom, this.elements.statusMessage);
 
-    this.renderInitialCanvas(initialState.canvasData, initialState.canvasDimensions);
     this.updateToolbar(initialState);
     this.updateStatusBar(initialState);
     this.updateZoom(initialState.zoomLevel);
@@ -183,7 +202,7 @@ window.PaintUI = class PaintUI {
           id: `cell-${x}-${y}`,
           className: "paint-canvas-cell",
           textContent: dataCell.char,
-          style: { color: dataCell.color },
+          style: { color: dataCell.color, backgroundColor: dataCell.background || "" },
         });
         this.elements.canvas.appendChild(cell);
 
@@ -206,10 +225,44 @@ window.PaintUI = class PaintUI {
       if (cell) {
         cell.textContent = data.char;
         cell.style.color = data.color;
+        cell.style.backgroundColor = data.background || "";
       }
     });
   }
 
+  /**
+   * Lists the layers in the layer panel, top layer first, marking the
+   * active one.
+   * @param {object} state - The current application state.
+   */
+  renderLayers(state) {
+    if (!this.elements.layerList) return;
+    const { Utils } = this.dependencies;
+    this.elements.layerList.innerHTML = "";
+    for (let index = state.layers.length - 1; index >= 0; index--) {
+      const layer = state.layers[index];
+      const visibilityBtn = Utils.createElement("button", {
+        className: "paint-layer-visibility",
+        textContent: layer.visible ? "◉" : "○",
+        title: layer.visible ? "Hide layer" : "Show layer",
+      });
+      visibilityBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        this.managerCallbacks.onLayerToggleVisibility(index);
+      });
+      const row = Utils.createElement("div", {
+        className: `paint-layer-row${index === state.activeLayer ? " active" : ""}${layer.visible ? "" : " hidden-layer"}`,
+        title: "Click to select, double-click to rename",
+      }, [visibilityBtn, Utils.createElement("span", { className: "paint-layer-name", textContent: layer.name })]);
+      row.addEventListener("click", () => this.managerCallbacks.onLayerSelect(index));
+      row.addEventListener("dblclick", () => this.managerCallbacks.onLayerRename(index));
+      this.elements.layerList.appendChild(row);
+    }
+    this.elements.layerDeleteBtn.disabled = state.layers.length <= 1;
+    this.elements.layerUpBtn.disabled = state.activeLayer >= state.layers.length - 1;
+    this.elements.layerDownBtn.disabled = state.activeLayer <= 0;
+  }
+
   /**
    * Updates specific cells on the preview canvas.
    * @param {Array<object>} cellsToUpdate - An array of cell objects to update.
@@ -266,6 +319,7 @@ window.PaintUI = class PaintUI {
         ? `Coords: ${coords.x}, ${coords.y}`
         : "";
     this.elements.statusZoom.textContent = `Zoom: ${state.zoomLevel}%`;
+    this.elements.statusMessage.textContent = state.statusMessage || "";
   }
 
   /**
@@ -387,6 +441,14 @@ window.PaintUI = class PaintUI {
     this.elements.zoomOutBtn.addEventListener("click", () =>
         this.managerCallbacks.onZoomOut()
     );
+    this.elements.exportPngBtn.addEventListener("click", () => this.managerCallbacks.onExport("png"));
+    this.elements.exportAnsBtn.addEventListener("click", () => this.managerCallbacks.onExport("ans"));
+    this.elements.exportTxtBtn.addEventListener("click", () => this.managerCallbacks.onExport("txt"));
+    this.elements.importBtn.addEventListener("click", () => this.managerCallbacks.onImportRequest());
+    this.elements.layerAddBtn.addEventListener("click", () => this.managerCallbacks.onLayerAdd());
+    this.elements.layerDeleteBtn.addEventListener("click", () => this.managerCallbacks.onLayerDelete());
+    this.elements.layerUpBtn.addEventListener("click", () => this.managerCallbacks.onLayerMove(1));
+    this.elements.layerDownBtn.addEventListener("click", () => this.managerCallbacks.onLayerMove(-1));
     this.elements.canvas.addEventListener("mousedown", (e) => {
       const coords = this._getCoordsFromEvent(e);
       if (coords) this.managerCallbacks.onCanvasMouseDown(coords);
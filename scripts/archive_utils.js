@@ -0,0 +1,784 @@
+// scripts/archive_utils.js
+
+/**
+ * A toolbox for reading and writing archive formats, shared by the archiving
+ * commands. An archive is handled as a flat list of entries, each shaped like
+ * `{path, type, content, mode, mtime}`, where `path` is relative and uses '/'.
+ * Tar entries also carry `owner` and `group`, and symbolic links (type
+ * 'symlink') carry their `target`.
+ * @class ArchiveUtils
+ */
+class ArchiveUtils {
+  /**
+   * The ZIP extra fields we write and understand.
+   * - TIMESTAMP is the Info-ZIP "extended timestamp" field, which real unzip
+   *   tools use to restore modification times to the second.
+   * - OOPIS_MODE is our own little field carrying the permission bits, so
+   *   they survive even when an archive passes through a non-Unix zipper.
+   * @type {{TIMESTAMP: number, OOPIS_MODE: number}}
+   */
+  static ZIP_EXTRA_FIELDS = Object.freeze({
+    TIMESTAMP: 0x5455,
+    OOPIS_MODE: 0x6f6f,
+  });
+
+  /**
+   * The size of a tar block. Headers take one block, and file data is
+   * padded out to a whole number of them.
+   * @type {number}
+   */
+  static TAR_BLOCK_SIZE = 512;
+
+  /**
+   * Checks whether some content starts with a ZIP signature.
+   * @param {string|Uint8Array} content - The file content.
+   * @returns {boolean} True for ZIP archives (including empty ones).
+   */
+  static isZip(content) {
+    if (!(content instanceof Uint8Array) || content.length < 4) return false;
+    // "PK\x03\x04" opens a normal archive, "PK\x05\x06" an empty one.
+    return content[0] === 0x50 && content[1] === 0x4b &&
+        ((content[2] === 0x03 && content[3] === 0x04) ||
+            (content[2] === 0x05 && content[3] === 0x06));
+  }
+
+  /**
+   * Builds a standard ZIP archive. JSZip does the compressing and the
+   * bookkeeping; afterwards the extended timestamp and permission extra
+   * fields are stitched into every entry.
+   * @param {Array<object>} entries - The entries to store. Directories should come before their contents.
+   * @returns {Promise<Uint8Array>} The archive bytes.
+   */
+  static async createZip(entries) {
+    const zip = new JSZip();
+    const extrasByName = new Map();
+    for (const entry of entries) {
+      const isDirectory = entry.type === "directory";
+      const name = isDirectory ? `${entry.path}/` : entry.path;
+      const date = entry.mtime ? new Date(entry.mtime) : new Date();
+      // The file type bits travel with the mode, as they do on Unix.
+      const typeBits = isDirectory ? 0o040000 : 0o100000;
+      zip.file(name, isDirectory ? null : Utils.contentToBytes(entry.content), {
+        dir: isDirectory,
+        date,
+        unixPermissions: typeBits | (entry.mode & 0o7777),
+        createFolders: false,
+      });
+      extrasByName.set(name, ArchiveUtils._encodeZipExtras(entry.mode, date));
+    }
+    const bytes = await zip.generateAsync({
+      type: "uint8array",
+      compression: "DEFLATE",
+      platform: "UNIX",
+    });
+    return ArchiveUtils._addZipExtraFields(bytes, extrasByName);
+  }
+
+  /**
+   * Reads a ZIP archive, whoever made it. Modes and times come from our
+   * extra fields when present, then from the Unix attributes, and finally
+   * from the plain DOS timestamp.
+   * @param {Uint8Array} bytes - The archive bytes.
+   * @returns {Promise<Array<object>>} The entries, in archive order. File content is a
+   * string for text and a Uint8Array for anything else.
+   * @throws {Error} If the archive is damaged.
+   */
+  static async readZip(bytes) {
+    const zip = await JSZip.loadAsync(bytes);
+    const extras = ArchiveUtils._readZipExtraFields(bytes);
+    const entries = [];
+    for (const zipObject of Object.values(zip.files)) {
+      const path = zipObject.name.replace(/\/+$/, "");
+      const extra = extras.get(zipObject.name) || {};
+      const type = zipObject.dir ? "directory" : "file";
+      let mode = extra.mode;
+      if (mode === undefined && zipObject.unixPermissions) {
+        mode = zipObject.unixPermissions & 0o7777;
+      }
+      const mtime = extra.mtime || zipObject.date;
+      entries.push({
+        path,
+        type,
+        content: type === "file"
+            ? Utils.bytesToContent(await zipObject.async("uint8array"))
+            : null,
+        mode: mode === undefined ? null : mode,
+        mtime: mtime ? mtime.toISOString() : null,
+      });
+    }
+    return entries;
+  }
+
+  /**
+   * Turns the JSON tree written by older versions of 'zip' into entries.
+   * @param {object} archiveData - The parsed legacy archive.
+   * @param {string} [prefix=""] - The path of the directory being walked.
+   * @returns {Array<object>} The entries, parents first.
+   */
+  static legacyTreeToEntries(archiveData, prefix = "") {
+    const entries = [];
+    for (const name of Object.keys(archiveData || {})) {
+      const nodeData = archiveData[name];
+      const path = prefix ? `${prefix}/${name}` : name;
+      if (!nodeData) continue;
+      if (nodeData.type === "file") {
+        entries.push({ path, type: "file", content: nodeData.content || "", mode: null, mtime: null });
+      } else if (nodeData.type === "directory") {
+        entries.push({ path, type: "directory", content: null, mode: null, mtime: null });
+        entries.push(...ArchiveUtils.legacyTreeToEntries(nodeData.children, path));
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Makes an archive path safe to extract: drops leading slashes and './'
+   * parts, and refuses anything that climbs out with '..'.
+   * @param {string} path - The path stored in the archive.
+   * @returns {string|null} The cleaned relative path, or null if it isn't safe.
+   */
+  static sanitizeEntryPath(path) {
+    const parts = String(path).split("/").filter((part) => part && part !== ".");
+    if (parts.length === 0 || parts.includes("..")) {
+      return null;
+    }
+    return parts.join("/");
+  }
+
+  /**
+   * Checks an entry path against exclude patterns. A pattern matches the
+   * whole relative path or just its last component, so both
+   * 'project/build/*' and '*.log' do what you'd expect.
+   * @param {string} path - The entry path.
+   * @param {string[]} patterns - Glob patterns.
+   * @returns {boolean} True if any pattern matches.
+   */
+  static matchesAnyPattern(path, patterns) {
+    if (!patterns || patterns.length === 0) return false;
+    const baseName = path.substring(path.lastIndexOf("/") + 1);
+    return patterns.some((pattern) => {
+      const regex = Utils.globToRegex(pattern);
+      return regex ? regex.test(path) || regex.test(baseName) : pattern === path;
+    });
+  }
+
+  /**
+   * Walks a filesystem node and gathers the archive entries for it and
+   * everything below it, parents first and children in name order. Each
+   * entry carries the node's owner, group, mode and mtime.
+   * @param {object} node - The filesystem node to archive.
+   * @param {string} entryPath - The node's path inside the archive; "" leaves out the
+   * node itself and stores its children at the top, as 'tar -C dir .' does.
+   * @param {string} absolutePath - The node's absolute path in the VFS.
+   * @param {object} options - What to walk and who is walking.
+   * @param {string} options.currentUser - The name of the user executing the command.
+   * @param {string|null} [options.archivePath=null] - The archive's own absolute path, which is never packed.
+   * @param {string[]} [options.excludePatterns=[]] - Glob patterns for entries to leave out.
+   * @param {boolean} [options.symlinks=false] - Store symbolic links as links rather than skipping them.
+   * @param {object} dependencies - The dependency injection container.
+   * @returns {{entries: Array<object>, unreadable: string[]}} The entries, and the
+   * paths (inside the archive, or absolute for the top) that couldn't be read.
+   */
+  static collectEntries(node, entryPath, absolutePath, options, dependencies) {
+    const { Config, FileSystemManager } = dependencies;
+    const { currentUser, archivePath = null, excludePatterns = [], symlinks = false } = options;
+    const result = { entries: [], unreadable: [] };
+
+    const walk = (current, currentEntryPath, currentAbsolutePath) => {
+      if (currentAbsolutePath === archivePath) return;
+      if (currentEntryPath && ArchiveUtils.matchesAnyPattern(currentEntryPath, excludePatterns)) return;
+
+      const common = { owner: current.owner, group: current.group, mode: current.mode, mtime: current.mtime };
+      if (current.type === Config.FILESYSTEM.SYMBOLIC_LINK_TYPE) {
+        if (symlinks) {
+          result.entries.push({ ...common, path: currentEntryPath, type: "symlink", content: null, target: current.target });
+        }
+        return;
+      }
+      if (!FileSystemManager.hasPermission(current, currentUser, "read")) {
+        result.unreadable.push(currentEntryPath || currentAbsolutePath);
+        return;
+      }
+
+      if (current.type === Config.FILESYSTEM.DEFAULT_FILE_TYPE) {
+        result.entries.push({ ...common, path: currentEntryPath, type: "file", content: current.content || "" });
+      } else if (current.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+        if (currentEntryPath) {
+          result.entries.push({ ...common, path: currentEntryPath, type: "directory", content: null });
+        }
+        for (const childName of Object.keys(current.children).sort()) {
+          walk(
+              current.children[childName],
+              currentEntryPath ? `${currentEntryPath}/${childName}` : childName,
+              FileSystemManager.getAbsolutePath(childName, currentAbsolutePath)
+          );
+        }
+      }
+    };
+    walk(node, entryPath, absolutePath);
+    return result;
+  }
+
+  /**
+   * Recreates archive entries under a directory. Ownership, permissions and
+   * times are applied once everything is in place, so a read-only
+   * directory can still be filled and its mtime isn't bumped by its own
+   * children. Like a real tar, only root gets the owners recorded in the
+   * archive; everyone else owns what they extract.
+   * @param {Array<object>} entries - The archive entries.
+   * @param {string} targetDirectory - The absolute path to extract into.
+   * @param {object} options - Who is extracting, and what to tell them.
+   * @param {string} options.currentUser - The name of the user executing the command.
+   * @param {function(string, object): Promise<void>} [options.onEntry] - Called with the
+   * cleaned path and the entry after each one is created.
+   * @param {object} dependencies - The dependency injection container.
+   * @returns {Promise<{extracted: string[], skipped: string[]}>} The absolute paths
+   * created, and the entry paths skipped for climbing out with '..'.
+   * @throws {Error} If an entry can't be created. What was extracted until then stays.
+   */
+  static async extractEntries(entries, targetDirectory, options, dependencies) {
+    const { FileSystemManager, UserManager, GroupManager } = dependencies;
+    const { currentUser, onEntry } = options;
+    const primaryGroup = UserManager.getPrimaryGroupForUser(currentUser);
+    const extracted = [];
+    const skipped = [];
+
+    for (const entry of entries) {
+      const safePath = ArchiveUtils.sanitizeEntryPath(entry.path);
+      if (!safePath) {
+        skipped.push(entry.path);
+        continue;
+      }
+      const fullPath = FileSystemManager.getAbsolutePath(safePath, targetDirectory);
+      if (entry.type === "symlink") {
+        ArchiveUtils._createSymlink(fullPath, entry.target, currentUser, primaryGroup, dependencies);
+      } else {
+        const isDirectory = entry.type === "directory";
+        const result = await FileSystemManager.createOrUpdateFile(
+            fullPath,
+            isDirectory ? null : entry.content,
+            { isDirectory, currentUser, primaryGroup }
+        );
+        if (!result.success) {
+          throw new Error(`${safePath}: Cannot create: ${result.error?.message || result.error}`);
+        }
+      }
+      extracted.push({ fullPath, entry });
+      if (onEntry) await onEntry(safePath, entry);
+    }
+
+    const keepOwners = currentUser === "root";
+    for (const { fullPath, entry } of [...extracted].reverse()) {
+      const node = FileSystemManager.getNodeByPath(fullPath, { resolveLastSymlink: false });
+      if (!node) continue;
+      if (keepOwners && entry.owner && await UserManager.userExists(entry.owner)) {
+        node.owner = entry.owner;
+      }
+      if (keepOwners && entry.group && GroupManager.groupExists(entry.group)) {
+        node.group = entry.group;
+      }
+      if (entry.type !== "symlink" && entry.mode !== null && entry.mode !== undefined) node.mode = entry.mode;
+      if (entry.mtime) node.mtime = entry.mtime;
+      FileSystemManager.markDirty(fullPath);
+    }
+    return { extracted: extracted.map(({ fullPath }) => fullPath), skipped };
+  }
+
+  /**
+   * Checks whether some content is gzip-compressed.
+   * @param {string|Uint8Array} content - The file content.
+   * @returns {boolean} True if the content starts with the gzip magic number.
+   */
+  static isGzip(content) {
+    return content instanceof Uint8Array && content.length >= 2 &&
+        content[0] === 0x1f && content[1] === 0x8b;
+  }
+
+  /**
+   * Compresses content into the gzip format.
+   * @param {string|Uint8Array} content - The content to compress.
+   * @returns {Promise<Uint8Array>} The compressed bytes.
+   */
+  static async gzip(content) {
+    return ArchiveUtils._transformBytes(
+        Utils.contentToBytes(content),
+        new CompressionStream("gzip")
+    );
+  }
+
+  /**
+   * Decompresses gzip data.
+   * @param {string|Uint8Array} content - The compressed content.
+   * @returns {Promise<Uint8Array>} The original bytes.
+   * @throws {Error} If the content isn't gzip data or is corrupt.
+   */
+  static async gunzip(content) {
+    if (!ArchiveUtils.isGzip(content)) {
+      throw new Error("not in gzip format");
+    }
+    try {
+      return await ArchiveUtils._transformBytes(content, new DecompressionStream("gzip"));
+    } catch (e) {
+      throw new Error("invalid compressed data");
+    }
+  }
+
+  /**
+   * Checks whether some content looks like a tar archive, by testing the
+   * checksum of its first header.
+   * @param {string|Uint8Array} content - The file content.
+   * @returns {boolean} True for tar archives.
+   */
+  static isTar(content) {
+    return content instanceof Uint8Array &&
+        content.length >= ArchiveUtils.TAR_BLOCK_SIZE &&
+        ArchiveUtils._tarChecksumMatches(content.subarray(0, ArchiveUtils.TAR_BLOCK_SIZE));
+  }
+
+  /**
+   * Builds a POSIX ustar archive.
+   * @param {Array<object>} entries - The entries to store. Directories should come before their contents.
+   * @returns {Uint8Array} The archive bytes.
+   * @throws {Error} If a name or link target doesn't fit in a ustar header.
+   */
+  static createTar(entries) {
+    const blockSize = ArchiveUtils.TAR_BLOCK_SIZE;
+    const blocks = [];
+    for (const entry of entries) {
+      const data = entry.type === "file"
+          ? Utils.contentToBytes(entry.content)
+          : new Uint8Array(0);
+      blocks.push(ArchiveUtils._encodeTarHeader(entry, data.length));
+      if (data.length > 0) {
+        blocks.push(data, new Uint8Array((blockSize - (data.length % blockSize)) % blockSize));
+      }
+    }
+    // Two empty blocks mark the end of the archive.
+    blocks.push(new Uint8Array(blockSize * 2));
+    return Utils.concatBytes(...blocks);
+  }
+
+  /**
+   * Reads a tar archive. Besides plain ustar, this understands the pax and
+   * GNU long-name records that other tools write for long paths. Hard
+   * links, devices and FIFOs have no place in the VFS and are skipped.
+   * @param {Uint8Array} bytes - The archive bytes.
+   * @returns {Array<object>} The entries, in archive order. File content is a
+   * string for text and a Uint8Array for anything else.
+   * @throws {Error} If the content isn't a tar archive or is damaged.
+   */
+  static readTar(bytes) {
+    const blockSize = ArchiveUtils.TAR_BLOCK_SIZE;
+    if (bytes.length < blockSize) {
+      throw new Error("not a tar archive");
+    }
+    const entries = [];
+    // Overrides from pax or GNU long-name records, for the next entry only.
+    let pending = {};
+    let offset = 0;
+
+    while (offset + blockSize <= bytes.length) {
+      const header = bytes.subarray(offset, offset + blockSize);
+      if (header.every((byte) => byte === 0)) break;
+      if (!ArchiveUtils._tarChecksumMatches(header)) {
+        throw new Error(offset === 0 ? "not a tar archive" : "archive is damaged (bad header checksum)");
+      }
+
+      const size = ArchiveUtils._readTarNumber(header, 124, 12);
+      const dataStart = offset + blockSize;
+      const data = bytes.subarray(dataStart, dataStart + size);
+      if (data.length < size) {
+        throw new Error("unexpected end of archive");
+      }
+      offset = dataStart + Math.ceil(size / blockSize) * blockSize;
+
+      const typeflag = header[156] === 0 ? "0" : String.fromCharCode(header[156]);
+      if (typeflag === "x") {
+        pending = { ...pending, ...ArchiveUtils._parsePaxRecords(data) };
+        continue;
+      }
+      if (typeflag === "L" || typeflag === "K") {
+        pending[typeflag === "L" ? "path" : "linkpath"] = ArchiveUtils._readTarString(data, 0, data.length);
+        continue;
+      }
+
+      let path = ArchiveUtils._readTarString(header, 0, 100);
+      const prefix = ArchiveUtils._readTarString(header, 345, 155);
+      if (prefix && ArchiveUtils._readTarString(header, 257, 5) === "ustar") {
+        path = `${prefix}/${path}`;
+      }
+      path = pending.path || path;
+
+      let type = { 0: "file", 7: "file", 5: "directory", 2: "symlink" }[typeflag];
+      // Very old archives mark directories only with a trailing slash.
+      if (type === "file" && path.endsWith("/")) type = "directory";
+      if (type) {
+        const mtime = pending.mtime !== undefined
+            ? parseFloat(pending.mtime)
+            : ArchiveUtils._readTarNumber(header, 136, 12);
+        entries.push({
+          path: path.replace(/\/+$/, ""),
+          type,
+          content: type === "file" ? Utils.bytesToContent(data.slice()) : null,
+          mode: ArchiveUtils._readTarNumber(header, 100, 8) & 0o7777,
+          mtime: new Date(mtime * 1000).toISOString(),
+          owner: pending.uname || ArchiveUtils._readTarString(header, 265, 32) || null,
+          group: pending.gname || ArchiveUtils._readTarString(header, 297, 32) || null,
+          target: type === "symlink"
+              ? pending.linkpath || ArchiveUtils._readTarString(header, 157, 100)
+              : null,
+        });
+      }
+      pending = {};
+    }
+    return entries;
+  }
+
+  /**
+   * Creates a symbolic link, replacing whatever non-directory is in its way.
+   * @private
+   * @param {string} fullPath - The absolute path of the link.
+   * @param {string} target - What the link points to.
+   * @param {string} currentUser - The name of the user executing the command.
+   * @param {string} primaryGroup - The user's primary group.
+   * @param {object} dependencies - The dependency injection container.
+   * @throws {Error} If the link can't be created.
+   */
+  static _createSymlink(fullPath, target, currentUser, primaryGroup, dependencies) {
+    const { Config, FileSystemManager } = dependencies;
+    const parentResult = FileSystemManager.createParentDirectoriesIfNeeded(fullPath);
+    if (!parentResult.success) {
+      throw new Error(`${fullPath}: Cannot create symlink: ${parentResult.error?.message || parentResult.error}`);
+    }
+    const parentNode = parentResult.data;
+    if (!FileSystemManager.hasPermission(parentNode, currentUser, "write")) {
+      throw new Error(`${fullPath}: Cannot create symlink: Permission denied`);
+    }
+    const linkName = fullPath.substring(fullPath.lastIndexOf("/") + 1);
+    if (parentNode.children[linkName]?.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+      throw new Error(`${fullPath}: Cannot create symlink: File exists`);
+    }
+    parentNode.children[linkName] = FileSystemManager._createNewSymlinkNode(target, currentUser, primaryGroup);
+    parentNode.mtime = new Date().toISOString();
+    FileSystemManager.markDirty(fullPath, { withParent: true });
+  }
+
+  /**
+   * Encodes the extra fields stored with every ZIP entry.
+   * @private
+   * @param {number} mode - The permission bits.
+   * @param {Date} date - The modification time.
+   * @returns {Uint8Array} The extra field block.
+   */
+  static _encodeZipExtras(mode, date) {
+    const block = new Uint8Array(9 + 7);
+    const view = new DataView(block.buffer);
+    // Extended timestamp: flags (bit 0 = mtime present), then Unix seconds.
+    view.setUint16(0, ArchiveUtils.ZIP_EXTRA_FIELDS.TIMESTAMP, true);
+    view.setUint16(2, 5, true);
+    view.setUint8(4, 1);
+    view.setUint32(5, Math.max(0, Math.floor(date.getTime() / 1000)), true);
+    // OopisOS mode: a version byte, then the permission bits.
+    view.setUint16(9, ArchiveUtils.ZIP_EXTRA_FIELDS.OOPIS_MODE, true);
+    view.setUint16(11, 3, true);
+    view.setUint8(13, 1);
+    view.setUint16(14, (mode || 0) & 0o7777, true);
+    return block;
+  }
+
+  /**
+   * Finds the "end of central directory" record of a ZIP archive.
+   * @private
+   * @param {DataView} view - A view over the archive.
+   * @returns {number} The offset of the record.
+   * @throws {Error} If there isn't one.
+   */
+  static _findEndOfCentralDirectory(view) {
+    // The record is 22 bytes plus a comment of up to 64K.
+    const lowest = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let offset = view.byteLength - 22; offset >= lowest; offset--) {
+      if (view.getUint32(offset, true) === 0x06054b50) {
+        return offset;
+      }
+    }
+    throw new Error("not a zip archive (no central directory)");
+  }
+
+  /**
+   * Walks the central directory of a ZIP archive.
+   * @private
+   * @param {Uint8Array} bytes - The archive bytes.
+   * @returns {{entries: Array<object>, endOffset: number}} One record per entry, with the
+   * offsets and lengths needed to find its header, name and extra fields.
+   * @throws {Error} If the archive is damaged.
+   */
+  static _readCentralDirectory(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const endOffset = ArchiveUtils._findEndOfCentralDirectory(view);
+    const count = view.getUint16(endOffset + 10, true);
+    let offset = view.getUint32(endOffset + 16, true);
+    const decoder = new TextDecoder();
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) {
+        throw new Error("corrupt zip archive (bad central directory)");
+      }
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      entries.push({
+        offset,
+        flags: view.getUint16(offset + 8, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        localHeaderOffset: view.getUint32(offset + 42, true),
+        name: decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength)),
+        extraOffset: offset + 46 + nameLength,
+        extraLength,
+        length: 46 + nameLength + extraLength + commentLength,
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return { entries, endOffset };
+  }
+
+  /**
+   * Rewrites an archive with an extra field block appended to both the
+   * local header and the central directory record of every entry.
+   * @private
+   * @param {Uint8Array} bytes - The archive produced by JSZip.
+   * @param {Map<string, Uint8Array>} extrasByName - The extra fields for each entry name.
+   * @returns {Uint8Array} The new archive.
+   */
+  static _addZipExtraFields(bytes, extrasByName) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const { entries, endOffset } = ArchiveUtils._readCentralDirectory(bytes);
+    const localParts = [];
+    const centralParts = [];
+    let written = 0;
+
+    for (const entry of entries) {
+      const extra = extrasByName.get(entry.name) || new Uint8Array(0);
+      const local = entry.localHeaderOffset;
+      const localNameLength = view.getUint16(local + 26, true);
+      const localExtraLength = view.getUint16(local + 28, true);
+      const headerEnd = local + 30 + localNameLength + localExtraLength;
+      // Entries written in streaming mode carry a 16-byte data descriptor.
+      const dataEnd = headerEnd + entry.compressedSize + (entry.flags & 0x08 ? 16 : 0);
+
+      const header = bytes.slice(local, headerEnd);
+      new DataView(header.buffer).setUint16(28, localExtraLength + extra.length, true);
+      localParts.push(header, extra, bytes.subarray(headerEnd, dataEnd));
+
+      const central = bytes.slice(entry.offset, entry.extraOffset + entry.extraLength);
+      const centralView = new DataView(central.buffer);
+      centralView.setUint16(30, entry.extraLength + extra.length, true);
+      centralView.setUint32(42, written, true);
+      centralParts.push(
+          central,
+          extra,
+          bytes.subarray(entry.extraOffset + entry.extraLength, entry.offset + entry.length)
+      );
+
+      written += header.length + extra.length + (dataEnd - headerEnd);
+    }
+
+    const centralSize = centralParts.reduce((total, part) => total + part.length, 0);
+    const end = bytes.slice(endOffset);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, written, true);
+    return Utils.concatBytes(...localParts, ...centralParts, end);
+  }
+
+  /**
+   * Reads our extra fields back out of an archive's central directory.
+   * JSZip parses them but doesn't hand them over, hence the second look.
+   * @private
+   * @param {Uint8Array} bytes - The archive bytes.
+   * @returns {Map<string, {mtime?: Date, mode?: number}>} What was found, by entry name.
+   */
+  static _readZipExtraFields(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const found = new Map();
+    const { TIMESTAMP, OOPIS_MODE } = ArchiveUtils.ZIP_EXTRA_FIELDS;
+    for (const entry of ArchiveUtils._readCentralDirectory(bytes).entries) {
+      const info = {};
+      let offset = entry.extraOffset;
+      const end = entry.extraOffset + entry.extraLength;
+      while (offset + 4 <= end) {
+        const id = view.getUint16(offset, true);
+        const size = view.getUint16(offset + 2, true);
+        const data = offset + 4;
+        if (id === TIMESTAMP && size >= 5 && (view.getUint8(data) & 1)) {
+          info.mtime = new Date(view.getUint32(data + 1, true) * 1000);
+        } else if (id === OOPIS_MODE && size >= 3 && view.getUint8(data) === 1) {
+          info.mode = view.getUint16(data + 1, true) & 0o7777;
+        }
+        offset = data + size;
+      }
+      found.set(entry.name, info);
+    }
+    return found;
+  }
+
+  /**
+   * Runs bytes through a compression or decompression stream.
+   * @private
+   * @param {Uint8Array} bytes - The input bytes.
+   * @param {TransformStream} transform - The stream to run them through.
+   * @returns {Promise<Uint8Array>} The output bytes.
+   */
+  static async _transformBytes(bytes, transform) {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  /**
+   * Encodes the 512-byte ustar header for an entry.
+   * @private
+   * @param {object} entry - The archive entry.
+   * @param {number} size - The length of the entry's data in bytes.
+   * @returns {Uint8Array} The header block.
+   * @throws {Error} If the name or link target is too long.
+   */
+  static _encodeTarHeader(entry, size) {
+    const header = new Uint8Array(ArchiveUtils.TAR_BLOCK_SIZE);
+    const encoder = new TextEncoder();
+    const writeString = (offset, length, value, what) => {
+      const bytes = encoder.encode(value);
+      if (bytes.length > length) {
+        throw new Error(`${what} is too long: ${value}`);
+      }
+      header.set(bytes, offset);
+    };
+    // Numbers are zero-padded octal, followed by a NUL.
+    const writeOctal = (offset, length, value) =>
+        header.set(encoder.encode(Math.max(0, Math.floor(value)).toString(8).padStart(length - 1, "0")), offset);
+
+    const isDirectory = entry.type === "directory";
+    const { name, prefix } = ArchiveUtils._splitTarName(isDirectory ? `${entry.path}/` : entry.path);
+    // The VFS has no numeric ids; the owner and group names are what count.
+    const idOf = (owner) => (owner === "root" ? 0 : 1000);
+
+    writeString(0, 100, name, "file name");
+    writeOctal(100, 8, (entry.mode || 0) & 0o7777);
+    writeOctal(108, 8, idOf(entry.owner));
+    writeOctal(116, 8, idOf(entry.group));
+    writeOctal(124, 12, size);
+    writeOctal(136, 12, (entry.mtime ? new Date(entry.mtime) : new Date()).getTime() / 1000);
+    header[156] = { directory: 0x35, symlink: 0x32 }[entry.type] || 0x30;
+    if (entry.type === "symlink") {
+      writeString(157, 100, entry.target || "", "link target");
+    }
+    header.set(encoder.encode("ustar\u000000"), 257);
+    header.set(encoder.encode(entry.owner || "").subarray(0, 31), 265);
+    header.set(encoder.encode(entry.group || "").subarray(0, 31), 297);
+    writeString(345, 155, prefix, "file name");
+
+    // The checksum is summed with its own field filled with spaces.
+    header.fill(0x20, 148, 156);
+    const checksum = header.reduce((sum, byte) => sum + byte, 0);
+    header.set(encoder.encode(`${checksum.toString(8).padStart(6, "0")}\u0000 `), 148);
+    return header;
+  }
+
+  /**
+   * Splits a long path into the ustar name and prefix fields, which hold
+   * 100 and 155 bytes and are joined back together with a '/'.
+   * @private
+   * @param {string} path - The entry path.
+   * @returns {{name: string, prefix: string}} The two fields.
+   * @throws {Error} If there's no way to make the path fit.
+   */
+  static _splitTarName(path) {
+    const byteLength = (text) => new TextEncoder().encode(text).length;
+    if (byteLength(path) <= 100) {
+      return { name: path, prefix: "" };
+    }
+    for (let slash = path.indexOf("/"); slash !== -1; slash = path.indexOf("/", slash + 1)) {
+      const prefix = path.substring(0, slash);
+      const name = path.substring(slash + 1);
+      if (name && name !== "/" && byteLength(prefix) <= 155 && byteLength(name) <= 100) {
+        return { name, prefix };
+      }
+    }
+    throw new Error(`file name is too long: ${path}`);
+  }
+
+  /**
+   * Verifies the checksum of a tar header.
+   * @private
+   * @param {Uint8Array} header - The header block.
+   * @returns {boolean} True if the stored checksum matches.
+   */
+  static _tarChecksumMatches(header) {
+    const stored = ArchiveUtils._readTarString(header, 148, 8).trim();
+    if (!/^[0-7]+$/.test(stored)) return false;
+    let sum = 0;
+    for (let i = 0; i < header.length; i++) {
+      sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    }
+    return parseInt(stored, 8) === sum;
+  }
+
+  /**
+   * Reads a NUL-terminated string field from a tar header.
+   * @private
+   * @param {Uint8Array} block - The block holding the field.
+   * @param {number} offset - Where the field starts.
+   * @param {number} length - The field's width.
+   * @returns {string} The field's value.
+   */
+  static _readTarString(block, offset, length) {
+    const field = block.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return new TextDecoder().decode(end === -1 ? field : field.subarray(0, end));
+  }
+
+  /**
+   * Reads a numeric field from a tar header. Numbers are normally octal
+   * text; GNU tar switches to big-endian binary, flagged by the high bit,
+   * for values too big for that.
+   * @private
+   * @param {Uint8Array} block - The header block.
+   * @param {number} offset - Where the field starts.
+   * @param {number} length - The field's width.
+   * @returns {number} The field's value.
+   */
+  static _readTarNumber(block, offset, length) {
+    if (block[offset] & 0x80) {
+      let value = block[offset] & 0x7f;
+      for (let i = 1; i < length; i++) {
+        value = value * 256 + block[offset + i];
+      }
+      return value;
+    }
+    const text = ArchiveUtils._readTarString(block, offset, length).trim();
+    return text ? parseInt(text, 8) || 0 : 0;
+  }
+
+  /**
+   * Parses the "length key=value\n" records of a pax extended header.
+   * @private
+   * @param {Uint8Array} data - The extended header's data.
+   * @returns {Object<string, string>} The records by key.
+   */
+  static _parsePaxRecords(data) {
+    const decoder = new TextDecoder();
+    const records = {};
+    let offset = 0;
+    while (offset < data.length) {
+      const space = data.indexOf(0x20, offset);
+      if (space === -1) break;
+      const length = parseInt(decoder.decode(data.subarray(offset, space)), 10);
+      if (!length) break;
+      const record = decoder.decode(data.subarray(space + 1, offset + length - 1));
+      const equals = record.indexOf("=");
+      if (equals > 0) {
+        records[record.substring(0, equals)] = record.substring(equals + 1);
+      }
+      offset += length;
+    }
+    return records;
+  }
+}
@@ -24,12 +24,55 @@ window.AgendaCommand = class AgendaCommand extends Command {
       SUB-COMMANDS:
         add "<cron>" "<cmd>"  - Schedules a new command. (Requires root)
         list                 - Lists all scheduled commands.
+        next <id> [count]    - Shows the next run times of a job (default 5).
         remove <id>          - Removes a scheduled command by its ID. (Requires root)
-        start-daemon         - (Internal) Starts the scheduling service.`,
+        start-daemon         - (Internal) Starts the scheduling service.
+
+      SCHEDULES:
+        A schedule is five fields: minute hour day-of-month month day-of-week.
+          minute 0-59, hour 0-23, day 1-31, month 1-12 or jan-dec,
+          day-of-week 0-7 or sun-sat (0 and 7 are both Sunday).
+        Each field takes '*', a number, a range (1-5), a list (1,15,30)
+        and steps (*/5, 9-17/2). When both day fields are restricted, a
+        job runs when either of them matches.
+        Shortcuts: @yearly (@annually), @monthly, @weekly, @daily
+        (@midnight), @hourly, and @reboot, which runs once each time the
+        daemon starts.
+
+      Every run is recorded, with its exit status, in /var/log/agenda.log.
+
+      EXAMPLES:
+        sudo agenda add "*/15 9-17 * * mon-fri" "echo still at work"
+        sudo agenda add "@daily" "backup"
+        agenda next 1 3`,
+            completion: {
+                subCommands: {
+                    add: {
+                        args: [["@yearly", "@annually", "@monthly", "@weekly", "@daily", "@midnight", "@hourly", "@reboot"], "commands", []],
+                    },
+                    list: {},
+                    next: { args: [AgendaCommand.getJobIds, []] },
+                    remove: { args: [AgendaCommand.getJobIds, []] },
+                },
+            },
             isInputStream: false,
         });
     }
 
+    /**
+     * Lists the IDs of the scheduled jobs, for tab completion.
+     * @param {object} context - The completion context.
+     * @returns {string[]} The job IDs.
+     */
+    static getJobIds({ dependencies }) {
+        const scheduleNode = dependencies.FileSystemManager.getNodeByPath('/etc/agenda.json');
+        try {
+            return JSON.parse((scheduleNode && scheduleNode.content) || '[]').map(entry => String(entry.id));
+        } catch (e) {
+            return [];
+        }
+    }
+
     /**
      * Main logic for the 'agenda' command. It parses sub-commands and ensures the
      * AgendaDaemon is running before passing tasks to it.
@@ -71,6 +114,8 @@ window.AgendaCommand = class AgendaCommand extends Command {
                 return this._handleAdd(context);
             case "list":
                 return this._handleList(context);
+            case "next":
+                return this._handleNext(context);
             case "remove":
                 return this._handleRemove(context);
             default:
@@ -97,6 +142,11 @@ window.AgendaCommand = class AgendaCommand extends Command {
         if (!cronString || !command) {
             return ErrorHandler.createError("Cron string and command must be provided.");
         }
+        try {
+            AgendaDaemon.parseCron(cronString);
+        } catch (e) {
+            return ErrorHandler.createError(`agenda add: invalid schedule '${cronString}': ${e.message}`);
+        }
 
         // Post a message to the daemon to add a new job
         MessageBusManager.postMessage('agenda-daemon', {
@@ -140,6 +190,61 @@ window.AgendaCommand = class AgendaCommand extends Command {
         }
     }
 
+    /**
+     * Handles the 'next' sub-command by working out when a job will fire.
+     * @param {object} context - The command execution context.
+     * @returns {Promise<object>} The result of the command execution.
+     * @private
+     */
+    async _handleNext(context) {
+        const { args, dependencies } = context;
+        const { FileSystemManager, ErrorHandler } = dependencies;
+
+        if (args.length < 2 || args.length > 3) {
+            return ErrorHandler.createError("Usage: agenda next <job_id> [count]");
+        }
+        const jobId = parseInt(args[1], 10);
+        const count = args[2] === undefined ? 5 : parseInt(args[2], 10);
+        if (isNaN(jobId)) {
+            return ErrorHandler.createError("Invalid Job ID.");
+        }
+        if (isNaN(count) || count < 1 || count > 100) {
+            return ErrorHandler.createError("agenda next: count must be between 1 and 100.");
+        }
+
+        let schedule;
+        try {
+            const scheduleNode = FileSystemManager.getNodeByPath('/etc/agenda.json');
+            schedule = JSON.parse((scheduleNode && scheduleNode.content) || '[]');
+        } catch (e) {
+            return ErrorHandler.createError("Could not read the agenda file. It may be corrupt.");
+        }
+        const job = schedule.find(entry => entry.id === jobId);
+        if (!job) {
+            return ErrorHandler.createError(`agenda next: no job with ID ${jobId}.`);
+        }
+
+        let cron;
+        try {
+            cron = AgendaDaemon.parseCron(job.cronString);
+        } catch (e) {
+            return ErrorHandler.createError(`agenda next: job ${jobId} has an invalid schedule: ${e.message}`);
+        }
+        if (cron.reboot) {
+            return ErrorHandler.createSuccess(`Job ${jobId} (${job.command}) runs each time the agenda daemon starts.`);
+        }
+
+        const runTimes = AgendaDaemon.nextRunTimes(cron, new Date(), count);
+        if (runTimes.length === 0) {
+            return ErrorHandler.createSuccess(`Job ${jobId} will not run again in the next few years.`);
+        }
+        // "Mon Oct 19 2026 09:15" - Date.toString() without the seconds and zone.
+        const lines = runTimes.map(date => `  ${date.toString().substring(0, 21)}`);
+        return ErrorHandler.createSuccess(
+            `Next run times for job ${jobId} (${job.cronString}  ${job.command}):\n${lines.join("\n")}`
+        );
+    }
+
     /**
      * Handles the 'remove' sub-command by sending a message to the daemon.
      * @param {object} context - The command execution context.
@@ -182,6 +287,8 @@ class AgendaDaemon {
         this.dependencies = dependencies;
         this.schedule = [];
         this.schedulePath = '/etc/agenda.json';
+        this.logPath = '/var/log/agenda.log';
+        this.maxLogLines = 1000;
         this.jobCounter = 0;
         this.isRunning = false;
     }
@@ -230,42 +337,289 @@ class AgendaDaemon {
     }
 
     /**
-     * Parses a cron string into its components.
+     * The five cron fields, in order, with their ranges and any names they accept.
+     * @type {Array<{name: string, min: number, max: number, names?: string[]}>}
+     */
+    static get CRON_FIELDS() {
+        return [
+            { name: 'minute', min: 0, max: 59 },
+            { name: 'hour', min: 0, max: 23 },
+            { name: 'dayOfMonth', min: 1, max: 31 },
+            { name: 'month', min: 1, max: 12,
+                names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+            // 7 is accepted as a second Sunday and folded onto 0.
+            { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] },
+        ];
+    }
+
+    /**
+     * The '@' shortcuts and the schedules they stand for.
+     * @type {Object<string, string>}
+     */
+    static get CRON_SHORTCUTS() {
+        return {
+            '@yearly': '0 0 1 1 *',
+            '@annually': '0 0 1 1 *',
+            '@monthly': '0 0 1 * *',
+            '@weekly': '0 0 * * 0',
+            '@daily': '0 0 * * *',
+            '@midnight': '0 0 * * *',
+            '@hourly': '0 * * * *',
+        };
+    }
+
+    /**
+     * Parses a cron string. Supports the five standard fields with '*',
+     * numbers, names, ranges, lists and steps, plus the '@' shortcuts.
      * @param {string} cronString - The cron string to parse.
-     * @returns {object|null} The parsed cron components or null if invalid.
+     * @returns {object} Either `{reboot: true}` or, for each field, the Set of
+     * values it allows, plus whether the two day fields were restricted.
+     * @throws {Error} If the cron string is malformed.
+     */
+    static parseCron(cronString) {
+        const trimmed = String(cronString || '').trim().toLowerCase();
+        if (trimmed === '@reboot') {
+            return { reboot: true };
+        }
+        const expanded = AgendaDaemon.CRON_SHORTCUTS[trimmed] || trimmed;
+        if (expanded.startsWith('@')) {
+            throw new Error(`unknown shortcut '${trimmed}'`);
+        }
+
+        const parts = expanded.split(/\s+/);
+        if (parts.length !== 5) {
+            throw new Error(`expected 5 fields, got ${parts.length}`);
+        }
+
+        const cron = {};
+        AgendaDaemon.CRON_FIELDS.forEach((field, index) => {
+            cron[field.name] = AgendaDaemon._parseCronField(parts[index], field);
+        });
+        if (cron.dayOfWeek.delete(7)) {
+            cron.dayOfWeek.add(0);
+        }
+        cron.dayOfMonthRestricted = parts[2] !== '*';
+        cron.dayOfWeekRestricted = parts[4] !== '*';
+        return cron;
+    }
+
+    /**
+     * Parses one cron field into the set of values it allows.
+     * @param {string} text - The field, such as '*\/5', '1-5' or 'mon,wed,fri'.
+     * @param {{name: string, min: number, max: number, names?: string[]}} field - The field's rules.
+     * @returns {Set<number>} The allowed values.
+     * @throws {Error} If the field is malformed or out of range.
+     * @private
+     */
+    static _parseCronField(text, field) {
+        const toValue = (token) => {
+            const nameIndex = field.names ? field.names.indexOf(token) : -1;
+            if (nameIndex !== -1) {
+                return nameIndex + (field.name === 'month' ? 1 : 0);
+            }
+            if (!/^\d+$/.test(token)) {
+                throw new Error(`'${token}' is not a valid ${field.name}`);
+            }
+            const value = parseInt(token, 10);
+            if (value < field.min || value > field.max) {
+                throw new Error(`${field.name} ${value} is out of range (${field.min}-${field.max})`);
+            }
+            return value;
+        };
+
+        const values = new Set();
+        for (const item of text.split(',')) {
+            const [range, stepText, extra] = item.split('/');
+            if (extra !== undefined || range === '') {
+                throw new Error(`'${item}' is not a valid ${field.name}`);
+            }
+            let step = 1;
+            if (stepText !== undefined) {
+                if (!/^\d+$/.test(stepText) || parseInt(stepText, 10) === 0) {
+                    throw new Error(`'${stepText}' is not a valid step`);
+                }
+                step = parseInt(stepText, 10);
+            }
+
+            let start;
+            let end;
+            if (range === '*') {
+                start = field.min;
+                end = field.max;
+            } else if (range.includes('-')) {
+                const [from, to, rest] = range.split('-');
+                if (rest !== undefined) {
+                    throw new Error(`'${range}' is not a valid range`);
+                }
+                start = toValue(from);
+                end = toValue(to);
+                if (start > end) {
+                    throw new Error(`range '${range}' runs backwards`);
+                }
+            } else {
+                start = toValue(range);
+                // 'N/step' means "from N to the end, every step".
+                end = stepText !== undefined ? field.max : start;
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Checks whether a parsed schedule fires at the given minute.
+     * @param {object} cron - A schedule from {@link AgendaDaemon.parseCron}.
+     * @param {Date} date - The moment to test.
+     * @returns {boolean} True if the job is due.
+     */
+    static matches(cron, date) {
+        if (cron.reboot) return false;
+        return cron.minute.has(date.getMinutes()) &&
+            cron.hour.has(date.getHours()) &&
+            cron.month.has(date.getMonth() + 1) &&
+            AgendaDaemon._dayMatches(cron, date);
+    }
+
+    /**
+     * Applies the classic cron rule for the two day fields: when both are
+     * restricted, either one matching is enough.
+     * @param {object} cron - A parsed schedule.
+     * @param {Date} date - The day to test.
+     * @returns {boolean} True if the day is a run day.
      * @private
      */
-    _parseCron(cronString) {
-        const parts = cronString.split(' ');
-        if (parts.length !== 5) return null;
-        const [minute, hour, dayOfMonth] = parts;
-        return { minute, hour, dayOfMonth };
+    static _dayMatches(cron, date) {
+        const dayOfMonth = cron.dayOfMonth.has(date.getDate());
+        const dayOfWeek = cron.dayOfWeek.has(date.getDay());
+        if (cron.dayOfMonthRestricted && cron.dayOfWeekRestricted) {
+            return dayOfMonth || dayOfWeek;
+        }
+        return dayOfMonth && dayOfWeek;
+    }
+
+    /**
+     * Works out the next times a schedule will fire, strictly after `from`.
+     * Whole days and hours that can't match are skipped, so even sparse
+     * schedules ('0 0 29 2 *') are found quickly.
+     * @param {object} cron - A schedule from {@link AgendaDaemon.parseCron}.
+     * @param {Date} from - The moment to count from.
+     * @param {number} count - How many run times to find.
+     * @returns {Date[]} Up to `count` run times, looking at most eight years ahead.
+     */
+    static nextRunTimes(cron, from, count) {
+        const results = [];
+        if (cron.reboot) return results;
+
+        const date = new Date(from.getTime());
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+        const limit = new Date(date.getTime());
+        limit.setFullYear(limit.getFullYear() + 8);
+
+        while (results.length < count && date < limit) {
+            if (!cron.month.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!AgendaDaemon._dayMatches(cron, date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!cron.hour.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!cron.minute.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+            } else {
+                results.push(new Date(date.getTime()));
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+            }
+        }
+        return results;
     }
 
     /**
-     * Checks the schedule against the current time and executes any due commands.
+     * Checks the schedule against the current time and starts any due commands.
      * @param {Date} now - The current time.
      * @private
      */
     _checkSchedule(now) {
-        const { CommandExecutor } = this.dependencies;
         this.schedule.forEach(job => {
-            const cron = this._parseCron(job.cronString);
-            if (!cron) return;
-
-            let shouldRun = true;
-            if (cron.minute !== '*' && parseInt(cron.minute) !== now.getMinutes()) shouldRun = false;
-            if (cron.hour !== '*' && parseInt(cron.hour) !== now.getHours()) shouldRun = false;
-            if (cron.dayOfMonth !== '*' && parseInt(cron.dayOfMonth) !== now.getDate()) shouldRun = false;
-            // DayOfWeek and Month are ignored in this simplified version
-
-            if (shouldRun) {
-                console.log(`AgendaDaemon: Executing job ${job.id}: ${job.command}`);
-                CommandExecutor.processSingleCommand(job.command, { isInteractive: false });
+            const cron = this._parseJobSchedule(job);
+            if (cron && AgendaDaemon.matches(cron, now)) {
+                this._runJob(job);
             }
         });
     }
 
+    /**
+     * Parses a job's schedule, logging (rather than throwing) if it's broken.
+     * @param {object} job - The job from the schedule.
+     * @returns {object|null} The parsed schedule, or null if it can't be parsed.
+     * @private
+     */
+    _parseJobSchedule(job) {
+        try {
+            return AgendaDaemon.parseCron(job.cronString);
+        } catch (e) {
+            console.warn(`AgendaDaemon: Skipping job ${job.id}, invalid schedule '${job.cronString}': ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Runs a job and records the outcome in the agenda log. Jobs run side by
+     * side, so a slow one never makes the daemon miss the next minute.
+     * @param {object} job - The job to run.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _runJob(job) {
+        const { CommandExecutor, ErrorHandler } = this.dependencies;
+        const startedAt = new Date().toISOString();
+        console.log(`AgendaDaemon: Executing job ${job.id}: ${job.command}`);
+        let exitCode;
+        try {
+            const result = await CommandExecutor.processSingleCommand(job.command, { isInteractive: false });
+            exitCode = ErrorHandler.getExitCode(result);
+        } catch (e) {
+            console.error(`AgendaDaemon: Job ${job.id} crashed.`, e);
+            exitCode = ErrorHandler.EXIT_CODES.GENERAL;
+        }
+        await this._appendToLog(`${startedAt} job ${job.id} exit ${exitCode}: ${job.command}\n`);
+    }
+
+    /**
+     * Appends a line to /var/log/agenda.log, creating it if needed. Only the
+     * last `maxLogLines` lines are kept, so a busy job can't fill the disk.
+     * @param {string} entry - The line to append, newline included.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async _appendToLog(entry) {
+        const { FileSystemManager } = this.dependencies;
+        // Read and write happen with no await in between, so runs finishing together are all kept.
+        const logNode = FileSystemManager.getNodeByPath(this.logPath);
+        const lines = ((logNode ? logNode.content || "" : "") + entry).split("\n");
+        // The content ends with a newline, so the last element is always empty.
+        const saveResult = await FileSystemManager.createOrUpdateFile(
+            this.logPath,
+            lines.slice(-(this.maxLogLines + 1)).join("\n"),
+            { currentUser: 'root', primaryGroup: 'root' }
+        );
+        if (!saveResult.success) {
+            console.error("AgendaDaemon: Could not write to the agenda log.", saveResult.error);
+            return;
+        }
+        if (!logNode) {
+            const newNode = FileSystemManager.getNodeByPath(this.logPath);
+            if (newNode) {
+                newNode.mode = 0o644; // rw-r--r--
+            }
+        }
+        await FileSystemManager.save();
+    }
+
     /**
      * Handles incoming messages from the message bus to modify the schedule.
      * @param {object} message - The message payload from the message bus.
@@ -296,6 +650,9 @@ class AgendaDaemon {
         console.log("AgendaDaemon: Starting up.");
         await this._loadSchedule();
         this.dependencies.MessageBusManager.registerJob('agenda-daemon');
+        this.schedule
+            .filter(job => this._parseJobSchedule(job)?.reboot)
+            .forEach(job => this._runJob(job));
         await this._runDaemonLoop();
     }
 
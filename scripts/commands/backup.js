@@ -85,7 +85,7 @@ DESCRIPTION
         dataType: "OopisOS_System_State_Backup_v4.5",
         osVersion: Config.OS.VERSION,
         timestamp: new Date().toISOString(),
-        fsDataSnapshot: Utils.deepCopyNode(FileSystemManager.getFsData()),
+        fsDataSnapshot: Utils.toSerializableTree(FileSystemManager.getFsData()),
         userCredentials: StorageManager.loadItem(
             Config.STORAGE_KEYS.USER_CREDENTIALS,
             "User Credentials",
@@ -1,7 +1,7 @@
 /**
  * @file scripts/commands/base64.js
- * @description The 'base64' command, a utility for encoding and decoding data using the Base64 standard,
- * leveraging the browser's built-in `btoa` and `atob` functions.
+ * @description The 'base64' command, a utility for encoding and decoding data using the Base64 standard.
+ * It works on bytes, so binary files survive the trip in both directions.
  */
 
 /**
@@ -24,6 +24,8 @@ Base64 encode or decode FILE, or standard input, to standard output.
 DESCRIPTION
        The base64 command encodes or decodes data using the Base64 standard.
        This is useful for safely transmitting binary data through text-based channels.
+       Text is encoded as UTF-8; binary files (images, audio, archives) are
+       encoded byte for byte, and decoding gives back exactly those bytes.
        With no FILE, or when FILE is -, it reads from standard input.
 
 OPTIONS
@@ -38,8 +40,12 @@ EXAMPLES
               Encodes the script and saves the output to a new file.
 
        cat encoded.txt | base64 -d
-              Decodes the content of 'encoded.txt' and prints the original script.`,
+              Decodes the content of 'encoded.txt' and prints the original script.
+
+       base64 -d photo.b64 > photo.png
+              Turns Base64 text back into a real image file.`,
       isInputStream: true,
+      binaryInput: true,
       completionType: "paths",
       flagDefinitions: [{ name: "decode", short: "-d", long: "--decode" }],
     });
@@ -58,7 +64,7 @@ EXAMPLES
    */
   async coreLogic(context) {
     const { flags, inputItems, inputError, dependencies } = context;
-    const { ErrorHandler } = dependencies;
+    const { ErrorHandler, Utils } = dependencies;
 
     if (inputError) {
       return ErrorHandler.createError(
@@ -70,16 +76,20 @@ EXAMPLES
       return ErrorHandler.createSuccess("");
     }
 
-    const inputData = inputItems.map((item) => item.content).join("\n");
+    const inputData = Utils.concatBytes(
+        ...inputItems.flatMap((item, index) =>
+            index === 0 ? [item.content] : ["\n", item.content]
+        )
+    );
 
     try {
       if (flags.decode) {
-        // Decode the input data from Base64
-        const decodedData = atob(inputData);
-        return ErrorHandler.createSuccess(decodedData);
+        // Decode the input data from Base64; text comes back as text, anything else as bytes
+        const decodedData = Utils.base64ToBytes(Utils.contentToText(inputData));
+        return ErrorHandler.createSuccess(Utils.bytesToContent(decodedData));
       } else {
         // Encode the input data to Base64 and format with newlines every 64 characters
-        const encodedData = btoa(inputData);
+        const encodedData = Utils.bytesToBase64(inputData);
         return ErrorHandler.createSuccess(
             encodedData.replace(/(.{64})/g, "$1\n")
         );
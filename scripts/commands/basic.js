@@ -28,9 +28,12 @@ window.BasicCommand = class BasicCommand extends Command {
       helpText: `Usage: basic [filename.bas]
     Launches a full-screen Integrated Development Environment for Oopis Basic.
     DESCRIPTION
-    Oopis Basic is a simple, line-numbered programming language integrated
-    into the OS. Running 'basic' opens the IDE. If a filename is provided,
-    that file will be loaded into the editor buffer.
+    Oopis Basic is a simple programming language integrated into the OS.
+    Running 'basic' opens the IDE. If a filename is provided, that file
+    will be loaded into the editor buffer; a program written without line
+    numbers is numbered in steps of 10 so it can be edited there. Files
+    starting with '#!basic' can also be run directly from the shell,
+    with or without line numbers.
     IDE COMMANDS
     LIST          - Displays the current program in memory.
     RUN           - Executes the current program.
@@ -39,17 +42,64 @@ window.BasicCommand = class BasicCommand extends Command {
     LOAD "file"   - Loads a program from a file.
     NEW           - Clears the current program from memory.
     EXIT          - Exits the BASIC environment.
+    DEBUGGING
+    The panel beside the console lists the program and shows its
+    variables, arrays, GOSUB stack and FOR loops as it runs.
+    BREAK [line]  - Toggles a breakpoint on a line, or lists them all.
+    Clicking a line number in the panel does the same.
+    CONT          - Continues a paused program.
+    STEP          - Runs to the next line, stepping over SUB and FUNCTION
+    calls.
+    END           - Abandons a paused program.
+    TRON / TROFF  - Turns tracing on or off; each line prints [n] as it runs.
     LANGUAGE FEATURES
-    - FOR...TO...STEP...NEXT: Looping construct.
+    - Statements on one line are separated by ':'. A line may start with
+      a 'label:' for GOTO and GOSUB to use instead of a line number.
+    - IF...THEN...ELSE on one line, or as a block:
+      IF...THEN / ELSEIF...THEN / ELSE / END IF. Any nonzero value is true.
+    - FOR...TO...STEP...NEXT, WHILE...WEND, and DO [WHILE|UNTIL]...
+      LOOP [WHILE|UNTIL]. EXIT FOR and EXIT DO leave a loop early.
+    - GOSUB...RETURN, and ON n GOTO|GOSUB target1, target2, ...
+    - SUB name(params)...END SUB, run with 'CALL name(args)' or 'name args'.
+    - FUNCTION name(params)...END FUNCTION, returning the value assigned
+      to its name. Arguments are passed by value; variables inside are
+      local unless listed in a SHARED statement. Arrays are global.
     - DATA, READ, RESTORE: For static data streams.
     - DIM: For creating single-dimension arrays.
-    - GOSUB...RETURN: Subroutine calls.
-    - IF...THEN...: Conditional logic with operators =, <>, <, >, <=, >=.
+    - PRINT items separated by ';' (side by side) or ',' (next column);
+      a trailing separator stays on the same line.
+    - STOP pauses the program in the IDE (run from the shell, it ends the
+      program). TRON and TROFF also work as statements.
+    OPERATORS (tightest first)
+    ^   unary -   * /   \\ (integer division)   MOD   + -
+    = <> < > <= >= (true is -1, false is 0)   NOT   AND   OR XOR
+    + also joins strings, and strings compare alphabetically.
     FUNCTIONS
+    - ABS, INT, SGN, SQR, EXP, LOG: Numeric functions.
+    - SIN, COS, TAN, ATN: Trigonometric functions (angle in radians).
     - RND(x): Generates a random number.
-    - SQR(x): Returns the square root of x.
-    - SIN(x), COS(x): Trigonometric functions (angle in radians).
+    - LEN(str), VAL(str), STR$(n), ASC(str), CHR$(n): Conversions.
     - LEFT$(str, n), RIGHT$(str, n), MID$(str, start, [len]): String manipulation.
+    - INSTR([start,] str, find): Position of 'find' in 'str', or 0.
+    - INKEY$: The next key pressed while the program runs, or "" if none.
+    GRAPHICS AND SOUND
+    SCREEN 1 [, width, height] opens a character-grid screen (80x24 unless
+    a size is given) above the console; SCREEN 0 goes back to text. While
+    it is open PRINT writes there. Points are (x, y) cells counted from
+    (0, 0) at the top left. Colours are numbers 0-15 or strings such as
+    "#FF8800", and drawing uses a solid block unless a character is given.
+    - COLOR c: Sets the colour for drawing and for PRINT.
+    - CLS: Clears the screen. LOCATE row, col moves PRINT (from 1, 1).
+    - PSET (x, y) [, c [, char$]]: Sets one cell.
+    - LINE [(x0, y0)]-(x1, y1) [, [c] [, [B|BF] [, char$]]]: Draws a line,
+      or a box (B) or filled box (BF) with those corners. Without a start
+      point it carries on from the last point drawn.
+    - CIRCLE (x, y), r [, c [, char$]]: Draws a circle r columns across.
+    - PAINT (x, y) [, c [, char$]]: Flood-fills the area around a point.
+    - BSAVE "file": Saves the screen as a picture (.oopic) for 'paint'.
+    - SOUND freq, ticks: Plays a tone; 18.2 ticks make a second.
+    - PLAY "music": Plays notes A-G (# + - for sharps and flats), with
+      On (octave), < >, Ln (length), Tn (tempo), Pn (rest) and Nn.
     SYSTEM BRIDGE
     - SYS_CMD("cmd"): Executes an OopisOS command and returns the output.
     - SYS_READ("path"): Reads the content of a file.
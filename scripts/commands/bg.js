@@ -23,6 +23,9 @@ window.BgCommand = class BgCommand extends Command {
       The bg (background) command resumes the specified job, keeping it
       in the background. If no job ID is specified, the most recently
       stopped job is used.`,
+            completion: {
+                args: ["jobs"],
+            },
             validations: {
                 args: {
                     max: 1
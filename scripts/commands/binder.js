@@ -35,6 +35,15 @@ window.BinderCommand = class BinderCommand extends Command {
         binder add my_project.binder /home/Guest/docs/README.md -s documentation
         binder list my_project.binder
         binder exec my_project.binder -- cksum {}`,
+            completion: {
+                subCommands: {
+                    create: {},
+                    add: { args: ["paths", "paths", []] },
+                    list: { args: ["paths", []] },
+                    remove: { args: ["paths", "paths", []] },
+                    exec: { args: ["paths", ["--"], "commands", "paths"] },
+                },
+            },
             flagDefinitions: [
                 { name: "section", short: "-s", long: "--section", takesValue: true }
             ]
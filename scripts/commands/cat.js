@@ -39,6 +39,7 @@ window.CatCommand = class CatCommand extends Command {
       how cat handles piped input.`,
             completionType: "paths",
             isInputStream: true,
+            binaryInput: true,
             flagDefinitions: [{ name: "numberLines", short: "-n", long: "--number" }],
         });
     }
@@ -55,7 +56,7 @@ window.CatCommand = class CatCommand extends Command {
      */
     async coreLogic(context) {
         const { flags, inputItems, inputError, dependencies } = context;
-        const { ErrorHandler } = dependencies;
+        const { ErrorHandler, Utils } = dependencies;
         if (inputError) {
             return ErrorHandler.createError(
                 "cat: One or more files could not be read."
@@ -66,7 +67,20 @@ window.CatCommand = class CatCommand extends Command {
             return ErrorHandler.createSuccess("");
         }
 
-        const content = inputItems.map((item) => item.content).join("\n");
+        // Binary files are passed through byte for byte, so 'cat a.png > b.png'
+        // makes a faithful copy. Numbering lines only makes sense for text.
+        if (
+            !flags.numberLines &&
+            inputItems.some((item) => Utils.isBinaryContent(item.content))
+        ) {
+            return ErrorHandler.createSuccess(
+                Utils.concatBytes(...inputItems.map((item) => item.content))
+            );
+        }
+
+        const content = inputItems
+            .map((item) => Utils.contentToText(item.content))
+            .join("\n");
 
         if (flags.numberLines) {
             let lineCounter = 1;
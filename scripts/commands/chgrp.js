@@ -39,7 +39,9 @@ window.ChgrpCommand = class ChgrpCommand extends Command {
       PERMISSIONS
       To change the group of a file, you must be the owner of the file
       or the superuser (root).`,
-            completionType: "groups",
+            completion: {
+                args: ["groups", "paths"],
+            },
             flagDefinitions: [
                 { name: "recursive", short: "-R", long: "--recursive", aliases: ["-r"] }
             ],
@@ -96,7 +98,7 @@ window.ChgrpCommand = class ChgrpCommand extends Command {
                 return ErrorHandler.createError(`chgrp: ${pathDataResult.error}`);
             }
 
-            const { node } = pathDataResult.data;
+            const { node, resolvedPath } = pathDataResult.data;
 
             if (!FileSystemManager.canUserModifyNode(node, currentUser)) {
                 return ErrorHandler.createError(`chgrp: changing group of '${pathArg}': Operation not permitted`);
@@ -104,9 +106,11 @@ window.ChgrpCommand = class ChgrpCommand extends Command {
 
             if (node.type === 'directory' && flags.recursive) {
                 await this._recursiveChgrp(node, groupName, dependencies);
+                FileSystemManager.markDirty(resolvedPath, { recursive: true });
             } else {
                 node.group = groupName;
                 node.mtime = new Date().toISOString();
+                FileSystemManager.markDirty(resolvedPath);
             }
             changesMade = true;
         }
@@ -75,9 +75,9 @@ window.ChmodCommand = class ChmodCommand extends Command {
      */
     async coreLogic(context) {
         const { args, validatedPaths, dependencies } = context;
-        const { ErrorHandler } = dependencies;
+        const { ErrorHandler, FileSystemManager } = dependencies;
         const modeArg = args[0];
-        const { node } = validatedPaths[0];
+        const { node, resolvedPath } = validatedPaths[0];
 
         if (!/^[0-7]{3,4}$/.test(modeArg)) {
             return ErrorHandler.createError(
@@ -88,6 +88,7 @@ window.ChmodCommand = class ChmodCommand extends Command {
         const newMode = parseInt(modeArg, 8);
         node.mode = newMode;
         node.mtime = new Date().toISOString();
+        FileSystemManager.markDirty(resolvedPath);
 
         return ErrorHandler.createSuccess("", { stateModified: true });
     }
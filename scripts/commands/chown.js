@@ -97,12 +97,14 @@ window.ChownCommand = class ChownCommand extends Command {
                     message: `chown: cannot access '${pathArg}': ${pathDataResult.error}`
                 });
             }
-            const { node } = pathDataResult.data;
+            const { node, resolvedPath } = pathDataResult.data;
             if (node.type === 'directory' && flags.recursive) {
                 await this._recursiveChown(node, newOwnerArg);
+                FileSystemManager.markDirty(resolvedPath, { recursive: true });
             } else {
                 node.owner = newOwnerArg;
                 node.mtime = new Date().toISOString();
+                FileSystemManager.markDirty(resolvedPath);
             }
             changesMade = true;
         }
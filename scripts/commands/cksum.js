@@ -38,6 +38,7 @@ EXAMPLES
        cat my_script.sh | cksum
               Calculates the checksum and size from the piped content.`,
             isInputStream: true,
+            binaryInput: true,
             completionType: "paths",
             flagDefinitions: [],
         });
@@ -53,7 +54,7 @@ EXAMPLES
     async coreLogic(context) {
 
         const { inputItems, inputError, dependencies } = context;
-        const { ErrorHandler } = dependencies;
+        const { ErrorHandler, Utils } = dependencies;
 
         if (inputError) {
             return ErrorHandler.createError(
@@ -66,11 +67,11 @@ EXAMPLES
         }
 
         /**
-         * Calculates the CRC32 checksum of a string.
-         * @param {string} str - The input string.
+         * Calculates the CRC32 checksum of a run of bytes.
+         * @param {Uint8Array} bytes - The input bytes.
          * @returns {number} The 32-bit CRC checksum.
          */
-        const crc32 = (str) => {
+        const crc32 = (bytes) => {
             const table = [];
             for (let i = 0; i < 256; i++) {
                 let c = i;
@@ -80,15 +81,16 @@ EXAMPLES
                 table[i] = c;
             }
             let crc = -1;
-            for (let i = 0; i < str.length; i++) {
-                crc = (crc >>> 8) ^ table[(crc ^ str.charCodeAt(i)) & 0xff];
+            for (let i = 0; i < bytes.length; i++) {
+                crc = (crc >>> 8) ^ table[(crc ^ bytes[i]) & 0xff];
             }
             return (crc ^ -1) >>> 0;
         };
 
         const outputLines = [];
         for (const item of inputItems) {
-            const input = item.content || "";
+            // Text is checksummed as the UTF-8 bytes it would occupy on disk.
+            const input = Utils.contentToBytes(item.content);
             const checksum = crc32(input);
             const byteCount = input.length;
             const fileName =
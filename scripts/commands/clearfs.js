@@ -77,6 +77,7 @@ window.ClearfsCommand = class ClearfsCommand extends Command {
             // Create a new empty children object to clear the directory
             homeNode.children = {};
             homeNode.mtime = new Date().toISOString();
+            FileSystemManager.markDirty(homePath, { recursive: true });
             await FileSystemManager.save();
             return ErrorHandler.createSuccess("Home directory cleared.", { stateModified: true });
         }
@@ -66,13 +66,13 @@ window.CommCommand = class CommCommand extends Command {
      */
     async coreLogic(context) {
         const { flags, validatedPaths, dependencies } = context;
-        const { ErrorHandler } = dependencies;
+        const { ErrorHandler, Utils } = dependencies;
 
         const file1Node = validatedPaths[0].node;
         const file2Node = validatedPaths[1].node;
 
-        const lines1 = (file1Node.content || "").split('\n');
-        const lines2 = (file2Node.content || "").split('\n');
+        const lines1 = Utils.contentToText(file1Node.content).split('\n');
+        const lines2 = Utils.contentToText(file2Node.content).split('\n');
 
         let i = 0;
         let j = 0;
@@ -16,6 +16,8 @@ class Command {
      * @param {object} [definition.argValidation] - Rules for validating arguments.
      * @param {object[]} [definition.flagDefinitions] - Definitions for command-line flags.
      * @param {boolean} [definition.isInputStream] - Whether the command can accept piped input.
+     * @param {boolean} [definition.binaryInput] - Whether the input stream should hand over binary
+     * content as raw bytes. Without it, everything arrives as text.
      */
     constructor(definition) {
         if (!definition || !definition.commandName) {
@@ -34,15 +36,19 @@ class Command {
      * @param {object} context - The command execution context.
      * @param {string[]} fileArgs - An array of file paths to read from if no stdin is present.
      * @yields {Promise<object>} A promise that resolves to an object containing the content and metadata.
+     * The content is a string unless the command asked for `binaryInput`, in which case binary
+     * files (and binary stdin) come through as a Uint8Array.
      */
     async *_generateInputContent(context, fileArgs) {
         const { options, currentUser } = context;
-        const { FileSystemManager } = context.dependencies;
+        const { FileSystemManager, Utils } = context.dependencies;
+        const asContent = (content) =>
+            this.definition.binaryInput ? content || "" : Utils.contentToText(content);
 
         if (options.stdinContent !== null && options.stdinContent !== undefined) {
             yield {
                 success: true,
-                content: options.stdinContent,
+                content: asContent(options.stdinContent),
                 sourceName: "stdin",
             };
             return;
@@ -75,7 +81,7 @@ class Command {
                 continue;
             }
 
-            yield { success: true, content: node.content || "", sourceName: pathArg };
+            yield { success: true, content: asContent(node.content), sourceName: pathArg };
         }
     }
 
@@ -86,7 +92,8 @@ class Command {
      * @param {string[]} rawArgs - The raw arguments passed to the command.
      * @param {object} options - Execution options, such as stdin content.
      * @param {object} dependencies - The dependency injection container.
-     * @returns {Promise<object>} A promise that resolves to the result of the command's core logic.
+     * @returns {Promise<object>} A promise that resolves to the result of the command's core logic,
+     * with any input errors attached as a `stderr` string and an integer `exitCode`.
      */
     async execute(rawArgs, options, dependencies) {
         const { Utils, ErrorHandler, FileSystemManager, UserManager } = dependencies;
@@ -103,7 +110,9 @@ class Command {
             );
             if (!argValidation.isValid) {
                 const errorMsg = this.definition.argValidation.error || argValidation.errorDetail;
-                return ErrorHandler.createError(`${this.commandName}: ${errorMsg}`);
+                return ErrorHandler.createError(`${this.commandName}: ${errorMsg}`, {
+                    exitCode: ErrorHandler.EXIT_CODES.USAGE,
+                });
             }
         }
 
@@ -112,7 +121,10 @@ class Command {
             for (const rule of this.definition.validations.paths) {
                 const pathValidationResult = await this._validatePathRule(rule, remainingArgs, dependencies);
                 if (!pathValidationResult.success) {
-                    return ErrorHandler.createError(`${this.commandName}: ${pathValidationResult.error}`);
+                    return ErrorHandler.createError(
+                        `${this.commandName}: ${pathValidationResult.error.message}`,
+                        { exitCode: ErrorHandler.getExitCode(pathValidationResult) }
+                    );
                 }
                 validatedPaths.push(...pathValidationResult.data);
             }
@@ -128,6 +140,8 @@ class Command {
             signal: options.signal,
         };
 
+        const stderrLines = [];
+
         if (this.definition.isInputStream) {
             const inputParts = [];
             let hadError = false;
@@ -142,9 +156,7 @@ class Command {
                 if (firstSourceName === null) firstSourceName = item.sourceName;
 
                 if (!item.success) {
-                    await dependencies.OutputManager.appendToOutput(item.error, {
-                        typeClass: dependencies.Config.CSS_CLASSES.ERROR_MSG,
-                    });
+                    stderrLines.push(item.error?.message || String(item.error));
                     hadError = true;
                 } else {
                     inputParts.push({
@@ -160,10 +172,21 @@ class Command {
             context.firstSourceName = firstSourceName;
         }
 
-        if (typeof this.coreLogic === 'function') {
-            return this.coreLogic(context);
+        const result = typeof this.coreLogic === 'function'
+            ? await this.coreLogic(context)
+            : await this.definition.coreLogic(context);
+
+        // Input errors travel on the result's stderr stream so the executor
+        // can honour '2>' style redirections.
+        if (stderrLines.length > 0 && result) {
+            result.stderr = [...stderrLines, result.stderr]
+                .filter((line) => line)
+                .join("\n");
+        }
+        if (result && !Number.isInteger(result.exitCode)) {
+            result.exitCode = ErrorHandler.getExitCode(result);
         }
-        return this.definition.coreLogic(context);
+        return result;
     }
 
     /**
@@ -197,7 +220,9 @@ class Command {
             const pathValidationResult = FileSystemManager.validatePath(pathArg, rule.options || {});
 
             if (!pathValidationResult.success) {
-                return ErrorHandler.createError(pathValidationResult.error);
+                return ErrorHandler.createError(pathValidationResult.error, {
+                    exitCode: ErrorHandler.getExitCode(pathValidationResult),
+                });
             }
 
             const { node, resolvedPath } = pathValidationResult.data;
@@ -205,7 +230,9 @@ class Command {
             if (rule.permissions) {
                 for (const perm of rule.permissions) {
                     if (node && !FileSystemManager.hasPermission(node, currentUser, perm)) {
-                        return ErrorHandler.createError(`'${pathArg}': Permission denied`);
+                        return ErrorHandler.createError(`'${pathArg}': Permission denied`, {
+                            exitCode: ErrorHandler.EXIT_CODES.PERMISSION_DENIED,
+                        });
                     }
                 }
             }
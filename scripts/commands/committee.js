@@ -108,6 +108,7 @@ window.CommitteeCommand = class CommitteeCommand extends Command {
 
         projectNode.group = committeeName;
         projectNode.mode = 0o770;
+        FileSystemManager.markDirty(projectPath);
 
         for (const member of members) {
             GroupManager.addUserToGroup(member, committeeName);
@@ -87,7 +87,8 @@ window.CpCommand = class CpCommand extends Command {
             ModalManager,
             OutputManager,
             UserManager,
-            Config
+            Config,
+            Utils
         } = dependencies;
         const nowISO = new Date().toISOString();
         let anyChangesMade = false;
@@ -174,9 +175,13 @@ window.CpCommand = class CpCommand extends Command {
                     destParentFullPath
                 );
 
+                // Bytes get their own buffer so the copy can't share the original's.
+                const content = Utils.isBinaryContent(sourceNode.content)
+                    ? sourceNode.content.slice()
+                    : sourceNode.content;
                 const createResult = await FileSystemManager.createOrUpdateFile(
                     newFilePath,
-                    sourceNode.content,
+                    content,
                     {
                         currentUser: flags.preserve ? sourceNode.owner : currentUser,
                         primaryGroup: flags.preserve
@@ -212,13 +217,15 @@ window.CpCommand = class CpCommand extends Command {
                 );
                 if (flags.preserve) newDirNode.mtime = sourceNode.mtime;
                 destinationParentNode.children[finalName] = newDirNode;
+                const newDirPath = FileSystemManager.getAbsolutePath(finalName, destParentFullPath);
+                FileSystemManager.markDirty(newDirPath, { recursive: true, withParent: true });
 
                 for (const childName in sourceNode.children) {
                     const childResult = await _executeCopyInternal(
                         sourceNode.children[childName],
                         newDirNode,
                         childName,
-                        FileSystemManager.getAbsolutePath(finalName, destParentFullPath)
+                        newDirPath
                     );
                     if (!childResult.success) return childResult;
                 }
@@ -71,11 +71,11 @@ window.CsplitCommand = class CsplitCommand extends Command {
      */
     async coreLogic(context) {
         const { args, flags, currentUser, validatedPaths, dependencies } = context;
-        const { FileSystemManager, UserManager, CommandExecutor, OutputManager, ErrorHandler } = dependencies;
+        const { FileSystemManager, UserManager, CommandExecutor, OutputManager, ErrorHandler, Utils } = dependencies;
         const fileNode = validatedPaths[0].node;
         const patterns = args.slice(1);
 
-        const content = fileNode.content || "";
+        const content = Utils.contentToText(fileNode.content);
         const lines = content.split("\n");
 
         const prefix = flags.prefix || "xx";
@@ -24,17 +24,24 @@ window.DfCommand = class DfCommand extends Command {
       or all file systems by default.
       DESCRIPTION
       The df command displays the total amount of available disk space
-      for the OopisOS virtual file system.
+      for the OopisOS virtual file system. The size is whichever is
+      smaller: the file system's own limit, or the room left in the
+      storage backend it is kept in (IndexedDB, OPFS, the desktop
+      app's data directory, or plain memory).
       OPTIONS
       -h, --human-readable
       Print sizes in powers of 1024 (e.g., 1023M).
+      -T, --print-type
+      Print the storage backend holding the file system.
       EXAMPLES
       df
       Displays the disk usage in bytes.
-      df -h
-      Displays the disk usage in a human-readable format.`,
+      df -hT
+      Displays the disk usage in a human-readable format, along with
+      the storage backend in use.`,
             flagDefinitions: [
                 { name: "humanReadable", short: "-h", long: "--human-readable" },
+                { name: "printType", short: "-T", long: "--print-type" },
             ],
             validations: {
                 args: {
@@ -46,19 +53,24 @@ window.DfCommand = class DfCommand extends Command {
 
     /**
      * Executes the core logic of the 'df' command.
-     * It calculates the total, used, and available disk space of the virtual filesystem
-     * and formats it into a table for display, supporting a human-readable format.
+     * It calculates the total, used, and available disk space of the virtual filesystem,
+     * capped by what the storage backend can still hold, and formats it into a table
+     * for display, supporting a human-readable format.
      * @param {object} context - The command execution context.
      * @returns {Promise<object>} A promise that resolves with a success object containing the formatted disk usage string.
      */
     async coreLogic(context) {
         const { flags, dependencies } = context;
-        const { Config, FileSystemManager, Utils, ErrorHandler } = dependencies;
+        const { Config, FileSystemManager, StorageHAL, Utils, ErrorHandler } = dependencies;
 
-        const totalSize = Config.FILESYSTEM.MAX_VFS_SIZE;
         const rootNode = FileSystemManager.getNodeByPath("/");
         const usedSize = FileSystemManager.calculateNodeSize(rootNode);
-        const availableSize = totalSize - usedSize;
+        let availableSize = Math.max(0, Config.FILESYSTEM.MAX_VFS_SIZE - usedSize);
+        const backendSpace = await StorageHAL.getAvailableSpace();
+        if (Number.isFinite(backendSpace)) {
+            availableSize = Math.min(availableSize, backendSpace);
+        }
+        const totalSize = usedSize + availableSize;
         const usePercentage =
             totalSize > 0 ? Math.round((usedSize / totalSize) * 100) : 0;
 
@@ -66,20 +78,29 @@ window.DfCommand = class DfCommand extends Command {
             ? Utils.formatBytes
             : (bytes) => bytes;
 
-        const header =
-            "Filesystem      Size      Used     Avail   Use%  Mounted on";
-        const separator =
-            "----------  --------  --------  --------  ----  ----------";
-        const data = [
-            "OopisVFS".padEnd(10),
-            String(format(totalSize)).padStart(8),
-            String(format(usedSize)).padStart(8),
-            String(format(availableSize)).padStart(8),
-            `${usePercentage}%`.padStart(4),
-            "/".padEnd(10),
-        ].join("  ");
+        const columns = [
+            ["Filesystem", "OopisVFS", (text) => text.padEnd(10)],
+            ["Size", format(totalSize), (text) => text.padStart(8)],
+            ["Used", format(usedSize), (text) => text.padStart(8)],
+            ["Avail", format(availableSize), (text) => text.padStart(8)],
+            ["Use%", `${usePercentage}%`, (text) => text.padStart(4)],
+            ["Mounted on", "/", (text) => text.padEnd(10)],
+        ];
+        if (flags.printType) {
+            const { name, persistent } = StorageHAL.capabilities;
+            const type = persistent ? name : `${name}*`;
+            columns.splice(1, 0, ["Type", type, (text) => text.padEnd(10)]);
+        }
 
-        const output = [header, separator, data].join("\n");
+        const header = columns.map(([title, , pad]) => pad(title)).join("  ");
+        const separator = columns.map(([, , pad]) => "-".repeat(pad("").length)).join("  ");
+        const data = columns.map(([, value, pad]) => pad(String(value))).join("  ");
+
+        const lines = [header, separator, data];
+        if (flags.printType && !StorageHAL.capabilities.persistent) {
+            lines.push("* not persistent: everything is lost when the page is closed.");
+        }
+        const output = lines.join("\n");
 
         return ErrorHandler.createSuccess(output);
     }
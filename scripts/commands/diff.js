@@ -179,7 +179,7 @@ window.DiffCommand = class DiffCommand extends Command {
    */
   async coreLogic(context) {
     const { args, validatedPaths, dependencies } = context;
-    const { DiffUtils, ErrorHandler } = dependencies;
+    const { DiffUtils, ErrorHandler, Utils } = dependencies;
 
     const file1Path = args[0];
     const file2Path = args[1];
@@ -188,16 +188,16 @@ window.DiffCommand = class DiffCommand extends Command {
 
     if (context.flags.unified) {
       const unifiedDiff = this._createUnifiedDiff(
-          file1Node.content || "",
-          file2Node.content || "",
+          Utils.contentToText(file1Node.content),
+          Utils.contentToText(file2Node.content),
           file1Path,
           file2Path
       );
       return ErrorHandler.createSuccess(unifiedDiff);
     } else {
       const diffResult = DiffUtils.compare(
-          file1Node.content || "",
-          file2Node.content || ""
+          Utils.contentToText(file1Node.content),
+          Utils.contentToText(file2Node.content)
       );
       return ErrorHandler.createSuccess(diffResult);
     }
@@ -79,7 +79,7 @@ window.DreamatoriumCommand = class DreamatoriumCommand extends Command {
         };
 
         // This is where the magic happens. A deep copy for our sandbox.
-        const dreamatoriumFsData = JSON.parse(JSON.stringify(realFsData));
+        const dreamatoriumFsData = dependencies.Utils.deepCopyNode(realFsData);
         FileSystemManager.setFsData(dreamatoriumFsData);
 
         const originalPS1 = dependencies.EnvironmentManager.get("PS1") || 'default';
@@ -31,6 +31,12 @@ window.EchoCommand = class EchoCommand extends Command {
       \\\\     backslash
       \\n     new line
       \\t     horizontal tab
+      \\r     carriage return
+      \\b     backspace
+      \\a     alert (bell)
+      \\e     escape, which starts colour codes such as \\e[31m
+      \\0nnn  the character with octal value nnn (\\033 is escape)
+      \\xHH   the character with hex value HH
       \\c     produce no further output (the trailing newline is suppressed)
       BRACE EXPANSION
       The shell supports brace expansion before passing arguments to echo:
@@ -42,6 +48,8 @@ window.EchoCommand = class EchoCommand extends Command {
       Displays "Hello, world!".
       echo -e "A line.\\nA second line."
       Displays two lines of text.
+      echo -e "\\e[1;31mWarning:\\e[0m disk nearly full"
+      Displays "Warning:" in bold red.
       echo "User: $USER"
       Displays the name of the current user by expanding the
       $USER environment variable.
@@ -72,10 +80,15 @@ window.EchoCommand = class EchoCommand extends Command {
                 suppressNewline = true;
             }
 
-            output = output
-                .replace(/\\n/g, "\n")
-                .replace(/\\t/g, "\t")
-                .replace(/\\\\/g, "\\");
+            const escapes = { "\\": "\\", n: "\n", t: "\t", r: "\r", b: "\b", a: "\x07", e: "\x1b" };
+            output = output.replace(
+                /\\(0[0-7]{0,3}|x[0-9a-fA-F]{1,2}|[\\ntrbae])/g,
+                (match, sequence) => {
+                    if (sequence[0] === "0") return String.fromCharCode(parseInt(sequence, 8) || 0);
+                    if (sequence[0] === "x") return String.fromCharCode(parseInt(sequence.slice(1), 16));
+                    return escapes[sequence];
+                }
+            );
         }
 
         return ErrorHandler.createSuccess(output, { suppressNewline });
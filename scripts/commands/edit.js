@@ -18,8 +18,14 @@ window.EditCommand = class EditCommand extends Command {
     constructor() {
         super({
             commandName: "edit",
-            dependencies: ["apps/editor/editor_ui.js", "apps/editor/editor_manager.js"],
-            applicationModules: ["EditorManager", "EditorUI", "App"],
+            dependencies: [
+                "apps/basic/basic_interp.js",
+                "apps/editor/editor_syntax.js",
+                "apps/editor/editor_linter.js",
+                "apps/editor/editor_ui.js",
+                "apps/editor/editor_manager.js",
+            ],
+            applicationModules: ["EditorManager", "EditorUI", "EditorSyntax", "EditorLinter", "Basic_interp", "App"],
             description: "A powerful, context-aware text and code editor.",
             helpText: `Usage: edit [filepath]
       Launches the OopisOS text editor.
@@ -28,16 +34,37 @@ window.EditCommand = class EditCommand extends Command {
       and editing files. It intelligently adapts its interface based on the file type.
       - If a filepath is provided, it opens that file.
       - If the file does not exist, a new empty file will be created with that name upon saving.
+      - Binary files (images, archives and the like) are refused, so saving can't corrupt them.
       - If no filepath is given, it opens a new, untitled document.
       MODES
       - Markdown (.md): Activates a live preview.
       - HTML (.html): Activates a live, sandboxed preview of the rendered HTML.
-      - Code (.js, .sh, .css, .json): Activates syntax highlighting and word wrap.
+      - Code (.js, .sh, .bas, .css, .json): Activates syntax highlighting and word wrap.
+      Markdown and HTML are highlighted too.
+      CHECKING AND RUNNING
+      Shell scripts, BASIC programs and JSON files are checked as you type.
+      Lines with a problem are underlined (hover over one to see why) and
+      the status bar counts them: syntax errors, unclosed quotes, unknown
+      commands in scripts, and unknown statements or unmatched blocks in
+      BASIC. F5 saves the file and runs it: a .sh script as 'run' would, a
+      .bas program with Oopis Basic (INPUT asks in a dialog), and an
+      adventure .json with 'adventure'. Output appears in a pane below the
+      text; Shift+F5 stops the run and Esc stops it and closes the pane.
       - Text (.txt, etc.): Provides a clean, standard text editing experience with word wrap.
+      FIND AND REPLACE
+      Ctrl+F opens the find bar and Ctrl+H opens it ready to replace. The
+      .*, Aa and W buttons switch on regular expressions, case matching and
+      whole words; the bar shows how many matches there are. Enter and
+      Shift+Enter (or F3 and Shift+F3) move between matches. In the replace
+      box, Enter replaces the current match and Ctrl+Enter replaces them all.
+      With regular expressions the replacement can use $1, $<name> and $&.
       KEYBOARD SHORTCUTS
       Ctrl+S: Save       Ctrl+O: Exit
       Ctrl+P: Toggle Preview (for Markdown/HTML)
-      Ctrl+Z: Undo       Ctrl+Y: Redo`,
+      Ctrl+F: Find       Ctrl+H: Replace    Ctrl+G: Go to Line
+      F5: Save and Run   Shift+F5: Stop
+      Ctrl+Z: Undo       Ctrl+Y: Redo
+      Undo steps back a burst of typing at a time, up to 200 steps.`,
             completionType: "paths",
             argValidation: {
                 max: 1,
@@ -65,7 +92,7 @@ window.EditCommand = class EditCommand extends Command {
      */
     async coreLogic(context) {
         const { args, options, validatedPaths, dependencies } = context;
-        const { ErrorHandler, AppLayerManager, EditorManager, EditorUI, App } = dependencies;
+        const { ErrorHandler, AppLayerManager, EditorManager, EditorUI, App, Utils } = dependencies;
 
         if (!options.isInteractive) {
             return ErrorHandler.createError({
@@ -83,7 +110,13 @@ window.EditCommand = class EditCommand extends Command {
         const filePath = hasFileArgument ? validatedPaths[0].resolvedPath : null;
         const node = hasFileArgument ? validatedPaths[0].node : null;
 
-        const fileContent = node ? node.content || "" : "";
+        if (node && Utils.isBinaryContent(node.content)) {
+            return ErrorHandler.createError({
+                message: `edit: ${args[0]}: cannot edit a binary file`
+            });
+        }
+
+        const fileContent = node ? Utils.contentToText(node.content) : "";
 
         AppLayerManager.show(new EditorManager(), {
             filePath: filePath,
@@ -19,17 +19,22 @@ window.ExitCommand = class ExitCommand extends Command {
         super({
             commandName: "exit",
             description: "Exits the current shell or application.",
-            helpText: `Usage: exit
-      Exits the current interactive shell session.
+            helpText: `Usage: exit [n]
+      Exits the current interactive shell session or script.
       DESCRIPTION
       In a normal shell, 'exit' behaves like the 'logout' command,
       ending the current user's session.
+      Inside a script started with 'run', 'exit' stops the script
+      immediately. The optional <n> becomes the script's exit status
+      (0-255); without it, the status of the last command is used.
       When used inside a script or application like 'basic' or 'chidi',
-      it will close the application and return to the shell.`,
-            validations: {
-                args: {
-                    exact: 0
-                }
+      it will close the application and return to the shell.
+      EXAMPLES
+      exit 3
+      Stops the running script, which then reports a status of 3 in $?.`,
+            argValidation: {
+                max: 1,
+                error: "Usage: exit [n]"
             },
         });
     }
@@ -37,19 +42,37 @@ window.ExitCommand = class ExitCommand extends Command {
     /**
      * Executes the core logic of the 'exit' command.
      * In the OopisOS simulation, this command functions as an alias for 'logout'
-     * to provide a familiar command for ending sessions. It also provides a specific
-     * message if used within the 'dreamatorium' sandboxed environment.
+     * to provide a familiar command for ending sessions. Inside a script it instead
+     * records the requested exit status and asks the executor to stop the script.
+     * It also provides a specific message if used within the 'dreamatorium' sandboxed environment.
      * @param {object} context - The command execution context.
      * @returns {Promise<object>} A promise that resolves with the result of the logout command or a specific message.
      */
     async coreLogic(context) {
-        const { dependencies } = context;
-        const { CommandExecutor, ErrorHandler } = dependencies;
+        const { args, options, dependencies } = context;
+        const { CommandExecutor, ErrorHandler, Utils } = dependencies;
 
         if (CommandExecutor.isInDreamatorium) {
             return ErrorHandler.createSuccess("You are in the Dreamatorium. Type 'exit' to return to reality.");
         }
 
+        let exitCode = CommandExecutor.lastExitStatus;
+        if (args.length > 0) {
+            const parsed = Utils.parseNumericArg(args[0], { allowNegative: true });
+            if (parsed.error) {
+                return ErrorHandler.createError(`exit: ${args[0]}: numeric argument required`, {
+                    exitCode: ErrorHandler.EXIT_CODES.USAGE,
+                });
+            }
+            // Like any good shell, statuses wrap around at 256.
+            exitCode = ((parsed.value % 256) + 256) % 256;
+        }
+
+        if (options.scriptingContext?.isScripting) {
+            options.scriptingContext.exitCode = exitCode;
+            return ErrorHandler.createSuccess("");
+        }
+
         // In a real terminal, this would close the tab/window.
         // Here, it just acts as an alias for logout for the main shell.
         return CommandExecutor.processSingleCommand("logout", { isInteractive: true });
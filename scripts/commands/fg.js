@@ -25,7 +25,11 @@ window.FgCommand = class FgCommand extends Command {
       The fg (foreground) command brings the specified job to the
       foreground, making it the active process in the terminal. If no
       job ID is specified, the most recently backgrounded job is used.
-      (Note: True foreground process control is not yet implemented in OopisOS, this command currently only resumes a stopped job).`,
+      The prompt returns when the job finishes; until then Ctrl+C
+      interrupts it and Ctrl+Z stops it again.`,
+            completion: {
+                args: ["jobs"],
+            },
             validations: {
                 args: {
                     max: 1
@@ -36,41 +40,47 @@ window.FgCommand = class FgCommand extends Command {
 
     /**
      * Executes the core logic of the 'fg' command.
-     * It parses an optional job ID and sends a 'CONT' (continue) signal
-     * to the specified job, or the most recent job if none is specified.
+     * It parses an optional job ID, resumes the specified job (or the most
+     * recent one) and waits for it as the foreground job.
      * @param {object} context - The command execution context.
      * @returns {Promise<object>} A promise that resolves with a success or error object from the ErrorHandler.
      */
     async coreLogic(context) {
         const { args, dependencies } = context;
-        const { CommandExecutor, ErrorHandler } = dependencies;
+        const { CommandExecutor, ErrorHandler, OutputManager } = dependencies;
         const jobIdArg = args[0] ? args[0].replace('%', '') : null;
         const suggestion = "Use 'jobs' or 'ps' to see active jobs.";
+        const jobs = CommandExecutor.getActiveJobs();
 
+        let jobId;
         if (jobIdArg) {
-            const jobId = parseInt(jobIdArg, 10);
+            jobId = parseInt(jobIdArg, 10);
             if (isNaN(jobId)) {
                 return ErrorHandler.createError({
                     message: `fg: invalid job ID: ${jobIdArg}`,
                     suggestion,
                 });
             }
-            const result = CommandExecutor.sendSignalToJob(jobId, 'CONT');
-            return result.success ? ErrorHandler.createSuccess() : ErrorHandler.createError({ message: result.error, suggestion });
+            if (!jobs[jobId]) {
+                return ErrorHandler.createError({ message: `fg: Job ${jobId} not found.`, suggestion });
+            }
         } else {
-            const jobs = CommandExecutor.getActiveJobs();
             const jobIds = Object.keys(jobs);
-            if (jobIds.length > 0) {
-                const lastJobId = jobIds[jobIds.length - 1];
-                const result = CommandExecutor.sendSignalToJob(parseInt(lastJobId, 10), 'CONT');
-                return result.success ? ErrorHandler.createSuccess() : ErrorHandler.createError({ message: result.error, suggestion });
-            } else {
+            if (jobIds.length === 0) {
                 return ErrorHandler.createError({
                     message: "fg: no current job",
                     suggestion,
                 });
             }
+            jobId = parseInt(jobIds[jobIds.length - 1], 10);
         }
+
+        await OutputManager.appendToOutput(jobs[jobId].command);
+        const result = await CommandExecutor.bringJobToForeground(jobId);
+        // The job has printed its own output and errors; only its status is left.
+        return result.success
+            ? ErrorHandler.createSuccess()
+            : ErrorHandler.createError("", { exitCode: ErrorHandler.getExitCode(result) });
     }
 }
 
@@ -72,7 +72,7 @@ window.FsckCommand = class FsckCommand extends Command {
      */
     async coreLogic(context) {
         const { args, flags, dependencies, options } = context;
-        const { FileSystemManager, UserManager, GroupManager, StorageManager, OutputManager, ModalManager, ErrorHandler, Config } = dependencies;
+        const { FileSystemManager, UserManager, GroupManager, StorageManager, OutputManager, ModalManager, ErrorHandler, Config, Utils } = dependencies;
 
         const startPath = args[0] || '/';
         const repairMode = flags.repair || flags.yes;
@@ -104,8 +104,8 @@ window.FsckCommand = class FsckCommand extends Command {
                 }
                 if (node.type === 'directory' && (typeof node.children !== 'object' || node.children === null)) {
                     auditIssues.push({ type: 'TYPE_INCONSISTENCY', path, issue: "Directory node is missing or has invalid 'children' object.", data: { node } });
-                } else if (node.type === 'file' && typeof node.content !== 'string') {
-                    auditIssues.push({ type: 'TYPE_INCONSISTENCY', path, issue: "File node is missing 'content' string.", data: { node } });
+                } else if (node.type === 'file' && typeof node.content !== 'string' && !Utils.isBinaryContent(node.content)) {
+                    auditIssues.push({ type: 'TYPE_INCONSISTENCY', path, issue: "File node is missing 'content' string or bytes.", data: { node } });
                 }
                 if (node.type === Config.FILESYSTEM.SYMBOLIC_LINK_TYPE) {
                     const parentOfLink = path.substring(0, path.lastIndexOf('/')) || '/';
@@ -373,6 +373,9 @@ window.FsckCommand = class FsckCommand extends Command {
                         break;
                 }
 
+                if (actionResult.success && issue.path) {
+                    FileSystemManager.markDirty(issue.path);
+                }
                 await OutputManager.appendToOutput(actionResult.message, { typeClass: actionResult.success ? Config.CSS_CLASSES.SUCCESS_MSG : Config.CSS_CLASSES.ERROR_MSG });
                 if (actionResult.success && choice !== '2' && choice !== '4' && choice !== 'ignore' && !autoYes) changesMade = true;
                 if (autoYes && actionResult.success) changesMade = true;
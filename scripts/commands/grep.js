@@ -39,13 +39,20 @@ window.GrepCommand = class GrepCommand extends Command {
       Read all files under each directory, recursively.
       -E, --extended-regexp
       Interpret PATTERN as an extended regular expression. (Currently no-op)
+      --color[=WHEN]
+      Highlight matches in red, file names in magenta and line numbers
+      in green. WHEN is 'always', 'auto' (only when the output is shown,
+      not piped or redirected) or 'never'. A bare --color means 'auto';
+      without the option nothing is highlighted.
       EXAMPLES
       grep "error" /data/logs/system.log
       Finds all lines containing "error" in the system log.
       ls | grep ".txt"
       Lists only the files in the current directory that contain ".txt".
       grep -R "TODO" /home/Guest/src
-      Recursively searches for "TODO" in the 'src' directory.`,
+      Recursively searches for "TODO" in the 'src' directory.
+      grep --color=auto "error" /data/logs/system.log
+      Finds the same lines, highlighting each "error".`,
       completionType: "paths",
       flagDefinitions: [
         { name: "ignoreCase", short: "-i", long: "--ignore-case" },
@@ -54,6 +61,7 @@ window.GrepCommand = class GrepCommand extends Command {
         { name: "count", short: "-c", long: "--count" },
         { name: "recursive", short: "-R", long: "--recursive", aliases: ["-r"] },
         { name: "extendedRegex", short: "-E", long: "--extended-regexp" },
+        { name: "color", long: "--color", aliases: ["--colour"], optionalValue: true },
       ],
     });
   }
@@ -67,7 +75,7 @@ window.GrepCommand = class GrepCommand extends Command {
    */
   async coreLogic(context) {
     const { args, flags, currentUser, options, dependencies } = context;
-    const { ErrorHandler, FileSystemManager } = dependencies;
+    const { ErrorHandler, FileSystemManager, Utils, AnsiUtils } = dependencies;
 
     if (args.length === 0) {
       return ErrorHandler.createError("grep: missing pattern");
@@ -86,6 +94,21 @@ window.GrepCommand = class GrepCommand extends Command {
       });
     }
 
+    // As in GNU grep, a bare '--color' means 'auto', so a pipe gets plain text.
+    const colorMode = flags.color === true ? "auto" : flags.color || "never";
+    let useColor;
+    if (["always", "yes", "force"].includes(colorMode)) {
+      useColor = true;
+    } else if (["auto", "tty", "if-tty"].includes(colorMode)) {
+      useColor = !!options.isTerminalOutput;
+    } else if (["never", "no", "none"].includes(colorMode)) {
+      useColor = false;
+    } else {
+      return ErrorHandler.createError(`grep: invalid argument '${colorMode}' for '--color'`);
+    }
+    const highlightRegex = new RegExp(patternStr, flags.ignoreCase ? "gi" : "g");
+    const separator = useColor ? AnsiUtils.colorize(":", "36") : ":";
+
     const outputLines = [];
     let hadError = false;
 
@@ -111,12 +134,22 @@ window.GrepCommand = class GrepCommand extends Command {
           if (!flags.count) {
             let outputLine = "";
             if (displayFileName) {
-              outputLine += `${filePathForDisplay}:`;
+              outputLine += useColor
+                  ? `${AnsiUtils.colorize(filePathForDisplay, "35")}${separator}`
+                  : `${filePathForDisplay}:`;
             }
             if (flags.lineNumber) {
-              outputLine += `${index + 1}:`;
+              outputLine += useColor
+                  ? `${AnsiUtils.colorize(index + 1, "32")}${separator}`
+                  : `${index + 1}:`;
+            }
+            if (useColor && !flags.invertMatch) {
+              outputLine += line.replace(highlightRegex, (match) =>
+                  match ? AnsiUtils.colorize(match, "01;31") : match
+              );
+            } else {
+              outputLine += line;
             }
-            outputLine += line;
             fileOutput.push(outputLine);
           }
         }
@@ -162,7 +195,7 @@ window.GrepCommand = class GrepCommand extends Command {
           if (
               FileSystemManager.hasPermission(childNode, currentUser, "read")
           ) {
-            processContent(childNode.content || "", childPath, true);
+            processContent(Utils.contentToText(childNode.content), childPath, true);
           } else {
             outputLines.push(`grep: ${childPath}: Permission denied`);
             hadError = true;
@@ -196,7 +229,7 @@ window.GrepCommand = class GrepCommand extends Command {
             suggestion: "Use the -r or -R flag to search directories recursively.",
           });
         } else {
-          processContent(node.content || "", pathArg, filePaths.length > 1);
+          processContent(Utils.contentToText(node.content), pathArg, filePaths.length > 1);
         }
       }
     } else if (options.stdinContent !== null) {
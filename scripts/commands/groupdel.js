@@ -31,6 +31,9 @@ window.GroupdelCommand = class GroupdelCommand extends Command {
       Deletes the group named 'developers'.
       PERMISSIONS
       Only the superuser (root) can delete groups.`,
+            completion: {
+                args: ["groups"],
+            },
             validations: {
                 args: {
                     exact: 1,
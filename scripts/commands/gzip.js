@@ -0,0 +1,216 @@
+// scripts/commands/gzip.js
+
+/**
+ * @fileoverview This file defines the 'gzip' command and its sibling
+ * 'gunzip', which compress and decompress files in the standard gzip
+ * format, either in place or from standard input to standard output.
+ * @module commands/gzip
+ */
+
+/**
+ * Represents the 'gzip' command (also registered as 'gunzip').
+ * @class GzipCommand
+ * @extends Command
+ */
+window.GzipCommand = class GzipCommand extends Command {
+    /**
+     * @constructor
+     * @param {string} [commandName="gzip"] - 'gzip' or 'gunzip'. The latter
+     * decompresses without needing -d.
+     */
+    constructor(commandName = "gzip") {
+        const isGunzip = commandName === "gunzip";
+        super({
+            commandName,
+            description: isGunzip
+                ? "Decompresses gzip files."
+                : "Compresses or decompresses files in the gzip format.",
+            helpText: `Usage: ${commandName} [-${isGunzip ? "" : "d"}ck] [FILE...]
+      ${isGunzip ? "Decompress" : "Compress or decompress"} files in the gzip format.
+      DESCRIPTION
+      gzip replaces each FILE with a compressed copy named FILE.gz,
+      keeping its permissions and modification time. gunzip (or
+      gzip -d) does the reverse, turning FILE.gz back into FILE and
+      'archive.tgz' into 'archive.tar'.
+      With no FILE, or when FILE is -, the data comes from standard
+      input and goes to standard output, so either command can sit in
+      the middle of a pipeline.
+      OPTIONS
+      -c, --stdout
+      Write to standard output and leave the files alone.
+      -d, --decompress
+      Decompress instead of compressing. This is what gunzip does.
+      -k, --keep
+      Keep the original files instead of deleting them.
+      EXAMPLES
+      gzip server.log
+      Replaces 'server.log' with 'server.log.gz'.
+      gunzip server.log.gz
+      Puts 'server.log' back.
+      tar -cf - project | gzip > project.tar.gz
+      Compresses an archive as it streams out of tar.
+      gunzip -c notes.txt.gz | grep TODO
+      Searches a compressed file without unpacking it.`,
+            completionType: "paths",
+            flagDefinitions: [
+                { name: "stdout", short: "-c", long: "--stdout" },
+                { name: "decompress", short: "-d", long: "--decompress" },
+                { name: "keep", short: "-k", long: "--keep" },
+            ],
+        });
+        this.isGunzip = isGunzip;
+    }
+
+    /**
+     * Executes the core logic of the 'gzip' command. Standard input is
+     * transformed straight to standard output; named files are replaced by
+     * their compressed or decompressed counterparts unless -c is given.
+     * @param {object} context - The command execution context.
+     * @returns {Promise<object>} A promise that resolves with a success or error object from the ErrorHandler.
+     */
+    async coreLogic(context) {
+        const { args, flags, options, dependencies } = context;
+        const { ErrorHandler, Utils } = dependencies;
+        const decompress = this.isGunzip || flags.decompress;
+        const fileArgs = args.length > 0 ? args : ["-"];
+        const outputs = [];
+        const messages = [];
+        let stateModified = false;
+
+        for (const fileArg of fileArgs) {
+            if (fileArg === "-") {
+                if (options.stdinContent === null || options.stdinContent === undefined) {
+                    return ErrorHandler.createError(`${this.commandName}: no input; give a FILE or pipe data in`);
+                }
+                try {
+                    outputs.push(await this._transform(options.stdinContent, decompress, dependencies));
+                } catch (e) {
+                    return ErrorHandler.createError(`${this.commandName}: stdin: ${e.message}`);
+                }
+                continue;
+            }
+
+            const result = await this._processFile(fileArg, decompress, flags, context);
+            if (!result.success) {
+                messages.push(result.error.message);
+            } else if (flags.stdout) {
+                outputs.push(result.data);
+            } else {
+                stateModified = true;
+            }
+        }
+
+        if (messages.length > 0) {
+            return ErrorHandler.createError({ message: messages.join("\n") });
+        }
+        let output = "";
+        if (outputs.length > 0) {
+            const joined = Utils.concatBytes(...outputs);
+            output = decompress ? Utils.bytesToContent(joined) : joined;
+        }
+        return ErrorHandler.createSuccess(output, { stateModified });
+    }
+
+    /**
+     * Compresses or decompresses some content.
+     * @param {string|Uint8Array} content - The input.
+     * @param {boolean} decompress - Whether to decompress.
+     * @param {object} dependencies - The dependency injection container.
+     * @returns {Promise<Uint8Array>} The output bytes.
+     * @private
+     * @throws {Error} If decompressing something that isn't valid gzip data.
+     */
+    async _transform(content, decompress, dependencies) {
+        const { ArchiveUtils, Utils } = dependencies;
+        return decompress
+            ? ArchiveUtils.gunzip(Utils.contentToBytes(content))
+            : ArchiveUtils.gzip(content);
+    }
+
+    /**
+     * Compresses or decompresses one named file. With -c the result is
+     * handed back for standard output; otherwise it is saved next to the
+     * original, which is then removed unless -k was given.
+     * @param {string} fileArg - The file to process.
+     * @param {boolean} decompress - Whether to decompress.
+     * @param {object} flags - The parsed command-line flags.
+     * @param {object} context - The command execution context.
+     * @returns {Promise<object>} A success object (carrying the bytes with -c), or an error object.
+     * @private
+     */
+    async _processFile(fileArg, decompress, flags, context) {
+        const { currentUser, dependencies } = context;
+        const { ErrorHandler, FileSystemManager, UserManager, Utils } = dependencies;
+        const name = this.commandName;
+
+        const pathResult = FileSystemManager.validatePath(fileArg, { expectedType: "file" });
+        if (!pathResult.success) {
+            return ErrorHandler.createError(`${name}: ${pathResult.error.message}`);
+        }
+        const { node, resolvedPath } = pathResult.data;
+        if (!FileSystemManager.hasPermission(node, currentUser, "read")) {
+            return ErrorHandler.createError(`${name}: ${fileArg}: Permission denied`);
+        }
+
+        let outputPath = null;
+        if (!flags.stdout) {
+            outputPath = this._outputPathFor(resolvedPath, decompress);
+            if (!outputPath) {
+                return ErrorHandler.createError(decompress
+                    ? `${name}: ${fileArg}: unknown suffix -- ignored`
+                    : `${name}: ${fileArg} already has .gz suffix -- unchanged`);
+            }
+        }
+
+        let output;
+        try {
+            output = await this._transform(node.content || "", decompress, dependencies);
+        } catch (e) {
+            return ErrorHandler.createError(`${name}: ${fileArg}: ${e.message}`);
+        }
+        if (flags.stdout) {
+            return ErrorHandler.createSuccess(output);
+        }
+
+        const saveResult = await FileSystemManager.createOrUpdateFile(
+            outputPath,
+            decompress ? Utils.bytesToContent(output) : output,
+            { currentUser, primaryGroup: UserManager.getPrimaryGroupForUser(currentUser) }
+        );
+        if (!saveResult.success) {
+            return ErrorHandler.createError(`${name}: ${outputPath}: ${saveResult.error?.message || saveResult.error}`);
+        }
+        const outputNode = FileSystemManager.getNodeByPath(outputPath);
+        outputNode.mode = node.mode;
+        outputNode.mtime = node.mtime;
+
+        if (!flags.keep) {
+            const deleteResult = await FileSystemManager.deleteNodeRecursive(resolvedPath, { currentUser });
+            if (!deleteResult.success) {
+                return ErrorHandler.createError(`${name}: ${deleteResult.error?.message || deleteResult.error}`);
+            }
+        }
+        await FileSystemManager.save();
+        return ErrorHandler.createSuccess(null);
+    }
+
+    /**
+     * Works out the name of the file gzip or gunzip should write.
+     * @param {string} path - The input file's absolute path.
+     * @param {boolean} decompress - Whether decompressing.
+     * @returns {string|null} The output path, or null if the suffix is wrong for the job.
+     * @private
+     */
+    _outputPathFor(path, decompress) {
+        if (!decompress) {
+            return path.endsWith(".gz") ? null : `${path}.gz`;
+        }
+        if (path.endsWith(".tgz")) {
+            return `${path.slice(0, -4)}.tar`;
+        }
+        return path.endsWith(".gz") && !path.endsWith("/.gz") ? path.slice(0, -3) : null;
+    }
+}
+
+window.CommandRegistry.register(new GzipCommand());
+window.CommandRegistry.register(new GzipCommand("gunzip"));
@@ -1,8 +1,8 @@
 // scripts/commands/history.js
 
 /**
- * @fileoverview This file defines the 'history' command, a utility for displaying
- * or clearing the user's command history for the current session.
+ * @fileoverview This file defines the 'history' command, a utility for displaying,
+ * editing and saving the user's command history.
  * @module commands/history
  */
 
@@ -18,42 +18,103 @@ window.HistoryCommand = class HistoryCommand extends Command {
     constructor() {
         super({
             commandName: "history",
-            description: "Displays or clears the command history.",
-            helpText: `Usage: history [-c]
-      Display or clear the command history.
+            description: "Displays or manages the command history.",
+            helpText: `Usage: history [-c] [-d offset] [-w|-r [file]]
+      Display or manage the command history.
       DESCRIPTION
       The history command displays the list of previously executed
-      commands from the current session, with each command prefixed
-      by its history number.
-      The command history can be navigated in the prompt using the
-      up and down arrow keys.
+      commands, with each command prefixed by its history number.
+      History is saved to ~/.oopis_history after every command and
+      read back when you log in. HISTSIZE sets how many commands are
+      kept, and HISTCONTROL (a colon-separated list of ignoredups,
+      ignorespace, ignoreboth and erasedups) decides which are recorded.
+      NAVIGATION AND EXPANSION
+      Up and Down step through the history. Ctrl+R searches backwards
+      for a command containing what you type; press Ctrl+R again for an
+      older match, Enter to run it, or Escape to give up.
+      !!          The last command.
+      !n          Command number n. !-n is the command n lines back.
+      !prefix     The last command starting with prefix.
+      !$          The last word of the last command.
+      ^old^new    The last command with 'old' replaced by 'new'.
       OPTIONS
       -c, --clear
-      Clear the entire command history for the current session.`,
+      Clear the entire command history for the current session.
+      -d, --delete offset
+      Delete the command numbered offset.
+      -w, --write [file]
+      Write the history to file, or to ~/.oopis_history.
+      -r, --read [file]
+      Read file, or ~/.oopis_history, and add its commands to the history.`,
+            argValidation: {
+                max: 1,
+                error: "Usage: history [-c] [-d offset] [-w|-r [file]]",
+            },
             flagDefinitions: [
                 {
                     name: "clear",
                     short: "-c",
                     long: "--clear",
                 },
+                {
+                    name: "delete",
+                    short: "-d",
+                    long: "--delete",
+                    takesValue: true,
+                },
+                {
+                    name: "write",
+                    short: "-w",
+                    long: "--write",
+                },
+                {
+                    name: "read",
+                    short: "-r",
+                    long: "--read",
+                },
             ],
         });
     }
 
     /**
      * Executes the core logic of the 'history' command.
-     * It either clears the history if the '-c' flag is present, or it displays
-     * the numbered list of all commands in the current session's history.
+     * It clears, deletes from, writes or reads the history as the flags ask,
+     * or otherwise displays the numbered list of all commands in the history.
      * @param {object} context - The command execution context.
      * @returns {Promise<object>} A promise that resolves with a success or error object from the ErrorHandler.
      */
     async coreLogic(context) {
-        const { flags, dependencies } = context;
+        const { args, flags, dependencies } = context;
         const { ErrorHandler, HistoryManager, Config } = dependencies;
+        const filePath = args[0] || HistoryManager.getHistoryFilePath();
+
         if (flags.clear) {
             HistoryManager.clearHistory();
             return ErrorHandler.createSuccess("Command history cleared.");
         }
+        if (flags.delete !== null) {
+            const offset = Number(flags.delete);
+            if (!Number.isInteger(offset) || !HistoryManager.deleteEntry(offset - 1)) {
+                return ErrorHandler.createError(`history: ${flags.delete}: history position out of range`);
+            }
+            return ErrorHandler.createSuccess("");
+        }
+        if (flags.write) {
+            const writeResult = await HistoryManager.writeHistoryFile(filePath);
+            return writeResult.success
+                ? ErrorHandler.createSuccess("")
+                : ErrorHandler.createError(`history: ${writeResult.error.message}`);
+        }
+        if (flags.read) {
+            const readResult = HistoryManager.readHistoryFile(filePath);
+            return readResult.success
+                ? ErrorHandler.createSuccess("")
+                : ErrorHandler.createError(`history: ${readResult.error.message}`);
+        }
+        if (args.length > 0) {
+            return ErrorHandler.createError("history: a file can only be given with -w or -r");
+        }
+
         const history = HistoryManager.getFullHistory();
         if (history.length === 0)
             return ErrorHandler.createSuccess(
@@ -67,4 +128,4 @@ window.HistoryCommand = class HistoryCommand extends Command {
     }
 }
 
-window.CommandRegistry.register(new HistoryCommand());
\ No newline at end of file
+window.CommandRegistry.register(new HistoryCommand());
@@ -41,6 +41,10 @@ window.KillCommand = class KillCommand extends Command {
       Pauses job 1. You will see its status as 'T' in 'ps'.
       kill -CONT 1
       Resumes job 1.`,
+      completion: {
+        args: ["jobs"],
+        flags: { signal: ["STOP", "CONT", "KILL", "TERM"] },
+      },
       flagDefinitions: [
         { name: "signal", short: "-s", long: "--signal", takesValue: true },
         { name: "STOP", short: "-STOP" },
@@ -73,6 +73,7 @@ window.LnCommand = class LnCommand extends Command {
 
         const finalLinkName = linkPath.substring(linkPath.lastIndexOf('/') + 1);
         parentNode.children[finalLinkName] = symlinkNode;
+        FileSystemManager.markDirty(linkPath, { withParent: true });
 
         return ErrorHandler.createSuccess("", { stateModified: true });
     }
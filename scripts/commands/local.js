@@ -0,0 +1,67 @@
+/**
+ * @fileoverview This file defines the 'local' command, which declares
+ * variables that only live for the duration of a shell function call.
+ * @module commands/local
+ */
+
+/**
+ * Represents the 'local' command for function-scoped variables.
+ * @class LocalCommand
+ * @extends Command
+ */
+window.LocalCommand = class LocalCommand extends Command {
+    /**
+     * @constructor
+     */
+    constructor() {
+        super({
+            commandName: "local",
+            description: "Declares variables local to the current shell function.",
+            helpText: `Usage: local name[=value] ...
+      Declare function-local variables.
+      DESCRIPTION
+      Inside a shell function, 'local' creates variables that disappear
+      when the function returns. If a variable of the same name already
+      existed, its old value comes back once the function is done.
+      A name given without a value is set to an empty string.
+      'local' can only be used inside a function.
+      EXAMPLES
+      greet() {
+        local name=$1
+        echo "Hello, $name"
+      }
+      Defines a function whose 'name' variable never leaks out.`,
+            argValidation: {
+                min: 1,
+                error: "Usage: local name[=value] ..."
+            },
+        });
+    }
+
+    /**
+     * Executes the core logic of the 'local' command. Each argument is parsed
+     * as a name or name=value pair and bound to the innermost function frame
+     * of the EnvironmentManager.
+     * @param {object} context - The command execution context.
+     * @returns {Promise<object>} A promise that resolves with a success or error object from the ErrorHandler.
+     */
+    async coreLogic(context) {
+        const { args, dependencies } = context;
+        const { EnvironmentManager, Utils, ErrorHandler } = dependencies;
+
+        if (!EnvironmentManager.isInFunctionFrame()) {
+            return ErrorHandler.createError("local: can only be used in a function");
+        }
+
+        for (const arg of args) {
+            const { name, value } = Utils.parseKeyValue([arg]);
+            const result = EnvironmentManager.setLocal(name, value || "");
+            if (!result.success) {
+                return ErrorHandler.createError({ message: `local: ${result.error}` });
+            }
+        }
+        return ErrorHandler.createSuccess("");
+    }
+}
+
+window.CommandRegistry.register(new LocalCommand());
@@ -14,6 +14,24 @@
  * @property {number} linkCount - The number of hard links to the item (always 1 in OopisOS).
  */
 
+/**
+ * The SGR codes used to colour each kind of entry, after GNU's default LS_COLORS.
+ * @type {object}
+ */
+const LS_COLORS = {
+  directory: "01;34",
+  symlink: "01;36",
+  executable: "01;32",
+  archive: "01;31",
+  image: "01;35",
+};
+
+/** @type {Set<string>} Extensions coloured as archives. */
+const ARCHIVE_EXTENSIONS = new Set(["zip", "tar", "gz", "tgz", "bz2", "xz", "7z", "rar"]);
+
+/** @type {Set<string>} Extensions coloured as images. */
+const IMAGE_EXTENSIONS = new Set(["png", "jpg", "jpeg", "gif", "bmp", "svg", "webp", "oopic"]);
+
 /**
  * Retrieves detailed metadata for a filesystem node.
  * @param {string} itemName - The name of the item.
@@ -40,6 +58,33 @@ function getItemDetails(itemName, itemNode, itemPath, dependencies) {
   };
 }
 
+/**
+ * Colours a name by the kind of entry it belongs to, when colour is on.
+ * @param {string} name - The text to show for the item.
+ * @param {LsItemDetails} itemDetails - The item's details.
+ * @param {object} effectiveFlags - The flags object for the current command execution.
+ * @param {object} dependencies - The dependency injection container.
+ * @returns {string} The name, wrapped in an SGR code if it has a colour.
+ */
+function colorizeName(name, itemDetails, effectiveFlags, dependencies) {
+  const { AnsiUtils, Config } = dependencies;
+  if (!effectiveFlags.useColor) return name;
+
+  let codes = null;
+  if (itemDetails.type === "directory") {
+    codes = LS_COLORS.directory;
+  } else if (itemDetails.type === Config.FILESYSTEM.SYMBOLIC_LINK_TYPE) {
+    codes = LS_COLORS.symlink;
+  } else if (ARCHIVE_EXTENSIONS.has(itemDetails.extension)) {
+    codes = LS_COLORS.archive;
+  } else if (IMAGE_EXTENSIONS.has(itemDetails.extension)) {
+    codes = LS_COLORS.image;
+  } else if ((itemDetails.mode || 0) & 0o111) {
+    codes = LS_COLORS.executable;
+  }
+  return codes ? AnsiUtils.colorize(name, codes) : name;
+}
+
 /**
  * Formats a single item's details for the long list output format.
  * @param {LsItemDetails} itemDetails - The item's details.
@@ -85,7 +130,7 @@ function formatLongListItem(itemDetails, effectiveFlags, dependencies) {
     dateStr = "Jan  1  1970";
   }
 
-  let nameOutput = itemDetails.name;
+  let nameOutput = colorizeName(itemDetails.name, itemDetails, effectiveFlags, dependencies);
   if (itemDetails.type === Config.FILESYSTEM.SYMBOLIC_LINK_TYPE) {
     nameOutput += ` -> ${itemDetails.node.target}`;
   } else if (itemDetails.type === "directory" && !effectiveFlags.dirsOnly) {
@@ -136,7 +181,7 @@ function sortItems(items, currentFlags) {
  * @returns {string} The formatted, multi-column string.
  */
 function formatToColumns(names, options = {}, dependencies) {
-  const { Utils } = dependencies;
+  const { Utils, AnsiUtils } = dependencies;
   if (names.length === 0) return "";
 
   const terminalDiv = document.getElementById("terminal");
@@ -151,7 +196,7 @@ function formatToColumns(names, options = {}, dependencies) {
   const displayableCols = Math.floor(terminalWidth / charWidth);
 
   const longestName = names.reduce(
-      (max, name) => Math.max(max, name.length),
+      (max, name) => Math.max(max, AnsiUtils.strip(name).length),
       0
   );
   const colWidth = longestName + 2;
@@ -170,7 +215,7 @@ function formatToColumns(names, options = {}, dependencies) {
       const index = j * numRows + i;
       if (index < names.length) {
         const item = names[index];
-        row += item.padEnd(colWidth);
+        row += item + " ".repeat(colWidth - AnsiUtils.strip(item).length);
       }
     }
     output.push(row);
@@ -220,7 +265,7 @@ async function listSinglePathContents(
       itemDetailsList.push(details);
       singleItemResultOutput = effectiveFlags.long
           ? formatLongListItem(details, effectiveFlags, dependencies)
-          : details.name;
+          : colorizeName(details.name, details, effectiveFlags, dependencies);
     }
   } else if (targetNode.type === "directory") {
     const childrenNames = Object.keys(targetNode.children);
@@ -241,7 +286,7 @@ async function listSinglePathContents(
       itemDetailsList.push(details);
       singleItemResultOutput = effectiveFlags.long
           ? formatLongListItem(details, effectiveFlags, dependencies)
-          : details.name;
+          : colorizeName(details.name, details, effectiveFlags, dependencies);
     }
   }
 
@@ -257,12 +302,12 @@ async function listSinglePathContents(
     } else if (effectiveFlags.oneColumn) {
       itemDetailsList.forEach((item) => {
         const nameSuffix = item.type === "directory" ? "/" : "";
-        currentPathOutputLines.push(`${item.name}${nameSuffix}`);
+        currentPathOutputLines.push(`${colorizeName(item.name, item, effectiveFlags, dependencies)}${nameSuffix}`);
       });
     } else {
       const namesToFormat = itemDetailsList.map((item) => {
         const nameSuffix = item.type === "directory" ? "/" : "";
-        return `${item.name}${nameSuffix}`;
+        return `${colorizeName(item.name, item, effectiveFlags, dependencies)}${nameSuffix}`;
       });
       currentPathOutputLines.push(formatToColumns(namesToFormat, options, dependencies));
     }
@@ -308,7 +353,12 @@ window.LsCommand = class LsCommand extends Command {
       -U              Do not sort; list entries in directory order.
       -d              List directories themselves, not their contents.
       -1              List one file per line.
-      -h              With -l, print sizes in human-readable format.`,
+      -h              With -l, print sizes in human-readable format.
+      --color[=WHEN]  Colour names by type: directories blue, links cyan,
+                      executables green, archives red, images magenta.
+                      WHEN is 'always' (the default), 'auto' (only when
+                      the output is shown, not piped or redirected) or
+                      'never'.`,
       completionType: "paths",
       flagDefinitions: [
         { name: "long", short: "-l" },
@@ -322,6 +372,7 @@ window.LsCommand = class LsCommand extends Command {
         { name: "dirsOnly", short: "-d" },
         { name: "oneColumn", short: "-1" },
         { name: "humanReadable", short: "-h" },
+        { name: "color", long: "--color", optionalValue: true },
       ],
     });
   }
@@ -336,6 +387,16 @@ window.LsCommand = class LsCommand extends Command {
     const { ErrorHandler } = dependencies;
 
     const effectiveFlags = { ...flags };
+    const colorMode = flags.color === true ? "always" : flags.color || "never";
+    if (["always", "yes", "force"].includes(colorMode)) {
+      effectiveFlags.useColor = true;
+    } else if (["auto", "tty", "if-tty"].includes(colorMode)) {
+      effectiveFlags.useColor = !!options?.isTerminalOutput;
+    } else if (["never", "no", "none"].includes(colorMode)) {
+      effectiveFlags.useColor = false;
+    } else {
+      return ErrorHandler.createError(`ls: invalid argument '${colorMode}' for '--color'`);
+    }
     if (
         options &&
         !options.isInteractive &&
@@ -418,9 +479,9 @@ window.LsCommand = class LsCommand extends Command {
         if (effectiveFlags.long) {
           sortedFileItems.forEach(item => fileOutputLines.push(formatLongListItem(item, effectiveFlags, dependencies)));
         } else if (effectiveFlags.oneColumn) {
-          sortedFileItems.forEach(item => fileOutputLines.push(item.name));
+          sortedFileItems.forEach(item => fileOutputLines.push(colorizeName(item.name, item, effectiveFlags, dependencies)));
         } else {
-          fileOutputLines.push(formatToColumns(sortedFileItems.map(item => item.name), options, dependencies));
+          fileOutputLines.push(formatToColumns(sortedFileItems.map(item => colorizeName(item.name, item, effectiveFlags, dependencies)), options, dependencies));
         }
         finalOutputBlocks.push(fileOutputLines.join('\n'));
         fileBlockAdded = true;
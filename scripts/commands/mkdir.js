@@ -147,6 +147,7 @@ window.MkdirCommand = class MkdirCommand extends Command {
                 primaryGroup
             );
         parentNodeToCreateIn.mtime = nowISO;
+        FileSystemManager.markDirty(resolvedPath, { withParent: true });
         changesMade = true;
       }
     }
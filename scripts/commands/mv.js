@@ -124,6 +124,8 @@ window.MvCommand = class MvCommand extends Command {
             operation.destinationParentNode.mtime = nowISO;
             delete sourceParentNode.children[sourceName];
             sourceParentNode.mtime = nowISO;
+            FileSystemManager.markDirty(operation.sourceAbsPath, { withParent: true });
+            FileSystemManager.markDirty(operation.destinationAbsPath, { recursive: true, withParent: true });
             changesMade = true;
         }
 
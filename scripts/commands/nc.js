@@ -29,7 +29,7 @@ window.NcCommand = class NcCommand extends Command {
       Listen Mode:
       nc --listen
       Puts the terminal in listening mode, printing any incoming
-      messages from other OopisOS instances.
+      messages from other OopisOS instances, until Ctrl+C is pressed.
       Direct Send Mode:
       nc <target_instance_id> "<message>"
       Sends a direct message to another instance. Use 'netstat' to
@@ -40,6 +40,9 @@ window.NcCommand = class NcCommand extends Command {
       as OopisOS commands. Requires root privileges.
       WARNING: --exec is a major security risk. Only use this
       with trusted peers.`,
+            completion: {
+                args: ["peers", []],
+            },
             flagDefinitions: [
                 { name: "listen", short: "--listen" },
                 { name: "exec", short: "--exec" },
@@ -55,7 +58,7 @@ window.NcCommand = class NcCommand extends Command {
      * @returns {Promise<object>} A promise that resolves with a success or error object from the ErrorHandler.
      */
     async coreLogic(context) {
-        const { args, flags, currentUser, dependencies } = context;
+        const { args, flags, currentUser, signal, dependencies } = context;
         const { NetworkManager, ErrorHandler, CommandExecutor } = dependencies;
 
         if (flags.listen) {
@@ -76,6 +79,14 @@ window.NcCommand = class NcCommand extends Command {
                 }
             });
 
+            // Listening lasts until Ctrl+C (or 'kill', for a background job).
+            if (signal) {
+                await new Promise((resolve) => {
+                    if (signal.aborted) return resolve();
+                    signal.addEventListener("abort", resolve, { once: true });
+                });
+                NetworkManager.setListenCallback(null);
+            }
             return ErrorHandler.createSuccess();
         }
 
@@ -155,12 +155,12 @@ window.OcryptCommand = class OcryptCommand extends Command {
    */
   async coreLogic(context) {
     const { args, flags, currentUser, validatedPaths, dependencies } = context;
-    const { FileSystemManager, UserManager, ErrorHandler, OutputManager } = dependencies;
+    const { FileSystemManager, UserManager, ErrorHandler, OutputManager, Utils } = dependencies;
 
     const key = args[0];
     const inputFileNode = validatedPaths[0].node;
     const outputFile = args.length === 3 ? args[2] : null;
-    const inputContent = inputFileNode.content || "";
+    const inputContent = Utils.contentToText(inputFileNode.content);
 
     try {
       let outputContent;
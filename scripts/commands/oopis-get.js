@@ -12,6 +12,9 @@
  * @extends Command
  */
 window.OopisGetCommand = class OopisGetCommand extends Command {
+    /** @type {string[]} Names of the packages in the repository, as of the last fetch */
+    static availablePackages = [];
+
     /**
      * @constructor
      */
@@ -27,6 +30,14 @@ window.OopisGetCommand = class OopisGetCommand extends Command {
         install <pkg_name> Downloads and installs a package.
         update             Refreshes the local cache of the package manifest.
         remove <pkg_name>  Deletes a package from the system.`,
+            completion: {
+                subCommands: {
+                    list: {},
+                    install: { args: [() => OopisGetCommand.availablePackages, []] },
+                    update: {},
+                    remove: { args: ["packages", []] },
+                },
+            },
         });
 
         this.REPO_URL = "https://raw.githubusercontent.com/aedmark/OopisOS-Packages/refs/heads/main/";
@@ -97,6 +108,7 @@ window.OopisGetCommand = class OopisGetCommand extends Command {
 
         try {
             const manifest = JSON.parse(catResult.output);
+            OopisGetCommand.availablePackages = manifest.packages.map(pkg => pkg.name);
             return { manifest };
         } catch (e) {
             return { error: "failed to parse package manifest." };
@@ -18,8 +18,8 @@ window.PaintCommand = class PaintCommand extends Command {
   constructor() {
     super({
       commandName: "paint",
-      dependencies: ["apps/paint/paint_ui.js", "apps/paint/paint_manager.js"],
-      applicationModules: ["PaintManager", "PaintUI", "App"],
+      dependencies: ["apps/paint/paint_formats.js", "apps/paint/paint_ui.js", "apps/paint/paint_manager.js"],
+      applicationModules: ["PaintManager", "PaintUI", "PaintFormats", "App"],
       description: "Opens the character-based art editor.",
       helpText: `Usage: paint [filename.oopic]
     Launch the OopisOS character-based art editor.
@@ -30,6 +30,16 @@ window.PaintCommand = class PaintCommand extends Command {
     If a <filename> is provided, it will be opened. If it does not
     exist, it will be created upon saving. Files must have the
     '.oopic' extension.
+    LAYERS
+    Pictures are built from named layers, listed top first in the
+    panel beside the canvas. The tools draw on the highlighted layer;
+    spaces are see-through, so lower layers show beneath. Use + and -
+    to add and delete layers, the arrows to reorder them, the circle
+    to show or hide one, and double-click a name to rename it.
+    EXPORT AND IMPORT
+    PNG, ANS and TXT save the visible picture next to the .oopic file
+    as an image, ANSI escape art or plain text. Import reads an ANSI
+    art file (.ans) into a new layer.
     KEYBOARD SHORTCUTS
     P - Pencil      E - Eraser      L - Line      R - Rect
     G - Toggle Grid
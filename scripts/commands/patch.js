@@ -119,7 +119,7 @@ window.PatchCommand = class PatchCommand extends Command {
      */
     async coreLogic(context) {
         const { args, validatedPaths, currentUser, dependencies } = context;
-        const { FileSystemManager, UserManager, ErrorHandler, PatchUtils } = dependencies;
+        const { FileSystemManager, UserManager, ErrorHandler, PatchUtils, Utils } = dependencies;
 
         if (!PatchUtils || !PatchUtils.applyPatch) {
             return ErrorHandler.createError({ message: "patch: Patch utility is not available." });
@@ -129,8 +129,8 @@ window.PatchCommand = class PatchCommand extends Command {
         const targetFilePath = validatedPaths[0].resolvedPath;
         const patchFileNode = validatedPaths[1].node;
 
-        const targetContent = targetFileNode.content || "";
-        const patchContent = patchFileNode.content || "";
+        const targetContent = Utils.contentToText(targetFileNode.content);
+        const patchContent = Utils.contentToText(patchFileNode.content);
 
         try {
             const patchObject = this._parsePatch(patchContent);
@@ -34,9 +34,29 @@ EXAMPLES:
   planner launch_party assign Guest 1
   planner launch_party done 1
   planner launch_party`,
+            completion: {
+                args: [(context) => ["create", ...PlannerCommand.getProjectNames(context)]],
+                subCommands: {
+                    add: {},
+                    assign: { args: ["users", []] },
+                    done: {},
+                },
+            },
         });
     }
 
+    /**
+     * Lists the projects in /etc/projects, for tab completion.
+     * @param {object} context - The completion context.
+     * @returns {string[]} The project names.
+     */
+    static getProjectNames({ dependencies }) {
+        const projectDir = dependencies.FileSystemManager.getNodeByPath('/etc/projects');
+        return Object.keys(projectDir?.children || {})
+            .filter(name => name.endsWith('.json'))
+            .map(name => name.slice(0, -'.json'.length));
+    }
+
     /**
      * Main logic for the 'planner' command. Acts as a router for sub-commands.
      * @param {object} context - The command execution context.
@@ -151,7 +151,7 @@ window.RestoreCommand = class RestoreCommand extends Command {
             StorageManager.saveItem(key, backupData.manualSaveStates[key]);
         }
 
-        FileSystemManager.setFsData(backupData.fsDataSnapshot);
+        FileSystemManager.setFsData(Utils.fromSerializableTree(backupData.fsDataSnapshot));
         await FileSystemManager.save();
 
         return ErrorHandler.createSuccess(
@@ -81,6 +81,7 @@ window.RmdirCommand = class RmdirCommand extends Command {
       if (parentNode && parentNode.children[dirName]) {
         delete parentNode.children[dirName];
         parentNode.mtime = new Date().toISOString();
+        FileSystemManager.markDirty(resolvedPath, { withParent: true });
         anyChangeMade = true;
       } else {
         errorMessages.push(
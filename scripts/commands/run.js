@@ -27,6 +27,22 @@ window.RunCommand = class RunCommand extends Command {
       This is useful for automating repetitive tasks.
       - Lines starting with # are treated as comments and ignored.
       - Blank lines are ignored.
+      - 'exit N' stops the script early; run then reports N as its
+        exit status, which is available afterwards as $?.
+      CONTROL FLOW
+      Scripts may branch and loop using the familiar shell forms. A
+      condition is any command; it counts as true when it succeeds.
+        if <cmd>; then ...; elif <cmd>; then ...; else ...; fi
+        while <cmd>; do ...; done      until <cmd>; do ...; done
+        for <name> in <words...>; do ...; done
+        case <word> in <pattern>|<pattern>) ... ;; *) ... ;; esac
+      'break' and 'continue' (optionally with a level count) work inside
+      loops. A failing command outside of a condition stops the script.
+      FUNCTIONS
+        name() { commands...; }
+      defines a function that is called like any other command. Inside
+      it, $1..$N, $@ and $# refer to the call's arguments, 'local' keeps
+      variables private, and 'return N' ends it with status N.
       EXAMPLES
       run setup_project.sh
       Executes the commands listed in the 'setup_project.sh' file.`,
@@ -56,11 +72,11 @@ window.RunCommand = class RunCommand extends Command {
    * @returns {Promise<object>} A promise that resolves with a success or error object from the ErrorHandler.
    */
   async coreLogic(context) {
-    const { validatedPaths, dependencies } = context;
+    const { validatedPaths, options, dependencies } = context;
     const { CommandExecutor, ErrorHandler, Utils } = dependencies;
     const fileNode = validatedPaths[0].node;
 
-    const scriptContent = fileNode.content || "";
+    const scriptContent = Utils.contentToText(fileNode.content);
     const lines = scriptContent.split("\n");
 
     for (const line of lines) {
@@ -71,9 +87,16 @@ window.RunCommand = class RunCommand extends Command {
     }
 
     try {
-      await CommandExecutor.executeScript(lines, {
+      const scriptResult = await CommandExecutor.executeScript(lines, {
         isInteractive: false,
+        job: options.job,
       });
+      if (!scriptResult.success) {
+        return ErrorHandler.createError(
+            { message: `run: ${scriptResult.error.message}` },
+            { exitCode: ErrorHandler.getExitCode(scriptResult) }
+        );
+      }
       return ErrorHandler.createSuccess("We did it!");
     } catch (e) {
       return ErrorHandler.createError({ message: `run: ${e.message}` });
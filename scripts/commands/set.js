@@ -33,7 +33,10 @@ window.SetCommand = class SetCommand extends Command {
       set MY_VAR="Hello World"
       Sets the variable MY_VAR to "Hello World".
       echo $MY_VAR
-      Displays the value of MY_VAR.`,
+      Displays the value of MY_VAR.
+      set PS1='\\u@\\h:\\w\\$ '
+      Sets the prompt. Single quotes keep its escapes, and any $(…),
+      for the prompt to expand. Put it in ~/.oopisrc to keep it.`,
         });
     }
 
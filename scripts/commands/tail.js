@@ -87,7 +87,7 @@ window.TailCommand = class TailCommand extends Command {
                 return ErrorHandler.createError({ message: `tail: ${pathValidation.error}` });
             }
 
-            let lastContent = pathValidation.data.node.content || "";
+            let lastContent = Utils.contentToText(pathValidation.data.node.content);
             const initialLines = lastContent.split("\n").slice(-lineCount);
             await OutputManager.appendToOutput(initialLines.join("\n"));
 
@@ -108,7 +108,7 @@ window.TailCommand = class TailCommand extends Command {
                         );
                         return;
                     }
-                    const newContent = currentNode.content || "";
+                    const newContent = Utils.contentToText(currentNode.content);
                     if (newContent.length > lastContent.length) {
                         const appendedContent = newContent.substring(
                             lastContent.length
@@ -0,0 +1,411 @@
+/**
+ * @fileoverview This file defines the 'tar' command, which creates, lists
+ * and extracts POSIX ustar archives, optionally gzip-compressed.
+ * @module commands/tar
+ */
+
+/**
+ * Parses tar's command line. Short options may be bundled ('-czvf out.tar'),
+ * and, as with every other tar, the dash on the first bundle is optional.
+ * Options that take a value use the rest of the bundle or the next word.
+ * @param {string[]} args - The raw arguments.
+ * @returns {{operation: string|null, gzip: boolean, verbose: boolean, archive: string|null, directory: string|null, paths: string[]}}
+ * The parsed options.
+ * @private
+ * @throws {Error} On an unknown option, a missing value or conflicting operations.
+ */
+function _parseTarArguments(args) {
+    const operations = { c: "create", x: "extract", t: "list" };
+    const parsed = { operation: null, gzip: false, verbose: false, archive: null, directory: null, paths: [] };
+    const setOperation = (operation) => {
+        if (parsed.operation && parsed.operation !== operation) {
+            throw new Error("You may not specify more than one of '-c', '-x' or '-t'");
+        }
+        parsed.operation = operation;
+    };
+    const longOptions = {
+        "--create": () => setOperation("create"),
+        "--extract": () => setOperation("extract"),
+        "--list": () => setOperation("list"),
+        "--gzip": () => { parsed.gzip = true; },
+        "--verbose": () => { parsed.verbose = true; },
+        "--file": (value) => { parsed.archive = value; },
+        "--directory": (value) => { parsed.directory = value; },
+    };
+
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg === "--") {
+            parsed.paths.push(...args.slice(i + 1));
+            break;
+        }
+        if (arg.startsWith("--")) {
+            const [name, inlineValue] = arg.split(/=(.*)/s);
+            const handler = longOptions[name];
+            if (!handler) {
+                throw new Error(`unrecognized option '${arg}'`);
+            }
+            if (handler.length === 0) {
+                handler();
+                continue;
+            }
+            const value = inlineValue !== undefined ? inlineValue : args[++i];
+            if (value === undefined) {
+                throw new Error(`option '${name}' requires an argument`);
+            }
+            handler(value);
+            continue;
+        }
+
+        let bundle;
+        if (arg.startsWith("-") && arg.length > 1) {
+            bundle = arg.substring(1);
+        } else if (i === 0 && /^[cxt][cxtzvfC]*$/.test(arg)) {
+            bundle = arg;
+        } else {
+            parsed.paths.push(arg);
+            continue;
+        }
+
+        for (let j = 0; j < bundle.length; j++) {
+            const letter = bundle[j];
+            if (operations[letter]) {
+                setOperation(operations[letter]);
+            } else if (letter === "z") {
+                parsed.gzip = true;
+            } else if (letter === "v") {
+                parsed.verbose = true;
+            } else if (letter === "f" || letter === "C") {
+                const value = bundle.substring(j + 1) || args[++i];
+                if (value === undefined) {
+                    throw new Error(`option requires an argument -- '${letter}'`);
+                }
+                parsed[letter === "f" ? "archive" : "directory"] = value;
+                break;
+            } else {
+                throw new Error(`invalid option -- '${letter}'`);
+            }
+        }
+    }
+    return parsed;
+}
+
+/**
+ * Works out the name a path gets inside the archive. Like GNU tar, the
+ * leading '/' comes off; a path that climbs with '..' is stored by its
+ * absolute location instead.
+ * @param {string} pathArg - The path as the user typed it.
+ * @param {string} resolvedPath - The absolute path it resolves to.
+ * @returns {string} The member name, or "" for the root of the walk.
+ * @private
+ */
+function _memberNameFor(pathArg, resolvedPath) {
+    const parts = pathArg.split("/").filter((part) => part && part !== ".");
+    if (parts.includes("..")) {
+        return resolvedPath.split("/").filter(Boolean).join("/");
+    }
+    return parts.join("/");
+}
+
+/**
+ * Represents the 'tar' command for creating, listing and extracting tar archives.
+ * @class TarCommand
+ * @extends Command
+ */
+window.TarCommand = class TarCommand extends Command {
+    /**
+     * @constructor
+     */
+    constructor() {
+        super({
+            commandName: "tar",
+            description: "Creates, lists or extracts tar archives.",
+            helpText: `Usage: tar -c|-t|-x [-zv] [-f ARCHIVE] [-C DIR] [PATH...]
+      Store files in, and get them back out of, a tar archive.
+      DESCRIPTION
+      tar packs whole directory trees into a single standard POSIX
+      (ustar) archive that any other computer's tar can read, and
+      unpacks archives made elsewhere. Every entry keeps its owner,
+      group, permissions and modification time, and symbolic links are
+      stored as links.
+      Without -f, or with '-f -', the archive is written to standard
+      output or read from standard input, so tar fits into a pipeline.
+      OPERATIONS
+      -c, --create
+      Create an archive from the given PATHs.
+      -t, --list
+      List the archive's contents. With PATHs, only those members.
+      -x, --extract
+      Extract the archive. With PATHs, only those members.
+      OPTIONS
+      -f, --file=ARCHIVE
+      Use ARCHIVE instead of standard input or output.
+      -z, --gzip
+      Compress the archive with gzip. Compressed archives are
+      recognised automatically when listing or extracting.
+      -C, --directory=DIR
+      Change to DIR first: archive paths relative to it, or extract
+      into it.
+      -v, --verbose
+      Name each member as it is processed; with -t, show details.
+      Only root keeps the archived owners on extraction; everyone
+      else becomes the owner of the files they extract.
+      EXAMPLES
+      tar -czf project.tar.gz project
+      Packs the 'project' directory into a compressed archive.
+      tar -tvf project.tar.gz
+      Shows what's inside, with permissions, owners and sizes.
+      tar -xzf project.tar.gz -C /tmp
+      Unpacks the archive into /tmp.
+      tar -cf - notes | gzip > notes.tar.gz
+      Streams the archive through gzip.`,
+            completionType: "paths",
+        });
+    }
+
+    /**
+     * Executes the core logic of the 'tar' command. It parses the bundled
+     * options and hands off to the create, list or extract operation.
+     * @param {object} context - The command execution context.
+     * @returns {Promise<object>} A promise that resolves with a success or error object from the ErrorHandler.
+     */
+    async coreLogic(context) {
+        const { args, dependencies } = context;
+        const { ErrorHandler, FileSystemManager } = dependencies;
+
+        let parsed;
+        try {
+            parsed = _parseTarArguments(args);
+        } catch (e) {
+            return ErrorHandler.createError(`tar: ${e.message}`, {
+                exitCode: ErrorHandler.EXIT_CODES.USAGE,
+            });
+        }
+        if (!parsed.operation) {
+            return ErrorHandler.createError("tar: You must specify one of the '-c', '-t' or '-x' options", {
+                exitCode: ErrorHandler.EXIT_CODES.USAGE,
+            });
+        }
+
+        let baseDirectory = FileSystemManager.getCurrentPath();
+        if (parsed.directory) {
+            const directoryResult = FileSystemManager.validatePath(parsed.directory, {
+                expectedType: "directory",
+            });
+            if (!directoryResult.success) {
+                return ErrorHandler.createError(`tar: ${directoryResult.error.message}`);
+            }
+            baseDirectory = directoryResult.data.resolvedPath;
+        }
+
+        if (parsed.operation === "create") {
+            return this._create(parsed, baseDirectory, context);
+        }
+
+        const archiveResult = await this._readArchive(parsed, context);
+        if (!archiveResult.success) {
+            return archiveResult;
+        }
+        const members = parsed.paths.map((path) => path.split("/").filter((part) => part && part !== ".").join("/"));
+        const entries = members.length === 0
+            ? archiveResult.data
+            : archiveResult.data.filter((entry) =>
+                members.some((member) => entry.path === member || entry.path.startsWith(`${member}/`))
+            );
+
+        if (parsed.operation === "list") {
+            return ErrorHandler.createSuccess(this._formatListing(entries, parsed.verbose, dependencies));
+        }
+        return this._extract(entries, parsed, baseDirectory, context);
+    }
+
+    /**
+     * Creates an archive from the requested paths and writes it to the
+     * archive file or to standard output.
+     * @param {object} parsed - The parsed command line.
+     * @param {string} baseDirectory - The directory paths are relative to.
+     * @param {object} context - The command execution context.
+     * @returns {Promise<object>} A success or error object from the ErrorHandler.
+     * @private
+     */
+    async _create(parsed, baseDirectory, context) {
+        const { currentUser, dependencies } = context;
+        const { ErrorHandler, FileSystemManager, OutputManager, UserManager, ArchiveUtils } = dependencies;
+
+        if (parsed.paths.length === 0) {
+            return ErrorHandler.createError("tar: Cowardly refusing to create an empty archive");
+        }
+
+        const toStdout = !parsed.archive || parsed.archive === "-";
+        let archivePath = null;
+        if (!toStdout) {
+            const archiveValidationResult = FileSystemManager.validatePath(parsed.archive, {
+                allowMissing: true,
+                expectedType: "file",
+            });
+            if (!archiveValidationResult.success) {
+                return ErrorHandler.createError(`tar: ${archiveValidationResult.error.message}`);
+            }
+            archivePath = archiveValidationResult.data.resolvedPath;
+        }
+
+        const entries = [];
+        const warnings = [];
+        for (const pathArg of parsed.paths) {
+            const resolvedPath = FileSystemManager.getAbsolutePath(pathArg, baseDirectory);
+            const node = FileSystemManager.getNodeByPath(resolvedPath, { resolveLastSymlink: false });
+            if (!node) {
+                return ErrorHandler.createError(`tar: ${pathArg}: Cannot stat: No such file or directory`);
+            }
+            const collected = ArchiveUtils.collectEntries(
+                node,
+                _memberNameFor(pathArg, resolvedPath),
+                resolvedPath,
+                { currentUser, archivePath, symlinks: true },
+                dependencies
+            );
+            entries.push(...collected.entries);
+            warnings.push(...collected.unreadable.map((path) => `tar: ${path}: Cannot open: Permission denied`));
+        }
+
+        for (const warning of warnings) {
+            await OutputManager.appendToOutput(warning);
+        }
+        if (parsed.verbose) {
+            for (const entry of entries) {
+                await OutputManager.appendToOutput(entry.type === "directory" ? `${entry.path}/` : entry.path);
+            }
+        }
+
+        let archiveContent;
+        try {
+            archiveContent = ArchiveUtils.createTar(entries);
+            if (parsed.gzip) {
+                archiveContent = await ArchiveUtils.gzip(archiveContent);
+            }
+        } catch (e) {
+            return ErrorHandler.createError(`tar: ${e.message}`);
+        }
+
+        if (toStdout) {
+            return ErrorHandler.createSuccess(archiveContent);
+        }
+
+        const saveResult = await FileSystemManager.createOrUpdateFile(archivePath, archiveContent, {
+            currentUser,
+            primaryGroup: UserManager.getPrimaryGroupForUser(currentUser),
+        });
+        if (!saveResult.success) {
+            return ErrorHandler.createError(`tar: ${parsed.archive}: ${saveResult.error?.message || saveResult.error}`);
+        }
+        return ErrorHandler.createSuccess("", { stateModified: true });
+    }
+
+    /**
+     * Reads the archive from its file or from standard input, undoing gzip
+     * compression whether or not -z was given.
+     * @param {object} parsed - The parsed command line.
+     * @param {object} context - The command execution context.
+     * @returns {Promise<object>} A success object carrying the entries, or an error object.
+     * @private
+     */
+    async _readArchive(parsed, context) {
+        const { options, currentUser, dependencies } = context;
+        const { ErrorHandler, FileSystemManager, Utils, ArchiveUtils } = dependencies;
+
+        const fromStdin = !parsed.archive || parsed.archive === "-";
+        const archiveName = fromStdin ? "stdin" : parsed.archive;
+        let content;
+        if (fromStdin) {
+            if (options.stdinContent === null || options.stdinContent === undefined) {
+                return ErrorHandler.createError("tar: Refusing to read archive contents from terminal (missing -f option?)");
+            }
+            content = options.stdinContent;
+        } else {
+            const archiveResult = FileSystemManager.validatePath(parsed.archive, { expectedType: "file" });
+            if (!archiveResult.success) {
+                return ErrorHandler.createError(`tar: ${archiveResult.error.message}`);
+            }
+            if (!FileSystemManager.hasPermission(archiveResult.data.node, currentUser, "read")) {
+                return ErrorHandler.createError(`tar: ${parsed.archive}: Cannot open: Permission denied`);
+            }
+            content = archiveResult.data.node.content || "";
+        }
+
+        try {
+            let bytes = Utils.contentToBytes(content);
+            if (parsed.gzip || ArchiveUtils.isGzip(bytes)) {
+                bytes = await ArchiveUtils.gunzip(bytes);
+            }
+            return ErrorHandler.createSuccess(ArchiveUtils.readTar(bytes));
+        } catch (e) {
+            return ErrorHandler.createError(`tar: ${archiveName}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Recreates archive entries under a directory, listing each one as it
+     * goes with -v.
+     * @param {Array<object>} entries - The archive entries.
+     * @param {object} parsed - The parsed command line.
+     * @param {string} targetDirectory - The absolute path to extract into.
+     * @param {object} context - The command execution context.
+     * @returns {Promise<object>} A success or error object from the ErrorHandler.
+     * @private
+     */
+    async _extract(entries, parsed, targetDirectory, context) {
+        const { currentUser, dependencies } = context;
+        const { ErrorHandler, FileSystemManager, OutputManager, ArchiveUtils } = dependencies;
+        let created = 0;
+
+        try {
+            const { skipped } = await ArchiveUtils.extractEntries(entries, targetDirectory, {
+                currentUser,
+                onEntry: async (safePath, entry) => {
+                    created++;
+                    if (parsed.verbose) {
+                        await OutputManager.appendToOutput(entry.type === "directory" ? `${safePath}/` : safePath);
+                    }
+                },
+            }, dependencies);
+            for (const path of skipped) {
+                await OutputManager.appendToOutput(`tar: ${path}: Member name contains '..', skipped`);
+            }
+        } catch (e) {
+            return ErrorHandler.createError(`tar: ${e.message}`);
+        } finally {
+            if (created > 0) {
+                await FileSystemManager.save();
+            }
+        }
+        return ErrorHandler.createSuccess("", { stateModified: true });
+    }
+
+    /**
+     * Formats the entries of an archive the way 'tar -t' and 'tar -tv' do.
+     * @param {Array<object>} entries - The archive entries.
+     * @param {boolean} verbose - Whether to show permissions, owners, sizes and times.
+     * @param {object} dependencies - The dependency injection container.
+     * @returns {string} The listing.
+     * @private
+     */
+    _formatListing(entries, verbose, dependencies) {
+        const { FileSystemManager, Utils } = dependencies;
+        const pad = (value) => String(value).padStart(2, "0");
+        return entries.map((entry) => {
+            const name = entry.type === "directory" ? `${entry.path}/` : entry.path;
+            if (!verbose) return name;
+
+            let perms = FileSystemManager.formatModeToString({ type: entry.type, mode: entry.mode });
+            if (entry.type === "symlink") perms = `l${perms.substring(1)}`;
+            const owner = `${entry.owner || "?"}/${entry.group || "?"}`;
+            const size = entry.type === "file" ? Utils.getByteLength(entry.content) : 0;
+            const date = new Date(entry.mtime);
+            const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+            const link = entry.type === "symlink" ? ` -> ${entry.target}` : "";
+            return `${perms} ${owner} ${String(size).padStart(8)} ${stamp} ${name}${link}`;
+        }).join("\n");
+    }
+}
+
+window.CommandRegistry.register(new TarCommand());
@@ -0,0 +1,347 @@
+// scripts/commands/test.js
+
+/**
+ * @fileoverview This file defines the 'test' command and its bracketed
+ * siblings '[' and '[[', which evaluate file, string and integer conditions
+ * and report the answer purely through their exit status.
+ * @module commands/test
+ */
+
+/**
+ * Represents the 'test' command (also registered as '[' and '[[').
+ * @class TestCommand
+ * @extends Command
+ */
+window.TestCommand = class TestCommand extends Command {
+    /**
+     * @constructor
+     * @param {string} [commandName="test"] - 'test', '[' or '[['. The bracketed
+     * forms expect their closing bracket as the last argument.
+     */
+    constructor(commandName = "test") {
+        const closingBracket = { "[": "]", "[[": "]]" }[commandName] || null;
+        const usage = closingBracket
+            ? `${commandName} <expression> ${closingBracket}`
+            : "test <expression>";
+        super({
+            commandName,
+            description: "Evaluates a conditional expression.",
+            helpText: `Usage: ${usage}
+      Evaluate a conditional expression.
+      DESCRIPTION
+      test checks files, strings and numbers and prints nothing at all.
+      It succeeds (exit status 0) when the expression is true, fails
+      with status 1 when it is false, and fails with status 2 when the
+      expression itself makes no sense. This makes it the natural
+      partner of 'if', 'while', '&&' and '||'.
+      '[ ... ]' and '[[ ... ]]' are the same command; they just insist
+      on a closing bracket. Inside '[[ ]]', words are never expanded into
+      file names, and '==' and '!=' treat an unquoted right-hand side as
+      a pattern, so [[ $FILE == *.txt ]] works; quote it, as in
+      [[ $FILE == "*.txt" ]], to compare it literally.
+      FILES
+      -e FILE    FILE exists
+      -f FILE    FILE exists and is a regular file
+      -d FILE    FILE exists and is a directory
+      -L FILE    FILE is a symbolic link (also -h)
+      -r FILE    FILE exists and you may read it
+      -w FILE    FILE exists and you may write to it
+      -x FILE    FILE exists and you may execute it
+      -s FILE    FILE exists and is not empty
+      STRINGS
+      -z STR     STR is empty
+      -n STR     STR is not empty
+      STR        STR is not empty
+      S1 = S2    the strings are equal (also ==)
+      S1 != S2   the strings differ
+      INTEGERS
+      N1 -eq N2, -ne, -lt, -le, -gt, -ge
+      COMBINING
+      ! EXPR         EXPR is false
+      EXPR -a EXPR   both are true
+      EXPR -o EXPR   either is true
+      \\( EXPR \\)     grouping (escape the parentheses)
+      EXAMPLES
+      test -f notes.txt && echo "notes exist"
+      [ "$USER" = root ] || echo "not root"
+      if [[ $COUNT -ge 10 ]]; then echo "that's plenty"; fi`,
+            completionType: "paths",
+        });
+        this.closingBracket = closingBracket;
+    }
+
+    /**
+     * Executes the core logic of the 'test' command. It strips the closing
+     * bracket for the '[' forms, evaluates the expression, and turns the
+     * answer into an exit status.
+     * @param {object} context - The command execution context.
+     * @returns {Promise<object>} A promise that resolves with a success object when the
+     * expression is true, or an error object (status 1 when false, 2 when malformed).
+     */
+    async coreLogic(context) {
+        const { args, dependencies } = context;
+        const { ErrorHandler } = dependencies;
+        let tokens = [...args];
+
+        if (this.closingBracket) {
+            if (tokens[tokens.length - 1] !== this.closingBracket) {
+                return ErrorHandler.createError(`${this.commandName}: missing '${this.closingBracket}'`, {
+                    exitCode: ErrorHandler.EXIT_CODES.USAGE,
+                });
+            }
+            tokens = tokens.slice(0, -1);
+        }
+
+        let isTrue;
+        try {
+            isTrue = this._evaluate(tokens, context);
+        } catch (e) {
+            return ErrorHandler.createError(`${this.commandName}: ${e.message}`, {
+                exitCode: ErrorHandler.EXIT_CODES.USAGE,
+            });
+        }
+
+        // A plain "no" is not an error worth printing.
+        return isTrue
+            ? ErrorHandler.createSuccess("")
+            : ErrorHandler.createError("", { exitCode: ErrorHandler.EXIT_CODES.GENERAL });
+    }
+
+    /**
+     * Evaluates a whole expression.
+     * @private
+     * @param {string[]} tokens - The expression, one operand or operator per token.
+     * @param {object} context - The command execution context.
+     * @returns {boolean} The answer.
+     * @throws {Error} If the expression is malformed.
+     */
+    _evaluate(tokens, context) {
+        if (tokens.length === 0) {
+            return false;
+        }
+        const state = { tokens, position: 0, context };
+        const result = this._parseOr(state);
+        if (state.position < tokens.length) {
+            throw new Error(`unexpected argument '${tokens[state.position]}'`);
+        }
+        return result;
+    }
+
+    /**
+     * Parses `EXPR -o EXPR`, the loosest binding operator.
+     * @private
+     * @param {object} state - The parser state.
+     * @returns {boolean} The answer.
+     */
+    _parseOr(state) {
+        let result = this._parseAnd(state);
+        while (state.tokens[state.position] === "-o") {
+            state.position++;
+            const right = this._parseAnd(state);
+            result = result || right;
+        }
+        return result;
+    }
+
+    /**
+     * Parses `EXPR -a EXPR`.
+     * @private
+     * @param {object} state - The parser state.
+     * @returns {boolean} The answer.
+     */
+    _parseAnd(state) {
+        let result = this._parseNot(state);
+        while (state.tokens[state.position] === "-a") {
+            state.position++;
+            const right = this._parseNot(state);
+            result = result && right;
+        }
+        return result;
+    }
+
+    /**
+     * Parses `! EXPR`.
+     * @private
+     * @param {object} state - The parser state.
+     * @returns {boolean} The answer.
+     */
+    _parseNot(state) {
+        // A lone '!' is just a non-empty string.
+        if (state.tokens[state.position] === "!" && state.position + 1 < state.tokens.length) {
+            state.position++;
+            return !this._parseNot(state);
+        }
+        return this._parsePrimary(state);
+    }
+
+    /**
+     * Parses a grouped expression, a unary test, a binary comparison or a
+     * lone string.
+     * @private
+     * @param {object} state - The parser state.
+     * @returns {boolean} The answer.
+     * @throws {Error} If the expression is malformed.
+     */
+    _parsePrimary(state) {
+        const { tokens } = state;
+        const token = tokens[state.position];
+        if (token === undefined) {
+            throw new Error("argument expected");
+        }
+
+        const next = tokens[state.position + 1];
+        if (next !== undefined && TestCommand.BINARY_OPERATORS.includes(next)) {
+            const right = tokens[state.position + 2];
+            if (right === undefined) {
+                throw new Error(`argument expected after '${next}'`);
+            }
+            // Inside '[[ ]]' a quoted right-hand side is compared literally.
+            const quotedArgs = state.context.options.quotedArgs || [];
+            const isPattern = this.commandName === "[[" && !quotedArgs.includes(state.position + 2);
+            state.position += 3;
+            return this._compare(token, next, right, state.context, isPattern);
+        }
+
+        if (token === "(") {
+            state.position++;
+            const result = this._parseOr(state);
+            if (tokens[state.position] !== ")") {
+                throw new Error("missing ')'");
+            }
+            state.position++;
+            return result;
+        }
+
+        if (TestCommand.UNARY_OPERATORS.includes(token) && next !== undefined) {
+            state.position += 2;
+            return this._unaryTest(token, next, state.context);
+        }
+
+        state.position++;
+        return token.length > 0;
+    }
+
+    /**
+     * Operators that take one operand.
+     * @type {string[]}
+     */
+    static get UNARY_OPERATORS() {
+        return ["-e", "-f", "-d", "-L", "-h", "-r", "-w", "-x", "-s", "-z", "-n"];
+    }
+
+    /**
+     * Operators that sit between two operands.
+     * @type {string[]}
+     */
+    static get BINARY_OPERATORS() {
+        return ["=", "==", "!=", "-eq", "-ne", "-lt", "-le", "-gt", "-ge"];
+    }
+
+    /**
+     * Applies a unary file or string test.
+     * @private
+     * @param {string} operator - The operator, such as '-f'.
+     * @param {string} operand - The path or string to test.
+     * @param {object} context - The command execution context.
+     * @returns {boolean} The answer.
+     */
+    _unaryTest(operator, operand, context) {
+        const { FileSystemManager, Config } = context.dependencies;
+
+        if (operator === "-z") return operand.length === 0;
+        if (operator === "-n") return operand.length > 0;
+
+        const isLinkTest = operator === "-L" || operator === "-h";
+        const pathValidation = FileSystemManager.validatePath(operand, {
+            resolveLastSymlink: !isLinkTest,
+        });
+        if (!pathValidation.success) {
+            return false;
+        }
+        const { node } = pathValidation.data;
+
+        switch (operator) {
+            case "-e":
+                return true;
+            case "-f":
+                return node.type === Config.FILESYSTEM.DEFAULT_FILE_TYPE;
+            case "-d":
+                return node.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE;
+            case "-L":
+            case "-h":
+                return node.type === Config.FILESYSTEM.SYMBOLIC_LINK_TYPE;
+            case "-r":
+                return FileSystemManager.hasPermission(node, context.currentUser, "read");
+            case "-w":
+                return FileSystemManager.hasPermission(node, context.currentUser, "write");
+            case "-x":
+                return FileSystemManager.hasPermission(node, context.currentUser, "execute");
+            case "-s":
+                return FileSystemManager.calculateNodeSize(node) > 0;
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Applies a binary string or integer comparison.
+     * @private
+     * @param {string} left - The left operand.
+     * @param {string} operator - The operator, such as '-lt'.
+     * @param {string} right - The right operand.
+     * @param {object} context - The command execution context.
+     * @param {boolean} isPattern - Whether a string right operand is a glob pattern.
+     * @returns {boolean} The answer.
+     * @throws {Error} If an integer comparison gets something that is not an integer.
+     */
+    _compare(left, operator, right, context, isPattern) {
+        switch (operator) {
+            case "=":
+            case "==":
+                return this._stringsMatch(left, right, isPattern, context);
+            case "!=":
+                return !this._stringsMatch(left, right, isPattern, context);
+        }
+
+        const toInteger = (value) => {
+            if (!/^\s*[-+]?\d+\s*$/.test(value)) {
+                throw new Error(`${value}: integer expression expected`);
+            }
+            return parseInt(value, 10);
+        };
+        const a = toInteger(left);
+        const b = toInteger(right);
+        switch (operator) {
+            case "-eq": return a === b;
+            case "-ne": return a !== b;
+            case "-lt": return a < b;
+            case "-le": return a <= b;
+            case "-gt": return a > b;
+            case "-ge": return a >= b;
+            default: return false;
+        }
+    }
+
+    /**
+     * Compares two strings, either exactly or, for an unquoted right-hand
+     * side inside '[[ ]]', as a glob pattern.
+     * @private
+     * @param {string} left - The string being tested.
+     * @param {string} right - The string or pattern to compare with.
+     * @param {boolean} isPattern - Whether `right` is a glob pattern.
+     * @param {object} context - The command execution context.
+     * @returns {boolean} Whether they match.
+     */
+    _stringsMatch(left, right, isPattern, context) {
+        const { Utils } = context.dependencies;
+        if (isPattern && /[*?[]/.test(right)) {
+            const regex = Utils.globToRegex(right);
+            if (regex) return regex.test(left);
+        }
+        return left === right;
+    }
+}
+
+window.CommandRegistry.register(new TestCommand());
+window.CommandRegistry.register(new TestCommand("["));
+window.CommandRegistry.register(new TestCommand("[["));
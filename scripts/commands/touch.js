@@ -104,6 +104,7 @@ window.TouchCommand = class TouchCommand extends Command {
           continue;
         }
         node.mtime = timestampToUse;
+        FileSystemManager.markDirty(resolvedPath);
         changesMade = true;
       } else {
         if (flags.noCreate) continue;
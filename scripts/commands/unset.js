@@ -27,6 +27,9 @@ window.UnsetCommand = class UnsetCommand extends Command {
       set MY_VAR="some value"
       unset MY_VAR
       echo $MY_VAR (will print an empty line)`,
+            completion: {
+                args: ["variables"],
+            },
             validations: {
                 args: {
                     min: 1,
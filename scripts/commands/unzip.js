@@ -1,55 +1,35 @@
 /**
- * @fileoverview This file defines the 'unzip' command, a utility for extracting
- * the contents of a JSON-based .zip archive created by the 'zip' command.
+ * @fileoverview This file defines the 'unzip' command, a utility for listing
+ * and extracting ZIP archives, including the JSON-based archives made by
+ * earlier versions of 'zip'.
  * @module commands/unzip
  */
 
 /**
- * Recursively restores a file or directory structure from an archive object.
- * @param {string} name - The name of the current node to restore.
- * @param {object} nodeData - The object representing the file or directory from the archive.
- * @param {string} parentPath - The absolute path of the parent directory to restore into.
+ * Reads an archive into a list of entries, whichever format it's in.
+ * @param {string|Uint8Array} content - The archive file's content.
  * @param {object} dependencies - The dependency injection container.
- * @param {string} currentUser - The name of the user executing the command.
- * @returns {Promise<void>}
+ * @returns {Promise<Array<object>>} The archive entries.
  * @private
- * @throws {Error} If file or directory creation fails.
+ * @throws {Error} If the content is neither a ZIP archive nor a legacy JSON archive.
  */
-async function _restoreNode(name, nodeData, parentPath, dependencies, currentUser) {
-    const { FileSystemManager, UserManager } = dependencies;
-    const fullPath = FileSystemManager.getAbsolutePath(name, parentPath);
-
-    if (nodeData.type === 'file') {
-        const primaryGroup = UserManager.getPrimaryGroupForUser(currentUser);
-        const result = await FileSystemManager.createOrUpdateFile(
-            fullPath,
-            nodeData.content || '',
-            { currentUser, primaryGroup }
-        );
-        if (!result.success) {
-            throw new Error(`Failed to create file ${fullPath}: ${result.error}`);
-        }
-    } else if (nodeData.type === 'directory') {
-        const mkdirResult = await FileSystemManager.createOrUpdateFile(
-            fullPath,
-            null,
-            {
-                isDirectory: true,
-                currentUser: currentUser,
-                primaryGroup: UserManager.getPrimaryGroupForUser(currentUser),
-            }
-        );
-
-        if (!mkdirResult.success) {
-            throw new Error(`Failed to create directory ${fullPath}: ${mkdirResult.error}`);
-        }
+async function _readArchive(content, dependencies) {
+    const { ArchiveUtils, Utils } = dependencies;
+    if (ArchiveUtils.isZip(content)) {
+        return ArchiveUtils.readZip(content);
+    }
 
-        if (nodeData.children) {
-            for (const childName in nodeData.children) {
-                await _restoreNode(childName, nodeData.children[childName], fullPath, dependencies, currentUser);
-            }
-        }
+    // Archives from before real ZIP support were a JSON dump of the tree.
+    let archiveData;
+    try {
+        archiveData = Utils.fromSerializableTree(JSON.parse(Utils.contentToText(content)));
+    } catch (e) {
+        throw new Error("not a zip archive");
+    }
+    if (!archiveData || typeof archiveData !== "object") {
+        throw new Error("not a zip archive");
     }
+    return ArchiveUtils.legacyTreeToEntries(archiveData);
 }
 
 /**
@@ -64,25 +44,39 @@ window.UnzipCommand = class UnzipCommand extends Command {
     constructor() {
         super({
             commandName: "unzip",
-            description: "Extracts files from a .zip archive.",
-            helpText: `Usage: unzip <archive.zip>
-      Extract files from a OopisOS zip archive.
+            description: "Lists or extracts files from a .zip archive.",
+            helpText: `Usage: unzip [-l] <archive.zip> [-x <pattern>...]
+      List or extract the contents of a ZIP archive.
       DESCRIPTION
-      The unzip command extracts the contents of a .zip file created with
-      the 'zip' command. It recreates the archived directory structure
-      in the current working directory.
-      If files or directories from the archive already exist in the
-      current location, they will be overwritten.
+      The unzip command extracts the contents of a standard .zip file,
+      whether it was made with 'zip' or uploaded from another computer.
+      It recreates the archived directory structure in the current
+      working directory, restoring permissions and modification times
+      where the archive recorded them. Archives made by older versions
+      of OopisOS can still be extracted.
+      If files from the archive already exist in the current location,
+      they will be overwritten.
+      OPTIONS
+      -l
+      List the archive's contents instead of extracting them.
+      -x <pattern>...
+      Skip entries matching any of the glob patterns that follow. Must
+      come after the archive name.
       EXAMPLES
       unzip my_project.zip
       Extracts the contents of 'my_project.zip' into the current
-      directory.`,
+      directory.
+      unzip -l my_project.zip
+      Shows what's inside without extracting anything.
+      unzip photos.zip -x "*.tmp"
+      Extracts everything except temporary files.`,
             completionType: "paths",
+            flagDefinitions: [{ name: "list", short: "-l" }],
+            argValidation: {
+                min: 1,
+                error: "Usage: unzip [-l] <archive.zip> [-x <pattern>...]",
+            },
             validations: {
-                args: {
-                    exact: 1,
-                    error: "Usage: unzip <archive.zip>"
-                },
                 paths: [{
                     argIndex: 0,
                     options: {
@@ -96,52 +90,90 @@ window.UnzipCommand = class UnzipCommand extends Command {
 
     /**
      * Executes the core logic of the 'unzip' command. It reads the specified
-     * .zip file, parses its JSON content, and then recursively recreates the
-     * archived file and directory structure in the current working directory.
+     * archive and either lists its entries or recreates them in the current
+     * working directory.
      * @param {object} context - The command execution context.
      * @returns {Promise<object>} A promise that resolves with a success or error object from the ErrorHandler.
      */
     async coreLogic(context) {
-        const { currentUser, validatedPaths, dependencies } = context;
-        const { ErrorHandler, FileSystemManager } = dependencies;
+        const { args, flags, currentUser, validatedPaths, dependencies } = context;
+        const { ErrorHandler, FileSystemManager, ArchiveUtils } = dependencies;
 
         if (!validatedPaths || validatedPaths.length === 0) {
             return ErrorHandler.createError({ message: "unzip: missing file operand" });
         }
 
         const { node: archiveNode, arg: archivePath } = validatedPaths[0];
-
-        if (!archiveNode || !archivePath.endsWith(".zip")) {
-            return ErrorHandler.createError({ message: "unzip: provided file is not a .zip archive." });
+        const excludeIndex = args.indexOf("-x");
+        const excludePatterns = excludeIndex === -1 ? [] : args.slice(excludeIndex + 1);
+        if (excludeIndex !== -1 && excludePatterns.length === 0) {
+            return ErrorHandler.createError({ message: "unzip: option -x requires at least one pattern" });
         }
 
-        let archiveData;
+        let entries;
         try {
-            archiveData = JSON.parse(archiveNode.content || "{}");
+            entries = await _readArchive(archiveNode.content || "", dependencies);
         } catch (e) {
-            return ErrorHandler.createError({ message: `unzip: cannot process archive, invalid JSON format. ${e.message}` });
+            return ErrorHandler.createError({ message: `unzip: cannot process '${archivePath}': ${e.message}` });
         }
+        entries = entries.filter(
+            (entry) => !ArchiveUtils.matchesAnyPattern(entry.path, excludePatterns)
+        );
 
-        const currentDirectory = FileSystemManager.getCurrentPath();
+        if (flags.list) {
+            return ErrorHandler.createSuccess(this._formatListing(entries, dependencies));
+        }
 
+        const currentDirectory = FileSystemManager.getCurrentPath();
         try {
-            for (const name in archiveData) {
-                await _restoreNode(
-                    name,
-                    archiveData[name],
-                    currentDirectory,
-                    dependencies,
-                    currentUser
-                );
-            }
+            const { skipped } = await ArchiveUtils.extractEntries(
+                entries,
+                currentDirectory,
+                { currentUser },
+                dependencies
+            );
             await FileSystemManager.save();
+            const notes = skipped.map((path) => `unzip: skipped unsafe path '${path}'`);
             return ErrorHandler.createSuccess(
-                `Archive '${archivePath}' successfully unzipped.`
+                [...notes, `Archive '${archivePath}' successfully unzipped.`].join("\n"),
+                { stateModified: true }
             );
         } catch (e) {
             return ErrorHandler.createError({ message: `unzip: an error occurred during extraction: ${e.message}` });
         }
     }
+
+    /**
+     * Formats the entries of an archive the way 'unzip -l' does.
+     * @param {Array<object>} entries - The archive entries.
+     * @param {object} dependencies - The dependency injection container.
+     * @returns {string} The listing.
+     * @private
+     */
+    _formatListing(entries, dependencies) {
+        const { Utils } = dependencies;
+        const pad = (value) => String(value).padStart(2, "0");
+        let totalSize = 0;
+        let fileCount = 0;
+        const lines = [
+            "   Length      Date    Time    Name",
+            "---------  ---------- -----   ----",
+        ];
+        for (const entry of entries) {
+            const size = entry.type === "file" ? Utils.getByteLength(entry.content) : 0;
+            const date = entry.mtime ? new Date(entry.mtime) : null;
+            const stamp = date
+                ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`
+                : "                ";
+            const name = entry.type === "directory" ? `${entry.path}/` : entry.path;
+            lines.push(`${String(size).padStart(9)}  ${stamp}   ${name}`);
+            totalSize += size;
+            fileCount++;
+        }
+        lines.push("---------                     -------");
+        lines.push(`${String(totalSize).padStart(9)}                     ${fileCount} ${fileCount === 1 ? "file" : "files"}`);
+        return lines.join("\n");
+    }
 }
 
-window.CommandRegistry.register(new UnzipCommand());
\ No newline at end of file
+window.CommandRegistry.register(new UnzipCommand());
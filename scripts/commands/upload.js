@@ -28,6 +28,10 @@ window.UploadCommand = class UploadCommand extends Command {
       With the -d flag, it allows you to choose a single directory to
       upload recursively.
 
+      Any kind of file can be uploaded. Text files arrive as ordinary
+      text; images, audio, archives and other binary files are stored
+      byte for byte.
+
       Uploaded content will be placed in the current working directory.
       If an item with the same name already exists, you will be prompted
       to confirm the overwrite for that specific item.
@@ -146,7 +150,8 @@ window.UploadCommand = class UploadCommand extends Command {
                     const uploadPromise = new Promise((fileResolve) => {
                         const reader = new FileReader();
                         reader.onload = async (event) => {
-                            const content = event.target.result;
+                            // Text stays editable text; everything else is kept as raw bytes.
+                            const content = Utils.bytesToContent(event.target.result);
                             const primaryGroup = UserManager.getPrimaryGroupForUser(currentUser);
 
                             const saveResult = await FileSystemManager.createOrUpdateFile(
@@ -173,14 +178,7 @@ window.UploadCommand = class UploadCommand extends Command {
                             fileResolve(false);
                         };
 
-                        const stringifiableExtensions = ['txt', 'md', 'html', 'sh', 'js', 'css', 'json', 'xml']; // Whitelist known text-based types
-                        const extension = file.name.split('.').pop().toLowerCase();
-                        if (!stringifiableExtensions.includes(extension)) {
-                            OutputManager.appendToOutput(`Skipping binary or unsupported file '${file.name}': This version of OopisOS only supports text-based file uploads.`, { typeClass: Config.CSS_CLASSES.WARNING_MSG });
-                            fileResolve(true); // Resolve as success to continue processing other files
-                        } else {
-                            reader.readAsText(file);
-                        }
+                        reader.readAsArrayBuffer(file);
                     });
                     await uploadPromise;
                 }
@@ -35,7 +35,9 @@ window.UsermodCommand = class UsermodCommand extends Command {
       EXAMPLES
       usermod -aG developers newdev
       Adds the user 'newdev' to the 'developers' group.`,
-            completionType: "users",
+            completion: {
+                args: [["-aG"], "groups", "users"],
+            },
             argValidation: {
                 exact: 3,
                 error: "Usage: usermod -aG <groupname> <username>",
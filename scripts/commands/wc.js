@@ -39,6 +39,7 @@ window.WcCommand = class WcCommand extends Command {
       Counts the number of files and directories in the current
       directory by counting the lines from 'ls' output.`,
             isInputStream: true,
+            binaryInput: true,
             completionType: "paths",
             flagDefinitions: [
                 { name: "lines", short: "-l", long: "--lines" },
@@ -58,7 +59,7 @@ window.WcCommand = class WcCommand extends Command {
      */
     async coreLogic(context) {
         const { flags, inputItems, inputError, dependencies } = context;
-        const { ErrorHandler } = dependencies;
+        const { ErrorHandler, Utils } = dependencies;
 
         if (inputError) {
             return ErrorHandler.createError({ message: "wc: No readable input provided or permission denied." });
@@ -86,7 +87,7 @@ window.WcCommand = class WcCommand extends Command {
         const outputLines = [];
 
         for (const item of inputItems) {
-            const content = item.content || "";
+            const content = Utils.contentToText(item.content);
             const lines = content.split("\n");
             const lineCount =
                 lines.length > 0 && lines[lines.length - 1] === ""
@@ -97,7 +98,7 @@ window.WcCommand = class WcCommand extends Command {
                 lines: lineCount,
                 words:
                     content.trim() === "" ? 0 : content.trim().split(/\s+/).length,
-                bytes: content.length,
+                bytes: Utils.getByteLength(item.content),
             };
 
             totalCounts.lines += counts.lines;
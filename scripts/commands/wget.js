@@ -110,7 +110,9 @@ window.WgetCommand = class WgetCommand extends Command {
           : "unknown size";
       await OutputManager.appendToOutput(`Length: ${sizeStr}`);
 
-      const content = await response.text();
+      // Read raw bytes so images and archives arrive intact; text still lands as text.
+      const bytes = new Uint8Array(await response.arrayBuffer());
+      const content = Utils.bytesToContent(bytes);
 
       const primaryGroup = UserManager.getPrimaryGroupForUser(currentUser);
       if (!primaryGroup) {
@@ -133,7 +135,7 @@ window.WgetCommand = class WgetCommand extends Command {
       await OutputManager.appendToOutput(`Saving to: ‘${outputFileName}’`);
 
       return ErrorHandler.createSuccess(
-          `‘${outputFileName}’ saved [${content.length} bytes]`,
+          `‘${outputFileName}’ saved [${bytes.length} bytes]`,
           { stateModified: true }
       );
     } catch (e) {
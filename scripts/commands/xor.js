@@ -52,13 +52,13 @@ window.XorCommand = class XorCommand extends Command {
      */
     async coreLogic(context) {
         const { args, currentUser, validatedPaths, dependencies } = context;
-        const { FileSystemManager, UserManager, ErrorHandler } = dependencies;
+        const { FileSystemManager, UserManager, ErrorHandler, Utils } = dependencies;
 
         const key = args[0];
         const inputFileNode = validatedPaths[0].node;
         const outputFile = args.length === 3 ? args[2] : null;
 
-        const inputContent = inputFileNode.content || "";
+        const inputContent = Utils.contentToText(inputFileNode.content);
         let outputContent = "";
 
         for (let i = 0; i < inputContent.length; i++) {
@@ -1,40 +1,9 @@
 /**
- * @fileoverview This file defines the 'zip' command, a utility for creating a
- * JSON-based archive of a file or directory structure.
+ * @fileoverview This file defines the 'zip' command, a utility for packing
+ * files and directories into a standard ZIP archive.
  * @module commands/zip
  */
 
-/**
- * Recursively creates an object representation of a filesystem node for archiving.
- * @param {object} node - The filesystem node to archive.
- * @param {object} dependencies - The dependency injection container.
- * @returns {Promise<object|null>} A promise that resolves to an archive-ready object, or null.
- * @private
- */
-async function _archiveNode(node, dependencies) {
-    const { Config } = dependencies;
-    if (node.type === Config.FILESYSTEM.DEFAULT_FILE_TYPE) {
-        return {
-            type: "file",
-            content: node.content,
-        };
-    }
-
-    if (node.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
-        const children = {};
-        const childNames = Object.keys(node.children).sort();
-        for (const childName of childNames) {
-            const childNode = node.children[childName];
-            children[childName] = await _archiveNode(childNode, dependencies);
-        }
-        return {
-            type: "directory",
-            children: children,
-        };
-    }
-    return null;
-}
-
 /**
  * Represents the 'zip' command for creating file and directory archives.
  * @class ZipCommand
@@ -47,53 +16,62 @@ window.ZipCommand = class ZipCommand extends Command {
     constructor() {
         super({
             commandName: "zip",
-            description: "Creates a compressed .zip archive of a file or directory.",
-            helpText: `Usage: zip <archive.zip> <path>
-      Creates a simulated compressed archive of a file or directory.
+            description: "Creates a compressed .zip archive of files and directories.",
+            helpText: `Usage: zip <archive.zip> <path>... [-x <pattern>...]
+      Package and compress files and directories into a .zip archive.
       DESCRIPTION
-      The zip command recursively archives the contents of the specified
-      <path> into a single file named <archive.zip>. The resulting
-      .zip file is a JSON representation of the file structure, not
-      a standard binary zip file. It can be unzipped using the 'unzip'
-      command.
+      The zip command recursively archives every <path> into a single
+      standard ZIP file named <archive.zip>, replacing it if it already
+      exists. The archive can be unzipped here with 'unzip', or on any
+      other computer with its usual tools.
+      Each entry keeps its permissions and modification time, and
+      binary files are stored byte for byte.
+      OPTIONS
+      -x <pattern>...
+      Leave out entries matching any of the glob patterns that follow.
+      A pattern is matched against the entry's path inside the archive
+      and against its name alone. Must come after the paths.
       EXAMPLES
       zip my_project.zip /home/Guest/project
-      Creates 'my_project.zip' containing the 'project' directory.`,
+      Creates 'my_project.zip' containing the 'project' directory.
+      zip notes.zip todo.txt ideas.md journal
+      Packs two files and a directory into one archive.
+      zip site.zip www -x "*.log" "www/cache/*"
+      Archives 'www' without its log files or its cache.`,
             completionType: "paths",
             argValidation: {
-                exact: 2,
-                error: "Usage: zip <archive.zip> <path_to_zip>",
+                min: 2,
+                error: "Usage: zip <archive.zip> <path>... [-x <pattern>...]",
             },
         });
     }
 
     /**
      * Executes the core logic of the 'zip' command. It validates the source
-     * and destination paths, recursively builds a JSON representation of the
-     * source file or directory, and saves it to the destination archive file.
+     * and destination paths, collects every file and directory to pack, and
+     * saves the resulting ZIP archive.
      * @param {object} context - The command execution context.
      * @returns {Promise<object>} A promise that resolves with a success or error object from the ErrorHandler.
      */
     async coreLogic(context) {
         const { args, currentUser, dependencies } = context;
-        const { ErrorHandler, FileSystemManager, OutputManager, UserManager } = dependencies;
-        let archivePath = args[0];
-        const sourcePath = args[1];
+        const { ErrorHandler, FileSystemManager, OutputManager, UserManager, ArchiveUtils } = dependencies;
 
-        if (!archivePath.endsWith(".zip")) {
-            archivePath += ".zip";
+        const excludeIndex = args.indexOf("-x");
+        const pathArgs = excludeIndex === -1 ? args : args.slice(0, excludeIndex);
+        const excludePatterns = excludeIndex === -1 ? [] : args.slice(excludeIndex + 1);
+        if (excludeIndex !== -1 && excludePatterns.length === 0) {
+            return ErrorHandler.createError({ message: "zip: option -x requires at least one pattern" });
+        }
+        let archivePath = pathArgs[0];
+        const sourcePaths = pathArgs.slice(1);
+        if (sourcePaths.length === 0) {
+            return ErrorHandler.createError({ message: "zip: nothing to do! Usage: zip <archive.zip> <path>..." });
         }
 
-        const sourceValidationResult = FileSystemManager.validatePath(
-            sourcePath,
-            {
-                permissions: ["read"],
-            }
-        );
-        if (!sourceValidationResult.success) {
-            return ErrorHandler.createError({ message: `zip: ${sourceValidationResult.error}` });
+        if (!archivePath.endsWith(".zip")) {
+            archivePath += ".zip";
         }
-        const sourceValidation = sourceValidationResult.data;
 
         const archiveValidationResult = FileSystemManager.validatePath(
             archivePath,
@@ -116,15 +94,48 @@ window.ZipCommand = class ZipCommand extends Command {
             return ErrorHandler.createError({ message: `zip: cannot overwrite directory '${archivePath}' with a file` });
         }
 
-        await OutputManager.appendToOutput(`Zipping '${sourcePath}'...`);
+        const entries = [];
+        const warnings = [];
+        for (const sourcePath of sourcePaths) {
+            const sourceValidationResult = FileSystemManager.validatePath(
+                sourcePath,
+                {
+                    permissions: ["read"],
+                }
+            );
+            if (!sourceValidationResult.success) {
+                return ErrorHandler.createError({ message: `zip: ${sourceValidationResult.error}` });
+            }
+            const sourceValidation = sourceValidationResult.data;
+            const sourceName =
+                sourceValidation.resolvedPath.split("/").pop() ||
+                sourceValidation.resolvedPath;
 
-        const sourceName =
-            sourceValidation.resolvedPath.split("/").pop() ||
-            sourceValidation.resolvedPath;
-        const archiveObject = {
-            [sourceName]: await _archiveNode(sourceValidation.node, dependencies),
-        };
-        const archiveContent = JSON.stringify(archiveObject, null, 2);
+            await OutputManager.appendToOutput(`Zipping '${sourcePath}'...`);
+            // Symbolic links have no place in a portable archive, so they're skipped.
+            const collected = ArchiveUtils.collectEntries(
+                sourceValidation.node,
+                sourceName,
+                sourceValidation.resolvedPath,
+                { currentUser, archivePath: archiveValidation.resolvedPath, excludePatterns },
+                dependencies
+            );
+            entries.push(...collected.entries);
+            warnings.push(...collected.unreadable.map(
+                (path) => `zip warning: could not open '${path}' for reading: Permission denied`
+            ));
+        }
+
+        for (const warning of warnings) {
+            await OutputManager.appendToOutput(warning);
+        }
+
+        let archiveContent;
+        try {
+            archiveContent = await ArchiveUtils.createZip(entries);
+        } catch (e) {
+            return ErrorHandler.createError({ message: `zip: could not build archive: ${e.message}` });
+        }
 
         const primaryGroup = UserManager.getPrimaryGroupForUser(currentUser);
         const saveResult = await FileSystemManager.createOrUpdateFile(
@@ -137,11 +148,12 @@ window.ZipCommand = class ZipCommand extends Command {
             return ErrorHandler.createError({ message: `zip: ${saveResult.error}` });
         }
 
+        const entryWord = entries.length === 1 ? "entry" : "entries";
         return ErrorHandler.createSuccess(
-            `Successfully zipped '${sourcePath}' to '${archivePath}'.`,
+            `Successfully zipped ${entries.length} ${entryWord} to '${archivePath}'.`,
             { stateModified: true }
         );
     }
 }
 
-window.CommandRegistry.register(new ZipCommand());
\ No newline at end of file
+window.CommandRegistry.register(new ZipCommand());
@@ -8,6 +8,18 @@
  * @class CommandExecutor
  */
 class CommandExecutor {
+  /**
+   * The interpreters a script may name on its `#!` line, keyed by the
+   * interpreter's base name, so `#!/bin/oopis` and `#!oopis` both work.
+   * @type {Object<string, string>}
+   */
+  static SHEBANG_INTERPRETERS = Object.freeze({
+    oopis: "shell",
+    oopis_shell: "shell",
+    sh: "shell",
+    basic: "basic",
+  });
+
   /**
    * @constructor
    */
@@ -39,6 +51,34 @@ class CommandExecutor {
      * @type {boolean}
      */
     this.isInDreamatorium = false;
+    /**
+     * The exit status of the most recently completed command, exposed to
+     * the shell as `$?`.
+     * @type {number}
+     */
+    this.lastExitStatus = 0;
+    /**
+     * Shell functions defined with `name() { … }`, indexed by name. Scripts
+     * get their own copy, so their definitions vanish when they finish.
+     * @type {Object<string, {name: string, body: object[], lines: string[], isScripting: boolean}>}
+     */
+    this.shellFunctions = {};
+    /**
+     * How many shell function calls are currently nested.
+     * @type {number}
+     */
+    this.functionCallDepth = 0;
+    /**
+     * How many scripts run by path are currently nested.
+     * @type {number}
+     */
+    this.fileExecutionDepth = 0;
+    /**
+     * The job running at the prompt, which Ctrl+C interrupts and Ctrl+Z
+     * stops. Null while the prompt is waiting for input.
+     * @type {object|null}
+     */
+    this.foregroundJob = null;
   }
 
   /**
@@ -92,7 +132,8 @@ class CommandExecutor {
     }
 
     if (Config.COMMANDS_MANIFEST.includes(commandName)) {
-      const commandScriptPath = `commands/${commandName}.js`;
+      const scriptName = Config.COMMAND_SCRIPT_FILES?.[commandName] || commandName;
+      const commandScriptPath = `commands/${scriptName}.js`;
       try {
         await this._loadScript(commandScriptPath);
         const commandInstance = CommandRegistry.getCommands()[commandName];
@@ -251,25 +292,91 @@ class CommandExecutor {
         }
       }
 
-      const commandDependencies = { ...this.dependencies };
-
-      if (definition.applicationModules && Array.isArray(definition.applicationModules)) {
-        for (const moduleName of definition.applicationModules) {
-          if (window[moduleName]) {
-            commandDependencies[moduleName] = window[moduleName];
-          } else {
-            console.error(`Command '${definition.commandName}' declared a dependency on '${moduleName}', but it was not found on the window object after loading.`);
-          }
-        }
-      }
-
       const command = new Command(definition);
-      return command.execute(remainingArgs, options, commandDependencies);
+      return command.execute(remainingArgs, options, this._getCommandDependencies(definition));
     };
     handler.definition = definition;
     return handler;
   }
 
+  /**
+   * Builds the dependencies a command runs with: the executor's own, plus
+   * the application modules its definition declares, which its scripts put
+   * on the window when they loaded.
+   * @private
+   * @param {object} definition - The command's definition object.
+   * @returns {object} The dependencies to pass to the command.
+   */
+  _getCommandDependencies(definition) {
+    const commandDependencies = { ...this.dependencies };
+    if (definition.applicationModules && Array.isArray(definition.applicationModules)) {
+      for (const moduleName of definition.applicationModules) {
+        if (window[moduleName]) {
+          commandDependencies[moduleName] = window[moduleName];
+        } else {
+          console.error(`Command '${definition.commandName}' declared a dependency on '${moduleName}', but it was not found on the window object after loading.`);
+        }
+      }
+    }
+    return commandDependencies;
+  }
+
+  /**
+   * Loads an application script, such as an app's manager or UI, once.
+   * Apps that open other apps use this rather than adding script tags.
+   * @param {string} scriptPath - The path under scripts/, like "apps/basic/basic_interp.js".
+   * @returns {Promise<boolean>} Resolves to true once the script has run.
+   * @throws {Error} If the script can't be fetched.
+   */
+  loadModule(scriptPath) {
+    return this._loadScript(scriptPath);
+  }
+
+  /**
+   * Works out what a command name would run, the way the shell looks it up:
+   * a shell function first, then a built-in command (whether or not it is
+   * loaded yet), then an executable on `$PATH`. Aliases aren't expanded.
+   * @param {string} commandName - The name as typed.
+   * @returns {{type: string, path: (string|undefined)}|null} The kind of
+   * command ("function", "builtin" or "file", with the file's path), or
+   * null if nothing by that name would run.
+   */
+  resolveCommand(commandName) {
+    const { CommandRegistry, Config } = this.dependencies;
+    if (!commandName) return null;
+    if (this.shellFunctions[commandName]) return { type: "function" };
+    const builtinName = commandName.toLowerCase();
+    if (CommandRegistry.getCommands()[builtinName] || Config.COMMANDS_MANIFEST.includes(builtinName)) {
+      return { type: "builtin" };
+    }
+    const path = this._findInPath(commandName);
+    return path ? { type: "file", path } : null;
+  }
+
+  /**
+   * Runs a built-in command with arguments that are already split, so
+   * nothing in them is parsed or expanded: a file name with quotes or a
+   * semicolon in it stays a single argument.
+   * @param {string} commandName - The command to run.
+   * @param {string[]} args - Its arguments.
+   * @param {object} [options={}] - Execution context options, such as `isInteractive`.
+   * @returns {Promise<object>} The command's result, or an error if there is no such command.
+   */
+  async runCommand(commandName, args, options = {}) {
+    const { ErrorHandler } = this.dependencies;
+    const cmdInstance = await this._ensureCommandLoaded(commandName);
+    if (!(cmdInstance instanceof Command)) {
+      return ErrorHandler.createError(`${commandName}: command not found`, {
+        exitCode: ErrorHandler.EXIT_CODES.NOT_FOUND,
+      });
+    }
+    try {
+      return await cmdInstance.execute(args, options, this._getCommandDependencies(cmdInstance.definition));
+    } catch (e) {
+      return ErrorHandler.createError(`${commandName}: ${e.message || "Unknown error"}`);
+    }
+  }
+
   /**
    * Retrieves a list of all active background jobs.
    * @returns {object} A map of active jobs.
@@ -278,6 +385,31 @@ class CommandExecutor {
     return this.activeJobs;
   }
 
+  /**
+   * Gets the exit status of the last command, as `$?` expands to.
+   * @returns {number} The exit status.
+   */
+  getLastExitStatus() {
+    return this.lastExitStatus;
+  }
+
+  /**
+   * Runs a command without showing its output and returns what it printed,
+   * leaving `$?` untouched. The prompt uses this for `$(…)` in PS1.
+   * @param {string} commandText - The command to run.
+   * @returns {Promise<string>} The trimmed output with newlines turned into
+   * spaces, or an empty string if the command failed.
+   */
+  async captureCommandOutput(commandText) {
+    const savedExitStatus = this.lastExitStatus;
+    try {
+      const result = await this.processSingleCommand(commandText, { isInteractive: false, suppressOutput: true });
+      return result.success ? (result.output || "").trim().replace(/\n/g, " ") : "";
+    } finally {
+      this.lastExitStatus = savedExitStatus;
+    }
+  }
+
   /**
    * Sends a signal to a running background job.
    * This is like sending a note to the actor in the middle of a take.
@@ -314,122 +446,1073 @@ class CommandExecutor {
     return ErrorHandler.createSuccess(`Signal ${signal} sent to job ${jobId}.`);
   }
 
+  /**
+   * Interrupts the foreground job, as Ctrl+C does. Its signal is aborted,
+   * so commands that watch it stop, and the prompt comes back at once
+   * with status 130.
+   * @returns {boolean} True if there was a foreground job to interrupt.
+   */
+  interruptForegroundJob() {
+    const { ErrorHandler, OutputManager, MessageBusManager } = this.dependencies;
+    const job = this.foregroundJob;
+    if (!job) return false;
+
+    this.foregroundJob = null;
+    job.interrupted = true;
+    job.abortController.abort("Interrupted by user.");
+    if (job.id !== null) {
+      delete this.activeJobs[job.id];
+      MessageBusManager.unregisterJob(job.id);
+    }
+    void OutputManager.appendToOutput("^C");
+    job.release(ErrorHandler.createError("", {
+      exitCode: ErrorHandler.EXIT_CODES.INTERRUPTED,
+    }));
+    return true;
+  }
+
+  /**
+   * Stops the foreground job, as Ctrl+Z does. The job moves into the jobs
+   * table as 'paused', where 'bg' and 'fg' can pick it up, and the prompt
+   * comes back with status 148.
+   * @returns {object|null} The stopped job, or null if nothing was running.
+   */
+  suspendForegroundJob() {
+    const { ErrorHandler, OutputManager, MessageBusManager } = this.dependencies;
+    const job = this.foregroundJob;
+    if (!job) return null;
+
+    this.foregroundJob = null;
+    job.isForeground = false;
+    job.status = 'paused';
+    if (job.id === null) {
+      job.id = ++this.backgroundProcessIdCounter;
+      this.activeJobs[job.id] = job;
+      MessageBusManager.registerJob(job.id);
+      this._trackJob(job);
+    }
+    void OutputManager.appendToOutput(`^Z\n[${job.id}]+  Stopped    ${job.command}`);
+    job.release(ErrorHandler.createError("", {
+      exitCode: ErrorHandler.EXIT_CODES.STOPPED,
+    }));
+    return job;
+  }
+
+  /**
+   * Resumes a job and waits for it at the prompt, so Ctrl+C and Ctrl+Z
+   * reach it again.
+   * @param {number} jobId - The ID of the job.
+   * @returns {Promise<object>} The job's result, or an error with status 130
+   * or 148 if it is interrupted or stopped again.
+   */
+  async bringJobToForeground(jobId) {
+    const { ErrorHandler } = this.dependencies;
+    const job = this.activeJobs[jobId];
+    if (!job) {
+      return ErrorHandler.createError(`Job ${jobId} not found.`);
+    }
+    job.status = 'running';
+    return this._waitForForegroundJob(job);
+  }
+
+  /**
+   * Runs work typed at the prompt as the foreground job.
+   * @private
+   * @param {string} commandText - The command line, as 'jobs' will show it.
+   * @param {Function} run - Called with the new job; resolves to the work's result.
+   * @returns {Promise<object>} The work's result, or an error with status 130
+   * or 148 if the job is interrupted or stopped.
+   */
+  async _runAsForegroundJob(commandText, run) {
+    const job = {
+      id: null,
+      command: commandText,
+      abortController: new AbortController(),
+      promise: null,
+      status: 'running',
+    };
+    job.promise = run(job);
+    return this._waitForForegroundJob(job);
+  }
+
+  /**
+   * Makes a job the foreground job and waits until it finishes or Ctrl+C
+   * or Ctrl+Z lets go of it. A job that ignores its signal keeps running
+   * on its own; the prompt doesn't wait for it.
+   * @private
+   * @param {object} job - The job.
+   * @returns {Promise<object>} The job's result, or the result the key gave.
+   */
+  async _waitForForegroundJob(job) {
+    const previousJob = this.foregroundJob;
+    const released = new Promise((resolve) => {
+      job.release = resolve;
+    });
+    job.isForeground = true;
+    this.foregroundJob = job;
+    try {
+      return await Promise.race([job.promise, released]);
+    } finally {
+      if (this.foregroundJob === job) this.foregroundJob = previousJob;
+    }
+  }
 
   /**
-   * Executes a series of commands from a script file line by line.
+   * Takes a job out of the jobs table when it finishes, and reports how it
+   * ended unless it was interrupted or is being waited for at the prompt.
+   * @private
+   * @param {object} job - A job in the jobs table.
+   */
+  _trackJob(job) {
+    const { OutputManager, Config, MessageBusManager } = this.dependencies;
+    job.promise.finally(() => {
+      delete this.activeJobs[job.id];
+      MessageBusManager.unregisterJob(job.id);
+    }).then((bgResult) => {
+      if (job.interrupted || job.isForeground) return;
+      let outcome = bgResult.success ? "finished" : `finished with error: ${bgResult.error?.message || "Unknown error"}`;
+      if (job.abortController.signal.aborted) outcome = "terminated";
+      const statusMsg = `[Job ${job.id} ${outcome}]`;
+      OutputManager.appendToOutput(statusMsg, {
+        typeClass: bgResult.success
+            ? Config.CSS_CLASSES.CONSOLE_LOG_MSG
+            : Config.CSS_CLASSES.WARNING_MSG,
+        isBackground: true,
+      });
+    });
+  }
+
+  /**
+   * Holds a stopped job at its next command until 'bg', 'fg' or 'kill'
+   * deals with it.
+   * @private
+   * @param {object|null} job - The job, if the work belongs to one.
+   * @returns {Promise<void>} Resolves once the job may carry on.
+   */
+  async _waitWhilePaused(job) {
+    while (job && job.status === 'paused' && !job.abortController.signal.aborted) {
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+  }
+
+
+  /**
+   * Executes a series of commands from a script file. The lines are first
+   * grouped into blocks by the ScriptParser, so `if`, `while`/`until`, `for`
+   * and `case` work as expected; a failing command outside of a condition
+   * still stops the script.
    * This is like filming a whole scene from a script.
    * @param {string[]} lines - An array of command strings from the script.
    * @param {object} [options={}] - Options for execution.
-   * @returns {Promise<object>} A promise that resolves to the final result of the script.
+   * @param {string[]} [options.args] - The script's positional arguments.
+   * @param {boolean} [options.captureOutput=false] - Gather the script's output and
+   * return it as the result's data instead of printing it.
+   * @param {boolean} [options.inCurrentShell=false] - Run the script like a sourced
+   * file, keeping the variables and functions it sets (as ~/.oopisrc needs).
+   * @returns {Promise<object>} A promise that resolves to the final result of the script,
+   * carrying the status passed to `exit` (or that of the failing line) as `exitCode`.
    */
   async executeScript(lines, options = {}) {
-    const { ErrorHandler, EnvironmentManager, Config } = this.dependencies;
+    const { ErrorHandler, EnvironmentManager, Config, ScriptParser } = this.dependencies;
+
+    let nodes;
+    try {
+      nodes = new ScriptParser(lines).parse();
+    } catch (e) {
+      return ErrorHandler.createError(e.message, {
+        exitCode: ErrorHandler.EXIT_CODES.USAGE,
+      });
+    }
 
-    EnvironmentManager.push();
+    const outerFunctions = this.shellFunctions;
+    if (!options.inCurrentShell) {
+      EnvironmentManager.push();
+      this.shellFunctions = { ...outerFunctions };
+    }
 
     const scriptingContext = {
       isScripting: true,
       lines: lines,
       currentLineIndex: -1,
       args: options.args || [],
+      exitCode: null,
+    };
+    const runState = {
+      scriptingContext,
+      options,
+      steps: 0,
+      maxSteps: Config.FILESYSTEM.MAX_SCRIPT_STEPS || 10000,
+    };
+    if (options.captureOutput) {
+      runState.outputBuffer = [];
+    }
+
+    let outcome;
+    try {
+      outcome = await this._executeScriptBlock(nodes, runState);
+    } finally {
+      if (!options.inCurrentShell) {
+        this.shellFunctions = outerFunctions;
+        EnvironmentManager.pop();
+      }
+    }
+
+    const output = runState.outputBuffer ? runState.outputBuffer.join("\n") : null;
+    if (outcome.flow === "error") {
+      return output === null ? outcome.result : { ...outcome.result, data: output };
+    }
+    if (scriptingContext.exitCode) {
+      return {
+        ...ErrorHandler.createError(
+            `script exited with status ${scriptingContext.exitCode}`,
+            { exitCode: scriptingContext.exitCode }
+        ),
+        ...(output === null ? {} : { data: output }),
+      };
+    }
+    return ErrorHandler.createSuccess(output === null ? "Script finished successfully." : output);
+  }
+
+  /**
+   * Counts one step of script work and bails out once the budget set by
+   * `MAX_SCRIPT_STEPS` is spent, so a runaway loop can't hang the tab.
+   * @private
+   * @param {object} runState - The state of the running script.
+   * @throws {Error} When the step budget is exceeded.
+   */
+  _countScriptStep(runState) {
+    runState.steps++;
+    if (runState.steps > runState.maxSteps) {
+      throw new Error(`Maximum script execution steps (${runState.maxSteps}) exceeded.`);
+    }
+  }
+
+  /**
+   * Runs a list of script nodes in order.
+   *
+   * The outcome's `flow` tells the caller how the block ended: `null` when
+   * it ran to the end, `"break"`/`"continue"` (with `levels` left to unwind)
+   * inside loops, `"return"` from a function body, `"exit"` after the `exit`
+   * command, and `"error"` (with the failing `result`, and `reported` set if
+   * it was already printed) when a command failed.
+   * @private
+   * @param {object[]} nodes - The nodes produced by the ScriptParser.
+   * @param {object} runState - The state of the running script.
+   * @param {boolean} [isCondition=false] - Whether the block is an `if`/`while` condition,
+   * where failing commands only set the status.
+   * @returns {Promise<{exitCode: number, flow: string|null, levels?: number, result?: object}>}
+   */
+  async _executeScriptBlock(nodes, runState, isCondition = false) {
+    const { scriptingContext } = runState;
+    let outcome = { exitCode: this.lastExitStatus, flow: null };
+    let consumedThroughLine = -1;
+
+    for (const node of nodes) {
+      // Commands like 'useradd' may read their answers from the lines that
+      // follow them; those lines are not run as commands afterwards.
+      if (node.lineIndex <= consumedThroughLine) {
+        continue;
+      }
+      outcome = await this._executeScriptNode(node, runState, isCondition);
+      if (node.type === "command" && scriptingContext.currentLineIndex > node.lineIndex) {
+        consumedThroughLine = scriptingContext.currentLineIndex;
+      }
+      if (outcome.flow) {
+        return outcome;
+      }
+    }
+    return outcome;
+  }
+
+  /**
+   * Runs a single script node: a command or one of the control-flow blocks.
+   * @private
+   * @param {object} node - The node to run.
+   * @param {object} runState - The state of the running script.
+   * @param {boolean} isCondition - Whether the node is part of a condition.
+   * @returns {Promise<object>} The outcome, as described for `_executeScriptBlock`.
+   */
+  async _executeScriptNode(node, runState, isCondition) {
+    const { EnvironmentManager, ErrorHandler, Utils } = this.dependencies;
+    const { scriptingContext } = runState;
+
+    switch (node.type) {
+      case "if": {
+        for (const branch of node.branches) {
+          const test = await this._executeScriptBlock(branch.condition, runState, true);
+          if (test.flow) return test;
+          if (test.exitCode === 0) {
+            return this._executeScriptBlock(branch.body, runState, isCondition);
+          }
+        }
+        if (node.elseBody) {
+          return this._executeScriptBlock(node.elseBody, runState, isCondition);
+        }
+        this.lastExitStatus = 0;
+        return { exitCode: 0, flow: null };
+      }
+
+      case "while":
+      case "until": {
+        let outcome = { exitCode: 0, flow: null };
+        while (true) {
+          this._countScriptStep(runState);
+          const test = await this._executeScriptBlock(node.condition, runState, true);
+          if (test.flow) return test;
+          if ((test.exitCode === 0) !== (node.type === "while")) break;
+          outcome = await this._executeScriptBlock(node.body, runState, isCondition);
+          const loopControl = this._handleLoopFlow(outcome);
+          if (loopControl === "stop") break;
+          if (loopControl === "return") return outcome;
+        }
+        return { exitCode: outcome.flow ? 0 : outcome.exitCode, flow: null };
+      }
+
+      case "for": {
+        let words;
+        try {
+          words = node.wordsText === null
+              ? [...scriptingContext.args]
+              : await this._expandWords(node.wordsText, scriptingContext);
+        } catch (e) {
+          return this._scriptError(node, ErrorHandler.createError(e.message));
+        }
+        let outcome = { exitCode: 0, flow: null };
+        for (const word of words) {
+          this._countScriptStep(runState);
+          EnvironmentManager.set(node.variable, word);
+          outcome = await this._executeScriptBlock(node.body, runState, isCondition);
+          const loopControl = this._handleLoopFlow(outcome);
+          if (loopControl === "stop") break;
+          if (loopControl === "return") return outcome;
+        }
+        return { exitCode: outcome.flow ? 0 : outcome.exitCode, flow: null };
+      }
+
+      case "case": {
+        let subject;
+        try {
+          subject = (await this._expandWords(node.wordText, scriptingContext)).join(" ");
+          for (const clause of node.clauses) {
+            for (const pattern of clause.patterns) {
+              // Patterns are matched against the subject, never against files.
+              const expandedPattern = (await this._expandSubstitutions(pattern, scriptingContext))
+                  .replace(/^(["'])(.*)\1$/, "$2");
+              const regex = Utils.globToRegex(expandedPattern);
+              if (regex ? regex.test(subject) : expandedPattern === subject) {
+                return this._executeScriptBlock(clause.body, runState, isCondition);
+              }
+            }
+          }
+        } catch (e) {
+          return this._scriptError(node, ErrorHandler.createError(e.message));
+        }
+        this.lastExitStatus = 0;
+        return { exitCode: 0, flow: null };
+      }
+
+      case "function":
+        this.shellFunctions[node.name] = {
+          name: node.name,
+          body: node.body,
+          lines: scriptingContext.lines,
+          isScripting: scriptingContext.isScripting,
+        };
+        this.lastExitStatus = 0;
+        return { exitCode: 0, flow: null };
+
+      default:
+        return this._executeScriptCommand(node, runState, isCondition);
+    }
+  }
+
+  /**
+   * Runs one command line of a script, handling `break`, `continue` and
+   * `return` itself and everything else through `processSingleCommand`.
+   * @private
+   * @param {object} node - The command node.
+   * @param {object} runState - The state of the running script.
+   * @param {boolean} isCondition - Whether the command is part of a condition.
+   * @returns {Promise<object>} The outcome, as described for `_executeScriptBlock`.
+   */
+  async _executeScriptCommand(node, runState, isCondition) {
+    const { ErrorHandler, Utils } = this.dependencies;
+    const { scriptingContext, options } = runState;
+
+    this._countScriptStep(runState);
+    scriptingContext.currentLineIndex = node.lineIndex;
+
+    // A stopped script waits at its next line; an interrupted one ends there.
+    await this._waitWhilePaused(options.job);
+    if (options.job?.abortController.signal.aborted) {
+      const exitCode = ErrorHandler.EXIT_CODES.INTERRUPTED;
+      return {
+        exitCode,
+        flow: "error",
+        result: ErrorHandler.createError("", { exitCode }),
+        reported: true,
+      };
+    }
+
+    const loopMatch = node.text.match(/^(break|continue)(?:\s+(\d+))?$/);
+    if (loopMatch) {
+      this.lastExitStatus = 0;
+      return {
+        exitCode: 0,
+        flow: loopMatch[1],
+        levels: Math.max(1, parseInt(loopMatch[2] || "1", 10)),
+      };
+    }
+
+    const returnMatch = node.text.match(/^return(?:\s+(\S+))?$/);
+    if (returnMatch) {
+      if (!runState.isFunction) {
+        return this._scriptError(
+            node,
+            ErrorHandler.createError("return: can only be used in a function")
+        );
+      }
+      const exitCode = returnMatch[1] === undefined
+          ? this.lastExitStatus
+          : ((parseInt(returnMatch[1], 10) % 256) + 256) % 256;
+      if (Number.isNaN(exitCode)) {
+        return this._scriptError(
+            node,
+            ErrorHandler.createError(`return: ${returnMatch[1]}: numeric argument required`, {
+              exitCode: ErrorHandler.EXIT_CODES.USAGE,
+            })
+        );
+      }
+      this.lastExitStatus = exitCode;
+      return { exitCode, flow: "return" };
+    }
+
+    const result = await this.processSingleCommand(node.text, {
+      ...options,
+      scriptingContext,
+      suppressOutput: options.suppressOutput || Boolean(runState.outputBuffer),
+    });
+    if (
+        runState.outputBuffer &&
+        result.output &&
+        (typeof result.output === "string" || Utils.isBinaryContent(result.output))
+    ) {
+      runState.outputBuffer.push(Utils.contentToText(result.output));
+    }
+    if (scriptingContext.exitCode !== null) {
+      return { exitCode: scriptingContext.exitCode, flow: "exit" };
+    }
+    const exitCode = ErrorHandler.getExitCode(result);
+    if (!result.success && !isCondition) {
+      // The pipeline has already printed this failure.
+      return { ...this._scriptError(node, result), reported: true };
+    }
+    return { exitCode, flow: null };
+  }
+
+  /**
+   * Decides what a loop should do after its body finished.
+   * @private
+   * @param {object} outcome - The body's outcome. Its `levels` are updated in place.
+   * @returns {string} "next" to keep looping, "stop" to leave this loop, or
+   * "return" to hand the outcome to an enclosing block.
+   */
+  _handleLoopFlow(outcome) {
+    if (outcome.flow === "break" || outcome.flow === "continue") {
+      if (outcome.levels > 1) {
+        outcome.levels--;
+        return "return";
+      }
+      return outcome.flow === "break" ? "stop" : "next";
+    }
+    return outcome.flow ? "return" : "next";
+  }
+
+  /**
+   * Builds the outcome for a script line that failed.
+   * @private
+   * @param {object} node - The node that failed.
+   * @param {object} result - The failing result.
+   * @returns {object} An outcome with `flow: "error"`.
+   */
+  _scriptError(node, result) {
+    const { ErrorHandler } = this.dependencies;
+    const exitCode = ErrorHandler.getExitCode(result);
+    return {
+      exitCode,
+      flow: "error",
+      result: ErrorHandler.createError(
+          `Error on line ${node.lineIndex + 1}: ${result.error?.message || `exited with status ${exitCode}`}`,
+          { exitCode }
+      ),
     };
+  }
 
-    let stepCounter = 0;
-    const MAX_STEPS = Config.FILESYSTEM.MAX_SCRIPT_STEPS || 10000;
+  /**
+   * Executes a single command segment.
+   * @private
+   * @param {ParsedCommandSegment} segment - The parsed command segment.
+   * @param {object} execCtxOpts - Execution context options.
+   * @param {string|null} [stdinContent=null] - Content to be used as standard input.
+   * @param {AbortSignal|null} signal - An optional signal for cancelling the command.
+   * @returns {Promise<object>} A promise that resolves to the command's result.
+   */
+  async _executeCommandHandler(
+      segment,
+      execCtxOpts,
+      stdinContent = null,
+      signal
+  ) {
+    const { ErrorHandler } = this.dependencies;
+    const commandName = segment.command?.toLowerCase();
+
+    const shellFunction = segment.command && this.shellFunctions[segment.command];
+    if (shellFunction) {
+      return this._callShellFunction(shellFunction, segment.args, execCtxOpts);
+    }
+
+    // A word with a slash in it is a path, never a command name.
+    if (segment.command && segment.command.includes("/")) {
+      return this._executeFile(segment.command, segment.args, execCtxOpts);
+    }
+
+    const cmdInstance = await this._ensureCommandLoaded(commandName);
+    if (!cmdInstance) {
+      const executablePath = this._findInPath(segment.command);
+      if (executablePath) {
+        return this._executeFile(executablePath, segment.args, execCtxOpts);
+      }
+      return ErrorHandler.createError(`${commandName}: command not found`, {
+        exitCode: ErrorHandler.EXIT_CODES.NOT_FOUND,
+      });
+    }
+
+    if (cmdInstance instanceof Command) {
+      try {
+        return await cmdInstance.execute(segment.args, {
+          ...execCtxOpts,
+          stdinContent,
+          signal,
+          quotedArgs: segment.quotedArgs,
+        }, this._getCommandDependencies(cmdInstance.definition));
+      } catch (e) {
+        console.error(`Error in command handler for '${segment.command}':`, e);
+        return ErrorHandler.createError(
+            `${segment.command}: ${e.message || "Unknown error"}`
+        );
+      }
+    } else if (segment.command) {
+      return ErrorHandler.createError(`${segment.command}: command not found`, {
+        exitCode: ErrorHandler.EXIT_CODES.NOT_FOUND,
+      });
+    }
+
+    return ErrorHandler.createSuccess("");
+  }
+
+  /**
+   * Calls a shell function. The body runs with the call's arguments as
+   * `$1..$N`, inside a fresh EnvironmentManager function frame for its
+   * `local` variables. Whatever the body prints is gathered up and returned
+   * as the call's output, so functions can be piped and redirected like any
+   * other command.
+   * @private
+   * @param {object} shellFunction - The function, as stored in `shellFunctions`.
+   * @param {string[]} args - The arguments of the call.
+   * @param {object} execCtxOpts - Execution context options of the caller.
+   * @returns {Promise<object>} The call's result; its `exitCode` is the
+   * status given to `return` or that of the last command run.
+   */
+  async _callShellFunction(shellFunction, args, execCtxOpts) {
+    const { ErrorHandler, EnvironmentManager, Config } = this.dependencies;
+    const maxDepth = Config.FILESYSTEM.MAX_SCRIPT_DEPTH || 100;
+    if (this.functionCallDepth >= maxDepth) {
+      return ErrorHandler.createError(
+          `${shellFunction.name}: maximum function nesting level (${maxDepth}) exceeded`
+      );
+    }
+
+    const scriptingContext = {
+      isScripting: shellFunction.isScripting,
+      lines: shellFunction.lines,
+      currentLineIndex: -1,
+      args,
+      exitCode: null,
+    };
+    const runState = {
+      scriptingContext,
+      options: { isInteractive: false, job: execCtxOpts.job },
+      steps: 0,
+      maxSteps: Config.FILESYSTEM.MAX_SCRIPT_STEPS || 10000,
+      outputBuffer: [],
+      isFunction: true,
+    };
+
+    let outcome;
+    this.functionCallDepth++;
+    EnvironmentManager.pushFunctionFrame();
+    try {
+      outcome = await this._executeScriptBlock(shellFunction.body, runState);
+    } catch (e) {
+      outcome = { exitCode: ErrorHandler.EXIT_CODES.GENERAL, flow: "error", result: ErrorHandler.createError(e.message) };
+    } finally {
+      EnvironmentManager.popFunctionFrame();
+      this.functionCallDepth--;
+    }
+
+    // 'exit' inside a function ends the script that called it.
+    const callerContext = execCtxOpts.scriptingContext;
+    if (scriptingContext.exitCode !== null && callerContext?.isScripting) {
+      callerContext.exitCode = scriptingContext.exitCode;
+    }
+
+    const output = runState.outputBuffer.join("\n");
+    let exitCode = ["break", "continue"].includes(outcome.flow) ? 0 : outcome.exitCode;
+    if (scriptingContext.exitCode !== null) {
+      exitCode = scriptingContext.exitCode;
+    }
+    if (exitCode === 0) {
+      return ErrorHandler.createSuccess(output);
+    }
+    // The failing command already reported itself, so the call fails quietly.
+    const message = outcome.flow === "error" && !outcome.reported
+        ? outcome.result.error.message
+        : "";
+    return { ...ErrorHandler.createError(message, { exitCode }), data: output };
+  }
+
+  /**
+   * Looks a bare command name up in the directories listed in `$PATH`,
+   * first match wins. Only executable files count, just like the real thing.
+   * @private
+   * @param {string} commandName - The name typed by the user.
+   * @returns {string|null} The absolute path of the executable, or null if
+   * no directory in `$PATH` has one by that name.
+   */
+  _findInPath(commandName) {
+    const { EnvironmentManager, FileSystemManager, UserManager, Config } = this.dependencies;
+    if (!commandName) return null;
+    const currentUser = UserManager.getCurrentUser().name;
+    const home = EnvironmentManager.get("HOME");
+
+    for (let directory of EnvironmentManager.get("PATH").split(":")) {
+      if (!directory) continue;
+      if (home && (directory === "~" || directory.startsWith("~/"))) {
+        directory = home + directory.substring(1);
+      }
+      const candidatePath = FileSystemManager.getAbsolutePath(commandName, directory);
+      const node = FileSystemManager.getNodeByPath(candidatePath);
+      if (
+          node &&
+          node.type === Config.FILESYSTEM.DEFAULT_FILE_TYPE &&
+          FileSystemManager.hasPermission(node, currentUser, "execute")
+      ) {
+        return candidatePath;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Works out which interpreter a script asks for on its `#!` line. A file
+   * without one is taken to be a shell script.
+   * @private
+   * @param {string} content - The script's contents.
+   * @returns {{interpreter: string|null, line: string|null}} "shell" or "basic"
+   * (null for an interpreter we've never heard of), plus the raw `#!` line.
+   */
+  _readShebang(content) {
+    const firstLine = content.split("\n", 1)[0].trim();
+    if (!firstLine.startsWith("#!")) {
+      return { interpreter: "shell", line: null };
+    }
+    const program = firstLine.substring(2).trim().split(/\s+/)[0] || "";
+    const baseName = program.substring(program.lastIndexOf("/") + 1).toLowerCase();
+    return {
+      interpreter: CommandExecutor.SHEBANG_INTERPRETERS[baseName] || null,
+      line: firstLine,
+    };
+  }
+
+  /**
+   * Runs an executable file: a shell script or, with `#!basic`, a BASIC
+   * program. The file must be readable and have its execute bit set for the
+   * current user. A script's output is printed as it goes when it would
+   * reach the terminal, and returned otherwise, so it can be piped and
+   * redirected like any other command's.
+   * @private
+   * @param {string} pathArg - The path to the file, as typed or as found in `$PATH`.
+   * @param {string[]} args - The arguments, which become `$1..$N`.
+   * @param {object} execCtxOpts - Execution context options of the caller.
+   * @returns {Promise<object>} The result; its `exitCode` is 127 if there is no
+   * such file and 126 if it can't be executed.
+   */
+  async _executeFile(pathArg, args, execCtxOpts) {
+    const { ErrorHandler, FileSystemManager, UserManager, Utils, Config } = this.dependencies;
+    const { NOT_FOUND, PERMISSION_DENIED } = ErrorHandler.EXIT_CODES;
+
+    const pathValidation = FileSystemManager.validatePath(pathArg);
+    if (!pathValidation.success) {
+      return ErrorHandler.createError(`${pathArg}: No such file or directory`, {
+        exitCode: NOT_FOUND,
+      });
+    }
+    const { node } = pathValidation.data;
+    if (node.type !== Config.FILESYSTEM.DEFAULT_FILE_TYPE) {
+      return ErrorHandler.createError(`${pathArg}: Is a directory`, {
+        exitCode: PERMISSION_DENIED,
+      });
+    }
+    const currentUser = UserManager.getCurrentUser().name;
+    if (
+        !FileSystemManager.hasPermission(node, currentUser, "read") ||
+        !FileSystemManager.hasPermission(node, currentUser, "execute")
+    ) {
+      return ErrorHandler.createError(`${pathArg}: Permission denied`, {
+        exitCode: PERMISSION_DENIED,
+      });
+    }
+
+    const content = Utils.contentToText(node.content);
+    const shebang = this._readShebang(content);
+    if (!shebang.interpreter) {
+      return ErrorHandler.createError(
+          `${pathArg}: ${shebang.line.substring(2).trim()}: bad interpreter`,
+          { exitCode: PERMISSION_DENIED }
+      );
+    }
+
+    const maxDepth = Config.FILESYSTEM.MAX_SCRIPT_DEPTH || 100;
+    if (this.fileExecutionDepth >= maxDepth) {
+      return ErrorHandler.createError(
+          `${pathArg}: maximum script nesting level (${maxDepth}) exceeded`
+      );
+    }
+
+    this.fileExecutionDepth++;
+    try {
+      if (shebang.interpreter === "basic") {
+        return await this._runBasicProgram(pathArg, content, execCtxOpts);
+      }
+
+      const lines = content.split("\n");
+      for (const line of lines) {
+        const sanitized = Utils.sanitizeForExecution(line, { context: "script" });
+        if (!sanitized.isValid) {
+          return ErrorHandler.createError(`${pathArg}: security error in script: ${sanitized.error}`);
+        }
+      }
+      // Shown straight away, line by line, as 'run' does, unless the output
+      // is going into a pipe, a redirection or a substitution.
+      const captureOutput = !execCtxOpts.isTerminalOutput;
+      const scriptResult = await this.executeScript(lines, {
+        isInteractive: false,
+        args,
+        captureOutput,
+        job: execCtxOpts.job,
+      });
+      if (scriptResult.success) {
+        return captureOutput ? scriptResult : ErrorHandler.createSuccess("");
+      }
+      return {
+        ...ErrorHandler.createError(`${pathArg}: ${scriptResult.error.message}`, {
+          exitCode: ErrorHandler.getExitCode(scriptResult),
+        }),
+        data: scriptResult.data,
+      };
+    } catch (e) {
+      // A runaway script hits the step limit, which is thrown.
+      return ErrorHandler.createError(`${pathArg}: ${e.message}`);
+    } finally {
+      this.fileExecutionDepth--;
+    }
+  }
+
+  /**
+   * Runs a `#!basic` file with the Oopis Basic interpreter, straight from the
+   * shell and without opening the IDE. PRINT output is gathered up as the
+   * result; INPUT asks at the terminal (or reads the next script line).
+   * @private
+   * @param {string} pathArg - The path to the program, for error messages.
+   * @param {string} content - The program's source, shebang and all.
+   * @param {object} execCtxOpts - Execution context options of the caller.
+   * @returns {Promise<object>} The result, with everything the program printed as data.
+   */
+  async _runBasicProgram(pathArg, content, execCtxOpts) {
+    const { ErrorHandler, ModalManager, OutputManager } = this.dependencies;
+
+    try {
+      await this._loadScript("apps/basic/basic_interp.js");
+    } catch (e) {
+      return ErrorHandler.createError(`${pathArg}: ${e.message}`);
+    }
+
+    const outputLines = [""];
+    // The screen has nowhere to show from the shell, but BSAVE can still save it.
+    const interpreter = new window.Basic_interp(this.dependencies);
+    execCtxOpts.job?.abortController.signal.addEventListener("abort", () => interpreter.stop(), { once: true });
+    try {
+      await interpreter.run(content, {
+        outputCallback: (text, withNewline = true) => {
+          outputLines[outputLines.length - 1] += text;
+          if (withNewline) outputLines.push("");
+        },
+        inputCallback: async () => {
+          // Show what the program has said so far before asking it a question.
+          const pending = outputLines.splice(0, outputLines.length - 1);
+          const promptText = outputLines[0];
+          outputLines[0] = "";
+          for (const line of pending) {
+            await OutputManager.appendToOutput(line);
+          }
+          return new Promise((resolve) => {
+            ModalManager.request({
+              context: "terminal",
+              type: "input",
+              messageLines: promptText ? [promptText] : [],
+              onConfirm: (value) => resolve(value),
+              onCancel: () => resolve(""),
+              options: execCtxOpts,
+            });
+          });
+        },
+        pokeCallback: (_x, _y, _char, _color) => {},
+      });
+    } catch (e) {
+      return {
+        ...ErrorHandler.createError(`${pathArg}: RUNTIME ERROR: ${e.message}`),
+        data: outputLines.join("\n").replace(/\n$/, ""),
+      };
+    }
+    return ErrorHandler.createSuccess(outputLines.join("\n").replace(/\n$/, ""));
+  }
+
+  /**
+   * Flattens a result's error field into a single displayable message,
+   * including any suggestion attached to it.
+   * @private
+   * @param {string|object} error - The error from a result object.
+   * @returns {string} The error message.
+   */
+  _formatErrorMessage(error) {
+    let errorMessage = "Unknown error";
+    if (typeof error === 'string') {
+      errorMessage = error;
+    } else if (error && typeof error.message === 'string') {
+      errorMessage = error.message;
+      if (error.suggestion) {
+        errorMessage += `\nSuggestion: ${error.suggestion}`;
+      }
+    }
+    return errorMessage;
+  }
+
+  /**
+   * Writes a stream of output to a file on behalf of a redirection operator,
+   * creating the file and its parent directories if needed. Writing to
+   * '/dev/null' silently discards the content.
+   * @private
+   * @param {string} redirFile - The target file path as typed by the user.
+   * @param {string|Uint8Array} content - The content to write.
+   * @param {boolean} append - Whether to append instead of overwriting.
+   * @param {ParsedPipeline} pipeline - The pipeline performing the redirection.
+   * @returns {Promise<object>} A promise that resolves to a success or error object.
+   */
+  async _writeRedirectedOutput(redirFile, content, append, pipeline) {
+    const { FileSystemManager, UserManager, OutputManager, Config, ErrorHandler, Utils } = this.dependencies;
+    const user = UserManager.getCurrentUser().name;
+    const nowISO = new Date().toISOString();
+
+    const redirValResult = FileSystemManager.validatePath(redirFile, {
+      allowMissing: true,
+      disallowRoot: true,
+      defaultToCurrentIfEmpty: false,
+    });
+
+    if (!redirValResult.success && !(redirValResult.data?.node === null)) {
+      if (!pipeline.isBackground)
+        await OutputManager.appendToOutput(redirValResult.error, {
+          typeClass: Config.CSS_CLASSES.ERROR_MSG,
+        });
+      return redirValResult;
+    }
+    const { resolvedPath: absRedirPath } = redirValResult.data;
+    if (absRedirPath === "/dev/null") {
+      return ErrorHandler.createSuccess();
+    }
+    const pDirRes =
+        FileSystemManager.createParentDirectoriesIfNeeded(absRedirPath);
+    if (!pDirRes.success) {
+      if (!pipeline.isBackground)
+        await OutputManager.appendToOutput(
+            `Redir err: ${pDirRes.error}`,
+            {
+              typeClass: Config.CSS_CLASSES.ERROR_MSG,
+            }
+        );
+      return pDirRes;
+    }
+    const finalParentDirPath =
+        absRedirPath.substring(
+            0,
+            absRedirPath.lastIndexOf(Config.FILESYSTEM.PATH_SEPARATOR)
+        ) || Config.FILESYSTEM.ROOT_PATH;
+    const finalParentNodeForFile =
+        FileSystemManager.getNodeByPath(finalParentDirPath);
+    if (!finalParentNodeForFile) {
+      const errorMsg = `Redir err: critical internal error, parent dir '${finalParentDirPath}' for file write not found.`;
+      if (!pipeline.isBackground)
+        await OutputManager.appendToOutput(errorMsg, {
+          typeClass: Config.CSS_CLASSES.ERROR_MSG,
+        });
+      return ErrorHandler.createError(
+          `parent dir '${finalParentDirPath}' for file write not found (internal)`
+      );
+    }
+
+    const existingNode = FileSystemManager.getNodeByPath(absRedirPath);
+    if (
+        existingNode &&
+        existingNode.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE
+    ) {
+      const errorMsg = `Redir err: '${redirFile}' is dir.`;
+      if (!pipeline.isBackground)
+        await OutputManager.appendToOutput(errorMsg, {
+          typeClass: Config.CSS_CLASSES.ERROR_MSG,
+        });
+      return ErrorHandler.createError(`'${redirFile}' is dir.`);
+    }
+    if (
+        existingNode &&
+        !FileSystemManager.hasPermission(existingNode, user, "write")
+    ) {
+      const errorMsg = `Redir err: no write to '${redirFile}'${Config.MESSAGES.PERMISSION_DENIED_SUFFIX}`;
+      if (!pipeline.isBackground)
+        await OutputManager.appendToOutput(errorMsg, {
+          typeClass: Config.CSS_CLASSES.ERROR_MSG,
+        });
+      return ErrorHandler.createError(`no write to '${redirFile}'`);
+    }
+    if (
+        !existingNode &&
+        !FileSystemManager.hasPermission(finalParentNodeForFile, user, "write")
+    ) {
+      const errorMsg = `Redir err: no create in '${finalParentDirPath}'${Config.MESSAGES.PERMISSION_DENIED_SUFFIX}`;
+      if (!pipeline.isBackground)
+        await OutputManager.appendToOutput(errorMsg, {
+          typeClass: Config.CSS_CLASSES.ERROR_MSG,
+        });
+      return ErrorHandler.createError(`no create in '${finalParentDirPath}'`);
+    }
+
+    let finalFileContent;
+    if (append && existingNode) {
+      const existingContent = existingNode.content || "";
+      if (Utils.isBinaryContent(existingContent) || Utils.isBinaryContent(content)) {
+        // Appending to (or with) bytes stays in bytes, or the file would be mangled.
+        finalFileContent = Utils.concatBytes(existingContent, content);
+      } else {
+        finalFileContent = existingContent + content;
+      }
+    } else {
+      finalFileContent = content;
+    }
 
-    try {
-      for (let i = 0; i < lines.length; i++) {
-        stepCounter++;
-        if (stepCounter > MAX_STEPS) {
-          throw new Error(`Maximum script execution steps (${MAX_STEPS}) exceeded.`);
-        }
-        scriptingContext.currentLineIndex = i;
-        const line = lines[i].trim();
-        if (line && !line.startsWith("#")) {
-          const result = await this.processSingleCommand(line, {
-            ...options,
-            scriptingContext,
-          });
-          i = scriptingContext.currentLineIndex;
-          if (!result.success) {
-            throw new Error(`Error on line ${i + 1}: ${result.error || 'Unknown error'}`);
-          }
+    const saveResult = await FileSystemManager.createOrUpdateFile(
+        absRedirPath,
+        finalFileContent,
+        {
+          currentUser: user,
+          primaryGroup: UserManager.getPrimaryGroupForUser(user),
         }
+    );
+
+    if (!saveResult.success) {
+      if (!pipeline.isBackground) {
+        await OutputManager.appendToOutput(
+            `Redir err: ${saveResult.error}`,
+            { typeClass: Config.CSS_CLASSES.ERROR_MSG }
+        );
       }
-    } finally {
-      EnvironmentManager.pop();
+      return saveResult;
     }
 
-    return ErrorHandler.createSuccess("Script finished successfully.");
+    FileSystemManager._updateNodeAndParentMtime(absRedirPath, nowISO);
+    const fsSaveResult = await FileSystemManager.save();
+    if (!fsSaveResult.success) {
+      if (!pipeline.isBackground)
+        await OutputManager.appendToOutput(
+            `Failed to save redir to '${redirFile}': ${fsSaveResult.error}`,
+            {
+              typeClass: Config.CSS_CLASSES.ERROR_MSG,
+            }
+        );
+      return ErrorHandler.createError(
+          `save redir fail: ${fsSaveResult.error}`
+      );
+    }
+    return ErrorHandler.createSuccess();
   }
 
   /**
-   * Executes a single command segment.
+   * Delivers a segment's error output to wherever its stderr redirection
+   * points: a file, or the terminal when it is not redirected. Merging into
+   * stdout ('2>&1') is handled by the caller.
    * @private
-   * @param {ParsedCommandSegment} segment - The parsed command segment.
-   * @param {object} execCtxOpts - Execution context options.
-   * @param {string|null} [stdinContent=null] - Content to be used as standard input.
-   * @param {AbortSignal|null} signal - An optional signal for cancelling the command.
-   * @returns {Promise<object>} A promise that resolves to the command's result.
+   * @param {ParsedCommandSegment} segment - The segment that produced the output.
+   * @param {ParsedPipeline} pipeline - The pipeline the segment belongs to.
+   * @param {object} result - The segment's result object.
+   * @param {string[]} stderrLines - The error output lines.
+   * @returns {Promise<object>} A promise that resolves to a success or error object.
    */
-  async _executeCommandHandler(
-      segment,
-      execCtxOpts,
-      stdinContent = null,
-      signal
-  ) {
-    const { ErrorHandler } = this.dependencies;
-    const commandName = segment.command?.toLowerCase();
-
-    const cmdInstance = await this._ensureCommandLoaded(commandName);
-    if (!cmdInstance) {
-      return ErrorHandler.createError(`${commandName}: command not found`);
+  async _routeStderr(segment, pipeline, result, stderrLines) {
+    const { OutputManager, Config, ErrorHandler } = this.dependencies;
+    const stderrRedir = segment.stderrRedirection;
+
+    if (stderrRedir) {
+      return this._writeRedirectedOutput(
+          stderrRedir.file,
+          `${stderrLines.join("\n")}\n`,
+          stderrRedir.type === "append",
+          pipeline
+      );
     }
 
-    if (cmdInstance instanceof Command) {
-      try {
-        const definition = cmdInstance.definition;
-        const commandDependencies = { ...this.dependencies };
-        if (definition.applicationModules && Array.isArray(definition.applicationModules)) {
-          for (const moduleName of definition.applicationModules) {
-            if (window[moduleName]) {
-              commandDependencies[moduleName] = window[moduleName];
-            } else {
-              console.error(`Command '${definition.commandName}' declared a dependency on '${moduleName}', but it was not found on the window object after loading.`);
-            }
-          }
-        }
-        return await cmdInstance.execute(segment.args, {
-          ...execCtxOpts,
-          stdinContent,
-          signal,
-        }, commandDependencies);
-      } catch (e) {
-        console.error(`Error in command handler for '${segment.command}':`, e);
-        return ErrorHandler.createError(
-            `${segment.command}: ${e.message || "Unknown error"}`
-        );
-      }
-    } else if (segment.command) {
-      return ErrorHandler.createError(`${segment.command}: command not found`);
+    const terminalLines = [...stderrLines];
+    if (!result.success) {
+      terminalLines[terminalLines.length - 1] =
+          `${Config.MESSAGES.PIPELINE_ERROR_PREFIX}'${segment.command}': ${terminalLines[terminalLines.length - 1]}`;
     }
-
-    return ErrorHandler.createSuccess("");
+    const text = terminalLines.join("\n");
+    if (!pipeline.isBackground) {
+      await OutputManager.appendToOutput(text, {
+        typeClass: Config.CSS_CLASSES.ERROR_MSG,
+      });
+    } else {
+      console.log(`Background job pipeline error: ${text}`);
+    }
+    return ErrorHandler.createSuccess();
   }
 
   /**
    * Executes a full command pipeline, handling pipes, redirection, and operators.
+   * Each command's result may carry a `stderr` string alongside its `data`;
+   * that stream, plus the message of a failing command, is routed according
+   * to the segment's stderr redirection.
    * This is like directing a movie scene with multiple actors and special effects.
    * @private
    * @param {ParsedPipeline} pipeline - The parsed pipeline object.
-   * @param {object} options - Execution options.
+   * @param {object} options - Execution options. Commands get the signal of
+   * `options.job`, and a paused job waits between commands.
    * @returns {Promise<object>} A promise that resolves to the final result of the pipeline.
    */
   async _executePipeline(pipeline, options) {
     const { FileSystemManager, UserManager, OutputManager, Config, ErrorHandler, Utils } = this.dependencies;
-    const { isInteractive, signal, scriptingContext, suppressOutput } = options;
+    const { isInteractive, job, scriptingContext, suppressOutput } = options;
+    const signal = job ? job.abortController.signal : null;
     let currentStdin = null;
     let lastResult = ErrorHandler.createSuccess("");
+    let deliverFailedOutput = false;
 
     if (pipeline.inputRedirectFile) {
       const pathValidationResult = FileSystemManager.validatePath(
@@ -466,16 +1549,18 @@ class CommandExecutor {
       });
       return ErrorHandler.createError(errorMsg);
     }
-    const user = UserManager.getCurrentUser().name;
-    const nowISO = new Date().toISOString();
     for (let i = 0; i < pipeline.segments.length; i++) {
       const segment = pipeline.segments[i];
-      const execOptions = { isInteractive, scriptingContext };
+      const execOptions = { isInteractive, scriptingContext, job };
+      // Lets commands such as 'ls --color=auto' tell whether their output
+      // will be shown rather than piped, redirected or captured.
+      execOptions.isTerminalOutput =
+          i === pipeline.segments.length - 1 &&
+          !pipeline.redirection &&
+          !pipeline.isBackground &&
+          !suppressOutput;
+      await this._waitWhilePaused(job);
       if (pipeline.isBackground) {
-        const job = this.activeJobs[pipeline.jobId];
-        while (job && job.status === 'paused') {
-          await new Promise(resolve => setTimeout(resolve, 500));
-        }
         execOptions.jobId = pipeline.jobId;
       }
       lastResult = await this._executeCommandHandler(
@@ -490,10 +1575,35 @@ class CommandExecutor {
         lastResult = ErrorHandler.createError(err);
       }
 
+      // Once a job is interrupted nothing more of it runs or is printed.
+      if (signal?.aborted) {
+        return ErrorHandler.createError("", {
+          exitCode: ErrorHandler.EXIT_CODES.INTERRUPTED,
+        });
+      }
+
       if (scriptingContext?.waitingForInput) {
         return ErrorHandler.createSuccess("");
       }
 
+      const stderrLines = [];
+      if (lastResult.stderr) stderrLines.push(lastResult.stderr);
+      if (!lastResult.success) {
+        const errorMessage = this._formatErrorMessage(lastResult.error);
+        // A failure without a message (a condition answering "no") stays quiet.
+        if (errorMessage) stderrLines.push(errorMessage);
+      }
+      const mergeStderr = segment.stderrRedirection?.type === "stdout";
+      if (stderrLines.length > 0 && !mergeStderr) {
+        const routeResult = await this._routeStderr(
+            segment,
+            pipeline,
+            lastResult,
+            stderrLines
+        );
+        if (!routeResult.success) return routeResult;
+      }
+
       if (lastResult.success) {
         const { AuditManager, UserManager } = this.dependencies;
         const commandName = segment.command?.toLowerCase();
@@ -528,162 +1638,64 @@ class CommandExecutor {
           URL.revokeObjectURL(url);
         }
 
-        currentStdin = lastResult.data;
-      } else {
-        let errorMessage = "Unknown error";
-        if (typeof lastResult.error === 'string') {
-          errorMessage = lastResult.error;
-        } else if (lastResult.error && typeof lastResult.error.message === 'string') {
-          errorMessage = lastResult.error.message;
-          if (lastResult.error.suggestion) {
-            errorMessage += `\nSuggestion: ${lastResult.error.suggestion}`;
-          }
+        if (
+            mergeStderr &&
+            stderrLines.length > 0 &&
+            (lastResult.data === null ||
+                lastResult.data === undefined ||
+                typeof lastResult.data === "string")
+        ) {
+          lastResult.data = [...stderrLines, lastResult.data]
+              .filter((part) => part)
+              .join("\n");
         }
-
-        const err = `${Config.MESSAGES.PIPELINE_ERROR_PREFIX}'${segment.command}': ${errorMessage}`;
-        if (!pipeline.isBackground) {
-          await OutputManager.appendToOutput(err, {
-            typeClass: Config.CSS_CLASSES.ERROR_MSG,
-          });
-        } else {
-          console.log(`Background job pipeline error: ${err}`);
+        currentStdin = lastResult.data;
+      } else if (mergeStderr) {
+        // With '2>&1' the failure message travels down the pipeline like
+        // ordinary output, and the next command decides the final status.
+        currentStdin = [
+          typeof lastResult.data === "string" ? lastResult.data : "",
+          ...stderrLines,
+        ].filter((part) => part).join("\n");
+        if (i === pipeline.segments.length - 1) {
+          lastResult = { ...lastResult, data: currentStdin };
+          deliverFailedOutput = true;
         }
+      } else if (
+          i === pipeline.segments.length - 1 &&
+          typeof lastResult.data === "string" &&
+          lastResult.data
+      ) {
+        // Output produced before a failure (say, by a shell function that
+        // later returned non-zero) is still delivered.
+        deliverFailedOutput = true;
+      } else {
         return lastResult;
       }
     }
-    if (pipeline.redirection && lastResult.success) {
+    if (pipeline.redirection && (lastResult.success || deliverFailedOutput)) {
       const { type: redirType, file: redirFile } = pipeline.redirection;
 
       let outputToWrite = lastResult.data || "";
-      if (!lastResult.suppressNewline) {
+      // Bytes are written exactly as produced; only text gets a final newline.
+      if (!lastResult.suppressNewline && !Utils.isBinaryContent(outputToWrite)) {
         outputToWrite += "\n";
       }
-      const redirValResult = FileSystemManager.validatePath(redirFile, {
-        allowMissing: true,
-        disallowRoot: true,
-        defaultToCurrentIfEmpty: false,
-      });
-
-      if (!redirValResult.success && !(redirValResult.data?.node === null)) {
-        if (!pipeline.isBackground)
-          await OutputManager.appendToOutput(redirValResult.error, {
-            typeClass: Config.CSS_CLASSES.ERROR_MSG,
-          });
-        return redirValResult;
-      }
-      const { resolvedPath: absRedirPath } = redirValResult.data;
-      const pDirRes =
-          FileSystemManager.createParentDirectoriesIfNeeded(absRedirPath);
-      if (!pDirRes.success) {
-        if (!pipeline.isBackground)
-          await OutputManager.appendToOutput(
-              `Redir err: ${pDirRes.error}`,
-              {
-                typeClass: Config.CSS_CLASSES.ERROR_MSG,
-              }
-          );
-        return pDirRes;
-      }
-      const finalParentDirPath =
-          absRedirPath.substring(
-              0,
-              absRedirPath.lastIndexOf(Config.FILESYSTEM.PATH_SEPARATOR)
-          ) || Config.FILESYSTEM.ROOT_PATH;
-      const finalParentNodeForFile =
-          FileSystemManager.getNodeByPath(finalParentDirPath);
-      if (!finalParentNodeForFile) {
-        const errorMsg = `Redir err: critical internal error, parent dir '${finalParentDirPath}' for file write not found.`;
-        if (!pipeline.isBackground)
-          await OutputManager.appendToOutput(errorMsg, {
-            typeClass: Config.CSS_CLASSES.ERROR_MSG,
-          });
-        return ErrorHandler.createError(
-            `parent dir '${finalParentDirPath}' for file write not found (internal)`
-        );
-      }
-
-      const existingNode = FileSystemManager.getNodeByPath(absRedirPath);
-      if (
-          existingNode &&
-          existingNode.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE
-      ) {
-        const errorMsg = `Redir err: '${redirFile}' is dir.`;
-        if (!pipeline.isBackground)
-          await OutputManager.appendToOutput(errorMsg, {
-            typeClass: Config.CSS_CLASSES.ERROR_MSG,
-          });
-        return ErrorHandler.createError(`'${redirFile}' is dir.`);
-      }
-      if (
-          existingNode &&
-          !FileSystemManager.hasPermission(existingNode, user, "write")
-      ) {
-        const errorMsg = `Redir err: no write to '${redirFile}'${Config.MESSAGES.PERMISSION_DENIED_SUFFIX}`;
-        if (!pipeline.isBackground)
-          await OutputManager.appendToOutput(errorMsg, {
-            typeClass: Config.CSS_CLASSES.ERROR_MSG,
-          });
-        return ErrorHandler.createError(`no write to '${redirFile}'`);
-      }
-      if (
-          !existingNode &&
-          !FileSystemManager.hasPermission(finalParentNodeForFile, user, "write")
-      ) {
-        const errorMsg = `Redir err: no create in '${finalParentDirPath}'${Config.MESSAGES.PERMISSION_DENIED_SUFFIX}`;
-        if (!pipeline.isBackground)
-          await OutputManager.appendToOutput(errorMsg, {
-            typeClass: Config.CSS_CLASSES.ERROR_MSG,
-          });
-        return ErrorHandler.createError(`no create in '${finalParentDirPath}'`);
-      }
-
-      let finalFileContent;
-      if (redirType === "append" && existingNode) {
-        const existingContent = existingNode.content || "";
-        finalFileContent = existingContent + outputToWrite;
-      } else {
-        finalFileContent = outputToWrite;
-      }
-
-      const saveResult = await FileSystemManager.createOrUpdateFile(
-          absRedirPath,
-          finalFileContent,
-          {
-            currentUser: user,
-            primaryGroup: UserManager.getPrimaryGroupForUser(user),
-          }
+      const writeResult = await this._writeRedirectedOutput(
+          redirFile,
+          outputToWrite,
+          redirType === "append",
+          pipeline
       );
-
-      if (!saveResult.success) {
-        if (!pipeline.isBackground) {
-          await OutputManager.appendToOutput(
-              `Redir err: ${saveResult.error}`,
-              { typeClass: Config.CSS_CLASSES.ERROR_MSG }
-          );
-        }
-        return saveResult;
-      }
-
-      FileSystemManager._updateNodeAndParentMtime(absRedirPath, nowISO);
-      const fsSaveResult = await FileSystemManager.save();
-      if (!fsSaveResult.success) {
-        if (!pipeline.isBackground)
-          await OutputManager.appendToOutput(
-              `Failed to save redir to '${redirFile}': ${fsSaveResult.error}`,
-              {
-                typeClass: Config.CSS_CLASSES.ERROR_MSG,
-              }
-          );
-        return ErrorHandler.createError(
-            `save redir fail: ${fsSaveResult.error}`
-        );
+      if (!writeResult.success) {
+        return writeResult;
       }
       lastResult.data = "";
     }
 
     if (
         !pipeline.redirection &&
-        lastResult.success &&
+        (lastResult.success || deliverFailedOutput) &&
         lastResult.data !== null &&
         lastResult.data !== undefined &&
         !lastResult.suppressNewline
@@ -700,10 +1712,12 @@ class CommandExecutor {
         }
       } else {
         if (lastResult.data && !suppressOutput) {
-          if (typeof lastResult.data === "string") {
+          if (Utils.isBinaryContent(lastResult.data)) {
+            lastResult.data = Utils.contentToText(lastResult.data);
+          } else if (typeof lastResult.data === "string") {
             lastResult.data = lastResult.data.replace(/\\n/g, "\n");
           }
-          const { data, success, ...outputOptions } = lastResult;
+          const { data, success, error, stderr, ...outputOptions } = lastResult;
           await OutputManager.appendToOutput(data, outputOptions);
         }
       }
@@ -762,6 +1776,130 @@ class CommandExecutor {
     return expandedString;
   }
 
+  /**
+   * Replaces `$(…)` command substitutions, `$?`, script arguments and
+   * environment variables in a piece of text. Text in single quotes is left
+   * alone, as in bash, so `set PS1='$(date) > '` keeps its substitution for
+   * the prompt to run.
+   * @private
+   * @param {string} text - The text to expand.
+   * @param {object} [scriptingContext=null] - Optional context for script execution.
+   * @returns {Promise<string>} The expanded text.
+   */
+  async _expandSubstitutions(text, scriptingContext = null) {
+    let expanded = "";
+    for (const part of this._splitSingleQuoted(text)) {
+      expanded += part.isQuoted
+          ? part.text
+          : await this._expandUnquotedSubstitutions(part.text, scriptingContext);
+    }
+    return expanded;
+  }
+
+  /**
+   * Splits text into the parts inside single quotes and the parts outside
+   * them. A single quote within double quotes, after a backslash or inside
+   * a `$(…)` doesn't start a quoted part.
+   * @private
+   * @param {string} text - The text to split.
+   * @returns {Array<{text: string, isQuoted: boolean}>} The parts, in order, quotes included.
+   */
+  _splitSingleQuoted(text) {
+    const parts = [];
+    let current = "";
+    let inDoubleQuote = false;
+    let substitutionDepth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === "\\" && i + 1 < text.length) {
+        current += char + text[++i];
+      } else if (substitutionDepth > 0) {
+        current += char;
+        if (char === "(") substitutionDepth++;
+        if (char === ")") substitutionDepth--;
+      } else if (char === "$" && text[i + 1] === "(") {
+        current += "$(";
+        substitutionDepth = 1;
+        i++;
+      } else if (char === '"') {
+        inDoubleQuote = !inDoubleQuote;
+        current += char;
+      } else if (char === "'" && !inDoubleQuote) {
+        const closingIndex = text.indexOf("'", i + 1);
+        const end = closingIndex === -1 ? text.length : closingIndex + 1;
+        if (current) parts.push({ text: current, isQuoted: false });
+        parts.push({ text: text.slice(i, end), isQuoted: true });
+        current = "";
+        i = end - 1;
+      } else {
+        current += char;
+      }
+    }
+    if (current) parts.push({ text: current, isQuoted: false });
+    return parts;
+  }
+
+  /**
+   * Does the work of `_expandSubstitutions` for text outside single quotes.
+   * @private
+   * @param {string} text - The text to expand.
+   * @param {object} [scriptingContext=null] - Optional context for script execution.
+   * @returns {Promise<string>} The expanded text.
+   */
+  async _expandUnquotedSubstitutions(text, scriptingContext = null) {
+    const { EnvironmentManager } = this.dependencies;
+    let expanded = text;
+
+    const commandSubstitutionRegex = /\$\(([^)]+)\)/g;
+    let inlineMatch;
+    while ((inlineMatch = commandSubstitutionRegex.exec(expanded)) !== null) {
+      const subCommand = inlineMatch[1];
+      const result = await this.processSingleCommand(subCommand, { isInteractive: false, suppressOutput: true });
+      const output = result.success ? (result.output || '').trim().replace(/\n/g, ' ') : '';
+      expanded = expanded.replace(inlineMatch[0], output);
+    }
+
+    expanded = expanded.replace(/\$\?/g, String(this.lastExitStatus));
+
+    if (scriptingContext && scriptingContext.args) {
+      const scriptArgs = scriptingContext.args;
+      expanded = expanded.replace(/\$@/g, scriptArgs.join(" "));
+      expanded = expanded.replace(/\$#/g, scriptArgs.length);
+      expanded = expanded.replace(
+          /\$(\d+)/g,
+          (match, index) => (index === "0" ? match : scriptArgs[index - 1] ?? match)
+      );
+    }
+
+    expanded = expanded.replace(
+        /\$([a-zA-Z_][a-zA-Z0-9_]*)|\$\{([a-zA-Z_][a-zA-Z0-9_]*)}/g,
+        (match, var1, var2) => {
+          const varName = var1 || var2;
+          return EnvironmentManager.get(varName);
+        }
+    );
+
+    return expanded;
+  }
+
+  /**
+   * Expands a piece of script text into a list of words, the way the items
+   * of a 'for' loop or the subject of a 'case' are read.
+   * @private
+   * @param {string} text - The text to expand.
+   * @param {object} [scriptingContext=null] - Optional context for script execution.
+   * @returns {Promise<string[]>} The expanded words.
+   */
+  async _expandWords(text, scriptingContext = null) {
+    const { Lexer, Parser } = this.dependencies;
+    const expanded = await this._expandSubstitutions(text, scriptingContext);
+    return new Parser(
+        new Lexer(expanded, this.dependencies).tokenize(),
+        this.dependencies
+    ).parseWordList();
+  }
+
   /**
    * Pre-processes the command string before parsing.
    * This handles brace expansion, variable and command substitution, and comments.
@@ -789,15 +1927,6 @@ class CommandExecutor {
       return "";
     }
 
-    const commandSubstitutionRegex = /\$\(([^)]+)\)/g;
-    let inlineMatch;
-    while ((inlineMatch = commandSubstitutionRegex.exec(commandToProcess)) !== null) {
-      const subCommand = inlineMatch[1];
-      const result = await this.processSingleCommand(subCommand, { isInteractive: false, suppressOutput: true });
-      const output = result.success ? (result.output || '').trim().replace(/\n/g, ' ') : '';
-      commandToProcess = commandToProcess.replace(inlineMatch[0], output);
-    }
-
     let inQuote = null;
     let commentIndex = -1;
 
@@ -826,22 +1955,9 @@ class CommandExecutor {
       return "";
     }
 
-    if (scriptingContext && scriptingContext.args) {
-      const scriptArgs = scriptingContext.args;
-      commandToProcess = commandToProcess.replace(/\$@/g, scriptArgs.join(" "));
-      commandToProcess = commandToProcess.replace(/\$#/g, scriptArgs.length);
-      scriptArgs.forEach((arg, i) => {
-        const regex = new RegExp(`\\$${i + 1}`, "g");
-        commandToProcess = commandToProcess.replace(regex, arg);
-      });
-    }
-
-    commandToProcess = commandToProcess.replace(
-        /\$([a-zA-Z_][a-zA-Z0-9_]*)|\$\{([a-zA-Z_][a-zA-Z0-9_]*)}/g,
-        (match, var1, var2) => {
-          const varName = var1 || var2;
-          return EnvironmentManager.get(varName);
-        }
+    commandToProcess = await this._expandSubstitutions(
+        commandToProcess,
+        scriptingContext
     );
 
     const aliasResult = AliasManager.resolveAlias(commandToProcess);
@@ -883,7 +1999,7 @@ class CommandExecutor {
    * This function orchestrates the entire command lifecycle.
    * @param {string} rawCommandText - The raw command string to execute.
    * @param {object} [options={}] - Options for the command execution.
-   * @returns {Promise<object>} A promise that resolves to a result object with `success`, `output`, and `error` properties.
+   * @returns {Promise<object>} A promise that resolves to a result object with `success`, `output`, `error`, and `exitCode` properties.
    */
   async processSingleCommand(rawCommandText, options = {}) {
     if (this.isInDreamatorium && rawCommandText.trim() === 'exit') {
@@ -897,6 +2013,8 @@ class CommandExecutor {
       scriptingContext = null,
       suppressOutput = false
     } = options;
+    // Commands run from inside a job (script lines, 'sudo', …) belong to it.
+    const job = options.job || (isInteractive && !scriptingContext ? this.foregroundJob : null);
     const {
       ModalManager,
       OutputManager,
@@ -906,8 +2024,7 @@ class CommandExecutor {
       Config,
       ErrorHandler,
       Lexer,
-      Parser,
-      MessageBusManager
+      Parser
     } = this.dependencies;
 
     if (
@@ -933,6 +2050,47 @@ class CommandExecutor {
       return ErrorHandler.createSuccess("");
     }
 
+    // History expansion applies to lines typed at the prompt, before anything
+    // else sees them; commands run from inside a job (such as 'sudo') are left alone.
+    if (isInteractive && !scriptingContext && !job) {
+      try {
+        rawCommandText = HistoryManager.expand(rawCommandText);
+      } catch (e) {
+        TerminalUI.hideInputLine();
+        await OutputManager.appendToOutput(`${TerminalUI.getPromptText()}${rawCommandText.trim()}`);
+        await OutputManager.appendToOutput(e.message, {
+          typeClass: Config.CSS_CLASSES.ERROR_MSG,
+        });
+        this.lastExitStatus = ErrorHandler.EXIT_CODES.GENERAL;
+        await this._finalizeInteractiveModeUI(rawCommandText);
+        return this._toCommandResult(ErrorHandler.createError(e.message));
+      }
+    }
+
+    let compoundNodes;
+    try {
+      compoundNodes = this._parseCompoundCommand(rawCommandText);
+    } catch (e) {
+      await OutputManager.appendToOutput(e.message, {
+        typeClass: Config.CSS_CLASSES.ERROR_MSG,
+      });
+      this.lastExitStatus = ErrorHandler.EXIT_CODES.USAGE;
+      if (isInteractive) await this._finalizeInteractiveModeUI(rawCommandText);
+      return this._toCommandResult(
+          ErrorHandler.createError(e.message, {
+            exitCode: ErrorHandler.EXIT_CODES.USAGE,
+          })
+      );
+    }
+    if (compoundNodes) {
+      return this._executeCompoundCommand(compoundNodes, rawCommandText, {
+        isInteractive,
+        scriptingContext,
+        suppressOutput,
+        job,
+      });
+    }
+
     let commandToParse;
     try {
       commandToParse = await this._preprocessCommandString(
@@ -943,8 +2101,9 @@ class CommandExecutor {
       await OutputManager.appendToOutput(e.message, {
         typeClass: Config.CSS_CLASSES.ERROR_MSG,
       });
+      this.lastExitStatus = ErrorHandler.EXIT_CODES.GENERAL;
       if (isInteractive) await this._finalizeInteractiveModeUI(rawCommandText);
-      return ErrorHandler.createError(e.message);
+      return this._toCommandResult(ErrorHandler.createError(e.message));
     }
 
     const cmdToEcho = rawCommandText.trim();
@@ -957,7 +2116,7 @@ class CommandExecutor {
       if (isInteractive) await this._finalizeInteractiveModeUI(rawCommandText);
       return ErrorHandler.createSuccess("");
     }
-    if (isInteractive) HistoryManager.add(cmdToEcho);
+    if (isInteractive) HistoryManager.add(rawCommandText);
     if (isInteractive && !TerminalUI.getIsNavigatingHistory())
       HistoryManager.resetIndex();
 
@@ -972,15 +2131,52 @@ class CommandExecutor {
           e.message || "Command parse error.",
           { typeClass: Config.CSS_CLASSES.ERROR_MSG }
       );
+      this.lastExitStatus = ErrorHandler.EXIT_CODES.USAGE;
       if (isInteractive) await this._finalizeInteractiveModeUI(rawCommandText);
-      return ErrorHandler.createError(e.message || "Command parse error.");
+      return this._toCommandResult(
+          ErrorHandler.createError(e.message || "Command parse error.", {
+            exitCode: ErrorHandler.EXIT_CODES.USAGE,
+          })
+      );
+    }
+
+    const sequenceOptions = { isInteractive, scriptingContext, suppressOutput, job };
+    const finalResult = isInteractive && !scriptingContext && !job
+        ? await this._runAsForegroundJob(cmdToEcho, (foregroundJob) =>
+            this._executeCommandSequence(commandSequence, cmdToEcho, {
+              ...sequenceOptions,
+              job: foregroundJob,
+            })
+        )
+        : await this._executeCommandSequence(commandSequence, cmdToEcho, sequenceOptions);
+
+    this.lastExitStatus = ErrorHandler.getExitCode(finalResult);
+
+    if (isInteractive && !scriptingContext) {
+      await this._finalizeInteractiveModeUI(rawCommandText);
     }
 
+    return this._toCommandResult(finalResult);
+  }
+
+  /**
+   * Runs the pipelines of a parsed command line in order, honouring `&&`,
+   * `||`, `;` and `&`.
+   * @private
+   * @param {object[]} commandSequence - The parsed command line.
+   * @param {string} cmdToEcho - The command line, as background jobs are listed.
+   * @param {object} options - Execution options, including the `job` the line belongs to.
+   * @returns {Promise<object>} The result of the last pipeline that ran.
+   */
+  async _executeCommandSequence(commandSequence, cmdToEcho, options) {
+    const { isInteractive, scriptingContext, suppressOutput, job } = options;
+    const { OutputManager, Config, ErrorHandler, MessageBusManager } = this.dependencies;
     let lastPipelineSuccess = true;
     let finalResult = ErrorHandler.createSuccess("");
 
     for (let i = 0; i < commandSequence.length; i++) {
       const { pipeline, operator } = commandSequence[i];
+      if (job?.abortController.signal.aborted) break;
 
       if (i > 0) {
         const prevOperator = commandSequence[i - 1].operator;
@@ -996,40 +2192,26 @@ class CommandExecutor {
         MessageBusManager.registerJob(jobId);
         const abortController = new AbortController();
 
-        const job = {
+        const backgroundJob = {
           id: jobId,
           command: cmdToEcho,
           abortController,
           promise: null,
           status: 'running',
         };
-        this.activeJobs[jobId] = job;
+        this.activeJobs[jobId] = backgroundJob;
 
-        const jobPromise = new Promise(resolve => {
+        backgroundJob.promise = new Promise(resolve => {
           setTimeout(() => {
             this._executePipeline(pipeline, {
               isInteractive: false,
-              signal: abortController.signal,
+              job: backgroundJob,
               scriptingContext,
               suppressOutput: true,
             }).then(resolve);
           }, 0);
         });
-
-        job.promise = jobPromise;
-
-        jobPromise.finally(() => {
-          delete this.activeJobs[jobId];
-          MessageBusManager.unregisterJob(jobId);
-        }).then((bgResult) => {
-          const statusMsg = `[Job ${jobId} ${bgResult.success ? "finished" : "finished with error"}${bgResult.success ? "" : `: ${bgResult.error || "Unknown error"}`}]`;
-          OutputManager.appendToOutput(statusMsg, {
-            typeClass: bgResult.success
-                ? Config.CSS_CLASSES.CONSOLE_LOG_MSG
-                : Config.CSS_CLASSES.WARNING_MSG,
-            isBackground: true,
-          });
-        });
+        this._trackJob(backgroundJob);
 
         await OutputManager.appendToOutput(
             `${Config.MESSAGES.BACKGROUND_PROCESS_STARTED_PREFIX}${jobId}${Config.MESSAGES.BACKGROUND_PROCESS_STARTED_SUFFIX}`,
@@ -1040,7 +2222,7 @@ class CommandExecutor {
       } else {
         result = await this._executePipeline(pipeline, {
           isInteractive,
-          signal: null,
+          job,
           scriptingContext,
           suppressOutput,
         });
@@ -1059,15 +2241,122 @@ class CommandExecutor {
         break;
       }
     }
+    return finalResult;
+  }
+
+  /**
+   * Checks whether a command line holds control flow or a function
+   * definition rather than a plain pipeline.
+   * @private
+   * @param {string} rawCommandText - The raw command string.
+   * @returns {object[]|null} The ScriptParser nodes, or null for an ordinary command.
+   * @throws {Error} If the line opens a block it never closes.
+   */
+  _parseCompoundCommand(rawCommandText) {
+    const { ScriptParser } = this.dependencies;
+    const nodes = new ScriptParser([rawCommandText]).parse();
+    if (nodes.length === 0 || (nodes.length === 1 && nodes[0].type === "command")) {
+      return null;
+    }
+    return nodes;
+  }
+
+  /**
+   * Runs a single line of control flow or function definitions typed at the
+   * prompt (or handed over by commands such as 'check_fail'), using the same
+   * block executor as scripts.
+   * @private
+   * @param {object[]} nodes - The nodes produced by the ScriptParser.
+   * @param {string} rawCommandText - The raw command string.
+   * @param {object} options - The options given to `processSingleCommand`.
+   * @returns {Promise<object>} A result object like the one from `processSingleCommand`.
+   */
+  async _executeCompoundCommand(nodes, rawCommandText, options) {
+    const { isInteractive, scriptingContext, suppressOutput, job } = options;
+    const { TerminalUI, OutputManager, HistoryManager, ErrorHandler, Config } = this.dependencies;
+    const cmdToEcho = rawCommandText.trim();
+
+    if (isInteractive && !scriptingContext) {
+      TerminalUI.hideInputLine();
+      await OutputManager.appendToOutput(`${TerminalUI.getPromptText()}${cmdToEcho}`);
+    }
+    if (isInteractive) {
+      HistoryManager.add(rawCommandText);
+      if (!TerminalUI.getIsNavigatingHistory()) HistoryManager.resetIndex();
+    }
+
+    const blockContext = {
+      isScripting: Boolean(scriptingContext?.isScripting),
+      lines: [cmdToEcho],
+      currentLineIndex: -1,
+      args: scriptingContext?.args || [],
+      exitCode: null,
+    };
+    const runState = {
+      scriptingContext: blockContext,
+      options: { isInteractive: false, job },
+      steps: 0,
+      maxSteps: Config.FILESYSTEM.MAX_SCRIPT_STEPS || 10000,
+      outputBuffer: suppressOutput ? [] : null,
+    };
+    const runBlock = async (blockJob) => {
+      runState.options.job = blockJob;
+      try {
+        const outcome = await this._executeScriptBlock(nodes, runState);
+        if (outcome.flow === "error") {
+          return outcome.reported
+              ? ErrorHandler.createError("", { exitCode: outcome.exitCode })
+              : ErrorHandler.createError(outcome.result.error.message, { exitCode: outcome.exitCode });
+        }
+        if (blockContext.exitCode) {
+          return ErrorHandler.createError("", { exitCode: blockContext.exitCode });
+        }
+        const exitCode = ["break", "continue"].includes(outcome.flow) ? 0 : outcome.exitCode;
+        return exitCode === 0
+            ? ErrorHandler.createSuccess("")
+            : ErrorHandler.createError("", { exitCode });
+      } catch (e) {
+        return ErrorHandler.createError(e.message);
+      }
+    };
+
+    const result = isInteractive && !scriptingContext && !job
+        ? await this._runAsForegroundJob(cmdToEcho, runBlock)
+        : await runBlock(job);
+
+    if (blockContext.exitCode !== null && scriptingContext?.isScripting) {
+      scriptingContext.exitCode = blockContext.exitCode;
+    }
+    if (!result.success && result.error.message) {
+      await OutputManager.appendToOutput(result.error.message, {
+        typeClass: Config.CSS_CLASSES.ERROR_MSG,
+      });
+    }
+    if (runState.outputBuffer) {
+      result.data = runState.outputBuffer.join("\n");
+    }
 
+    this.lastExitStatus = ErrorHandler.getExitCode(result);
     if (isInteractive && !scriptingContext) {
       await this._finalizeInteractiveModeUI(rawCommandText);
     }
+    return this._toCommandResult(result);
+  }
 
+  /**
+   * Boils a pipeline result down to the shape handed back to callers of
+   * `processSingleCommand`.
+   * @private
+   * @param {object} result - The final pipeline result.
+   * @returns {{success: boolean, output: *, error: object|null, exitCode: number}}
+   */
+  _toCommandResult(result) {
+    const { ErrorHandler } = this.dependencies;
     return {
-      success: finalResult.success,
-      output: finalResult.success ? finalResult.data : null,
-      error: !finalResult.success ? finalResult.error : null,
+      success: result.success,
+      output: result.success || typeof result.data === "string" ? result.data : null,
+      error: !result.success ? result.error : null,
+      exitCode: ErrorHandler.getExitCode(result),
     };
   }
 
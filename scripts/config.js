@@ -33,10 +33,24 @@ class ConfigManager {
        */
       DATABASE: {
         NAME: "OopisOsDB",
-        VERSION: 52,
+        VERSION: 53,
+        FS_NODE_STORE_NAME: "FileSystemNodesStore",
+        // The old one-record-for-everything layout, kept only so it can be migrated.
         FS_STORE_NAME: "FileSystemsStore",
         UNIFIED_FS_KEY: "OopisOS_SharedFS",
       },
+      /**
+       * Settings for where the filesystem is persisted. Set STORAGE.BACKEND
+       * in /etc/oopis.conf to "indexeddb", "opfs", "electron" or "memory";
+       * left unset, the backend used by the last boot is kept. "memory" is
+       * never remembered, so each boot loads the last persistent backend and
+       * then runs on a throwaway copy of it, as a kiosk would.
+       * @type {object}
+       */
+      STORAGE: {
+        BACKEND: null,
+        DEFAULT_BACKEND: "indexeddb",
+      },
       /**
        * Core operating system information.
        * @type {object}
@@ -70,7 +84,8 @@ class ConfigManager {
        * @type {object}
        */
       TERMINAL: {
-        MAX_HISTORY_SIZE: 50,
+        MAX_HISTORY_SIZE: 500,
+        HISTORY_WRITE_DELAY_MS: 1000,
         PROMPT_CHAR: ">",
         PROMPT_SEPARATOR: ":",
         PROMPT_AT: "@",
@@ -87,6 +102,7 @@ class ConfigManager {
         ALIAS_DEFINITIONS: "oopisOsAliasDefinitions",
         GEMINI_API_KEY: "oopisGeminiApiKey",
         USER_GROUPS: "oopisOsUserGroups",
+        STORAGE_BACKEND: "oopisOsStorageBackend",
       },
       /**
        * Filesystem-related constants, permissions, and limitations.
@@ -110,6 +126,7 @@ class ConfigManager {
         MAX_VFS_SIZE: 640 * 1024 * 1024,
         MAX_SCRIPT_STEPS: 10000,
         MAX_SCRIPT_DEPTH: 100,
+        STARTUP_FILE_NAME: ".oopisrc",
       },
       /**
        * A collection of standardized messages for the terminal.
@@ -150,8 +167,6 @@ class ConfigManager {
         RESTORE_SUCCESS_MIDDLE: "' successfully restored from '",
         RESTORE_SUCCESS_SUFFIX: "'.",
         UPLOAD_NO_FILE: "Upload cancelled: No file selected.",
-        UPLOAD_INVALID_TYPE_PREFIX: "Error: Invalid file type '",
-        UPLOAD_INVALID_TYPE_SUFFIX: "'. Only .txt, .md, .html, .sh, .js, .css, .json files are allowed.",
         UPLOAD_SUCCESS_PREFIX: "File '",
         UPLOAD_SUCCESS_MIDDLE: "' uploaded successfully to '",
         UPLOAD_SUCCESS_SUFFIX: "'.",
@@ -209,16 +224,25 @@ class ConfigManager {
         "bulletin", "cat", "cd", "check_fail", "chgrp", "chidi", "chmod", "chown", "cksum",
         "clear", "clearfs", "comm", "committee", "cp", "csplit", "curl", "cut", "date", "delay",
         "df", "diff", "dreamatorium", "du", "echo", "edit", "exit", "explore", "export", "expr",
-        "fg", "find", "fsck", "forge", "gemini",
+        "fg", "find", "fsck", "forge", "gemini", "gunzip", "gzip",
         "grep", "groupadd", "groupdel", "groups", "head", "help", "history", "jobs", "kill",
-        "less", "listusers", "log", "login", "logout", "ls", "ln", "man", "more", "mkdir", "mv", "mxml2sh",
+        "less", "listusers", "local", "log", "login", "logout", "ls", "ln", "man", "more", "mkdir", "mv", "mxml2sh",
         "nc", "netstat", "nl", "ocrypt", "oopis-get", "paint", "passwd", "patch", "ping", "play",
         "planner", "printscreen",
         "ps", "pwd", "reboot", "remix", "removeuser", "rename", "reset", "restore", "rm", "rmdir",
-        "run", "sed", "set", "shuf", "sort", "storyboard", "su", "sudo", "sync","tail", "top", "touch", "tr",
+        "run", "sed", "set", "shuf", "sort", "storyboard", "su", "sudo", "sync","tail", "tar", "test", "top", "touch", "tr",
         "tree", "unalias", "uniq", "unset", "unzip", "upload", "useradd", "usermod", "visudo",
-        "wc", "wget", "whoami", "xor", "zip", "xargs", "x"
+        "wc", "wget", "whoami", "xor", "zip", "xargs", "x", "[", "[["
       ],
+      /**
+       * Commands that live in a sibling's script file instead of their own.
+       * @type {Object<string, string>}
+       */
+      COMMAND_SCRIPT_FILES: {
+        "[": "test",
+        "[[": "test",
+        "gunzip": "gzip",
+      },
     };
 
     Object.assign(this, defaultConfig);
@@ -280,7 +304,7 @@ class ConfigManager {
       }
       current = current[parts[i]];
     }
-    current[parts.length - 1] = this._parseConfigValue(value);
+    current[parts[parts.length - 1]] = this._parseConfigValue(value);
   }
 
   /**
@@ -1,15 +1,36 @@
 // scripts/error_handler.js
 
 class ErrorHandler {
+  /**
+   * The conventional exit statuses. Every result carries one of these (or any
+   * other integer a command fancies) as `exitCode`, so scripts can tell a
+   * typo from a locked door.
+   * @type {{SUCCESS: number, GENERAL: number, USAGE: number, PERMISSION_DENIED: number, NOT_FOUND: number}}
+   */
+  static EXIT_CODES = Object.freeze({
+    SUCCESS: 0,
+    GENERAL: 1,
+    USAGE: 2,
+    PERMISSION_DENIED: 126,
+    NOT_FOUND: 127,
+    INTERRUPTED: 130,
+    STOPPED: 148,
+  });
+
   /**
    * Creates a standardized error object.
    * @param {string|{message: string, suggestion?: string}} errorInfo - A descriptive error message or an object with message and suggestion.
-   * @returns {{success: false, error: {message: string, suggestion: string|null}}}
+   * @param {object} [options={}] - Additional properties for the result.
+   * @param {number} [options.exitCode=1] - The exit status the failure should report.
+   * @returns {{success: false, error: {message: string, suggestion: string|null}, exitCode: number}}
    */
-  static createError(errorInfo) {
+  static createError(errorInfo, options = {}) {
+    const exitCode = Number.isInteger(options.exitCode)
+        ? options.exitCode
+        : ErrorHandler.EXIT_CODES.GENERAL;
     if (typeof errorInfo === 'string') {
       // Keep it classic for the old episodes.
-      return { success: false, error: { message: errorInfo, suggestion: null } };
+      return { success: false, error: { message: errorInfo, suggestion: null }, exitCode };
     }
     // The new, multi-dimensional character.
     return {
@@ -18,6 +39,7 @@ class ErrorHandler {
         message: errorInfo.message || 'An unknown error occurred.',
         suggestion: errorInfo.suggestion || null,
       },
+      exitCode,
     };
   }
 
@@ -25,7 +47,23 @@ class ErrorHandler {
     return {
       success: true,
       data: data,
+      exitCode: ErrorHandler.EXIT_CODES.SUCCESS,
       ...options,
     };
   }
-}
\ No newline at end of file
+
+  /**
+   * Reads the exit status from any result object, falling back to 0 or 1
+   * for results that were assembled by hand.
+   * @param {object} result - A result object.
+   * @returns {number} The integer exit status.
+   */
+  static getExitCode(result) {
+    if (result && Number.isInteger(result.exitCode)) {
+      return result.exitCode;
+    }
+    return result && result.success
+        ? ErrorHandler.EXIT_CODES.SUCCESS
+        : ErrorHandler.EXIT_CODES.GENERAL;
+  }
+}
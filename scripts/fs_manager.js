@@ -8,10 +8,28 @@
  * @property {number} mode - The octal permission mode (e.g., 0o755).
  * @property {string} mtime - The last modification timestamp in ISO format.
  * @property {object} [children] - An object containing child nodes (for directories).
- * @property {string} [content] - The file content (for files).
+ * @property {string|Uint8Array} [content] - The file content (for files). Text is
+ * kept as a string, binary data (images, audio, archives) as a Uint8Array.
+ * @property {string} [encoding] - 'utf8' or 'binary', saying which of the two
+ * `content` holds. Nodes from before binary support simply leave it out.
  * @property {string} [target] - The path the symlink points to (for symbolic links).
  */
 
+/**
+ * The ~/.oopisrc every new home directory starts with.
+ * @type {string}
+ */
+const DEFAULT_STARTUP_FILE = `# ~/.oopisrc: run each time you log in. The variables, aliases and
+# functions set here last for the whole session.
+#
+# PS1 sets the prompt. It understands \\u (user), \\h (host), \\w (directory),
+# \\W (its last part), \\$ (# for root, $ otherwise), \\t (time), \\d (date),
+# \\j (jobs), \\? (last exit status), $(command) for a command's output,
+# and \\e[...m for colours. For example:
+#
+# set PS1='\\e[1;32m\\u@\\h\\e[0m:\\e[1;34m\\w\\e[0m\\$ '
+`;
+
 /**
  * Manages the entire virtual filesystem state, including user permissions,
  * file operations, and persistence to the underlying storage layer.
@@ -54,6 +72,7 @@ class FileSystemManager {
    */
   async initialize(guestUsername) {
     const nowISO = new Date().toISOString();
+    this.storageHAL.markAllDirty();
     this.fsData = {
       [this.config.FILESYSTEM.ROOT_PATH]: {
         type: this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE,
@@ -151,27 +170,38 @@ class FileSystemManager {
     }
     const homeDirNode = this.fsData["/"].children.home;
     if (!homeDirNode.children[username]) {
+      const nowISO = new Date().toISOString();
       homeDirNode.children[username] = {
         type: this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE,
-        children: {},
+        children: {
+          [this.config.FILESYSTEM.STARTUP_FILE_NAME]: {
+            type: this.config.FILESYSTEM.DEFAULT_FILE_TYPE,
+            content: DEFAULT_STARTUP_FILE,
+            owner: username,
+            group: username,
+            mode: this.config.FILESYSTEM.DEFAULT_FILE_MODE,
+            mtime: nowISO,
+          },
+        },
         owner: username,
         group: username,
         mode: 0o755,
-        mtime: new Date().toISOString(),
+        mtime: nowISO,
       };
-      homeDirNode.mtime = new Date().toISOString();
+      homeDirNode.mtime = nowISO;
+      this.markDirty(`/home/${username}`, { recursive: true, withParent: true });
     }
   }
 
   /**
-   * Saves the entire in-memory filesystem to persistent storage.
-   * This commits all changes and makes them permanent.
+   * Saves the in-memory filesystem to persistent storage.
+   * This commits all changes and makes them permanent. Only the paths marked
+   * with `markDirty` since the last save are written.
    * @returns {Promise<object>} A promise that resolves to a success or error object.
    */
   async save() {
-    const { ErrorHandler, Utils } = this.dependencies;
-    const saveData = Utils.deepCopyNode(this.fsData);
-    const success = await this.storageHAL.save(saveData);
+    const { ErrorHandler } = this.dependencies;
+    const success = await this.storageHAL.save(this.fsData);
     if (success) {
       return ErrorHandler.createSuccess();
     }
@@ -205,6 +235,7 @@ class FileSystemManager {
             mtime: nowISO,
           };
           console.log("FileSystem Migration: Created missing /etc/sudoers file.");
+          this.markDirty("/etc/sudoers");
           needsSave = true;
         }
 
@@ -218,11 +249,13 @@ class FileSystemManager {
             mtime: nowISO,
           };
           console.log("FileSystem Migration: Created missing /etc/agenda.json file.");
+          this.markDirty("/etc/agenda.json");
           needsSave = true;
         }
 
         if (needsSave) {
           etcNode.mtime = nowISO;
+          this.markDirty("/etc");
           await this.save();
         }
       }
@@ -250,6 +283,93 @@ class FileSystemManager {
     return this.dependencies.ErrorHandler.createError("Could not clear all user file systems.");
   }
 
+  /**
+   * Connects to the storage backend used by the previous boot (IndexedDB the
+   * very first time). If that backend isn't available here, say an Electron
+   * setting carried over to a plain browser, the default one steps in.
+   * @returns {Promise<boolean>} A promise that resolves to true if a backend is ready.
+   */
+  async initializeStorage() {
+    const { StorageManager } = this.dependencies;
+    const preferred = StorageManager.loadItem(
+        this.config.STORAGE_KEYS.STORAGE_BACKEND,
+        "Storage backend",
+        this.config.STORAGE.DEFAULT_BACKEND
+    );
+    if (preferred !== this.storageHAL.capabilities.name) {
+      const backend = StorageHAL.create(preferred);
+      // Older boots could remember 'memory', which has nothing to load.
+      if (backend?.capabilities.persistent) {
+        backend.setDependencies(this.dependencies);
+        if (await backend.init()) {
+          this._useStorageHAL(backend);
+          return true;
+        }
+      }
+      console.warn(`FileSystem: Storage backend '${preferred}' is unavailable. Falling back to '${this.storageHAL.capabilities.name}'.`);
+    }
+    return this.storageHAL.init();
+  }
+
+  /**
+   * Moves the filesystem to another storage backend. The whole in-memory tree
+   * is written to the new backend, replacing whatever it held before, and a
+   * persistent choice is remembered so the next boot loads from there.
+   * Leaving the non-persistent 'memory' backend is the exception: its tree was
+   * only ever a scratch copy, so a file system already stored in the target
+   * is loaded instead of being overwritten.
+   * @param {string} backendName - The backend's name, such as "opfs".
+   * @returns {Promise<object>} A promise that resolves to a success object (carrying a
+   * message if anything changed) or an error object.
+   */
+  async switchStorageBackend(backendName) {
+    const { ErrorHandler } = this.dependencies;
+    const name = String(backendName).toLowerCase();
+    if (name === this.storageHAL.capabilities.name) {
+      return ErrorHandler.createSuccess(null);
+    }
+    const backend = StorageHAL.create(name);
+    if (!backend) {
+      return ErrorHandler.createError(`Unknown storage backend '${backendName}'.`);
+    }
+    backend.setDependencies(this.dependencies);
+    if (!(await backend.init())) {
+      return ErrorHandler.createError(`Storage backend '${name}' is not available here.`);
+    }
+    if (!this.storageHAL.capabilities.persistent && backend.capabilities.persistent) {
+      const storedData = await backend.load();
+      if (storedData) {
+        this.fsData = storedData;
+        this._useStorageHAL(backend);
+        return ErrorHandler.createSuccess(`File system loaded from the '${name}' storage backend.`);
+      }
+    }
+    if (!(await backend.clear()) || !(await backend.save(this.fsData))) {
+      return ErrorHandler.createError(`Could not copy the file system to the '${name}' storage backend.`);
+    }
+    this._useStorageHAL(backend);
+    return ErrorHandler.createSuccess(`File system moved to the '${name}' storage backend.`);
+  }
+
+  /**
+   * Makes a backend the active one for this session and, if it keeps its data,
+   * for the next boot. The 'memory' backend is never remembered: a boot after
+   * it would start from an empty file system, with the data and the
+   * oopis.conf line that chose it stranded in the backend before it.
+   * @private
+   * @param {StorageHAL} backend - An initialized backend.
+   */
+  _useStorageHAL(backend) {
+    this.storageHAL = backend;
+    this.dependencies.StorageHAL = backend;
+    if (!backend.capabilities.persistent) return;
+    this.dependencies.StorageManager.saveItem(
+        this.config.STORAGE_KEYS.STORAGE_BACKEND,
+        backend.capabilities.name,
+        "Storage backend"
+    );
+  }
+
   /**
    * Retrieves the current working directory.
    * @returns {string} The current path.
@@ -281,6 +401,29 @@ class FileSystemManager {
    */
   setFsData(newData) {
     this.fsData = newData;
+    this.storageHAL.markAllDirty();
+  }
+
+  /**
+   * Tells the storage backend that a node changed, so the next save writes it.
+   * Anything that changes a node in place (its content, mode, owner, mtime or
+   * children) must call this; a path that no longer exists is deleted from
+   * storage along with everything stored below it.
+   * @param {string} path - The absolute path of the node that changed.
+   * @param {object} [options={}] - Options.
+   * @param {boolean} [options.recursive=false] - Whether everything below it changed too,
+   * as after a copy or a move.
+   * @param {boolean} [options.withParent=false] - Whether to mark the parent directory as
+   * well, as when the node was created or removed and the parent's mtime moved.
+   */
+  markDirty(path, options = {}) {
+    this.storageHAL.markDirty(path, !!options.recursive);
+    if (options.withParent && path !== this.config.FILESYSTEM.ROOT_PATH) {
+      this.storageHAL.markDirty(
+          path.substring(0, path.lastIndexOf(this.config.FILESYSTEM.PATH_SEPARATOR)) ||
+          this.config.FILESYSTEM.ROOT_PATH
+      );
+    }
   }
 
   /**
@@ -453,7 +596,9 @@ class FileSystemManager {
 
     for (const perm of permissions) {
       if (!this.hasPermission(node, currentUser, perm)) {
-        return ErrorHandler.createError(`${pathArg}: Permission denied`);
+        return ErrorHandler.createError(`${pathArg}: Permission denied`, {
+          exitCode: ErrorHandler.EXIT_CODES.PERMISSION_DENIED,
+        });
       }
     }
 
@@ -468,7 +613,7 @@ class FileSystemManager {
   calculateNodeSize(node) {
     if (!node) return 0;
     if (node.type === this.config.FILESYSTEM.DEFAULT_FILE_TYPE)
-      return (node.content || "").length;
+      return this.dependencies.Utils.getByteLength(node.content);
     if (node.type === this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
       let totalSize = 0;
       for (const childName in node.children)
@@ -488,6 +633,7 @@ class FileSystemManager {
     if (!nodePath || !nowISO) return;
     const node = this.getNodeByPath(nodePath);
     if (node) node.mtime = nowISO;
+    this.markDirty(nodePath);
     if (nodePath !== this.config.FILESYSTEM.ROOT_PATH) {
       const parentPath =
           nodePath.substring(
@@ -498,8 +644,10 @@ class FileSystemManager {
       if (
           parentNode &&
           parentNode.type === this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE
-      )
+      ) {
         parentNode.mtime = nowISO;
+        this.markDirty(parentPath);
+      }
     }
   }
 
@@ -569,6 +717,7 @@ class FileSystemManager {
           mtime: nowISO,
         };
         currentParentNode.mtime = nowISO;
+        this.markDirty(this.getAbsolutePath(segment, currentProcessedPath), { withParent: true });
       } else if (
           currentParentNode.children[segment].type !==
           this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE
@@ -731,6 +880,7 @@ class FileSystemManager {
     if (node.type === this.config.FILESYSTEM.SYMBOLIC_LINK_TYPE) {
       delete parentNode.children[itemName];
       parentNode.mtime = nowISO;
+      this.markDirty(resolvedPath, { withParent: true });
       anyChangeMade = true;
       return ErrorHandler.createSuccess({ messages, anyChangeMade });
     }
@@ -756,6 +906,7 @@ class FileSystemManager {
 
     delete parentNode.children[itemName];
     parentNode.mtime = nowISO;
+    this.markDirty(resolvedPath, { withParent: true });
     anyChangeMade = true;
     return ErrorHandler.createSuccess({ messages, anyChangeMade });
   }
@@ -764,7 +915,7 @@ class FileSystemManager {
    * Creates a new file node object with default properties.
    * @private
    * @param {string} name - The name of the new file.
-   * @param {string} content - The content of the new file.
+   * @param {string|Uint8Array} content - The content of the new file.
    * @param {string} owner - The owner of the file.
    * @param {string} group - The group of the file.
    * @param {number|null} [mode=null] - The permission mode. Defaults to `config.FILESYSTEM.DEFAULT_FILE_MODE`.
@@ -775,6 +926,7 @@ class FileSystemManager {
     return {
       type: this.config.FILESYSTEM.DEFAULT_FILE_TYPE,
       content: content || "",
+      encoding: this._encodingOf(content),
       owner: owner,
       group: group,
       mode: mode !== null ? mode : this.config.FILESYSTEM.DEFAULT_FILE_MODE,
@@ -782,6 +934,16 @@ class FileSystemManager {
     };
   }
 
+  /**
+   * Names the encoding a file node should record for its content.
+   * @private
+   * @param {string|Uint8Array} content - The file content.
+   * @returns {string} 'binary' for bytes, 'utf8' for text.
+   */
+  _encodingOf(content) {
+    return this.dependencies.Utils.isBinaryContent(content) ? "binary" : "utf8";
+  }
+
   /**
    * Calculates the total size of the filesystem.
    * @private
@@ -827,12 +989,13 @@ class FileSystemManager {
    * Creates or updates a file at a specified path.
    * This is the core workhorse function for file writing.
    * @param {string} absolutePath - The absolute path of the file.
-   * @param {string} content - The content to write to the file.
+   * @param {string|Uint8Array|ArrayBuffer} content - The content to write to the file. Bytes are
+   * stored as-is and the node is marked as binary.
    * @param {object} context - The context of the operation, including user and group info.
    * @returns {Promise<object>} A promise that resolves to a success or error object.
    */
   async createOrUpdateFile(absolutePath, content, context) {
-    const { ErrorHandler } = this.dependencies;
+    const { ErrorHandler, Utils } = this.dependencies;
     const {
       currentUser,
       primaryGroup,
@@ -853,16 +1016,21 @@ class FileSystemManager {
       if (parentNode.children && !parentNode.children[dirName]) {
         parentNode.children[dirName] = this._createNewDirectoryNode(currentUser, primaryGroup);
         parentNode.mtime = nowISO;
+        this.markDirty(absolutePath, { withParent: true });
       }
       return ErrorHandler.createSuccess();
     }
 
+    if (content instanceof ArrayBuffer) {
+      content = new Uint8Array(content);
+    }
     const existingNode = this.getNodeByPath(absolutePath);
-    const changeInBytes = (content || "").length - (existingNode?.content?.length || 0);
+    const newSize = Utils.getByteLength(content);
+    const changeInBytes = newSize - Utils.getByteLength(existingNode?.content);
 
     if (this._willOperationExceedQuota(changeInBytes)) {
       return ErrorHandler.createError(
-          `Disk quota exceeded. Cannot write ${content.length} bytes.`
+          `Disk quota exceeded. Cannot write ${newSize} bytes.`
       );
     }
 
@@ -876,7 +1044,9 @@ class FileSystemManager {
         return ErrorHandler.createError(`'${absolutePath}': Permission denied`);
       }
       existingNode.content = content;
+      existingNode.encoding = this._encodingOf(content);
       existingNode.mtime = nowISO;
+      this.markDirty(absolutePath);
     } else {
       const parentDirResult =
           this.createParentDirectoriesIfNeeded(absolutePath);
@@ -915,6 +1085,7 @@ class FileSystemManager {
           primaryGroup
       );
       parentNode.mtime = nowISO;
+      this.markDirty(absolutePath, { withParent: true });
     }
 
     return ErrorHandler.createSuccess();
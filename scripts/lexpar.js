@@ -12,6 +12,11 @@ const TokenType = {
   OPERATOR_GT: "OPERATOR_GT",
   OPERATOR_GTGT: "OPERATOR_GTGT",
   OPERATOR_LT: "OPERATOR_LT",
+  OPERATOR_ERR_GT: "OPERATOR_ERR_GT",
+  OPERATOR_ERR_GTGT: "OPERATOR_ERR_GTGT",
+  OPERATOR_ERR_TO_OUT: "OPERATOR_ERR_TO_OUT",
+  OPERATOR_ALL_GT: "OPERATOR_ALL_GT",
+  OPERATOR_ALL_GTGT: "OPERATOR_ALL_GTGT",
   OPERATOR_PIPE: "OPERATOR_PIPE",
   OPERATOR_SEMICOLON: "OPERATOR_SEMICOLON",
   OPERATOR_BG: "OPERATOR_BG",
@@ -77,6 +82,10 @@ class Lexer {
         this.tokens.push(this._tokenizeString("'"));
         continue;
       }
+      if (char === "2" && this.input[this.position + 1] === ">") {
+        this.tokens.push(this._tokenizeStderrRedirect());
+        continue;
+      }
       if (char === ">") {
         if (this.input[this.position + 1] === ">") {
           this.tokens.push(
@@ -118,7 +127,19 @@ class Lexer {
         continue;
       }
       if (char === "&") {
-        if (this.input[this.position + 1] === "&") {
+        if (this.input[this.position + 1] === ">") {
+          if (this.input[this.position + 2] === ">") {
+            this.tokens.push(
+                new Token(TokenType.OPERATOR_ALL_GTGT, "&>>", this.position)
+            );
+            this.position += 3;
+          } else {
+            this.tokens.push(
+                new Token(TokenType.OPERATOR_ALL_GT, "&>", this.position)
+            );
+            this.position += 2;
+          }
+        } else if (this.input[this.position + 1] === "&") {
           this.tokens.push(
               new Token(TokenType.OPERATOR_AND, "&&", this.position)
           );
@@ -172,6 +193,27 @@ class Lexer {
     return this.tokens;
   }
 
+  /**
+   * Tokenizes a stderr redirection operator starting with '2>'.
+   * Recognizes '2>', '2>>' and '2>&1'.
+   * @private
+   * @returns {Token} The redirection token.
+   */
+  _tokenizeStderrRedirect() {
+    const startPos = this.position;
+    const rest = this.input.substring(this.position);
+    if (rest.startsWith("2>&1")) {
+      this.position += 4;
+      return new Token(TokenType.OPERATOR_ERR_TO_OUT, "2>&1", startPos);
+    }
+    if (rest.startsWith("2>>")) {
+      this.position += 3;
+      return new Token(TokenType.OPERATOR_ERR_GTGT, "2>>", startPos);
+    }
+    this.position += 2;
+    return new Token(TokenType.OPERATOR_ERR_GT, "2>", startPos);
+  }
+
   /**
    * Tokenizes a quoted string, handling escaped characters.
    * @private
@@ -229,6 +271,19 @@ class ParsedCommandSegment {
   constructor(command, args) {
     this.command = command;
     this.args = args;
+    /**
+     * Where this command's error output goes. `null` means the terminal,
+     * `{type: "stdout"}` merges it into standard output, and
+     * `{type: "overwrite"|"append", file}` writes it to a file.
+     * @type {object|null}
+     */
+    this.stderrRedirection = null;
+    /**
+     * The indexes of the arguments that were quoted, kept for '[[' only,
+     * whose '==' treats an unquoted right-hand side as a pattern.
+     * @type {number[]}
+     */
+    this.quotedArgs = [];
   }
 }
 
@@ -331,6 +386,11 @@ class Parser {
       TokenType.OPERATOR_GT,
       TokenType.OPERATOR_GTGT,
       TokenType.OPERATOR_LT,
+      TokenType.OPERATOR_ERR_GT,
+      TokenType.OPERATOR_ERR_GTGT,
+      TokenType.OPERATOR_ERR_TO_OUT,
+      TokenType.OPERATOR_ALL_GT,
+      TokenType.OPERATOR_ALL_GTGT,
     ];
     if (terminators.includes(this._currentToken().type)) {
       return null;
@@ -338,60 +398,19 @@ class Parser {
     const cmdToken = this._expectAndConsume(TokenType.WORD);
     const command = cmdToken.value;
     const args = [];
+    const quotedArgs = [];
+    // Like bash, '[[ ]]' leaves its words alone so '==' can match them as patterns.
+    const expandGlobs = command !== "[[";
     while (!terminators.includes(this._currentToken().type)) {
       const argToken = this._currentToken();
       if (argToken.type === TokenType.WORD) {
-        const globPattern = argToken.value;
-        const { FileSystemManager, Utils } = this.dependencies;
-        if (globPattern.includes("*") || globPattern.includes("?")) {
-          const lastSlashIndex = globPattern.lastIndexOf("/");
-          const pathPrefix =
-              lastSlashIndex > -1
-                  ? globPattern.substring(0, lastSlashIndex + 1)
-                  : ".";
-          const patternPart =
-              lastSlashIndex > -1
-                  ? globPattern.substring(lastSlashIndex + 1)
-                  : globPattern;
-
-          const searchDir =
-              pathPrefix === "/"
-                  ? "/"
-                  : FileSystemManager.getAbsolutePath(
-                      pathPrefix,
-                      FileSystemManager.getCurrentPath()
-                  );
-          const dirNode = FileSystemManager.getNodeByPath(searchDir);
-
-          if (dirNode && dirNode.type === "directory") {
-            const regex = Utils.globToRegex(patternPart);
-            if (regex) {
-              const matches = Object.keys(dirNode.children).filter((name) =>
-                  regex.test(name)
-              );
-              if (matches.length > 0) {
-                args.push(
-                    ...matches.map((name) =>
-                        pathPrefix === "." ? name : `${pathPrefix}${name}`
-                    )
-                );
-              } else {
-                args.push(globPattern);
-              }
-            } else {
-              args.push(globPattern);
-            }
-          } else {
-            args.push(globPattern);
-          }
-        } else {
-          args.push(globPattern);
-        }
+        args.push(...(expandGlobs ? this._expandGlob(argToken.value) : [argToken.value]));
         this._nextToken();
       } else if (
           argToken.type === TokenType.STRING_DQ ||
           argToken.type === TokenType.STRING_SQ
       ) {
+        if (!expandGlobs) quotedArgs.push(args.length);
         args.push(argToken.value);
         this._nextToken();
       } else {
@@ -400,7 +419,136 @@ class Parser {
         );
       }
     }
-    return new ParsedCommandSegment(command, args);
+    const segment = new ParsedCommandSegment(command, args);
+    segment.quotedArgs = quotedArgs;
+    return segment;
+  }
+
+  /**
+   * Expands a bare word containing '*' or '?' into the matching paths.
+   * Words that match nothing (or contain no wildcards) are returned as-is.
+   * @private
+   * @param {string} globPattern - The word to expand.
+   * @returns {string[]} The expanded words.
+   */
+  _expandGlob(globPattern) {
+    const { FileSystemManager, Utils } = this.dependencies;
+    if (!globPattern.includes("*") && !globPattern.includes("?")) {
+      return [globPattern];
+    }
+    const lastSlashIndex = globPattern.lastIndexOf("/");
+    const pathPrefix =
+        lastSlashIndex > -1
+            ? globPattern.substring(0, lastSlashIndex + 1)
+            : ".";
+    const patternPart =
+        lastSlashIndex > -1
+            ? globPattern.substring(lastSlashIndex + 1)
+            : globPattern;
+
+    const searchDir =
+        pathPrefix === "/"
+            ? "/"
+            : FileSystemManager.getAbsolutePath(
+                pathPrefix,
+                FileSystemManager.getCurrentPath()
+            );
+    const dirNode = FileSystemManager.getNodeByPath(searchDir);
+    if (!dirNode || dirNode.type !== "directory") {
+      return [globPattern];
+    }
+    const regex = Utils.globToRegex(patternPart);
+    if (!regex) {
+      return [globPattern];
+    }
+    const matches = Object.keys(dirNode.children).filter((name) =>
+        regex.test(name)
+    );
+    if (matches.length === 0) {
+      return [globPattern];
+    }
+    return matches.map((name) =>
+        pathPrefix === "." ? name : `${pathPrefix}${name}`
+    );
+  }
+
+  /**
+   * Consumes the filename that must follow a redirection operator.
+   * @private
+   * @param {Token} opToken - The redirection operator token.
+   * @returns {string} The target filename.
+   */
+  _expectRedirectTarget(opToken) {
+    const fileToken =
+        this._expectAndConsume(TokenType.WORD, true) ||
+        this._expectAndConsume(TokenType.STRING_DQ, true) ||
+        this._expectAndConsume(TokenType.STRING_SQ, true);
+    if (!fileToken) {
+      throw new Error(
+          `Parser Error: Expected filename after redirection operator '${opToken.value}'.`
+      );
+    }
+    return fileToken.value;
+  }
+
+  /**
+   * Parses any output redirections following a command segment. Standard
+   * output redirections apply to the whole pipeline, while stderr
+   * redirections ('2>', '2>>', '2>&1') apply to the segment they follow.
+   * '&>' and '&>>' redirect both streams to the same file. As in sh, '2>&1'
+   * points stderr wherever stdout goes at that moment, so in 'cmd 2>&1 > file'
+   * stderr stays on the terminal.
+   * @private
+   * @param {ParsedPipeline} pipeline - The pipeline being built.
+   * @param {ParsedCommandSegment|null} segment - The segment the redirections follow.
+   */
+  _parseRedirections(pipeline, segment) {
+    // Whether stderr was last joined to stdout while stdout still went to the terminal.
+    let stderrOnTerminal = false;
+    while (true) {
+      const opToken = this._currentToken();
+      switch (opToken.type) {
+        case TokenType.OPERATOR_GT:
+        case TokenType.OPERATOR_GTGT:
+          this._nextToken();
+          pipeline.redirection = {
+            type: opToken.type === TokenType.OPERATOR_GTGT ? "append" : "overwrite",
+            file: this._expectRedirectTarget(opToken),
+          };
+          if (segment && stderrOnTerminal) segment.stderrRedirection = null;
+          break;
+        case TokenType.OPERATOR_ALL_GT:
+        case TokenType.OPERATOR_ALL_GTGT:
+          this._nextToken();
+          pipeline.redirection = {
+            type: opToken.type === TokenType.OPERATOR_ALL_GTGT ? "append" : "overwrite",
+            file: this._expectRedirectTarget(opToken),
+          };
+          if (segment) segment.stderrRedirection = { type: "stdout" };
+          stderrOnTerminal = false;
+          break;
+        case TokenType.OPERATOR_ERR_GT:
+        case TokenType.OPERATOR_ERR_GTGT: {
+          this._nextToken();
+          const errFile = this._expectRedirectTarget(opToken);
+          if (segment) {
+            segment.stderrRedirection = {
+              type: opToken.type === TokenType.OPERATOR_ERR_GTGT ? "append" : "overwrite",
+              file: errFile,
+            };
+          }
+          stderrOnTerminal = false;
+          break;
+        }
+        case TokenType.OPERATOR_ERR_TO_OUT:
+          this._nextToken();
+          if (segment) segment.stderrRedirection = { type: "stdout" };
+          stderrOnTerminal = !pipeline.redirection;
+          break;
+        default:
+          return;
+      }
+    }
   }
 
   /**
@@ -430,8 +578,14 @@ class Parser {
     if (currentSegment) {
       pipeline.segments.push(currentSegment);
     }
+    this._parseRedirections(pipeline, currentSegment);
 
     while (this._currentToken().type === TokenType.OPERATOR_PIPE) {
+      if (pipeline.redirection) {
+        throw new Error(
+            "Parser Error: Output redirection must come at the end of a pipeline."
+        );
+      }
       this._nextToken();
       currentSegment = this._parseSingleCommandSegment();
       if (!currentSegment) {
@@ -440,27 +594,7 @@ class Parser {
         );
       }
       pipeline.segments.push(currentSegment);
-    }
-
-    if (
-        this._currentToken().type === TokenType.OPERATOR_GT ||
-        this._currentToken().type === TokenType.OPERATOR_GTGT
-    ) {
-      const opToken = this._currentToken();
-      this._nextToken();
-      const fileToken =
-          this._expectAndConsume(TokenType.WORD, true) ||
-          this._expectAndConsume(TokenType.STRING_DQ, true) ||
-          this._expectAndConsume(TokenType.STRING_SQ, true);
-      if (!fileToken) {
-        throw new Error(
-            `Parser Error: Expected filename after redirection operator '${opToken.value}'.`
-        );
-      }
-      pipeline.redirection = {
-        type: opToken.type === TokenType.OPERATOR_GTGT ? "append" : "overwrite",
-        file: fileToken.value,
-      };
+      this._parseRedirections(pipeline, currentSegment);
     }
 
     return pipeline.segments.length > 0 ||
@@ -525,4 +659,468 @@ class Parser {
     this._expectAndConsume(TokenType.EOF);
     return commandSequence;
   }
-}
\ No newline at end of file
+
+  /**
+   * Parses the token stream as a plain list of words, the way the items of a
+   * 'for' loop or the subject of a 'case' are read. Globs are expanded, quoted
+   * strings are kept whole, and operators are not allowed.
+   * @returns {string[]} The words.
+   */
+  parseWordList() {
+    const words = [];
+    while (this._currentToken().type !== TokenType.EOF) {
+      const token = this._currentToken();
+      if (token.type === TokenType.WORD) {
+        words.push(...this._expandGlob(token.value));
+      } else if (
+          token.type === TokenType.STRING_DQ ||
+          token.type === TokenType.STRING_SQ
+      ) {
+        words.push(token.value);
+      } else {
+        throw new Error(
+            `Parser Error: Unexpected token '${token.value}' in word list at position ${token.position}.`
+        );
+      }
+      this._nextToken();
+    }
+    return words;
+  }
+}
+
+/**
+ * Reads the lines of a script and groups them into blocks, so the executor
+ * can run `if`, `while`/`until`, `for` and `case` constructs and define
+ * shell functions instead of
+ * marching straight down the page. Plain lines are left untouched and are
+ * still handed to the Lexer and Parser one at a time when they run.
+ *
+ * The result is an array of nodes, each carrying the zero-based `lineIndex`
+ * it started on:
+ * - `{type: "command", text}`
+ * - `{type: "if", branches: [{condition, body}], elseBody}`
+ * - `{type: "while"|"until", condition, body}`
+ * - `{type: "for", variable, wordsText, body}` (`wordsText` is null without `in`)
+ * - `{type: "case", wordText, clauses: [{patterns, body}]}`
+ * - `{type: "function", name, body}` for `name() { … }` definitions
+ * @class ScriptParser
+ */
+class ScriptParser {
+  /**
+   * @constructor
+   * @param {string[]} lines - The raw lines of the script.
+   */
+  constructor(lines) {
+    this.lines = lines;
+    this.statements = [];
+    this.position = 0;
+  }
+
+  /**
+   * The words that open, divide or close a block.
+   * @type {string[]}
+   */
+  static get KEYWORDS() {
+    return [
+      "if", "then", "elif", "else", "fi",
+      "while", "until", "for", "do", "done",
+      "case", "esac", "{", "}",
+    ];
+  }
+
+  /**
+   * Parses the whole script into a tree of nodes.
+   * @returns {object[]} The top-level nodes of the script.
+   * @throws {Error} If a block is left open or a keyword turns up out of place.
+   */
+  parse() {
+    this.statements = [];
+    this.position = 0;
+    this.lines.forEach((line, lineIndex) => {
+      this.statements.push(...this._splitLine(line, lineIndex));
+    });
+
+    const nodes = this._parseBlock([]);
+    if (this.position < this.statements.length) {
+      this._unexpected(this.statements[this.position]);
+    }
+    return nodes;
+  }
+
+  /**
+   * Breaks a line into statements. Lines that have nothing to do with
+   * control flow come back whole, so `a; b` still reaches the command
+   * parser exactly as written.
+   * @private
+   * @param {string} line - The raw line.
+   * @param {number} lineIndex - The line's index in the script.
+   * @returns {object[]} The statements found on the line.
+   */
+  _splitLine(line, lineIndex) {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) {
+      return [];
+    }
+    const pieces = this._splitOnSemicolons(trimmed);
+    const needsSplitting = pieces.some(
+        (piece) =>
+            piece === ";;" ||
+            this._leadingKeyword(piece) ||
+            this._functionHeader(piece)
+    );
+    if (!needsSplitting) {
+      return [{ text: trimmed, lineIndex }];
+    }
+    const statements = [];
+    for (const piece of pieces) {
+      statements.push(...this._classify(piece, lineIndex));
+    }
+    return statements;
+  }
+
+  /**
+   * Splits text on semicolons that sit outside quotes and `$( … )`,
+   * keeping `;;` as a piece of its own and dropping a trailing comment.
+   * @private
+   * @param {string} text - The text to split.
+   * @returns {string[]} The non-empty, trimmed pieces.
+   */
+  _splitOnSemicolons(text) {
+    const pieces = [];
+    let current = "";
+    let quote = null;
+    let depth = 0;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === "\\" && quote !== "'") {
+        current += char + (text[i + 1] || "");
+        i++;
+        continue;
+      }
+      if (quote) {
+        if (char === quote) quote = null;
+        current += char;
+        continue;
+      }
+      if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === "$" && text[i + 1] === "(") {
+        depth++;
+      } else if (char === ")" && depth > 0) {
+        depth--;
+      } else if (depth === 0 && char === "#" && (i === 0 || /\s/.test(text[i - 1]))) {
+        break;
+      } else if (depth === 0 && char === ";") {
+        pieces.push(current);
+        current = "";
+        if (text[i + 1] === ";") {
+          pieces.push(";;");
+          i++;
+        }
+        continue;
+      }
+      current += char;
+    }
+    pieces.push(current);
+    return pieces.map((piece) => piece.trim()).filter((piece) => piece);
+  }
+
+  /**
+   * Returns the block keyword a piece of text starts with, if any.
+   * @private
+   * @param {string} text - The statement text.
+   * @returns {string|null} The keyword, or null.
+   */
+  _leadingKeyword(text) {
+    const firstWord = text.split(/\s+/)[0];
+    return ScriptParser.KEYWORDS.includes(firstWord) ? firstWord : null;
+  }
+
+  /**
+   * Recognises the start of a function definition, either `name()` or
+   * `function name`, optionally followed by the opening brace and more.
+   * @private
+   * @param {string} text - The statement text.
+   * @returns {{name: string, rest: string}|null} The function name and
+   * whatever follows the header, or null.
+   */
+  _functionHeader(text) {
+    const match =
+        text.match(/^([a-zA-Z_][a-zA-Z0-9_-]*)\s*\(\s*\)\s*(.*)$/) ||
+        text.match(/^function\s+([a-zA-Z_][a-zA-Z0-9_-]*)(?:\s*\(\s*\))?\s*(.*)$/);
+    if (!match || (match[2] && !/^\{(\s|$)/.test(match[2]))) {
+      return null;
+    }
+    return { name: match[1], rest: match[2] };
+  }
+
+  /**
+   * Turns a piece of text into one or more statements, peeling off a
+   * leading keyword. `then`, `do`, `else` and `{` may share their line with
+   * the first command of the block they open.
+   * @private
+   * @param {string} text - The statement text.
+   * @param {number} lineIndex - The line it came from.
+   * @returns {object[]} The statements.
+   */
+  _classify(text, lineIndex) {
+    if (text === ";;") {
+      return [{ keyword: ";;", text: "", lineIndex }];
+    }
+    const header = this._functionHeader(text);
+    if (header) {
+      const statements = [{ keyword: "function", text: header.name, lineIndex }];
+      if (header.rest) statements.push(...this._classify(header.rest, lineIndex));
+      return statements;
+    }
+    const keyword = this._leadingKeyword(text);
+    if (!keyword) {
+      return [{ text, lineIndex }];
+    }
+    const rest = text.slice(keyword.length).trim();
+    if (["then", "do", "else", "{"].includes(keyword)) {
+      const statements = [{ keyword, text: "", lineIndex }];
+      if (rest) statements.push(...this._classify(rest, lineIndex));
+      return statements;
+    }
+    return [{ keyword, text: rest, lineIndex }];
+  }
+
+  /**
+   * Parses statements into nodes until one of the given keywords is reached.
+   * The terminating keyword is left for the caller to consume.
+   * @private
+   * @param {string[]} terminators - Keywords that end this block.
+   * @returns {object[]} The nodes of the block.
+   */
+  _parseBlock(terminators) {
+    const nodes = [];
+    while (this.position < this.statements.length) {
+      const statement = this.statements[this.position];
+      if (statement.keyword && terminators.includes(statement.keyword)) {
+        break;
+      }
+      switch (statement.keyword) {
+        case undefined:
+          this.position++;
+          nodes.push({
+            type: "command",
+            text: statement.text,
+            lineIndex: statement.lineIndex,
+          });
+          break;
+        case "if":
+          nodes.push(this._parseIf());
+          break;
+        case "while":
+        case "until":
+          nodes.push(this._parseLoop());
+          break;
+        case "for":
+          nodes.push(this._parseFor());
+          break;
+        case "case":
+          nodes.push(this._parseCase());
+          break;
+        case "function":
+          nodes.push(this._parseFunction());
+          break;
+        default:
+          this._unexpected(statement);
+      }
+    }
+    return nodes;
+  }
+
+  /**
+   * Parses the condition of an `if`, `elif`, `while` or `until`: any
+   * commands written after the keyword itself, up to the given keyword.
+   * @private
+   * @param {object} opener - The statement holding the keyword.
+   * @param {string} until - The keyword that ends the condition.
+   * @returns {object[]} The condition's nodes.
+   */
+  _parseCondition(opener, until) {
+    const condition = [];
+    if (opener.text) {
+      condition.push(...this._classify(opener.text, opener.lineIndex).map(
+          (statement) => {
+            if (statement.keyword) this._unexpected(statement);
+            return { type: "command", text: statement.text, lineIndex: statement.lineIndex };
+          }
+      ));
+    }
+    condition.push(...this._parseBlock([until]));
+    if (condition.length === 0) {
+      throw new Error(
+          `Syntax error on line ${opener.lineIndex + 1}: '${opener.keyword}' needs a condition before '${until}'.`
+      );
+    }
+    this._expect(until, opener);
+    return condition;
+  }
+
+  /**
+   * Parses `if … then … [elif … then …] [else …] fi`.
+   * @private
+   * @returns {object} The `if` node.
+   */
+  _parseIf() {
+    const opener = this.statements[this.position++];
+    const node = { type: "if", branches: [], elseBody: null, lineIndex: opener.lineIndex };
+    let branchOpener = opener;
+
+    while (true) {
+      const condition = this._parseCondition(branchOpener, "then");
+      const body = this._parseBlock(["elif", "else", "fi"]);
+      node.branches.push({ condition, body });
+      const next = this._expect(["elif", "else", "fi"], opener);
+      if (next.keyword === "elif") {
+        branchOpener = next;
+        continue;
+      }
+      if (next.keyword === "else") {
+        node.elseBody = this._parseBlock(["fi"]);
+        this._expect("fi", opener);
+      }
+      return node;
+    }
+  }
+
+  /**
+   * Parses `while … do … done` and `until … do … done`.
+   * @private
+   * @returns {object} The loop node.
+   */
+  _parseLoop() {
+    const opener = this.statements[this.position++];
+    const condition = this._parseCondition(opener, "do");
+    const body = this._parseBlock(["done"]);
+    this._expect("done", opener);
+    return { type: opener.keyword, condition, body, lineIndex: opener.lineIndex };
+  }
+
+  /**
+   * Parses `for name [in words …] do … done`. Without `in`, the loop walks
+   * the script's arguments.
+   * @private
+   * @returns {object} The `for` node.
+   */
+  _parseFor() {
+    const opener = this.statements[this.position++];
+    const match = opener.text.match(/^([a-zA-Z_][a-zA-Z0-9_]*)(?:\s+in(?:\s+(.*))?)?$/);
+    if (!match) {
+      throw new Error(
+          `Syntax error on line ${opener.lineIndex + 1}: expected 'for <name> in <words>'.`
+      );
+    }
+    this._expect("do", opener);
+    const body = this._parseBlock(["done"]);
+    this._expect("done", opener);
+    const hasIn = /\s+in(\s|$)/.test(opener.text);
+    return {
+      type: "for",
+      variable: match[1],
+      wordsText: hasIn ? match[2] || "" : null,
+      body,
+      lineIndex: opener.lineIndex,
+    };
+  }
+
+  /**
+   * Parses `case word in pattern[|pattern]) … ;; … esac`.
+   * @private
+   * @returns {object} The `case` node.
+   */
+  _parseCase() {
+    const opener = this.statements[this.position++];
+    const match = opener.text.match(/^(.+?)\s+in$/);
+    if (!match) {
+      throw new Error(
+          `Syntax error on line ${opener.lineIndex + 1}: expected 'case <word> in'.`
+      );
+    }
+    const node = { type: "case", wordText: match[1], clauses: [], lineIndex: opener.lineIndex };
+
+    while (this.position < this.statements.length) {
+      const statement = this.statements[this.position];
+      if (statement.keyword === "esac") break;
+      if (statement.keyword) this._unexpected(statement);
+
+      const patternMatch = statement.text.match(/^\(?\s*([^)]*?)\s*\)\s*(.*)$/);
+      if (!patternMatch) {
+        throw new Error(
+            `Syntax error on line ${statement.lineIndex + 1}: expected a 'pattern)' inside 'case'.`
+        );
+      }
+      // Whatever follows 'pattern)' on the same line is the first command
+      // of the clause, so it goes back into the stream to be parsed.
+      this.statements.splice(
+          this.position,
+          1,
+          ...(patternMatch[2] ? this._classify(patternMatch[2], statement.lineIndex) : [])
+      );
+      const body = this._parseBlock([";;", "esac"]);
+      node.clauses.push({
+        patterns: patternMatch[1].split("|").map((pattern) => pattern.trim()),
+        body,
+      });
+      if (this.statements[this.position]?.keyword === ";;") {
+        this.position++;
+      }
+    }
+    this._expect("esac", opener);
+    return node;
+  }
+
+  /**
+   * Parses `name() { … }`. The opening brace may sit on the header's line
+   * or on the next one.
+   * @private
+   * @returns {object} The `function` node.
+   */
+  _parseFunction() {
+    const opener = this.statements[this.position++];
+    this._expect("{", opener);
+    const body = this._parseBlock(["}"]);
+    this._expect("}", opener);
+    return { type: "function", name: opener.text, body, lineIndex: opener.lineIndex };
+  }
+
+  /**
+   * Consumes the next statement, which must be one of the given keywords.
+   * @private
+   * @param {string|string[]} keywords - The acceptable keyword(s).
+   * @param {object} opener - The statement that opened the current block.
+   * @returns {object} The consumed statement.
+   */
+  _expect(keywords, opener) {
+    const accepted = Array.isArray(keywords) ? keywords : [keywords];
+    const statement = this.statements[this.position];
+    if (!statement) {
+      throw new Error(
+          `Syntax error: '${opener.keyword}' on line ${opener.lineIndex + 1} is missing its '${accepted[accepted.length - 1]}'.`
+      );
+    }
+    if (!accepted.includes(statement.keyword)) {
+      throw new Error(
+          `Syntax error on line ${statement.lineIndex + 1}: expected '${accepted.join("' or '")}' to continue the '${opener.keyword}' from line ${opener.lineIndex + 1}.`
+      );
+    }
+    this.position++;
+    return statement;
+  }
+
+  /**
+   * Throws the error for a keyword found where it makes no sense.
+   * @private
+   * @param {object} statement - The offending statement.
+   * @throws {Error}
+   */
+  _unexpected(statement) {
+    throw new Error(
+        `Syntax error on line ${statement.lineIndex + 1}: unexpected '${statement.keyword || statement.text}'.`
+    );
+  }
+}
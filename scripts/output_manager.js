@@ -45,6 +45,12 @@ class OutputManager {
      * @type {Function}
      */
     this.originalConsoleError = console.error;
+    /**
+     * The cells of output lines that were drawn from ANSI text, so a later
+     * carriage return can rewrite them.
+     * @type {WeakMap<HTMLElement, object>}
+     */
+    this.ansiLines = new WeakMap();
   }
 
   /**
@@ -82,7 +88,7 @@ class OutputManager {
    * @returns {Promise<void>}
    */
   async appendToOutput(text, options = {}) {
-    const { Config, TerminalUI, Utils } = this.dependencies;
+    const { Config, TerminalUI, Utils, AnsiUtils } = this.dependencies;
     if (
         this.isEditorActive &&
         options.typeClass !== Config.CSS_CLASSES.EDITOR_MSG &&
@@ -124,8 +130,10 @@ class OutputManager {
 
     const lines = String(text).split("\n");
     const fragment = document.createDocumentFragment();
+    const hasAnsi = AnsiUtils.hasControlCodes(String(text));
+    let ansiStyle = AnsiUtils.DEFAULT_STYLE;
 
-    for (const line of lines) {
+    for (const [index, line] of lines.entries()) {
       const lineClasses = Config.CSS_CLASSES.OUTPUT_LINE.split(" ");
       const lineAttributes = {
         classList: [...lineClasses],
@@ -138,7 +146,31 @@ class OutputManager {
         });
       }
 
-      fragment.appendChild(Utils.createElement("div", lineAttributes));
+      if (!hasAnsi) {
+        fragment.appendChild(Utils.createElement("div", lineAttributes));
+        continue;
+      }
+
+      // Text that opens with a carriage return or an erase-line code goes
+      // back over the last line of output, as progress bars expect.
+      const lastLineElement = this.cachedOutputDiv.lastElementChild;
+      const rewritesLastLine =
+          index === 0 &&
+          /^(\r|\x1b\[[012]?K)/.test(line) &&
+          lastLineElement?.classList.contains(lineClasses[0]);
+      const lineElement = rewritesLastLine
+          ? lastLineElement
+          : Utils.createElement("div", { ...lineAttributes, textContent: "" });
+      let ansiLine = rewritesLastLine ? this.ansiLines.get(lineElement) : null;
+      if (!ansiLine) {
+        ansiLine = AnsiUtils.createLine();
+        if (rewritesLastLine) AnsiUtils.writeLine(ansiLine, lineElement.textContent);
+      }
+      if (rewritesLastLine) ansiLine.column = 0;
+      ansiStyle = AnsiUtils.writeLine(ansiLine, line, ansiStyle);
+      AnsiUtils.renderLine(lineElement, ansiLine);
+      this.ansiLines.set(lineElement, ansiLine);
+      if (!rewritesLastLine) fragment.appendChild(lineElement);
     }
 
     this.cachedOutputDiv.appendChild(fragment);
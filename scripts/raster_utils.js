@@ -0,0 +1,228 @@
+// scripts/raster_utils.js
+
+/**
+ * Turns shapes into the character cells they cover, for anything that draws
+ * on a grid of cells: the paint app's canvas and BASIC's graphics screen.
+ * A grid is shaped like `{width, height, cells}`, where `cells[y][x]` is a
+ * `{char, color}`; only a flood fill looks at the cells. Every method returns
+ * the affected cells as `{x, y, char, color}` and never touches the grid, so
+ * the caller decides how to apply them. Cells outside the grid are left out.
+ * @class RasterUtils
+ */
+class RasterUtils {
+  /**
+   * Gets the cells a square brush covers when centred on a point.
+   * @param {{width: number, height: number}} grid - The grid being drawn on.
+   * @param {number} x - The column of the brush's centre.
+   * @param {number} y - The row of the brush's centre.
+   * @param {string} char - The character to draw.
+   * @param {string} color - The colour to draw in.
+   * @param {number} [brushSize=1] - The brush's width and height in cells.
+   * @returns {Array<{x: number, y: number, char: string, color: string}>} The covered cells.
+   */
+  static getCellsInBrush(grid, x, y, char, color, brushSize = 1) {
+    const affectedCells = [];
+    const offset = Math.floor(brushSize / 2);
+    for (let i = 0; i < brushSize; i++) {
+      for (let j = 0; j < brushSize; j++) {
+        const drawX = x + i - offset;
+        const drawY = y + j - offset;
+        if (drawY >= 0 && drawY < grid.height && drawX >= 0 && drawX < grid.width) {
+          affectedCells.push({ x: drawX, y: drawY, char, color });
+        }
+      }
+    }
+    return affectedCells;
+  }
+
+  /**
+   * Gets the cells of a straight line, using Bresenham's algorithm.
+   * @param {{width: number, height: number}} grid - The grid being drawn on.
+   * @param {number} x0 - The column the line starts in.
+   * @param {number} y0 - The row the line starts in.
+   * @param {number} x1 - The column the line ends in.
+   * @param {number} y1 - The row the line ends in.
+   * @param {string} char - The character to draw.
+   * @param {string} color - The colour to draw in.
+   * @param {number} [brushSize=1] - The brush's width and height in cells.
+   * @returns {Array<{x: number, y: number, char: string, color: string}>} The covered cells.
+   */
+  static getCellsForLine(grid, x0, y0, x1, y1, char, color, brushSize = 1) {
+    const affectedCells = [];
+    const dx = Math.abs(x1 - x0),
+        sx = x0 < x1 ? 1 : -1;
+    const dy = -Math.abs(y1 - y0),
+        sy = y0 < y1 ? 1 : -1;
+    let err = dx + dy,
+        e2;
+
+    for (; ;) {
+      affectedCells.push(...RasterUtils.getCellsInBrush(grid, x0, y0, char, color, brushSize));
+      if (x0 === x1 && y0 === y1) break;
+      e2 = 2 * err;
+      if (e2 >= dy) {
+        err += dy;
+        x0 += sx;
+      }
+      if (e2 <= dx) {
+        err += dx;
+        y0 += sy;
+      }
+    }
+    return affectedCells;
+  }
+
+  /**
+   * Gets the cells of a rectangle's outline.
+   * @param {{width: number, height: number}} grid - The grid being drawn on.
+   * @param {number} x0 - The column of one corner.
+   * @param {number} y0 - The row of one corner.
+   * @param {number} x1 - The column of the opposite corner.
+   * @param {number} y1 - The row of the opposite corner.
+   * @param {string} char - The character to draw.
+   * @param {string} color - The colour to draw in.
+   * @param {number} [brushSize=1] - The brush's width and height in cells.
+   * @returns {Array<{x: number, y: number, char: string, color: string}>} The covered cells.
+   */
+  static getCellsForRect(grid, x0, y0, x1, y1, char, color, brushSize = 1) {
+    return [
+      ...RasterUtils.getCellsForLine(grid, x0, y0, x1, y0, char, color, brushSize),
+      ...RasterUtils.getCellsForLine(grid, x0, y1, x1, y1, char, color, brushSize),
+      ...RasterUtils.getCellsForLine(grid, x0, y0, x0, y1, char, color, brushSize),
+      ...RasterUtils.getCellsForLine(grid, x1, y0, x1, y1, char, color, brushSize),
+    ];
+  }
+
+  /**
+   * Gets the cells of an ellipse's outline, using the midpoint algorithm.
+   * @param {{width: number, height: number}} grid - The grid being drawn on.
+   * @param {number} xc - The column of the centre.
+   * @param {number} yc - The row of the centre.
+   * @param {number} rx - The horizontal radius in cells.
+   * @param {number} ry - The vertical radius in cells.
+   * @param {string} char - The character to draw.
+   * @param {string} color - The colour to draw in.
+   * @param {number} [brushSize=1] - The brush's width and height in cells.
+   * @returns {Array<{x: number, y: number, char: string, color: string}>} The covered cells, each once.
+   */
+  static getCellsForEllipse(grid, xc, yc, rx, ry, char, color, brushSize = 1) {
+    if (rx < 0 || ry < 0) return [];
+    const allPoints = [];
+
+    const plotPoints = (x, y) => {
+      allPoints.push(...RasterUtils.getCellsInBrush(grid, xc + x, yc + y, char, color, brushSize));
+      allPoints.push(...RasterUtils.getCellsInBrush(grid, xc - x, yc + y, char, color, brushSize));
+      allPoints.push(...RasterUtils.getCellsInBrush(grid, xc + x, yc - y, char, color, brushSize));
+      allPoints.push(...RasterUtils.getCellsInBrush(grid, xc - x, yc - y, char, color, brushSize));
+    };
+
+    let x = 0;
+    let y = ry;
+    const rx2 = rx * rx;
+    const ry2 = ry * ry;
+    const twoRx2 = 2 * rx2;
+    const twoRy2 = 2 * ry2;
+    let p;
+    let px = 0;
+    let py = twoRx2 * y;
+
+    plotPoints(x, y);
+    p = Math.round(ry2 - rx2 * ry + 0.25 * rx2);
+    while (px < py) {
+      x++;
+      px += twoRy2;
+      if (p < 0) {
+        p += ry2 + px;
+      } else {
+        y--;
+        py -= twoRx2;
+        p += ry2 + px - py;
+      }
+      plotPoints(x, y);
+    }
+
+    p = Math.round(
+        ry2 * (x + 0.5) * (x + 0.5) + rx2 * (y - 1) * (y - 1) - rx2 * ry2
+    );
+    while (y > 0) {
+      y--;
+      py -= twoRx2;
+      if (p > 0) {
+        p += rx2 - py;
+      } else {
+        x++;
+        px += twoRy2;
+        p += rx2 - py + px;
+      }
+      plotPoints(x, y);
+    }
+
+    const uniqueCells = [];
+    const seen = new Set();
+    for (const cell of allPoints) {
+      const key = `${cell.x},${cell.y}`;
+      if (!seen.has(key)) {
+        uniqueCells.push(cell);
+        seen.add(key);
+      }
+    }
+    return uniqueCells;
+  }
+
+  /**
+   * Gets the cells a flood fill would change: the point and every cell
+   * joined to it, up, down, left or right, with the same character and colour.
+   * @param {{width: number, height: number, cells: Array<Array<{char: string, color: string}>>}} grid - The grid being drawn on.
+   * @param {number} startX - The column to fill from.
+   * @param {number} startY - The row to fill from.
+   * @param {string} fillChar - The character to fill with.
+   * @param {string} fillColor - The colour to fill with.
+   * @returns {Array<{x: number, y: number, char: string, color: string}>} The cells to change,
+   * or none if the point is off the grid or already looks like the fill.
+   */
+  static getCellsForFill(grid, startX, startY, fillChar, fillColor) {
+    const { width, height, cells } = grid;
+    if (startX < 0 || startX >= width || startY < 0 || startY >= height) {
+      return [];
+    }
+
+    const targetColor = cells[startY][startX].color;
+    const targetChar = cells[startY][startX].char;
+
+    if (targetColor === fillColor && targetChar === fillChar) {
+      return [];
+    }
+
+    const affectedCells = [];
+    const queue = [[startX, startY]];
+    const visited = new Set([`${startX},${startY}`]);
+
+    while (queue.length > 0) {
+      const [x, y] = queue.shift();
+
+      if (x < 0 || x >= width || y < 0 || y >= height) {
+        continue;
+      }
+
+      const currentCell = cells[y][x];
+      if (currentCell.color === targetColor && currentCell.char === targetChar) {
+        affectedCells.push({ x, y, char: fillChar, color: fillColor });
+
+        const neighbors = [
+          [x + 1, y],
+          [x - 1, y],
+          [x, y + 1],
+          [x, y - 1],
+        ];
+        for (const [nx, ny] of neighbors) {
+          const key = `${nx},${ny}`;
+          if (!visited.has(key)) {
+            queue.push([nx, ny]);
+            visited.add(key);
+          }
+        }
+      }
+    }
+    return affectedCells;
+  }
+}
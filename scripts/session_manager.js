@@ -29,6 +29,12 @@ class EnvironmentManager {
      * @type {ConfigManager|null}
      */
     this.config = null; // Add config dependency
+    /**
+     * A stack of shell function frames. Each frame remembers the values that
+     * its 'local' variables shadowed, so they can be put back on return.
+     * @type {Array<Map<string, string|undefined>>}
+     */
+    this.functionFrames = [];
   }
 
   /**
@@ -72,17 +78,85 @@ class EnvironmentManager {
     }
   }
 
+  /**
+   * Opens a frame for a shell function call. Variables declared with
+   * `setLocal` while it is open are restored when it is closed; every
+   * other assignment still lands in the shared environment.
+   */
+  pushFunctionFrame() {
+    this.functionFrames.push(new Map());
+  }
+
+  /**
+   * Closes the innermost function frame, restoring whatever its local
+   * variables were covering up.
+   */
+  popFunctionFrame() {
+    const frame = this.functionFrames.pop();
+    if (!frame) {
+      console.error("EnvironmentManager: Attempted to pop a function frame that was never pushed.");
+      return;
+    }
+    const env = this._getActiveEnv();
+    for (const [varName, previousValue] of frame) {
+      if (previousValue === undefined) {
+        delete env[varName];
+      } else {
+        env[varName] = previousValue;
+      }
+    }
+  }
+
+  /**
+   * Reports whether a shell function is currently running.
+   * @returns {boolean} True if at least one function frame is open.
+   */
+  isInFunctionFrame() {
+    return this.functionFrames.length > 0;
+  }
+
+  /**
+   * Sets a variable that belongs to the innermost function frame.
+   * @param {string} varName - The name of the variable.
+   * @param {string} value - The value to assign.
+   * @returns {{success: boolean, error?: string}} A result object.
+   */
+  setLocal(varName, value) {
+    const frame = this.functionFrames[this.functionFrames.length - 1];
+    if (!frame) {
+      return { success: false, error: "can only be used in a function" };
+    }
+    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(varName)) {
+      // Let set() explain what is wrong with the name.
+      return this.set(varName, value);
+    }
+    if (!frame.has(varName)) {
+      frame.set(varName, this._getActiveEnv()[varName]);
+    }
+    return this.set(varName, value);
+  }
+
   /**
    * Initializes the base environment with default variables like USER, HOME, HOST, and PATH.
    */
   initialize() {
-    const baseEnv = {};
-    const currentUser = this.userManager.getCurrentUser().name;
-    baseEnv["USER"] = currentUser;
-    baseEnv["HOME"] = `/home/${currentUser}`;
-    baseEnv["HOST"] = this.config.OS.DEFAULT_HOST_NAME;
-    baseEnv["PATH"] = "/bin:/usr/bin";
-    this.envStack = [baseEnv];
+    this.envStack = [this.getDefaultVariables(this.userManager.getCurrentUser().name)];
+  }
+
+  /**
+   * Builds the environment a user's first session starts with.
+   * @param {string} username - The user the session is for.
+   * @returns {Object<string, string>} The default variables.
+   */
+  getDefaultVariables(username) {
+    return {
+      USER: username,
+      HOME: `/home/${username}`,
+      HOST: this.config.OS.DEFAULT_HOST_NAME,
+      PATH: `/bin:/usr/bin:/home/${username}/bin`,
+      HISTSIZE: String(this.config.TERMINAL.MAX_HISTORY_SIZE),
+      HISTCONTROL: "ignoredups",
+    };
   }
 
   /**
@@ -145,7 +219,10 @@ class EnvironmentManager {
 
 /**
  * @class HistoryManager
- * @classdesc Manages the command history for the terminal session.
+ * @classdesc Manages the command history for the terminal session. History
+ * is kept per user in ~/.oopis_history, trimmed to HISTSIZE entries and
+ * filtered by HISTCONTROL, and supports bash-style '!' expansion and
+ * reverse search.
  */
 class HistoryManager {
   /**
@@ -172,6 +249,24 @@ class HistoryManager {
      * @type {ConfigManager|null}
      */
     this.config = null;
+    /**
+     * The timer of the history file write waiting for typing to settle.
+     * @type {number|null}
+     * @private
+     */
+    this.writeTimer = null;
+    /**
+     * The file that write is for, fixed when it was scheduled.
+     * @type {string|null}
+     * @private
+     */
+    this.pendingWritePath = null;
+    /**
+     * The last history file write, so writes land one after another.
+     * @type {Promise<object|null>}
+     * @private
+     */
+    this.lastWrite = Promise.resolve(null);
   }
 
   /**
@@ -184,23 +279,84 @@ class HistoryManager {
   }
 
   /**
-   * Adds a command to the history.
+   * Gets the number of entries to keep, from HISTSIZE or the configured default.
+   * @returns {number} The maximum history size.
+   */
+  getMaxSize() {
+    const histSize = parseInt(this.dependencies.EnvironmentManager.get("HISTSIZE"), 10);
+    return Number.isNaN(histSize) || histSize < 0
+        ? this.config.TERMINAL.MAX_HISTORY_SIZE
+        : histSize;
+  }
+
+  /**
+   * Adds a command to the history, as HISTCONTROL allows: 'ignoredups'
+   * skips a repeat of the last command, 'ignorespace' skips commands that
+   * start with a space, 'ignoreboth' does both and 'erasedups' removes
+   * earlier copies of the command. The history file is rewritten once the
+   * commands stop coming for a moment.
    * @param {string} command - The command string to add.
    */
   add(command) {
     const trimmedCommand = command.trim();
+    const histControl = this.dependencies.EnvironmentManager.get("HISTCONTROL").split(":");
+    const ignoreDups = histControl.includes("ignoredups") || histControl.includes("ignoreboth");
+    const ignoreSpace = histControl.includes("ignorespace") || histControl.includes("ignoreboth");
     if (
         trimmedCommand &&
-        (this.commandHistory.length === 0 ||
-            this.commandHistory[this.commandHistory.length - 1] !== trimmedCommand)
+        !(ignoreSpace && /^\s/.test(command)) &&
+        !(ignoreDups && this.commandHistory[this.commandHistory.length - 1] === trimmedCommand)
     ) {
+      if (histControl.includes("erasedups")) {
+        this.commandHistory = this.commandHistory.filter((entry) => entry !== trimmedCommand);
+      }
       this.commandHistory.push(trimmedCommand);
-      if (this.commandHistory.length > this.config.TERMINAL.MAX_HISTORY_SIZE)
-        this.commandHistory.shift();
+      this._trimToMaxSize();
+      this._scheduleHistoryWrite();
     }
     this.historyIndex = this.commandHistory.length;
   }
 
+  /**
+   * Writes the history file now if a write is waiting, as before a user
+   * switch or when the page goes away. A failure is logged, not thrown.
+   * @returns {Promise<object|null>} The result of the latest write, or null if there was none.
+   */
+  async flushHistoryFile() {
+    if (this.writeTimer === null) return this.lastWrite;
+    clearTimeout(this.writeTimer);
+    this.writeTimer = null;
+    const path = this.pendingWritePath;
+    this.pendingWritePath = null;
+    this.lastWrite = this.lastWrite.then(async () => {
+      try {
+        const result = await this.writeHistoryFile(path);
+        if (!result.success) {
+          console.warn(`HistoryManager: Could not write ${path}: ${result.error?.message || result.error}`);
+        }
+        return result;
+      } catch (e) {
+        console.warn(`HistoryManager: Could not write ${path}: ${e.message}`);
+        return null;
+      }
+    });
+    return this.lastWrite;
+  }
+
+  /**
+   * (Re)starts the countdown to the next history file write, so a burst of
+   * commands costs one write and one save.
+   * @private
+   */
+  _scheduleHistoryWrite() {
+    if (this.writeTimer !== null) clearTimeout(this.writeTimer);
+    this.pendingWritePath = this.getHistoryFilePath();
+    this.writeTimer = setTimeout(
+        () => void this.flushHistoryFile(),
+        this.config.TERMINAL.HISTORY_WRITE_DELAY_MS
+    );
+  }
+
   /**
    * Gets the previous command from history for arrow-up navigation.
    * @returns {string|null} The previous command, or null if at the beginning.
@@ -235,6 +391,90 @@ class HistoryManager {
     this.historyIndex = this.commandHistory.length;
   }
 
+  /**
+   * Moves the arrow-key navigation position to an entry, so a command picked
+   * by reverse search can be stepped from with the arrow keys.
+   * @param {number} index - The zero-based index of the entry.
+   */
+  setIndex(index) {
+    this.historyIndex = Math.max(0, Math.min(index, this.commandHistory.length));
+  }
+
+  /**
+   * Searches backwards through the history for a command containing some text.
+   * @param {string} query - The text to look for.
+   * @param {number} [startIndex] - The index to start from, inclusive. Defaults to the newest entry.
+   * @returns {number} The index of the matching entry, or -1 if there is none.
+   */
+  search(query, startIndex = this.commandHistory.length - 1) {
+    for (let i = Math.min(startIndex, this.commandHistory.length - 1); i >= 0; i--) {
+      if (this.commandHistory[i].includes(query)) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * Applies bash-style history expansion to a command line typed at the
+   * prompt: '!!' is the last command, '!n' entry n, '!-n' the command n
+   * back, '!prefix' the last command starting with prefix and '!$' the last
+   * word of the last command. A line of the form '^old^new' repeats the
+   * last command with old replaced by new. Nothing inside single quotes or
+   * after a backslash is expanded.
+   * @param {string} commandText - The command line.
+   * @returns {string} The expanded command line.
+   * @throws {Error} If an event isn't in the history or a substitution fails.
+   */
+  expand(commandText) {
+    const lastCommand = this.commandHistory[this.commandHistory.length - 1];
+    const quickSubstitution = commandText.trim().match(/^\^([^^]+)\^([^^]*)\^?$/);
+    if (quickSubstitution) {
+      const [, oldText, newText] = quickSubstitution;
+      if (lastCommand === undefined || !lastCommand.includes(oldText)) {
+        throw new Error(`${commandText.trim()}: substitution failed`);
+      }
+      return lastCommand.replace(oldText, () => newText);
+    }
+    if (!commandText.includes("!")) return commandText;
+
+    let expanded = "";
+    let inSingleQuote = false;
+    let inDoubleQuote = false;
+    for (let i = 0; i < commandText.length; i++) {
+      const char = commandText[i];
+      if (char === "\\" && !inSingleQuote) {
+        expanded += char + (commandText[i + 1] ?? "");
+        i++;
+        continue;
+      }
+      if (char === "'" && !inDoubleQuote) inSingleQuote = !inSingleQuote;
+      if (char === '"' && !inSingleQuote) inDoubleQuote = !inDoubleQuote;
+      const designator = commandText.slice(i + 1).match(/^(!|\$|-?\d+|[^\s!=()"';&|<>$][^\s;&|()<>"']*)/);
+      if (char !== "!" || inSingleQuote || !designator) {
+        expanded += char;
+        continue;
+      }
+
+      const event = designator[1];
+      let replacement;
+      if (event === "!") {
+        replacement = lastCommand;
+      } else if (event === "$") {
+        replacement = lastCommand?.match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g)?.pop();
+      } else if (/^-?\d+$/.test(event)) {
+        const number = parseInt(event, 10);
+        replacement = this.commandHistory[number < 0 ? this.commandHistory.length + number : number - 1];
+      } else {
+        replacement = [...this.commandHistory].reverse().find((entry) => entry.startsWith(event));
+      }
+      if (replacement === undefined) {
+        throw new Error(`!${event}: event not found`);
+      }
+      expanded += replacement;
+      i += event.length;
+    }
+    return expanded;
+  }
+
   /**
    * Returns a copy of the full command history.
    * @returns {string[]} An array of all commands in history.
@@ -243,6 +483,18 @@ class HistoryManager {
     return [...this.commandHistory];
   }
 
+  /**
+   * Deletes one entry from the history.
+   * @param {number} index - The zero-based index of the entry.
+   * @returns {boolean} True if the entry existed and was deleted.
+   */
+  deleteEntry(index) {
+    if (index < 0 || index >= this.commandHistory.length) return false;
+    this.commandHistory.splice(index, 1);
+    this.historyIndex = this.commandHistory.length;
+    return true;
+  }
+
   /**
    * Clears the command history.
    */
@@ -257,12 +509,74 @@ class HistoryManager {
    */
   setHistory(newHistory) {
     this.commandHistory = Array.isArray(newHistory) ? [...newHistory] : [];
-    if (this.commandHistory.length > this.config.TERMINAL.MAX_HISTORY_SIZE)
-      this.commandHistory = this.commandHistory.slice(
-          this.commandHistory.length - this.config.TERMINAL.MAX_HISTORY_SIZE
-      );
+    this._trimToMaxSize();
     this.historyIndex = this.commandHistory.length;
   }
+
+  /**
+   * Gets the path of the current user's history file.
+   * @returns {string} The absolute path of ~/.oopis_history.
+   */
+  getHistoryFilePath() {
+    const { EnvironmentManager, UserManager } = this.dependencies;
+    const home = EnvironmentManager.get("HOME") || `/home/${UserManager.getCurrentUser().name}`;
+    return `${home}/.oopis_history`;
+  }
+
+  /**
+   * Writes the history to a file, one command per line.
+   * @param {string} [path] - The file to write. Defaults to ~/.oopis_history.
+   * @returns {Promise<object>} A promise that resolves to a success or error object.
+   */
+  async writeHistoryFile(path = this.getHistoryFilePath()) {
+    const { FileSystemManager, UserManager, ErrorHandler } = this.dependencies;
+    const absolutePath = FileSystemManager.getAbsolutePath(path);
+    const parentPath = absolutePath.substring(0, absolutePath.lastIndexOf("/")) || "/";
+    if (!FileSystemManager.getNodeByPath(parentPath)) {
+      return ErrorHandler.createError(`${path}: No such file or directory`);
+    }
+    const currentUser = UserManager.getCurrentUser().name;
+    const content = this.commandHistory.length > 0 ? `${this.commandHistory.join("\n")}\n` : "";
+    const writeResult = await FileSystemManager.createOrUpdateFile(absolutePath, content, {
+      currentUser,
+      primaryGroup: UserManager.getPrimaryGroupForUser(currentUser),
+    });
+    if (!writeResult.success) return writeResult;
+    return FileSystemManager.save();
+  }
+
+  /**
+   * Reads commands from a history file.
+   * @param {string} [path] - The file to read. Defaults to ~/.oopis_history.
+   * @param {boolean} [append=true] - Add the commands to the history rather than replacing it.
+   * @returns {object} A success object with the number of commands read, or an error object.
+   */
+  readHistoryFile(path = this.getHistoryFilePath(), append = true) {
+    const { FileSystemManager, UserManager, ErrorHandler } = this.dependencies;
+    const node = FileSystemManager.getNodeByPath(FileSystemManager.getAbsolutePath(path));
+    if (!node) {
+      return ErrorHandler.createError(`${path}: No such file or directory`);
+    }
+    if (node.type !== this.config.FILESYSTEM.DEFAULT_FILE_TYPE) {
+      return ErrorHandler.createError(`${path}: Not a regular file`);
+    }
+    if (!FileSystemManager.hasPermission(node, UserManager.getCurrentUser().name, "read")) {
+      return ErrorHandler.createError(`${path}: Permission denied`);
+    }
+    const commands = (node.content || "").split("\n").filter((line) => line.trim());
+    this.setHistory(append ? [...this.commandHistory, ...commands] : commands);
+    return ErrorHandler.createSuccess(commands.length);
+  }
+
+  /**
+   * Drops the oldest entries beyond the maximum history size.
+   * @private
+   */
+  _trimToMaxSize() {
+    const maxSize = this.getMaxSize();
+    if (this.commandHistory.length > maxSize)
+      this.commandHistory = this.commandHistory.slice(this.commandHistory.length - maxSize);
+  }
 }
 
 /**
@@ -613,7 +927,11 @@ class SessionManager {
       }
       this.terminalUI.setCurrentInputValue(autoState.currentInput || "");
       this.dependencies.HistoryManager.setHistory(autoState.commandHistory || []);
-      this.environmentManager.load(autoState.environmentVariables);
+      const savedEnv = autoState.environmentVariables || {};
+      // Sessions saved before HISTCONTROL existed always dropped repeats.
+      this.environmentManager.load(
+          "HISTCONTROL" in savedEnv ? savedEnv : { ...savedEnv, HISTCONTROL: "ignoredups" }
+      );
     } else {
       if (this.elements.outputDiv) this.elements.outputDiv.innerHTML = "";
       this.terminalUI.setCurrentInputValue("");
@@ -625,23 +943,63 @@ class SessionManager {
       }
       this.dependencies.HistoryManager.clearHistory();
 
-      const newEnv = {};
-      newEnv["USER"] = username;
-      newEnv["HOME"] = `/home/${username}`;
-      newEnv["HOST"] = this.config.OS.DEFAULT_HOST_NAME;
-      newEnv["PATH"] = "/bin:/usr/bin";
-      this.environmentManager.load(newEnv);
+      this.environmentManager.load(this.environmentManager.getDefaultVariables(username));
 
       void this.outputManager.appendToOutput(
           `${this.config.MESSAGES.WELCOME_PREFIX} ${username}${this.config.MESSAGES.WELCOME_SUFFIX}`
       );
     }
+    // The history file outlives the session state, so it wins when present.
+    const { HistoryManager } = this.dependencies;
+    HistoryManager.readHistoryFile(HistoryManager.getHistoryFilePath(), false);
     this.terminalUI.updatePrompt();
     if (this.elements.outputDiv)
       this.elements.outputDiv.scrollTop = this.elements.outputDiv.scrollHeight;
     return !!autoState;
   }
 
+  /**
+   * Runs the user's ~/.oopisrc in the current shell, so the variables (such
+   * as PS1), aliases and functions it sets stay in effect for the session.
+   * A missing or unreadable file is skipped, and one that fails is reported
+   * without stopping the boot or login.
+   * @param {string} username - The user who is logging in.
+   * @returns {Promise<object>} The result of the script, or a success if there was none.
+   */
+  async runStartupFile(username) {
+    const { CommandExecutor, ErrorHandler, Utils } = this.dependencies;
+    const home = this.environmentManager.get("HOME") || `/home/${username}`;
+    const startupPath = `${home}/${this.config.FILESYSTEM.STARTUP_FILE_NAME}`;
+    const node = this.fsManager.getNodeByPath(startupPath);
+    if (
+        !node ||
+        node.type !== this.config.FILESYSTEM.DEFAULT_FILE_TYPE ||
+        !this.fsManager.hasPermission(node, username, "read")
+    ) {
+      return ErrorHandler.createSuccess();
+    }
+
+    const lines = Utils.contentToText(node.content).split("\n");
+    let result;
+    try {
+      result = await CommandExecutor.executeScript(lines, {
+        isInteractive: false,
+        inCurrentShell: true,
+      });
+    } catch (e) {
+      // Thrown errors, like hitting the step limit, mustn't abort the login.
+      result = ErrorHandler.createError(e.message);
+    }
+    if (!result.success) {
+      await this.outputManager.appendToOutput(
+          `${startupPath}: ${result.error.message}`,
+          { typeClass: this.config.CSS_CLASSES.ERROR_MSG }
+      );
+    }
+    this.terminalUI.updatePrompt();
+    return result;
+  }
+
   /**
    * Manually saves the entire system state, including the filesystem.
    * @returns {Promise<object>} A promise that resolves with a success or error object.
@@ -658,7 +1016,7 @@ class SessionManager {
           ? this.elements.outputDiv.innerHTML
           : "",
       currentInput: currentInput,
-      fsDataSnapshot: this.dependencies.Utils.deepCopyNode(this.fsManager.getFsData()),
+      fsDataSnapshot: this.dependencies.Utils.toSerializableTree(this.fsManager.getFsData()),
       commandHistory: this.dependencies.HistoryManager.getFullHistory(),
     };
     if (
@@ -725,7 +1083,7 @@ class SessionManager {
         ],
         onConfirm: async () => {
           this.fsManager.setFsData(
-              this.dependencies.Utils.deepCopyNode(manualStateData.fsDataSnapshot) || {
+              this.dependencies.Utils.fromSerializableTree(manualStateData.fsDataSnapshot) || {
                 [this.config.FILESYSTEM.ROOT_PATH]: {
                   type: this.config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE,
                   children: {},
@@ -153,6 +153,14 @@ ls -lX
 delay 200
 echo "Sorting by name in reverse order:"
 ls -lr
+echo "--- Test: ls/grep --color and echo -e escapes ---"
+ls --color=always
+ls --color=auto | grep diff
+check_fail "ls --color=sometimes"
+grep --color=always -n "a" diff_a.txt
+grep --color -n "a" diff_a.txt | cat
+echo -e "\e[1;32mgreen\e[0m, \x1b[7minverse\033[0m"
+echo -e "progress 50%\rprogress 100%"
 echo "--- Test: cat -n ---"
 cat -n diff_a.txt
 delay 500
@@ -294,6 +302,138 @@ logout
 cd /home/root
 echo "--- Test: Script argument passing ---"
 run ./arg_test.sh first "second arg" third
+echo "--- Test: Executing scripts by path and \$PATH ---"
+./arg_test.sh first "second arg" third
+mkdir -p /home/root/bin
+echo '#!/bin/oopis' > /home/root/bin/hello_path
+echo 'echo "Found via PATH: $1"' >> /home/root/bin/hello_path
+chmod 755 /home/root/bin/hello_path
+set PATH=/bin:/usr/bin:/home/root/bin
+hello_path works
+chmod 644 /home/root/bin/hello_path
+check_fail "/home/root/bin/hello_path"
+rm -r /home/root/bin
+echo "--- Test: A runaway script stops at the step limit ---"
+echo '#!/bin/oopis_shell' > /home/root/runaway.sh
+echo 'while test 1 = 1; do set LOOP=1; done' >> /home/root/runaway.sh
+chmod 700 /home/root/runaway.sh
+check_fail "/home/root/runaway.sh"
+rm /home/root/runaway.sh
+unset LOOP
+echo "--- Test: Oopis Basic expressions ---"
+echo '#!basic' > /home/root/expr.bas
+echo '10 PRINT 2*3+4*5' >> /home/root/expr.bas
+echo '20 PRINT -2^2 + 7 \ 2' >> /home/root/expr.bas
+echo '30 PRINT LEN("oopis") + INSTR("hello", "l")' >> /home/root/expr.bas
+echo '40 IF 3 > 2 AND NOT (1 = 2) THEN PRINT "logic ok"' >> /home/root/expr.bas
+echo '50 PRINT CHR$(ASC("A") + 1) + STR$(VAL("7") MOD 4)' >> /home/root/expr.bas
+chmod 700 /home/root/expr.bas
+/home/root/expr.bas
+echo '#!basic' > /home/root/bad_expr.bas
+echo '10 PRINT (1 + 2' >> /home/root/bad_expr.bas
+chmod 700 /home/root/bad_expr.bas
+check_fail "/home/root/bad_expr.bas"
+rm /home/root/expr.bas /home/root/bad_expr.bas
+echo "--- Test: Oopis Basic structured programs ---"
+echo '#!basic' > /home/root/struct.bas
+echo 'total = 0: i = 0' >> /home/root/struct.bas
+echo 'WHILE i < 5' >> /home/root/struct.bas
+echo '  i = i + 1: IF i MOD 2 = 0 THEN total = total + i ELSE total = total - 1' >> /home/root/struct.bas
+echo 'WEND' >> /home/root/struct.bas
+echo 'PRINT "total"; total' >> /home/root/struct.bas
+echo 'DO: n = n + 1: LOOP UNTIL Square(n) > 20' >> /home/root/struct.bas
+echo 'IF n = 5 THEN' >> /home/root/struct.bas
+echo '  CALL Shout("do ok")' >> /home/root/struct.bas
+echo 'ELSE' >> /home/root/struct.bas
+echo '  PRINT "do broken"' >> /home/root/struct.bas
+echo 'END IF' >> /home/root/struct.bas
+echo 'ON 2 GOSUB first, second' >> /home/root/struct.bas
+echo 'END' >> /home/root/struct.bas
+echo 'first: PRINT "wrong branch": RETURN' >> /home/root/struct.bas
+echo 'second: PRINT "on gosub ok": RETURN' >> /home/root/struct.bas
+echo 'FUNCTION Square(x)' >> /home/root/struct.bas
+echo '  Square = x * x' >> /home/root/struct.bas
+echo 'END FUNCTION' >> /home/root/struct.bas
+echo 'SUB Shout(msg$)' >> /home/root/struct.bas
+echo '  PRINT msg$ + "!"' >> /home/root/struct.bas
+echo 'END SUB' >> /home/root/struct.bas
+chmod 700 /home/root/struct.bas
+/home/root/struct.bas
+echo '#!basic' > /home/root/bad_struct.bas
+echo 'WHILE 1' >> /home/root/bad_struct.bas
+echo 'PRINT "never closed"' >> /home/root/bad_struct.bas
+chmod 700 /home/root/bad_struct.bas
+check_fail "/home/root/bad_struct.bas"
+rm /home/root/struct.bas /home/root/bad_struct.bas
+echo "--- Test: Oopis Basic TRON and STOP ---"
+echo '#!basic' > /home/root/stop.bas
+echo '10 TRON: PRINT "traced"' >> /home/root/stop.bas
+echo '20 TROFF: STOP' >> /home/root/stop.bas
+echo '30 PRINT "should never print"' >> /home/root/stop.bas
+chmod 700 /home/root/stop.bas
+/home/root/stop.bas
+rm /home/root/stop.bas
+echo "--- Test: Oopis Basic graphics and BSAVE ---"
+echo '#!basic' > /home/root/draw.bas
+echo 'SCREEN 1, 12, 6: COLOR 14' >> /home/root/draw.bas
+echo 'LINE (0, 0)-(11, 5), , B, "#": CIRCLE (6, 3), 3, 4' >> /home/root/draw.bas
+echo 'PAINT (6, 3), 2, ".": LOCATE 1, 3: PRINT "HI";' >> /home/root/draw.bas
+echo 'BSAVE "draw": SCREEN 0: PRINT "saved"' >> /home/root/draw.bas
+chmod 700 /home/root/draw.bas
+/home/root/draw.bas
+grep -c '"char": "#"' /home/root/draw.oopic
+grep '"format"' /home/root/draw.oopic
+echo '#!basic' > /home/root/no_screen.bas
+echo 'PSET (1, 1)' >> /home/root/no_screen.bas
+chmod 700 /home/root/no_screen.bas
+check_fail "/home/root/no_screen.bas"
+rm /home/root/draw.bas /home/root/draw.oopic /home/root/no_screen.bas
+echo "--- Test: Exit statuses (exit N) ---"
+echo 'echo "about to exit"' > /home/root/exit_test.sh
+echo 'exit 3' >> /home/root/exit_test.sh
+echo 'echo "should never print"' >> /home/root/exit_test.sh
+chmod 700 /home/root/exit_test.sh
+check_fail "run ./exit_test.sh"
+check_fail "no_such_command_xyz"
+rm /home/root/exit_test.sh
+echo "--- Test: Control flow (if, for, while/until, case) ---"
+if check_fail "no_such_command_xyz"; then echo "if/then: OK"; else echo "if/then: FAILED"; fi
+if no_such_command_xyz
+then
+  echo "if/else: FAILED"
+elif check_fail "no_such_command_xyz"; then
+  echo "if/elif: OK"
+fi
+for n in one two three; do echo "for loop: $n"; done
+until check_fail "no_such_command_xyz"; do echo "until: FAILED"; done
+case "diag.sh" in
+  *.txt) echo "case: FAILED" ;;
+  *.sh|*.bat) echo "case: OK" ;;
+esac
+echo "--- Test: Shell functions (local, return) ---"
+greet() {
+  local who=$1
+  echo "Hello, $who ($# argument)"
+}
+greet diagUser
+check_fail -z "echo $who"
+fails_with_three() { return 3; }
+if fails_with_three; then echo "return: FAILED"; else echo "return: OK (status $?)"; fi
+echo "--- Test: test, [ ] and [[ ]] ---"
+test -d /home/root && echo "test -d: OK"
+[ -f ./arg_test.sh -a -r ./arg_test.sh ] && echo "[ -f -a -r ]: OK"
+[ 5 -gt 3 ] && [ "abc" != "abd" ] && echo "integer/string: OK"
+[[ ! -z "not empty" ]] && echo "[[ ! -z ]]: OK"
+echo probe > glob_probe.txt
+set FILE=notes.txt
+[[ $FILE == *.txt ]] && echo "[[ == pattern ]]: OK"
+check_fail "[[ $FILE == *.md ]]"
+check_fail "[[ $FILE == '*.txt' ]]"
+[[ '*.txt' == "*.txt" ]] && echo "[[ == quoted literal ]]: OK"
+rm glob_probe.txt
+unset FILE
+check_fail "[ -e /no/such/path ]"
+check_fail "test 1 -eq one"
 echo "--- Test: Background jobs (ps, kill) ---"
 delay 5000 &
 ps
@@ -334,7 +474,7 @@ delay 400
 echo "---------------------------------------------------------------------"
 
 echo ""
-echo "===== Phase 9: Testing 'find' and Archival (zip/unzip) ====="
+echo "===== Phase 9: Testing 'find' and Archival (zip/unzip, tar/gzip) ====="
 delay 200
 echo "--- Test: find by name, type, and permissions ---"
 logout
@@ -354,6 +494,28 @@ zip my_archive.zip ./zip_test
 rm -r -f zip_test
 unzip my_archive.zip .
 ls -R zip_test
+unzip -l my_archive.zip
+echo "--- Test: zip with several sources and -x ---"
+echo "scratch" > zip_test/scratch.log
+zip multi_archive.zip zip_test/file1.txt zip_test/nested_dir zip_test/scratch.log -x "*.log"
+unzip -l multi_archive.zip
+check_fail "unzip -l zip_test/file1.txt"
+rm multi_archive.zip zip_test/scratch.log
+echo "--- Test: tar and gzip ---"
+ln -s file1.txt zip_test/link1
+tar -czf tar_test.tar.gz zip_test
+tar -tvf tar_test.tar.gz
+mkdir tar_out
+tar -xzf tar_test.tar.gz -C tar_out
+ls -l tar_out/zip_test
+cat tar_out/zip_test/link1
+tar -cf - zip_test | gzip | gunzip | tar -t
+gzip tar_out/zip_test/file1.txt
+ls tar_out/zip_test
+gunzip -c tar_out/zip_test/file1.txt.gz
+check_fail "gunzip tar_out/zip_test/nested_dir/file2.txt"
+check_fail "tar -tf zip_test/file1.txt"
+rm -r -f tar_out tar_test.tar.gz zip_test/link1
 delay 400
 echo "---------------------------------------------------------------------"
 
@@ -377,6 +539,19 @@ delay 400
 rm pager_test.txt input_redir.txt
 echo "Input redirection test complete."
 delay 200
+echo "--- Test: Error redirection (2>, 2>&1, &>) ---"
+check_fail "cat no_such_file.txt 2> stderr_test.log"
+cat stderr_test.log
+check_fail "cat no_such_file.txt 2>/dev/null"
+check_fail "cat no_such_file.txt > combined_test.log 2>&1"
+grep "no_such_file" combined_test.log
+check_fail "cat no_such_file.txt 2>&1 > reversed_test.log"
+check_fail "grep no_such_file reversed_test.log"
+check_fail "cat no_such_file.txt &> combined_test.log"
+grep "could not be read" combined_test.log
+rm -f stderr_test.log combined_test.log reversed_test.log
+echo "Error redirection test complete."
+delay 200
 echo "--- Test: expr command ---"
 expr 2000 + $(date | awk '{print $4}' | cut -c 3-4)
 delay 200
@@ -403,6 +578,17 @@ base64 -d b64_encoded.txt
 rm b64_test.txt b64_encoded.txt
 echo "base64 tests complete."
 delay 200
+echo "--- Test: Binary files (all checksums below should match) ---"
+echo "iVBORw0KGgoAAAANSUhEUg==" | base64 -d > pixel.png
+cp pixel.png pixel_copy.png
+cat pixel_copy.png > pixel_cat.png
+mv pixel_cat.png pixel_moved.png
+cksum pixel.png pixel_copy.png pixel_moved.png
+base64 pixel_moved.png
+ls -l pixel.png
+rm pixel.png pixel_copy.png pixel_moved.png
+echo "Binary file tests complete."
+delay 200
 echo "--- Test: xor (encrypt/decrypt) ---"
 echo "Harmony and order." > xor_test.txt
 xor diag_pass xor_test.txt > xor_encrypted.txt
@@ -486,6 +672,18 @@ echo "--- Test: history -c ---"
 history
 history -c
 history
+echo "--- Test: history -r/-d/-w ---"
+echo "ls -l" > hist_in.txt
+echo "pwd" >> hist_in.txt
+history -r hist_in.txt
+history -d 1
+history
+history -w hist_out.txt
+cat hist_out.txt
+check_fail "history -d 99"
+check_fail "history -r no_such_history"
+history -c
+rm hist_in.txt hist_out.txt
 delay 400
 echo "--- Test: alias/unalias ---"
 alias myls="ls -l"
@@ -497,6 +695,10 @@ set MY_VAR="Variable Test Passed"
 echo $MY_VAR
 unset MY_VAR
 echo $MY_VAR
+echo "--- Test: single-quoted values are not expanded ---"
+set MY_PROMPT='$(pwd) $USER> '
+echo "[$MY_PROMPT]"
+unset MY_PROMPT
 echo "--- Test: printscreen ---"
 printscreen screen.txt
 cat screen.txt
@@ -949,6 +1151,14 @@ delay 2000
 echo "Attempting to check file ownership (may show error if file doesn't exist):"
 ls -l /etc/agenda.json || echo "Note: /etc/agenda.json not found - this is expected if no jobs were persisted"
 
+echo "--- Test: Cron parsing and next run times ---"
+agenda next 1 3
+check_fail "agenda next 99"
+check_fail "agenda next 1 0"
+check_fail "sudo agenda add 'x * * * *' 'echo bad_cron'"
+check_fail "sudo agenda add '61 * * * *' 'echo bad_cron'"
+check_fail "sudo agenda add '* * * *' 'echo bad_cron'"
+
 echo "--- Test: Removing the job with sudo ---"
 # Removing a job also requires root privileges.
 sudo agenda remove 1
@@ -170,9 +170,9 @@ echo '70 PRINT "GOODBYE, " + N$' >> ./programs/demo.bas
 # --- Assets for find, zip, and other new tests ---
 echo "Creating dedicated assets for advanced diagnostics..."
 mkdir -p find_test/subdir
-touch find_test/a.txt
-touch find_test/b.tmp
-touch find_test/subdir/c.tmp
+for f in a.txt b.tmp subdir/c.tmp; do
+  touch find_test/$f
+done
 chmod 777 find_test/a.txt
 
 mkdir -p zip_test/nested_dir
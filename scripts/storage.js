@@ -191,10 +191,12 @@ class IndexedDBManager {
 
       request.onupgradeneeded = (event) => {
         const tempDb = event.target.result;
-        if (!tempDb.objectStoreNames.contains(Config.DATABASE.FS_STORE_NAME))
-          tempDb.createObjectStore(Config.DATABASE.FS_STORE_NAME, {
-            keyPath: "id",
+        if (!tempDb.objectStoreNames.contains(Config.DATABASE.FS_NODE_STORE_NAME))
+          tempDb.createObjectStore(Config.DATABASE.FS_NODE_STORE_NAME, {
+            keyPath: "path",
           });
+        if (tempDb.objectStoreNames.contains(Config.DATABASE.FS_STORE_NAME))
+          this._migrateUnifiedStore(event.target.transaction);
       };
 
       request.onsuccess = (event) => {
@@ -237,6 +239,35 @@ class IndexedDBManager {
     });
   }
 
+  /**
+   * Moves a filesystem saved in the old single-record layout into the
+   * per-node store, then drops the old store. Runs inside the version-change
+   * transaction, so a failed migration leaves the old database untouched.
+   * @private
+   * @param {IDBTransaction} transaction - The version-change transaction.
+   */
+  _migrateUnifiedStore(transaction) {
+    const { Config } = this.dependencies;
+    const legacyStore = transaction.objectStore(Config.DATABASE.FS_STORE_NAME);
+    const nodeStore = transaction.objectStore(Config.DATABASE.FS_NODE_STORE_NAME);
+    const request = legacyStore.get(Config.DATABASE.UNIFIED_FS_KEY);
+    request.onsuccess = () => {
+      const legacyRecord = request.result;
+      if (legacyRecord && legacyRecord.data) {
+        let count = 0;
+        for (const record of StorageHAL.toNodeRecords(
+            legacyRecord.data,
+            Config.FILESYSTEM.ROOT_PATH
+        )) {
+          nodeStore.put(record);
+          count++;
+        }
+        console.log(`FileSystem Migration: Split the file system into ${count} node records.`);
+      }
+      transaction.db.deleteObjectStore(Config.DATABASE.FS_STORE_NAME);
+    };
+  }
+
   /**
    * Returns the active database instance. Throws an error if not initialized.
    * @returns {IDBDatabase} The initialized IndexedDB database instance.
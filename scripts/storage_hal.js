@@ -6,13 +6,136 @@
  * @classdesc The Storage Hardware Abstraction Layer (HAL) interface.
  * Defines the contract for all storage backends for the FileSystemManager,
  * ensuring a consistent API for saving, loading, and clearing filesystem data.
+ * It also carries the change tracking the backends share: every node is
+ * stored as its own record, keyed by its absolute path, and a save only
+ * writes the records whose paths were marked dirty since the last one.
  */
 class StorageHAL {
     constructor() {
         if (this.constructor === StorageHAL) {
             throw new Error("Abstract classes can't be instantiated.");
         }
+        /**
+         * The type of every stored record, indexed by path, so a deleted
+         * directory can take its stored descendants with it.
+         * @type {Map<string, string>}
+         * @protected
+         */
+        this.persisted = new Map();
+        /**
+         * The paths marked dirty since the last save. Each mark is a fresh
+         * object, so a save only clears the marks it actually wrote.
+         * @type {Map<string, {recursive: boolean}>}
+         * @protected
+         */
+        this.dirtyPaths = new Map();
+        /**
+         * Set while the stored records can't be trusted to match the live
+         * tree (nothing loaded yet, or everything was replaced); the next
+         * save then writes the whole tree.
+         * @type {boolean}
+         * @protected
+         */
+        this.needsFullSync = true;
+        /**
+         * Bumped by `markAllDirty`, so a full sync that was already under
+         * way doesn't clear a newer request for one.
+         * @type {number}
+         * @private
+         */
+        this.fullSyncGeneration = 0;
+    }
+
+    /**
+     * The backends that can be named in `/etc/oopis.conf`, by name.
+     * @type {Object<string, Function>}
+     */
+    static get BACKENDS() {
+        return {
+            indexeddb: IndexedDBStorageHAL,
+            memory: InMemoryStorageHAL,
+            opfs: OPFSStorageHAL,
+            electron: ElectronStorageHAL,
+        };
+    }
+
+    /**
+     * Creates a backend by name.
+     * @param {string} name - One of the names in `StorageHAL.BACKENDS`.
+     * @returns {StorageHAL|null} A fresh, uninitialized backend, or null for an unknown name.
+     */
+    static create(name) {
+        const Backend = StorageHAL.BACKENDS[String(name || "").toLowerCase()];
+        return Backend ? new Backend() : null;
+    }
+
+    /**
+     * Walks a filesystem tree and yields one storable record per node. A
+     * record holds the node without its `children`; the tree is rebuilt from
+     * the paths on load.
+     * @param {object} fsData - The filesystem data, keyed by the root path.
+     * @param {string} [rootPath="/"] - The root path.
+     * @returns {Generator<{path: string, node: object}>} The records, parents before children.
+     */
+    static *toNodeRecords(fsData, rootPath = "/") {
+        const root = fsData && fsData[rootPath];
+        if (!root) return;
+        const stack = [[rootPath, root]];
+        while (stack.length > 0) {
+            const [path, node] = stack.pop();
+            const { children, ...storedNode } = node;
+            yield { path, node: storedNode };
+            for (const name in children || {}) {
+                const childPath = path.endsWith("/") ? `${path}${name}` : `${path}/${name}`;
+                stack.push([childPath, children[name]]);
+            }
+        }
     }
+
+    /**
+     * Marks a path as changed, so the next save writes it. A path that no
+     * longer exists is removed from storage, along with anything stored below it.
+     * @param {string} path - The absolute path of the node that changed.
+     * @param {boolean} [recursive=false] - Whether everything below the path changed too.
+     */
+    markDirty(path, recursive = false) {
+        const previous = this.dirtyPaths.get(path);
+        this.dirtyPaths.set(path, { recursive: recursive || !!previous?.recursive });
+    }
+
+    /**
+     * Marks the whole tree as changed, for when it was replaced wholesale.
+     */
+    markAllDirty() {
+        this.needsFullSync = true;
+        this.fullSyncGeneration++;
+    }
+
+    /**
+     * Sets the dependency injection container.
+     * @param {object} dependencies - The dependencies to be injected.
+     */
+    setDependencies(dependencies) {
+        /**
+         * The dependency injection container.
+         * @type {object}
+         */
+        this.dependencies = dependencies;
+    }
+
+    /**
+     * What this backend can and can't do, so commands like `df` can tell the
+     * truth about it.
+     * @type {{name: string, persistent: boolean, incremental: boolean, nativeFiles: boolean}}
+     */
+    get capabilities() { throw new Error("Getter 'capabilities' must be implemented."); }
+
+    /**
+     * Reports how many more bytes the backend can take, as far as it knows.
+     * @returns {Promise<number|null>} The free space in bytes, or null if there is no known limit.
+     */
+    async getAvailableSpace() { return null; }
+
     /**
      * Initializes the storage backend. This method should be called before
      * any other storage operations are performed.
@@ -28,8 +151,8 @@ class StorageHAL {
     async load() { throw new Error("Method 'load()' must be implemented."); }
 
     /**
-     * Saves the entire filesystem data object to the storage backend.
-     * @param {object} fsData - The complete filesystem data to save.
+     * Saves the filesystem data object to the storage backend, writing only what changed.
+     * @param {object} fsData - The complete (live) filesystem data to save.
      * @returns {Promise<boolean>} A promise that resolves to true on successful save.
      */
     async save(fsData) { throw new Error("Method 'save(fsData)' must be implemented."); }
@@ -39,24 +162,231 @@ class StorageHAL {
      * @returns {Promise<boolean>} A promise that resolves to true on successful clearing.
      */
     async clear() { throw new Error("Method 'clear()' must be implemented."); }
+
+    /**
+     * Rebuilds the nested filesystem tree from node records, remembering each
+     * record as persisted so an untouched tree saves nothing at all.
+     * @protected
+     * @param {Array<{path: string, node: object}>} records - The stored records.
+     * @returns {object|null} The filesystem data, or null if there is no root record.
+     */
+    _assembleTree(records) {
+        const { Config } = this.dependencies;
+        const rootPath = Config.FILESYSTEM.ROOT_PATH;
+        const nodesByPath = new Map();
+        this.persisted = new Map();
+        this.dirtyPaths = new Map();
+
+        // Sorted by path, a parent always comes before its children.
+        records.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+        for (const record of records) {
+            const node = { ...record.node };
+            if (node.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+                node.children = {};
+            }
+            if (record.path !== rootPath) {
+                const separatorIndex = record.path.lastIndexOf("/");
+                const parentPath = record.path.substring(0, separatorIndex) || rootPath;
+                const parent = nodesByPath.get(parentPath);
+                if (!parent || !parent.children) {
+                    console.warn(`StorageHAL: Skipping orphaned record '${record.path}'.`);
+                    continue;
+                }
+                parent.children[record.path.substring(separatorIndex + 1)] = node;
+            }
+            nodesByPath.set(record.path, node);
+            this.persisted.set(record.path, node.type);
+        }
+
+        const root = nodesByPath.get(rootPath);
+        this.needsFullSync = !root;
+        return root ? { [rootPath]: root } : null;
+    }
+
+    /**
+     * Finds a node in the live tree by its absolute path.
+     * @private
+     * @param {object} fsData - The live filesystem data.
+     * @param {string} path - The absolute path.
+     * @returns {object|null} The node, or null if it doesn't exist.
+     */
+    _nodeAt(fsData, path) {
+        const { Config } = this.dependencies;
+        let node = fsData && fsData[Config.FILESYSTEM.ROOT_PATH];
+        for (const segment of path.split("/").filter(Boolean)) {
+            node = node?.children?.[segment];
+        }
+        return node || null;
+    }
+
+    /**
+     * Adds a stored path, and whatever is stored below it, to a set of removals.
+     * @private
+     * @param {string} path - The absolute path.
+     * @param {Set<string>} removed - The removals collected so far.
+     * @param {Set<string>} [keep] - Paths below it that still exist and must stay.
+     */
+    _collectRemoval(path, removed, keep) {
+        const { Config } = this.dependencies;
+        if (!keep && this.persisted.has(path)) removed.add(path);
+        if (this.persisted.get(path) !== Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) return;
+        const prefix = path.endsWith("/") ? path : `${path}/`;
+        for (const storedPath of this.persisted.keys()) {
+            if (storedPath.startsWith(prefix) && !keep?.has(storedPath)) {
+                removed.add(storedPath);
+            }
+        }
+    }
+
+    /**
+     * Works out the dirty set from the paths marked since the last save: the
+     * records to (re)write and the paths that no longer exist. Only after a
+     * wholesale change is the whole tree written. Hand the result to
+     * `_commitChanges` once the write has landed.
+     * @protected
+     * @param {object} fsData - The live filesystem data.
+     * @returns {{dirty: Array<{path: string, node: object}>, removed: string[], marks: Map<string, object>, fullSync: number|null}}
+     */
+    _collectChanges(fsData) {
+        const { Config } = this.dependencies;
+        const rootPath = Config.FILESYSTEM.ROOT_PATH;
+        const marks = new Map(this.dirtyPaths);
+        const records = new Map();
+        const removed = new Set();
+
+        if (this.needsFullSync) {
+            for (const record of StorageHAL.toNodeRecords(fsData, rootPath)) {
+                records.set(record.path, record);
+            }
+            for (const storedPath of this.persisted.keys()) {
+                if (!records.has(storedPath)) removed.add(storedPath);
+            }
+        } else {
+            for (const [path, mark] of marks) {
+                const node = this._nodeAt(fsData, path);
+                if (!node) {
+                    this._collectRemoval(path, removed);
+                    continue;
+                }
+                if (mark.recursive) {
+                    const written = new Set();
+                    for (const record of StorageHAL.toNodeRecords({ [path]: node }, path)) {
+                        records.set(record.path, record);
+                        written.add(record.path);
+                    }
+                    this._collectRemoval(path, removed, written);
+                } else {
+                    const { children, ...storedNode } = node;
+                    records.set(path, { path, node: storedNode });
+                    if (node.type !== Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+                        // It may have been a directory when it was last stored.
+                        this._collectRemoval(path, removed, new Set([path]));
+                    }
+                }
+            }
+        }
+
+        for (const path of records.keys()) removed.delete(path);
+        return {
+            dirty: [...records.values()],
+            removed: [...removed],
+            marks,
+            fullSync: this.needsFullSync ? this.fullSyncGeneration : null,
+        };
+    }
+
+    /**
+     * Records a successful write and clears the marks it covered. Marks made
+     * while the write was under way stay for the next save.
+     * @protected
+     * @param {{dirty: Array<{path: string, node: object}>, removed: string[], marks: Map<string, object>, fullSync: number|null}} changes - The result of `_collectChanges`.
+     */
+    _commitChanges(changes) {
+        for (const path of changes.removed) {
+            this.persisted.delete(path);
+        }
+        for (const record of changes.dirty) {
+            this.persisted.set(record.path, record.node.type);
+        }
+        for (const [path, mark] of changes.marks) {
+            if (this.dirtyPaths.get(path) === mark) this.dirtyPaths.delete(path);
+        }
+        if (changes.fullSync === this.fullSyncGeneration) {
+            this.needsFullSync = false;
+        }
+    }
+
+    /**
+     * Forgets everything stored, after a backend has been emptied. The next
+     * save writes the whole tree.
+     * @protected
+     */
+    _forgetPersisted() {
+        this.persisted = new Map();
+        this.dirtyPaths = new Map();
+        this.markAllDirty();
+    }
+
+    /**
+     * Reports a backend failure on the terminal, or the console if the
+     * terminal isn't up yet.
+     * @protected
+     * @param {string} message - The message to report.
+     * @returns {Promise<void>}
+     */
+    async _reportError(message) {
+        const { Config, OutputManager } = this.dependencies;
+        if (
+            typeof OutputManager !== "undefined" &&
+            typeof OutputManager.appendToOutput === "function"
+        ) {
+            await OutputManager.appendToOutput(message, {
+                typeClass: Config.CSS_CLASSES.ERROR_MSG,
+            });
+        } else {
+            console.error(message);
+        }
+    }
+
+    /**
+     * Asks the browser how much of this origin's storage quota is left.
+     * @protected
+     * @returns {Promise<number|null>} The remaining quota in bytes, or null if the browser won't say.
+     */
+    async _estimateOriginSpace() {
+        try {
+            if (navigator.storage && typeof navigator.storage.estimate === "function") {
+                const { quota, usage } = await navigator.storage.estimate();
+                return Number.isFinite(quota) ? Math.max(0, quota - (usage || 0)) : null;
+            }
+        } catch (e) {
+            console.warn(`StorageHAL: Could not estimate the storage quota: ${e.message}`);
+        }
+        return null;
+    }
 }
 
 /**
  * @class IndexedDBStorageHAL
  * @classdesc The default storage implementation using IndexedDB for the OopisOS virtual filesystem.
+ * Every node lives in its own IndexedDB record.
  * @extends StorageHAL
  */
 class IndexedDBStorageHAL extends StorageHAL {
     /**
-     * Sets the dependency injection container.
-     * @param {object} dependencies - The dependencies to be injected.
+     * What this backend can and can't do.
+     * @type {{name: string, persistent: boolean, incremental: boolean, nativeFiles: boolean}}
      */
-    setDependencies(dependencies) {
-        /**
-         * The dependency injection container.
-         * @type {object}
-         */
-        this.dependencies = dependencies;
+    get capabilities() {
+        return { name: "indexeddb", persistent: true, incremental: true, nativeFiles: false };
+    }
+
+    /**
+     * Reports what's left of the browser's storage quota for this origin.
+     * @returns {Promise<number|null>} The free space in bytes, or null if unknown.
+     */
+    async getAvailableSpace() {
+        return this._estimateOriginSpace();
     }
 
     /**
@@ -64,7 +394,7 @@ class IndexedDBStorageHAL extends StorageHAL {
      * @returns {Promise<boolean>} A promise that resolves to true on successful connection.
      */
     async init() {
-        const { IndexedDBManager, Config, OutputManager } = this.dependencies;
+        const { IndexedDBManager } = this.dependencies;
         try {
             /**
              * The active IndexedDB database instance.
@@ -73,23 +403,13 @@ class IndexedDBStorageHAL extends StorageHAL {
             this.dbInstance = await IndexedDBManager.init();
             return true;
         } catch (e) {
-            const errorMsg = `StorageHAL Error: Could not initialize IndexedDB. Error: ${e.message}.`;
-            if (
-                typeof OutputManager !== "undefined" &&
-                typeof OutputManager.appendToOutput === "function"
-            ) {
-                await OutputManager.appendToOutput(errorMsg, {
-                    typeClass: Config.CSS_CLASSES.ERROR_MSG,
-                });
-            } else {
-                console.error(errorMsg);
-            }
+            await this._reportError(`StorageHAL Error: Could not initialize IndexedDB. Error: ${e.message}.`);
             return false;
         }
     }
 
     /**
-     * Loads the unified filesystem object from the IndexedDB store.
+     * Loads every node record from the IndexedDB store and reassembles the tree.
      * @returns {Promise<object|null>} A promise resolving to the filesystem data object,
      * or null if not found.
      */
@@ -99,46 +419,59 @@ class IndexedDBStorageHAL extends StorageHAL {
             console.error("IndexedDB not initialized before load.");
             return null;
         }
-        return new Promise((resolve) => {
+        const records = await new Promise((resolve) => {
             const transaction = this.dbInstance.transaction(
-                [Config.DATABASE.FS_STORE_NAME],
+                [Config.DATABASE.FS_NODE_STORE_NAME],
                 "readonly"
             );
-            const store = transaction.objectStore(Config.DATABASE.FS_STORE_NAME);
-            const request = store.get(Config.DATABASE.UNIFIED_FS_KEY);
-            request.onsuccess = (event) => {
-                const result = event.target.result;
-                resolve(result ? result.data : null);
-            };
-            request.onerror = () => {
-                resolve(null);
-            };
+            const store = transaction.objectStore(Config.DATABASE.FS_NODE_STORE_NAME);
+            const request = store.getAll();
+            request.onsuccess = (event) => resolve(event.target.result || []);
+            request.onerror = () => resolve(null);
         });
+        if (!records || records.length === 0) {
+            return null;
+        }
+        return this._assembleTree(records);
     }
 
     /**
-     * Saves the entire filesystem data object to a single record in IndexedDB.
-     * @param {object} fsData - The complete filesystem data to save.
+     * Saves the filesystem by writing only the node records that changed
+     * since the last save, and deleting the records of nodes that are gone.
+     * @param {object} fsData - The complete (live) filesystem data.
      * @returns {Promise<boolean>} A promise that resolves to true on success.
      */
     async save(fsData) {
-        const { Config, Utils } = this.dependencies;
+        const { Config } = this.dependencies;
         if (!this.dbInstance) {
             console.error("IndexedDB not initialized before save.");
             return false;
         }
+        const changes = this._collectChanges(fsData);
+        const { dirty, removed } = changes;
+        if (dirty.length === 0 && removed.length === 0) {
+            this._commitChanges(changes);
+            return true;
+        }
         return new Promise((resolve) => {
             const transaction = this.dbInstance.transaction(
-                [Config.DATABASE.FS_STORE_NAME],
+                [Config.DATABASE.FS_NODE_STORE_NAME],
                 "readwrite"
             );
-            const store = transaction.objectStore(Config.DATABASE.FS_STORE_NAME);
-            const request = store.put({
-                id: Config.DATABASE.UNIFIED_FS_KEY,
-                data: Utils.deepCopyNode(fsData),
-            });
-            request.onsuccess = () => resolve(true);
-            request.onerror = () => resolve(false);
+            const store = transaction.objectStore(Config.DATABASE.FS_NODE_STORE_NAME);
+            for (const path of removed) {
+                store.delete(path);
+            }
+            for (const record of dirty) {
+                store.put(record);
+            }
+            transaction.oncomplete = () => {
+                this._commitChanges(changes);
+                resolve(true);
+            };
+            // Leave the marks alone, so the next save tries again.
+            transaction.onerror = () => resolve(false);
+            transaction.onabort = () => resolve(false);
         });
     }
 
@@ -154,15 +487,464 @@ class IndexedDBStorageHAL extends StorageHAL {
         }
         return new Promise((resolve) => {
             const transaction = this.dbInstance.transaction(
-                [Config.DATABASE.FS_STORE_NAME],
+                [Config.DATABASE.FS_NODE_STORE_NAME],
                 "readwrite"
             );
-            const store = transaction.objectStore(Config.DATABASE.FS_STORE_NAME);
+            const store = transaction.objectStore(Config.DATABASE.FS_NODE_STORE_NAME);
             const request = store.clear();
-            request.onsuccess = () => resolve(true);
+            request.onsuccess = () => {
+                this._forgetPersisted();
+                resolve(true);
+            };
             request.onerror = () => resolve(false);
         });
     }
 }
 
-window.IndexedDBStorageHAL = IndexedDBStorageHAL;
\ No newline at end of file
+/**
+ * @class InMemoryStorageHAL
+ * @classdesc A storage backend that keeps its records in a plain Map and
+ * forgets everything when the tab closes. Handy for tests and for kiosks,
+ * where every visitor should find a pristine system.
+ * @extends StorageHAL
+ */
+class InMemoryStorageHAL extends StorageHAL {
+    constructor() {
+        super();
+        /**
+         * The stored records, indexed by path.
+         * @type {Map<string, {path: string, node: object}>}
+         * @private
+         */
+        this.records = new Map();
+    }
+
+    /**
+     * What this backend can and can't do.
+     * @type {{name: string, persistent: boolean, incremental: boolean, nativeFiles: boolean}}
+     */
+    get capabilities() {
+        return { name: "memory", persistent: false, incremental: true, nativeFiles: false };
+    }
+
+    /**
+     * Nothing to set up; memory is always there.
+     * @returns {Promise<boolean>} Always true.
+     */
+    async init() {
+        return true;
+    }
+
+    /**
+     * Reassembles the tree from the records held in memory.
+     * @returns {Promise<object|null>} The filesystem data, or null if nothing was saved yet.
+     */
+    async load() {
+        if (this.records.size === 0) {
+            return null;
+        }
+        return this._assembleTree(
+            [...this.records.values()].map((record) => ({ path: record.path, node: { ...record.node } }))
+        );
+    }
+
+    /**
+     * Stores copies of the changed records and drops the removed ones.
+     * @param {object} fsData - The complete (live) filesystem data.
+     * @returns {Promise<boolean>} Always true.
+     */
+    async save(fsData) {
+        const changes = this._collectChanges(fsData);
+        const { dirty, removed } = changes;
+        for (const path of removed) {
+            this.records.delete(path);
+        }
+        for (const record of dirty) {
+            // A shallow copy is enough: contents are immutable strings.
+            this.records.set(record.path, { path: record.path, node: { ...record.node } });
+        }
+        this._commitChanges(changes);
+        return true;
+    }
+
+    /**
+     * Forgets every record.
+     * @returns {Promise<boolean>} Always true.
+     */
+    async clear() {
+        this.records.clear();
+        this._forgetPersisted();
+        return true;
+    }
+}
+
+/**
+ * @class OPFSStorageHAL
+ * @classdesc A storage backend built on the browser's Origin Private File
+ * System. File contents are written as real OPFS files in a tree that mirrors
+ * the virtual one, which copes with big files far better than a database
+ * record does. Everything else about a node (owner, mode, mtime, symlink
+ * targets...) lives in a single index file next to that tree.
+ * @extends StorageHAL
+ */
+class OPFSStorageHAL extends StorageHAL {
+    /**
+     * The name of the OPFS directory that holds everything.
+     * @type {string}
+     */
+    static get ROOT_DIRECTORY() { return "oopisos"; }
+
+    /**
+     * The name of the index file, inside `ROOT_DIRECTORY`.
+     * @type {string}
+     */
+    static get INDEX_FILE() { return "nodes.json"; }
+
+    /**
+     * The name of the directory mirroring the virtual tree, inside `ROOT_DIRECTORY`.
+     * @type {string}
+     */
+    static get CONTENT_DIRECTORY() { return "vfs"; }
+
+    /**
+     * What this backend can and can't do.
+     * @type {{name: string, persistent: boolean, incremental: boolean, nativeFiles: boolean}}
+     */
+    get capabilities() {
+        return { name: "opfs", persistent: true, incremental: true, nativeFiles: true };
+    }
+
+    /**
+     * Reports what's left of the browser's storage quota for this origin.
+     * @returns {Promise<number|null>} The free space in bytes, or null if unknown.
+     */
+    async getAvailableSpace() {
+        return this._estimateOriginSpace();
+    }
+
+    /**
+     * Opens (or creates) the backend's directories in the OPFS.
+     * @returns {Promise<boolean>} A promise that resolves to true if the OPFS is usable.
+     */
+    async init() {
+        try {
+            if (!navigator.storage || typeof navigator.storage.getDirectory !== "function") {
+                throw new Error("The Origin Private File System is not supported by this browser");
+            }
+            const opfsRoot = await navigator.storage.getDirectory();
+            /**
+             * The directory holding the index and the content tree.
+             * @type {FileSystemDirectoryHandle}
+             */
+            this.rootHandle = await opfsRoot.getDirectoryHandle(OPFSStorageHAL.ROOT_DIRECTORY, { create: true });
+            /**
+             * The directory mirroring the virtual tree.
+             * @type {FileSystemDirectoryHandle}
+             */
+            this.contentHandle = await this.rootHandle.getDirectoryHandle(OPFSStorageHAL.CONTENT_DIRECTORY, { create: true });
+            /**
+             * Every stored node without its content, indexed by path.
+             * @type {Object<string, object>}
+             */
+            this.index = {};
+            return true;
+        } catch (e) {
+            await this._reportError(`StorageHAL Error: Could not initialize OPFS. Error: ${e.message}.`);
+            return false;
+        }
+    }
+
+    /**
+     * Reads the index and the file contents it refers to, and reassembles the tree.
+     * @returns {Promise<object|null>} The filesystem data, or null if nothing was saved yet.
+     */
+    async load() {
+        const { Config } = this.dependencies;
+        if (!this.rootHandle) {
+            console.error("OPFS not initialized before load.");
+            return null;
+        }
+        try {
+            const indexHandle = await this.rootHandle.getFileHandle(OPFSStorageHAL.INDEX_FILE);
+            this.index = JSON.parse(await (await indexHandle.getFile()).text());
+        } catch (e) {
+            this.index = {};
+            return null;
+        }
+
+        const records = [];
+        for (const [path, storedNode] of Object.entries(this.index)) {
+            const node = { ...storedNode };
+            if (node.type === Config.FILESYSTEM.DEFAULT_FILE_TYPE) {
+                try {
+                    const fileHandle = await this._fileHandleFor(path, false);
+                    const file = await fileHandle.getFile();
+                    node.content = node.encoding === "binary"
+                        ? new Uint8Array(await file.arrayBuffer())
+                        : await file.text();
+                } catch (e) {
+                    console.warn(`StorageHAL: Content of '${path}' is missing from the OPFS.`);
+                    node.content = node.encoding === "binary" ? new Uint8Array(0) : "";
+                }
+            }
+            records.push({ path, node });
+        }
+        return records.length > 0 ? this._assembleTree(records) : null;
+    }
+
+    /**
+     * Writes the changed files, removes the deleted ones and rewrites the index.
+     * @param {object} fsData - The complete (live) filesystem data.
+     * @returns {Promise<boolean>} A promise that resolves to true on success.
+     */
+    async save(fsData) {
+        const { Config } = this.dependencies;
+        if (!this.rootHandle) {
+            console.error("OPFS not initialized before save.");
+            return false;
+        }
+        const changes = this._collectChanges(fsData);
+        const { dirty, removed } = changes;
+        if (dirty.length === 0 && removed.length === 0) {
+            this._commitChanges(changes);
+            return true;
+        }
+
+        try {
+            for (const path of removed) {
+                delete this.index[path];
+                await this._removeEntry(path);
+            }
+            // Parents first, so every directory exists before its files do.
+            dirty.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+            for (const { path, node } of dirty) {
+                const { content, ...storedNode } = node;
+                this.index[path] = storedNode;
+                if (path === Config.FILESYSTEM.ROOT_PATH) continue;
+                if (node.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE) {
+                    await this._directoryHandleFor(path, true);
+                } else if (node.type === Config.FILESYSTEM.DEFAULT_FILE_TYPE) {
+                    const fileHandle = await this._fileHandleFor(path, true);
+                    const writable = await fileHandle.createWritable();
+                    await writable.write(content || "");
+                    await writable.close();
+                }
+            }
+            await this._writeIndex();
+            this._commitChanges(changes);
+            return true;
+        } catch (e) {
+            console.error(`StorageHAL: OPFS save failed: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Removes the index and the whole content tree.
+     * @returns {Promise<boolean>} A promise that resolves to true on success.
+     */
+    async clear() {
+        if (!this.rootHandle) {
+            console.error("OPFS not initialized before clear.");
+            return false;
+        }
+        try {
+            await this.rootHandle.removeEntry(OPFSStorageHAL.CONTENT_DIRECTORY, { recursive: true });
+            this.contentHandle = await this.rootHandle.getDirectoryHandle(OPFSStorageHAL.CONTENT_DIRECTORY, { create: true });
+            this.index = {};
+            await this._writeIndex();
+            this._forgetPersisted();
+            return true;
+        } catch (e) {
+            console.error(`StorageHAL: OPFS clear failed: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Writes the index file.
+     * @private
+     * @returns {Promise<void>}
+     */
+    async _writeIndex() {
+        const indexHandle = await this.rootHandle.getFileHandle(OPFSStorageHAL.INDEX_FILE, { create: true });
+        const writable = await indexHandle.createWritable();
+        await writable.write(JSON.stringify(this.index));
+        await writable.close();
+    }
+
+    /**
+     * Finds the OPFS directory mirroring a virtual directory.
+     * @private
+     * @param {string} path - The absolute virtual path.
+     * @param {boolean} create - Whether to create missing directories on the way.
+     * @returns {Promise<FileSystemDirectoryHandle>} The directory handle.
+     */
+    async _directoryHandleFor(path, create) {
+        let handle = this.contentHandle;
+        for (const segment of path.split("/").filter(Boolean)) {
+            handle = await this._childHandle(handle, segment, "directory", create);
+        }
+        return handle;
+    }
+
+    /**
+     * Finds the OPFS file mirroring a virtual file.
+     * @private
+     * @param {string} path - The absolute virtual path.
+     * @param {boolean} create - Whether to create it (and its directories) if missing.
+     * @returns {Promise<FileSystemFileHandle>} The file handle.
+     */
+    async _fileHandleFor(path, create) {
+        const separatorIndex = path.lastIndexOf("/");
+        const parent = await this._directoryHandleFor(path.substring(0, separatorIndex), create);
+        return this._childHandle(parent, path.substring(separatorIndex + 1), "file", create);
+    }
+
+    /**
+     * Opens one entry of a directory. If an entry of the other kind is in the
+     * way (a file that became a directory, say) it is replaced.
+     * @private
+     * @param {FileSystemDirectoryHandle} parent - The directory to look in.
+     * @param {string} name - The entry's name.
+     * @param {string} kind - "file" or "directory".
+     * @param {boolean} create - Whether to create the entry if missing.
+     * @returns {Promise<FileSystemHandle>} The entry's handle.
+     */
+    async _childHandle(parent, name, kind, create) {
+        const open = () => kind === "directory"
+            ? parent.getDirectoryHandle(name, { create })
+            : parent.getFileHandle(name, { create });
+        try {
+            return await open();
+        } catch (e) {
+            if (!create || e.name !== "TypeMismatchError") throw e;
+            await parent.removeEntry(name, { recursive: true });
+            return open();
+        }
+    }
+
+    /**
+     * Removes a file or directory from the content tree, if it's still there.
+     * @private
+     * @param {string} path - The absolute virtual path.
+     * @returns {Promise<void>}
+     */
+    async _removeEntry(path) {
+        const separatorIndex = path.lastIndexOf("/");
+        try {
+            const parent = await this._directoryHandleFor(path.substring(0, separatorIndex), false);
+            await parent.removeEntry(path.substring(separatorIndex + 1), { recursive: true });
+        } catch (e) {
+            // Already gone along with its parent, or never had content to begin with.
+            if (e.name !== "NotFoundError") throw e;
+        }
+    }
+}
+
+/**
+ * @class ElectronStorageHAL
+ * @classdesc A storage backend for the desktop build. The Electron main
+ * process keeps the filesystem in the portable `data/` directory as real
+ * files; this class talks to it through the bridge exposed by `preload.cjs`.
+ * @extends StorageHAL
+ */
+class ElectronStorageHAL extends StorageHAL {
+    /**
+     * What this backend can and can't do.
+     * @type {{name: string, persistent: boolean, incremental: boolean, nativeFiles: boolean}}
+     */
+    get capabilities() {
+        return { name: "electron", persistent: true, incremental: true, nativeFiles: true };
+    }
+
+    /**
+     * Reports the free space on the disk holding the `data/` directory.
+     * @returns {Promise<number|null>} The free space in bytes, or null if unknown.
+     */
+    async getAvailableSpace() {
+        try {
+            return await this.bridge.getAvailableSpace();
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Checks that we're running inside the desktop build.
+     * @returns {Promise<boolean>} A promise that resolves to true if the native bridge is there.
+     */
+    async init() {
+        /**
+         * The storage half of the bridge exposed by `preload.cjs`.
+         * @type {object|undefined}
+         */
+        this.bridge = window.oopisNative?.storage;
+        if (!this.bridge) {
+            await this._reportError("StorageHAL Error: The Electron storage backend is only available in the desktop app.");
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Asks the main process for every stored record and reassembles the tree.
+     * @returns {Promise<object|null>} The filesystem data, or null if nothing was saved yet.
+     */
+    async load() {
+        try {
+            const records = await this.bridge.load();
+            return records && records.length > 0 ? this._assembleTree(records) : null;
+        } catch (e) {
+            console.error(`StorageHAL: Electron load failed: ${e.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Sends the dirty set to the main process, which writes it to disk.
+     * @param {object} fsData - The complete (live) filesystem data.
+     * @returns {Promise<boolean>} A promise that resolves to true on success.
+     */
+    async save(fsData) {
+        const changes = this._collectChanges(fsData);
+        const { dirty, removed } = changes;
+        if (dirty.length === 0 && removed.length === 0) {
+            this._commitChanges(changes);
+            return true;
+        }
+        try {
+            if (!(await this.bridge.save({ dirty, removed }))) {
+                return false;
+            }
+            this._commitChanges(changes);
+            return true;
+        } catch (e) {
+            console.error(`StorageHAL: Electron save failed: ${e.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Asks the main process to delete the stored filesystem.
+     * @returns {Promise<boolean>} A promise that resolves to true on success.
+     */
+    async clear() {
+        try {
+            if (!(await this.bridge.clear())) {
+                return false;
+            }
+            this._forgetPersisted();
+            return true;
+        } catch (e) {
+            console.error(`StorageHAL: Electron clear failed: ${e.message}`);
+            return false;
+        }
+    }
+}
+
+window.StorageHAL = StorageHAL;
+window.IndexedDBStorageHAL = IndexedDBStorageHAL;
+window.InMemoryStorageHAL = InMemoryStorageHAL;
+window.OPFSStorageHAL = OPFSStorageHAL;
+window.ElectronStorageHAL = ElectronStorageHAL;
@@ -37,6 +37,17 @@ class TerminalUI {
      * @type {object}
      */
     this.dependencies = {};
+    /**
+     * Counts prompt updates, so a prompt still waiting on its `$(…)`
+     * substitutions isn't drawn over a newer one.
+     * @type {number}
+     */
+    this.promptGeneration = 0;
+    /**
+     * Set while the commands of a prompt's `$(…)` substitutions run.
+     * @type {boolean}
+     */
+    this.isSubstitutingPrompt = false;
   }
 
   /**
@@ -57,6 +68,8 @@ class TerminalUI {
 
   /**
    * Updates the command prompt display based on the current user, path, and PS1 environment variable.
+   * PS1 may use the escapes listed in `expandPromptEscapes` and `$(…)` command
+   * substitutions; a prompt with substitutions is drawn once they have run.
    */
   updatePrompt() {
     const { UserManager, FileSystemManager, EnvironmentManager, Config } = this.dependencies;
@@ -66,26 +79,24 @@ class TerminalUI {
     const ps1 = EnvironmentManager.get("PS1");
 
     if (!this.elements.promptContainer) return;
+    // A command run for a substitution may itself ask for a new prompt.
+    if (this.isSubstitutingPrompt) return;
 
+    const generation = ++this.promptGeneration;
     if (ps1) {
-      const host =
-          EnvironmentManager.get("HOST") || Config.OS.DEFAULT_HOST_NAME;
-      const path = FileSystemManager.getCurrentPath() || Config.FILESYSTEM.ROOT_PATH;
-      const homeDir = `/home/${user.name}`;
-      const displayPath = path.startsWith(homeDir)
-          ? `~${path.substring(homeDir.length)}`
-          : path;
-
-      let parsedPrompt = ps1
-          .replace(/\\u/g, user.name)
-          .replace(/\\h/g, host)
-          .replace(/\\w/g, displayPath)
-          .replace(/\\W/g, path.substring(path.lastIndexOf("/") + 1) || "/")
-          .replace(/\\$/g, user.name === "root" ? "#" : "$")
-          .replace(/\\s/g, "OopisOS")
-          .replace(/\\\\/g, "\\");
-
-      this.elements.promptContainer.textContent = parsedPrompt;
+      const prompt = this.expandPromptEscapes(ps1, user.name);
+      if (!/\$\(/.test(prompt)) {
+        this._renderPrompt(prompt);
+        return;
+      }
+      void this._substitutePromptCommands(prompt)
+          .then((substituted) => {
+            if (generation === this.promptGeneration) this._renderPrompt(substituted);
+          })
+          .catch((e) => {
+            console.warn(`TerminalUI: Could not expand the prompt: ${e.message}`);
+            if (generation === this.promptGeneration) this._renderPrompt(prompt);
+          });
     } else {
       const path = FileSystemManager.getCurrentPath();
       const promptChar =
@@ -94,6 +105,91 @@ class TerminalUI {
     }
   }
 
+  /**
+   * Expands the bash-style backslash escapes of a PS1 string:
+   * \u user, \h host, \w working directory (with ~ for home), \W its last
+   * part, \$ '#' for root and '$' otherwise, \t time (HH:MM:SS), \d date
+   * ("Mon Jan 01"), \j number of jobs, \? exit status of the last command,
+   * \s shell name, \e and \nnn (octal, as in \033) for colour codes, \\ a
+   * backslash, and \[ \] (which only matter to bash, and are dropped).
+   * Unknown escapes are left as they are.
+   * @param {string} ps1 - The PS1 string.
+   * @param {string} username - The current user's name.
+   * @returns {string} The expanded prompt, with any `$(…)` still in place.
+   */
+  expandPromptEscapes(ps1, username) {
+    const { FileSystemManager, EnvironmentManager, CommandExecutor, Config } = this.dependencies;
+    const host = EnvironmentManager.get("HOST") || Config.OS.DEFAULT_HOST_NAME;
+    const path = FileSystemManager.getCurrentPath() || Config.FILESYSTEM.ROOT_PATH;
+    const homeDir = `/home/${username}`;
+    const isInHome = path === homeDir || path.startsWith(`${homeDir}/`);
+    const now = new Date();
+    const pad = (value) => String(value).padStart(2, "0");
+
+    const escapes = {
+      u: () => username,
+      h: () => host.split(".")[0],
+      H: () => host,
+      w: () => (isInHome ? `~${path.substring(homeDir.length)}` : path),
+      W: () => (path === homeDir ? "~" : path.substring(path.lastIndexOf("/") + 1) || "/"),
+      $: () => (username === "root" ? "#" : "$"),
+      t: () => `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`,
+      d: () => now.toDateString().slice(0, 10),
+      j: () => String(Object.keys(CommandExecutor.getActiveJobs()).length),
+      "?": () => String(CommandExecutor.getLastExitStatus()),
+      s: () => "OopisOS",
+      e: () => "\x1b",
+      "\\": () => "\\",
+      "[": () => "",
+      "]": () => "",
+    };
+
+    return ps1.replace(/\\([0-7]{3}|.)/g, (match, escape) => {
+      if (/^[0-7]{3}$/.test(escape)) return String.fromCharCode(parseInt(escape, 8));
+      return escapes[escape] ? escapes[escape]() : match;
+    });
+  }
+
+  /**
+   * Replaces the `$(…)` command substitutions in an expanded prompt with the
+   * output of their commands.
+   * @private
+   * @param {string} prompt - The prompt, after `expandPromptEscapes`.
+   * @returns {Promise<string>} The prompt with its substitutions filled in.
+   */
+  async _substitutePromptCommands(prompt) {
+    const { CommandExecutor } = this.dependencies;
+    let substituted = "";
+    let lastIndex = 0;
+    this.isSubstitutingPrompt = true;
+    try {
+      for (const match of prompt.matchAll(/\$\(([^)]+)\)/g)) {
+        substituted += prompt.slice(lastIndex, match.index);
+        substituted += await CommandExecutor.captureCommandOutput(match[1]);
+        lastIndex = match.index + match[0].length;
+      }
+    } finally {
+      this.isSubstitutingPrompt = false;
+    }
+    return substituted + prompt.slice(lastIndex);
+  }
+
+  /**
+   * Draws an expanded prompt, colouring it if it carries ANSI codes.
+   * @private
+   * @param {string} prompt - The prompt to draw.
+   */
+  _renderPrompt(prompt) {
+    const { AnsiUtils } = this.dependencies;
+    if (AnsiUtils.hasControlCodes(prompt)) {
+      const line = AnsiUtils.createLine();
+      AnsiUtils.writeLine(line, prompt);
+      AnsiUtils.renderLine(this.elements.promptContainer, line);
+    } else {
+      this.elements.promptContainer.textContent = prompt;
+    }
+  }
+
   /**
    * Gets the current text content of the command prompt.
    * @returns {string} The prompt text.
@@ -102,6 +198,16 @@ class TerminalUI {
     return this.elements.promptContainer ? this.elements.promptContainer.textContent : "";
   }
 
+  /**
+   * Replaces the text of the command prompt until the next `updatePrompt`,
+   * as reverse history search does.
+   * @param {string} text - The text to show.
+   */
+  setPromptText(text) {
+    this.promptGeneration++;
+    if (this.elements.promptContainer) this.elements.promptContainer.textContent = text;
+  }
+
   /**
    * Sets focus to the editable input field.
    */
@@ -464,16 +570,17 @@ class TabCompletionManager {
 
   /**
    * Analyzes the input string and cursor position to determine the context for completion.
+   * Only the command the cursor is in counts, so completion works the same after a
+   * '|', ';', '&&' or '||' as at the start of the line.
    * @private
    * @param {string} fullInput - The full input string from the terminal.
    * @param {number} cursorPos - The current position of the caret.
    * @returns {object} An object describing the completion context.
    */
   _getCompletionContext(fullInput, cursorPos) {
-    const tokens = fullInput.match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g) || [];
-    const commandName = tokens.length > 0 ? tokens[0].replace(/["']/g, "") : "";
     const textBeforeCursor = fullInput.substring(0, cursorPos);
     let startOfWordIndex = 0;
+    let startOfSegmentIndex = 0;
     let inQuote = null;
     for (let i = 0; i < textBeforeCursor.length; i++) {
       const char = textBeforeCursor[i];
@@ -482,13 +589,16 @@ class TabCompletionManager {
       } else if (
           !inQuote &&
           (char === '"' || char === "'") &&
-          (i === 0 ||
-              textBeforeCursor[i - 1] === " " ||
-              textBeforeCursor[i - 1] === undefined)
+          i === startOfWordIndex
       ) {
         inQuote = char;
       }
-      if (char === " " && !inQuote) {
+      if (inQuote) continue;
+      if (char === " ") {
+        startOfWordIndex = i + 1;
+      } else if ("|;&".includes(char) && !(char === "&" && textBeforeCursor[i - 1] === ">")) {
+        startOfWordIndex = startOfSegmentIndex = i + 1;
+      } else if ("<>".includes(char)) {
         startOfWordIndex = i + 1;
       }
     }
@@ -505,13 +615,15 @@ class TabCompletionManager {
         ? currentWordWithQuotes.substring(1)
         : currentWordWithQuotes;
     const isQuoted = !!quoteChar;
-    const isCompletingCommand =
-        tokens.length === 0 ||
-        (tokens.length === 1 &&
-            !fullInput.substring(0, tokens[0].length).includes(" "));
+
+    const precedingText = fullInput.substring(startOfSegmentIndex, startOfWordIndex);
+    const words = precedingText.match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g) || [];
+    const isRedirection = /[<>]\s*$/.test(precedingText);
     return {
-      commandName,
-      isCompletingCommand,
+      commandName: words.length > 0 ? words[0].replace(/["']/g, "") : "",
+      isCompletingCommand: words.length === 0,
+      isRedirection,
+      args: words.slice(1).map((word) => word.replace(/["']/g, "")),
       currentWordPrefix,
       startOfWordIndex,
       currentWordLength: currentWordWithQuotes.length,
@@ -522,30 +634,140 @@ class TabCompletionManager {
 
   /**
    * Fetches completion suggestions based on the current context.
+   *
+   * A command definition can describe its arguments with a `completion` spec:
+   * - `args`: a completer for each positional argument; without
+   *   `subCommands` the last one repeats.
+   * - `subCommands`: an object mapping each sub-command, which comes after
+   *   any `args`, to a spec for the arguments that follow it.
+   * - `flags`: a completer for the value of each flag that takes one, by
+   *   flag name.
+   * A completer is the name of a built-in source ("commands", "paths",
+   * "users", "groups", "aliases", "jobs", "peers", "variables" or
+   * "packages"), an array of words, or a function given `{ prefix, args,
+   * dependencies }` that returns an array of words. Commands without a spec
+   * use their `completionType` for every argument. Flags always complete from
+   * `flagDefinitions`, and `$NAME` always completes environment variables.
    * @private
    * @param {object} context - The completion context from _getCompletionContext.
    * @returns {Promise<string[]>} A promise that resolves to an array of suggestion strings.
    */
   async _getSuggestionsFromProvider(context) {
-    const { currentWordPrefix, isCompletingCommand, commandName } = context;
-    let suggestions = [];
+    const { currentWordPrefix, isCompletingCommand, isRedirection, commandName, args } = context;
+    const { CommandExecutor } = this.dependencies;
+
+    const variableMatch = currentWordPrefix.match(/^(.*)\$([a-zA-Z_][a-zA-Z0-9_]*)?$/);
+    if (variableMatch && !context.isQuoted) {
+      const [, textBefore, namePrefix = ""] = variableMatch;
+      return this._filterSuggestions(this._getSourceSuggestions("variables", namePrefix), namePrefix)
+          .map((name) => `${textBefore}$${name}`);
+    }
+    if (isRedirection) {
+      return this._filterSuggestions(this._getSourceSuggestions("paths", currentWordPrefix), currentWordPrefix);
+    }
+    if (isCompletingCommand) {
+      return this._filterSuggestions(this._getSourceSuggestions("commands", currentWordPrefix), currentWordPrefix);
+    }
 
-    const { CommandExecutor, Config, StorageManager, FileSystemManager, UserManager } = this.dependencies;
+    const commandDefinition = await CommandExecutor._ensureCommandLoaded(commandName);
+    if (!commandDefinition) return [];
+    const definition = commandDefinition.definition;
+    const flagDefinitions = definition.flagDefinitions || [];
 
-    if (isCompletingCommand) {
-      suggestions = Config.COMMANDS_MANIFEST.filter((cmd) =>
-          cmd.toLowerCase().startsWith(currentWordPrefix.toLowerCase())
-      ).sort();
+    if (currentWordPrefix.startsWith("-") && flagDefinitions.length > 0) {
+      const flagNames = flagDefinitions.flatMap((flag) =>
+          [flag.short, flag.long, ...(flag.aliases || [])].filter(Boolean)
+      );
+      return this._filterSuggestions([...new Set(flagNames)], currentWordPrefix, true);
+    }
+
+    // Separate the positional arguments from flags and their values.
+    const positionalArgs = [];
+    let pendingValueFlag = null;
+    for (const arg of args) {
+      if (pendingValueFlag) {
+        pendingValueFlag = null;
+        continue;
+      }
+      const flag = flagDefinitions.find((def) =>
+          [def.short, def.long, ...(def.aliases || [])].includes(arg)
+      );
+      if (flag) {
+        if (flag.takesValue) pendingValueFlag = flag;
+      } else if (!(arg.startsWith("-") && arg !== "--" && flagDefinitions.length > 0)) {
+        positionalArgs.push(arg);
+      }
+    }
+
+    let completer;
+    if (pendingValueFlag) {
+      completer = definition.completion?.flags?.[pendingValueFlag.name];
+    } else if (definition.completion) {
+      completer = this._resolveCompleter(definition.completion, positionalArgs);
+    } else {
+      completer = definition.completionType ||
+          (definition.pathValidation ? "paths" : null);
+    }
+    if (!completer) return [];
+
+    let suggestions;
+    if (Array.isArray(completer)) {
+      suggestions = completer;
+    } else if (typeof completer === "function") {
+      suggestions = await completer({
+        prefix: currentWordPrefix,
+        args: positionalArgs,
+        dependencies: this.dependencies,
+      });
     } else {
+      suggestions = this._getSourceSuggestions(completer, currentWordPrefix);
+    }
+    return this._filterSuggestions(suggestions || [], currentWordPrefix);
+  }
 
-      const commandDefinition = await CommandExecutor._ensureCommandLoaded(commandName);
-      if (!commandDefinition) return [];
+  /**
+   * Works out which completer of a `completion` spec covers the next
+   * positional argument.
+   * @private
+   * @param {object} spec - A `completion` spec.
+   * @param {string[]} positionalArgs - The positional arguments already typed.
+   * @returns {string|string[]|Function|null} The completer, or null if there is none.
+   */
+  _resolveCompleter(spec, positionalArgs) {
+    const specArgs = spec.args || [];
+    if (!spec.subCommands) {
+      if (specArgs.length === 0) return null;
+      return specArgs[Math.min(positionalArgs.length, specArgs.length - 1)];
+    }
+    if (positionalArgs.length < specArgs.length) {
+      return specArgs[positionalArgs.length];
+    }
+    if (positionalArgs.length === specArgs.length) {
+      return Object.keys(spec.subCommands);
+    }
+    const subCommandSpec = spec.subCommands[positionalArgs[specArgs.length].toLowerCase()];
+    return subCommandSpec
+        ? this._resolveCompleter(subCommandSpec, positionalArgs.slice(specArgs.length + 1))
+        : null;
+  }
 
-      if (commandDefinition.definition.completionType === "commands") {
-        suggestions = Config.COMMANDS_MANIFEST.filter((cmd) =>
-            cmd.toLowerCase().startsWith(currentWordPrefix.toLowerCase())
-        ).sort();
-      } else if (commandDefinition.definition.completionType === "users") {
+  /**
+   * Gets the words a built-in completion source offers.
+   * @private
+   * @param {string} source - The name of the source.
+   * @param {string} currentWordPrefix - The word being completed.
+   * @returns {string[]} The words, not yet filtered by the prefix.
+   */
+  _getSourceSuggestions(source, currentWordPrefix) {
+    const {
+      Config, StorageManager, FileSystemManager, UserManager, GroupManager,
+      AliasManager, CommandExecutor, NetworkManager, EnvironmentManager,
+    } = this.dependencies;
+
+    switch (source) {
+      case "commands":
+        return Config.COMMANDS_MANIFEST;
+      case "users": {
         const users = StorageManager.loadItem(
             Config.STORAGE_KEYS.USER_CREDENTIALS,
             "User list",
@@ -554,15 +776,30 @@ class TabCompletionManager {
         const userNames = Object.keys(users);
         if (!userNames.includes(Config.USER.DEFAULT_NAME))
           userNames.push(Config.USER.DEFAULT_NAME);
-        suggestions = userNames
-            .filter((name) =>
-                name.toLowerCase().startsWith(currentWordPrefix.toLowerCase())
-            )
-            .sort();
-      } else if (
-          commandDefinition.definition.completionType === "paths" ||
-          commandDefinition.definition.pathValidation
-      ) {
+        return userNames;
+      }
+      case "groups":
+        return Object.keys(GroupManager.groups);
+      case "aliases":
+        return Object.keys(AliasManager.getAllAliases());
+      case "jobs":
+        return Object.keys(CommandExecutor.getActiveJobs());
+      case "peers":
+        return [...new Set([
+          ...NetworkManager.getPeers().keys(),
+          ...NetworkManager.getRemoteInstances(),
+        ])];
+      case "variables":
+        return Object.keys(EnvironmentManager.getAll());
+      case "packages": {
+        const manifestNode = FileSystemManager.getNodeByPath("/etc/pkg_manifest.json");
+        try {
+          return JSON.parse(manifestNode?.content || "{}").packages || [];
+        } catch (e) {
+          return [];
+        }
+      }
+      case "paths": {
         const lastSlashIndex = currentWordPrefix.lastIndexOf(
             Config.FILESYSTEM.PATH_SEPARATOR
         );
@@ -570,11 +807,6 @@ class TabCompletionManager {
             lastSlashIndex !== -1
                 ? currentWordPrefix.substring(0, lastSlashIndex + 1)
                 : "";
-        const segmentToMatchForFS =
-            lastSlashIndex !== -1
-                ? currentWordPrefix.substring(lastSlashIndex + 1)
-                : currentWordPrefix;
-
         const effectiveBasePathForFS = FileSystemManager.getAbsolutePath(
             pathPrefixForFS,
             FileSystemManager.getCurrentPath()
@@ -589,16 +821,28 @@ class TabCompletionManager {
             baseNode.type === Config.FILESYSTEM.DEFAULT_DIRECTORY_TYPE &&
             FileSystemManager.hasPermission(baseNode, currentUser, "read")
         ) {
-          suggestions = Object.keys(baseNode.children)
-              .filter((name) =>
-                  name.toLowerCase().startsWith(segmentToMatchForFS.toLowerCase())
-              )
-              .map((name) => pathPrefixForFS + name)
-              .sort();
+          return Object.keys(baseNode.children).map((name) => pathPrefixForFS + name);
         }
+        return [];
       }
+      default:
+        return [];
     }
-    return suggestions;
+  }
+
+  /**
+   * Keeps the suggestions that start with the word being completed, sorted.
+   * @private
+   * @param {string[]} suggestions - The candidate words.
+   * @param {string} prefix - The word being completed.
+   * @param {boolean} [caseSensitive=false] - Whether case must match, as it must for flags.
+   * @returns {string[]} The matching suggestions.
+   */
+  _filterSuggestions(suggestions, prefix, caseSensitive = false) {
+    const normalize = (text) => (caseSensitive ? text : text.toLowerCase());
+    return [...new Set(suggestions.map(String))]
+        .filter((suggestion) => normalize(suggestion).startsWith(normalize(prefix)))
+        .sort();
   }
 
   /**
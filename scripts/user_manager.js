@@ -418,10 +418,11 @@ class UserManager {
    * Performs the internal state changes for a successful login.
    * @private
    * @param {string} username - The username that has successfully logged in.
-   * @returns {object} An ErrorHandler success object.
+   * @returns {Promise<object>} An ErrorHandler success object.
    */
-  _performLogin(username) {
+  async _performLogin(username) {
     const { ErrorHandler } = this.dependencies;
+    await this.dependencies.HistoryManager.flushHistoryFile();
     if (this.currentUser.name !== this.config.USER.DEFAULT_NAME) {
       this.sessionManager.saveAutomaticState(this.currentUser.name);
       this.sudoManager.clearUserTimestamp(this.currentUser.name);
@@ -436,6 +437,7 @@ class UserManager {
             : this.config.FILESYSTEM.ROOT_PATH
     );
     this.dependencies.AuditManager.log(username, 'login_success', `User logged in successfully.`);
+    await this.sessionManager.runStartupFile(username);
     return ErrorHandler.createSuccess({
       message: `Logged in as ${username}.`,
       isLogin: true,
@@ -472,10 +474,11 @@ class UserManager {
    * Performs the internal state changes for a successful 'su'.
    * @private
    * @param {string} username - The username to switch to.
-   * @returns {object} An ErrorHandler success object.
+   * @returns {Promise<object>} An ErrorHandler success object.
    */
-  _performSu(username) {
+  async _performSu(username) {
     const { ErrorHandler } = this.dependencies;
+    await this.dependencies.HistoryManager.flushHistoryFile();
     this.sessionManager.saveAutomaticState(this.currentUser.name);
     this.sessionManager.pushUserToStack(username);
     this.currentUser = { name: username };
@@ -487,6 +490,7 @@ class UserManager {
             : this.config.FILESYSTEM.ROOT_PATH
     );
     this.dependencies.AuditManager.log(this.getCurrentUser().name, 'su_success', `Switched to user: ${username}.`);
+    await this.sessionManager.runStartupFile(username);
     return ErrorHandler.createSuccess({
       message: `Switched to user: ${username}.`,
     });
@@ -505,6 +509,7 @@ class UserManager {
         noAction: true,
       });
     }
+    await this.dependencies.HistoryManager.flushHistoryFile();
     this.sessionManager.saveAutomaticState(oldUser);
     this.sudoManager.clearUserTimestamp(oldUser);
     this.sessionManager.popUserFromStack();
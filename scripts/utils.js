@@ -82,17 +82,16 @@ class Utils {
   }
 
   /**
-   * Calculates the SHA-256 hash of a given string.
-   * @param {string} text - The text to hash.
+   * Calculates the SHA-256 hash of a given string or byte array.
+   * @param {string|Uint8Array} text - The text (or bytes) to hash.
    * @returns {Promise<string|null>} A promise that resolves to the hex-encoded hash string, or null on failure.
    */
   static async calculateSHA256(text) {
-    if (typeof text !== "string") {
+    if (typeof text !== "string" && !Utils.isBinaryContent(text)) {
       return null;
     }
     try {
-      const encoder = new TextEncoder();
-      const data = encoder.encode(text);
+      const data = Utils.contentToBytes(text);
       const hashBuffer = await window.crypto.subtle.digest("SHA-256", data);
       const hashArray = Array.from(new Uint8Array(hashBuffer));
       return hashArray.map((b) => b.toString(16).padStart(2, "0")).join("");
@@ -131,7 +130,8 @@ class Utils {
     }
 
     const name = combined.substring(0, eqIndex).trim();
-    let value = combined.substring(eqIndex + 1).trim();
+    // Only a quoted value can end in spaces, and a prompt like PS1 needs them.
+    let value = combined.substring(eqIndex + 1).trimStart();
 
     if (
         (value.startsWith("'") && value.endsWith("'")) ||
@@ -144,12 +144,177 @@ class Utils {
   }
 
   /**
-   * Creates a deep copy of a filesystem node using JSON serialization.
+   * Creates a deep copy of a filesystem node. Binary file content is copied
+   * byte for byte instead of being flattened by JSON.
    * @param {object} node - The filesystem node to copy.
    * @returns {object|null} A deep copy of the node, or null if the input is null.
    */
   static deepCopyNode(node) {
-    return node ? JSON.parse(JSON.stringify(node)) : null;
+    return node
+        ? JSON.parse(JSON.stringify(node, Utils._binaryReplacer), Utils._binaryReviver)
+        : null;
+  }
+
+  /**
+   * Checks whether a piece of file content is raw bytes rather than text.
+   * @param {*} content - The content to check.
+   * @returns {boolean} True for Uint8Array content.
+   */
+  static isBinaryContent(content) {
+    return content instanceof Uint8Array;
+  }
+
+  /**
+   * Counts the bytes a piece of content occupies. Text is measured as UTF-8,
+   * so 'é' costs two bytes, exactly as it would on a real disk.
+   * @param {string|Uint8Array|null} content - The content to measure.
+   * @returns {number} The size in bytes.
+   */
+  static getByteLength(content) {
+    if (!content) return 0;
+    if (Utils.isBinaryContent(content)) return content.byteLength;
+    // Plain ASCII is one byte per character; skip the encoder for it.
+    if (!/[^\x00-\x7f]/.test(content)) return content.length;
+    return new TextEncoder().encode(content).length;
+  }
+
+  /**
+   * Turns any file content into bytes.
+   * @param {string|Uint8Array|ArrayBuffer|null} content - The content to convert.
+   * @returns {Uint8Array} The content as bytes.
+   */
+  static contentToBytes(content) {
+    if (Utils.isBinaryContent(content)) return content;
+    if (content instanceof ArrayBuffer) return new Uint8Array(content);
+    return new TextEncoder().encode(content || "");
+  }
+
+  /**
+   * Turns any file content into text, decoding bytes as UTF-8. Bytes that
+   * aren't valid UTF-8 come out as replacement characters, which is what
+   * you'd see catting a JPEG on any other terminal.
+   * @param {string|Uint8Array|null} content - The content to convert.
+   * @returns {string} The content as text.
+   */
+  static contentToText(content) {
+    if (Utils.isBinaryContent(content)) {
+      return new TextDecoder("utf-8", { ignoreBOM: true }).decode(content);
+    }
+    return content || "";
+  }
+
+  /**
+   * Picks the natural in-memory form for bytes that arrived from the outside
+   * world: valid UTF-8 text stays a (readable, editable) string, and
+   * anything else is kept as raw bytes. Either way the bytes round-trip.
+   * @param {Uint8Array|ArrayBuffer} bytes - The bytes to classify.
+   * @returns {string|Uint8Array} A string for text, a Uint8Array otherwise.
+   */
+  static bytesToContent(bytes) {
+    const data = bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes;
+    // NUL bytes are legal UTF-8 but a sure sign the file isn't text.
+    if (data.includes(0)) return data;
+    try {
+      return new TextDecoder("utf-8", { fatal: true, ignoreBOM: true }).decode(data);
+    } catch (e) {
+      return data;
+    }
+  }
+
+  /**
+   * Joins any number of contents into one byte array, converting text to
+   * UTF-8 on the way.
+   * @param {...(string|Uint8Array)} parts - The contents to join, in order.
+   * @returns {Uint8Array} The combined bytes.
+   */
+  static concatBytes(...parts) {
+    const arrays = parts.map((part) => Utils.contentToBytes(part));
+    const result = new Uint8Array(
+        arrays.reduce((total, bytes) => total + bytes.length, 0)
+    );
+    let offset = 0;
+    for (const bytes of arrays) {
+      result.set(bytes, offset);
+      offset += bytes.length;
+    }
+    return result;
+  }
+
+  /**
+   * Encodes bytes as a Base64 string.
+   * @param {Uint8Array} bytes - The bytes to encode.
+   * @returns {string} The Base64 text.
+   */
+  static bytesToBase64(bytes) {
+    let binary = "";
+    // Chunked so large files don't blow the argument limit of fromCharCode.
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * Decodes a Base64 string into bytes. Whitespace is ignored.
+   * @param {string} base64 - The Base64 text.
+   * @returns {Uint8Array} The decoded bytes.
+   * @throws {DOMException} If the text isn't valid Base64.
+   */
+  static base64ToBytes(base64) {
+    const binary = atob(base64.replace(/\s+/g, ""));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Copies a node tree into a JSON-safe shape, swapping binary content for a
+   * tagged Base64 string. Used wherever the file system is written as JSON
+   * (backups, manual saves, archives).
+   * @param {object} tree - A node or a whole fsData object.
+   * @returns {object} A plain-JSON copy of the tree.
+   */
+  static toSerializableTree(tree) {
+    return JSON.parse(JSON.stringify(tree, Utils._binaryReplacer));
+  }
+
+  /**
+   * Reverses {@link Utils.toSerializableTree}, turning tagged Base64 strings
+   * back into bytes.
+   * @param {object} tree - A tree produced by toSerializableTree (or plain JSON).
+   * @returns {object|null} The tree with binary content restored, or null if there wasn't one.
+   */
+  static fromSerializableTree(tree) {
+    if (tree === null || tree === undefined) return null;
+    return JSON.parse(JSON.stringify(tree), Utils._binaryReviver);
+  }
+
+  /**
+   * JSON.stringify replacer that tags binary content as Base64.
+   * @private
+   * @param {string} key - The property name.
+   * @param {*} value - The property value.
+   * @returns {*} The value, or a `{__binary__}` wrapper for bytes.
+   */
+  static _binaryReplacer(key, value) {
+    return Utils.isBinaryContent(value)
+        ? { __binary__: Utils.bytesToBase64(value) }
+        : value;
+  }
+
+  /**
+   * JSON.parse reviver that unwraps `{__binary__}` tags back into bytes.
+   * @private
+   * @param {string} key - The property name.
+   * @param {*} value - The parsed value.
+   * @returns {*} The value, with tagged Base64 turned back into a Uint8Array.
+   */
+  static _binaryReviver(key, value) {
+    return value && typeof value === "object" && typeof value.__binary__ === "string"
+        ? Utils.base64ToBytes(value.__binary__)
+        : value;
   }
 
   /**
@@ -323,6 +488,9 @@ class Utils {
 
   /**
    * Parses an array of command-line arguments into flags and remaining arguments.
+   * A long flag that takes a value can also be written '--name=value'. A flag
+   * defined with `optionalValue` is true on its own and takes a value only in
+   * that form, like GNU's '--color[=WHEN]'.
    * @param {string[]} argsArray - The array of arguments to parse.
    * @param {object[]} flagDefinitions - An array of flag definition objects.
    * @returns {{flags: object, remainingArgs: string[]}} An object containing parsed flags and other arguments.
@@ -355,6 +523,19 @@ class Utils {
         continue;
       }
 
+      if (arg.startsWith("--") && arg.includes("=")) {
+        const [longFlag, ...valueParts] = arg.split("=");
+        const valueDef = flagDefinitions.find(
+            (d) =>
+                [d.long, ...(d.aliases || [])].includes(longFlag) &&
+                (d.takesValue || d.optionalValue)
+        );
+        if (valueDef) {
+          flags[valueDef.name] = valueParts.join("=");
+          continue;
+        }
+      }
+
       if (!arg.startsWith("--") && arg.length > 2) {
         const shortFlag = arg.substring(0, 2);
         const valueTakingDef = flagDefinitions.find(